@@ -0,0 +1,316 @@
+/**
+ * Project Server - Reference server for sharing projects on a LAN
+ * Keeps each project record (a project document, see
+ * src/utils/projectFormat.js) as <id>.json in a data directory and serves
+ * them to the app's server adapter (see src/utils/storageAdapters.js).
+ * Plain Node, no dependencies:
+ *
+ *   node server/projectServer.js [--port 8787] [--host 0.0.0.0]
+ *     [--data ./habitat-projects]
+ *
+ * REST:
+ *   GET    /projects       -> 200 [{ etag, project }], with { id, etag,
+ *                             error } for records that don't parse
+ *   GET    /projects/:id   -> 200 project with ETag, 304 on If-None-Match,
+ *                             404
+ *   PUT    /projects/:id   -> 200 / 201 with the new ETag
+ *   DELETE /projects/:id   -> 204, 404
+ *
+ * PUT and DELETE honour If-Match (the ETag the client last saw) and PUT
+ * also If-None-Match: * (create only); either answers 412 when the record
+ * on disk doesn't match, which is how a client learns someone else saved
+ * first. Requests without them overwrite.
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import {
+  mkdir,
+  readFile,
+  readdir,
+  rename,
+  unlink,
+  writeFile,
+} from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 64 * 1024 * 1024; // inline meshes make records large
+const ID_PATTERN = /^[\w-]{1,128}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.PORT) || DEFAULT_PORT,
+    host: "0.0.0.0",
+    data: "./habitat-projects",
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, "");
+    if (!(name in options) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    options[name] = name === "port" ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return options;
+}
+
+const etagOf = (bytes) =>
+  `"${createHash("sha256").update(bytes).digest("base64url").slice(0, 27)}"`;
+
+/**
+ * Project records as files in one directory
+ * Writes go to a temporary file first, then replace the record, so a
+ * reader never sees half a project.
+ * @param {String} directory
+ * @returns {Object} { list, read, write, remove }
+ */
+export function createFileStore(directory) {
+  const pathOf = (id) => join(directory, `${id}.json`);
+
+  const read = async (id) => {
+    try {
+      const bytes = await readFile(pathOf(id));
+      return { id, bytes, etag: etagOf(bytes) };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  return {
+    read,
+    async list() {
+      const names = (await readdir(directory)).filter((name) =>
+        name.endsWith(".json")
+      );
+      const entries = await Promise.all(
+        names.map((name) => read(name.slice(0, -".json".length)))
+      );
+      return entries.filter(Boolean);
+    },
+    async write(id, bytes) {
+      const temporary = `${pathOf(id)}.${process.pid}.tmp`;
+      await writeFile(temporary, bytes);
+      await rename(temporary, pathOf(id));
+      return etagOf(bytes);
+    },
+    async remove(id) {
+      await unlink(pathOf(id));
+    },
+  };
+}
+
+// Stops reading at MAX_BODY_BYTES; the handler answers 413 and then closes
+// the connection, since the rest of the body is never read
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.off("data", onData);
+        req.pause();
+        reject(new HttpError(413, "Project is too large"));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolveBody(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// Whether a request's preconditions hold for the current record
+function preconditionsHold(req, current) {
+  const ifMatch = req.headers["if-match"];
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifMatch !== undefined) {
+    if (!current) return false;
+    if (ifMatch.trim() !== "*" && !ifMatch.includes(current.etag)) {
+      return false;
+    }
+  }
+  if (ifNoneMatch !== undefined && current) {
+    if (ifNoneMatch.trim() === "*" || ifNoneMatch.includes(current.etag)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Request handler for the REST API above
+ * @param {Object} store - createFileStore result
+ * @returns {Function} (req, res) handler for http.createServer
+ */
+export function createProjectHandler(store) {
+  // Checks and writes run one after another so two saves can't both pass
+  // the same If-Match
+  let writeQueue = Promise.resolve();
+  const exclusive = (task) => {
+    const done = writeQueue.then(task);
+    writeQueue = done.catch(() => {});
+    return done;
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    const json = body === undefined ? undefined : JSON.stringify(body);
+    res.writeHead(status, {
+      ...(json !== undefined && { "Content-Type": "application/json" }),
+      ...headers,
+    });
+    res.end(json);
+  };
+
+  const routes = {
+    // A record that doesn't parse (e.g. edited by hand) is listed with the
+    // error instead of its project, so it doesn't hide the others
+    async list(req, res) {
+      const entries = await store.list();
+      send(
+        res,
+        200,
+        entries.map(({ id, bytes, etag }) => {
+          try {
+            return { etag, project: JSON.parse(bytes) };
+          } catch (error) {
+            console.warn(`Project ${id} is unreadable:`, error.message);
+            return { id, etag, error: "The project file is unreadable" };
+          }
+        })
+      );
+    },
+
+    async get(req, res, id) {
+      const current = await store.read(id);
+      if (!current) throw new HttpError(404, "No such project");
+      if (req.headers["if-none-match"]?.includes(current.etag)) {
+        res.writeHead(304, { ETag: current.etag });
+        res.end();
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        ETag: current.etag,
+      });
+      res.end(current.bytes);
+    },
+
+    async put(req, res, id) {
+      const bytes = await readBody(req);
+      let project;
+      try {
+        project = JSON.parse(bytes);
+      } catch {
+        throw new HttpError(400, "Body isn't JSON");
+      }
+      if (project?.id !== id) {
+        throw new HttpError(400, "The project's id doesn't match the URL");
+      }
+      await exclusive(async () => {
+        const current = await store.read(id);
+        if (!preconditionsHold(req, current)) {
+          throw new HttpError(412, "The project was changed by someone else");
+        }
+        const etag = await store.write(id, bytes);
+        send(res, current ? 200 : 201, { id, etag }, { ETag: etag });
+      });
+    },
+
+    async delete(req, res, id) {
+      await exclusive(async () => {
+        const current = await store.read(id);
+        if (!current) throw new HttpError(404, "No such project");
+        if (!preconditionsHold(req, current)) {
+          throw new HttpError(412, "The project was changed by someone else");
+        }
+        await store.remove(id);
+        send(res, 204);
+      });
+    },
+  };
+
+  return async (req, res) => {
+    // The app runs from another origin (the dev server or a static host)
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, PUT, DELETE, OPTIONS");
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, If-Match, If-None-Match"
+    );
+    res.setHeader("Access-Control-Expose-Headers", "ETag");
+
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const [, collection, rawId, extra] = pathname.split("/");
+      if (collection !== "projects" || extra !== undefined) {
+        throw new HttpError(404, "Not found");
+      }
+      if (req.method === "OPTIONS") {
+        send(res, 204);
+        return;
+      }
+
+      if (!rawId) {
+        if (req.method !== "GET") throw new HttpError(405, "Use GET");
+        await routes.list(req, res);
+        return;
+      }
+      // Ids the app makes never need escaping
+      const id = rawId;
+      if (!ID_PATTERN.test(id)) throw new HttpError(400, "Invalid project id");
+      const route = { GET: "get", PUT: "put", DELETE: "delete" }[req.method];
+      if (!route) throw new HttpError(405, "Use GET, PUT or DELETE");
+      await routes[route](req, res, id);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error(`${req.method} ${req.url} failed:`, error);
+      }
+      if (!res.headersSent) {
+        const closing = error.status === 413;
+        if (closing) res.on("finish", () => req.destroy());
+        send(
+          res,
+          error.status || 500,
+          {
+            error: error instanceof HttpError ? error.message : "Server error",
+          },
+          closing ? { Connection: "close" } : {}
+        );
+      }
+    }
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const directory = resolve(options.data);
+  await mkdir(directory, { recursive: true });
+  const server = createServer(createProjectHandler(createFileStore(directory)));
+  server.listen(options.port, options.host, () => {
+    console.log(
+      `Project server on http://${options.host}:${options.port}, keeping projects in ${directory}`
+    );
+  });
+}
+
+// Run when started directly rather than imported
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -6,22 +6,105 @@ import BodyPanel from "./components/BodyPanel";
 import LandingPage from "./components/LandingPage";
 import ModuleLibraryPanel from "./components/ModuleLibraryPanel";
 import ModuleParameterPanel from "./components/ModuleParameterPanel";
-import { exportToJSON, exportToSTL, exportToGLB } from "./utils/exportUtils";
+import BudgetPanel from "./components/BudgetPanel";
+import FairingPanel from "./components/FairingPanel";
+import ModuleEditorModal from "./components/ModuleEditorModal";
+import GravityPanel from "./components/GravityPanel";
+import FilletPanel from "./components/FilletPanel";
+import PatternPanel from "./components/PatternPanel";
+import MirrorPanel from "./components/MirrorPanel";
+import FeatureTreePanel from "./components/FeatureTreePanel";
+import SweepPanel from "./components/SweepPanel";
+import ImprovedSketchModal from "./components/ImprovedSketchModal";
+import {
+  exportToJSON,
+  exportToSTL,
+  exportToGLB,
+  downloadFile,
+} from "./utils/exportUtils";
 import { importFiles } from "./utils/importUtils";
 import { HistoryManager } from "./utils/historyManager";
-import * as ModuleGenerators from "./utils/moduleGenerators";
 import { findFreeSpawnPosition } from "./utils/physicsSystem";
+import {
+  createTopology,
+  syncTopology,
+  connectPorts,
+  disconnectEdge,
+  edgeFromConnection,
+  duplicateTopologyEdges,
+  getConnectedComponent,
+  moveAssembly,
+  transformToMatrix,
+} from "./utils/habitatTopology";
+import { DEFAULT_BUDGET_LIMITS } from "./utils/budgetCalculator";
+import {
+  FAIRING_LIBRARY,
+  DEFAULT_FAIRING_ID,
+  getFairingById,
+} from "./utils/fairingLibrary";
+import { checkFairingFit, getGhostPlacement } from "./utils/fairingFit";
+import { analyzeArtificialGravity } from "./utils/artificialGravity";
+import { buildModuleGeometry } from "./utils/moduleLibrary";
+import {
+  getObjectGeometry,
+  createObjectMesh,
+  getFeatureEdges,
+  getEdgeVertices,
+  filletEdge,
+  getFaceData,
+  createPlaneFromFace,
+} from "./utils/cadOperations";
+import {
+  createPattern,
+  createMirror,
+  getPatternMemberIds,
+  propagatePatternShape,
+  explodePattern,
+} from "./utils/patterns";
+import {
+  addFeature,
+  getFeatureParams,
+  updateFeature,
+  moveFeature,
+  removeFeature,
+  rebuildBody,
+  rebuildDependents,
+  getToolUsers,
+  isMirroredBody,
+} from "./utils/featureTree";
+import {
+  DEFAULT_SWEEP,
+  buildSweepGeometry,
+  listModulePorts,
+} from "./utils/sweepPath";
+import {
+  createCustomModule,
+  serializeModuleDefinitions,
+  parseModuleDefinitions,
+} from "./utils/customModules";
 import * as THREE from "three";
 import {
   saveProject,
-  getProject,
+  loadProject,
   getCurrentProjectId,
   clearCurrentProject,
   createAutoSaver,
+  saveExteriorDesign,
 } from "./utils/projectStorage";
+import { StorageConflictError } from "./utils/storageAdapters";
+import { importStoredProject, describeImport } from "./utils/projectFormat";
 import "./App.css";
 
-function EditorView({ initialProject, onExit }) {
+// Zones the interior editor keeps, so exports carry the whole habitat
+function loadSavedZones() {
+  try {
+    return JSON.parse(localStorage.getItem("habitat-creator-zones")) || [];
+  } catch {
+    return [];
+  }
+}
+
+function EditorView({ initialProject, onExit, onReload }) {
   const [currentProject, setCurrentProject] = useState(initialProject);
   const [objects, setObjects] = useState(initialProject.objects || []);
   const [selectedObjectIds, setSelectedObjectIds] = useState([]);
@@ -35,7 +118,36 @@ function EditorView({ initialProject, onExit }) {
   const [isBodyPanelOpen, setBodyPanelOpen] = useState(false);
   const [isModuleLibraryOpen, setModuleLibraryOpen] = useState(false);
   const [selectedModuleForParams, setSelectedModuleForParams] = useState(null);
-  const historyManager = useRef(new HistoryManager());
+  const [storedTopology, setStoredTopology] = useState(
+    initialProject.topology || createTopology()
+  );
+  const [assemblyMode, setAssemblyMode] = useState(false);
+  const [isBudgetPanelOpen, setBudgetPanelOpen] = useState(false);
+  const [budgetLimits, setBudgetLimits] = useState(
+    initialProject.budgetLimits || DEFAULT_BUDGET_LIMITS
+  );
+  const [isFairingPanelOpen, setFairingPanelOpen] = useState(false);
+  const [fairingId, setFairingId] = useState(
+    initialProject.fairingId || DEFAULT_FAIRING_ID
+  );
+  const [customModules, setCustomModules] = useState(
+    initialProject.customModules || []
+  );
+  const [moduleEditor, setModuleEditor] = useState(null);
+  const [isGravityPanelOpen, setGravityPanelOpen] = useState(false);
+  const [filletTool, setFilletTool] = useState(null);
+  const [faceSketch, setFaceSketch] = useState(null); // { objectId, faceIndex, plane }
+  const [isPatternPanelOpen, setPatternPanelOpen] = useState(false);
+  const [isMirrorPanelOpen, setMirrorPanelOpen] = useState(false);
+  const [isFeatureTreeOpen, setFeatureTreeOpen] = useState(false);
+  const [sketchEdit, setSketchEdit] = useState(null); // { objectId, featureId }
+  const [sweepTool, setSweepTool] = useState(null); // { objectId, sweep }
+  const [isSweepSectionOpen, setSweepSectionOpen] = useState(false);
+  // Seeded with the opening state so the first edit can be undone
+  const historyManager = useRef(null);
+  if (historyManager.current === null) {
+    historyManager.current = new HistoryManager(initialProject.objects || []);
+  }
   const [canUndo, setCanUndo] = useState(false);
   const [canRedo, setCanRedo] = useState(false);
   const objectsRef = useRef(objects);
@@ -49,23 +161,210 @@ function EditorView({ initialProject, onExit }) {
     [objects]
   );
 
+  // Connection graph reconciled against the current objects (drops edges of
+  // deleted modules and ports that were pulled apart)
+  const topology = useMemo(
+    () => syncTopology(storedTopology, objects),
+    [storedTopology, objects]
+  );
+
+  // In assembly mode the single selected module drags its whole connected
+  // sub-graph along
+  const activeAssemblyIds = useMemo(() => {
+    if (!assemblyMode || selectedObjectIds.length !== 1) return [];
+    const members = getConnectedComponent(topology, selectedObjectIds[0]);
+    return members.size > 1 ? Array.from(members) : [];
+  }, [assemblyMode, selectedObjectIds, topology]);
+
+  const fairing = getFairingById(fairingId) || FAIRING_LIBRARY[0];
+
+  // Fit results are only computed while the fairing panel is open
+  const fairingFit = useMemo(
+    () => (isFairingPanelOpen ? checkFairingFit(objects, fairing) : null),
+    [isFairingPanelOpen, objects, fairing]
+  );
+
+  // Ghost envelope wraps the selected module in its best launch orientation,
+  // or stands at the origin when nothing checkable is selected
+  const fairingGhost = useMemo(() => {
+    if (!fairingFit) return null;
+    const selected =
+      selectedObjectIds.length === 1
+        ? objects.find((obj) => obj.id === selectedObjectIds[0])
+        : null;
+    const result = fairingFit.results.find(
+      (r) => r.objectId === selected?.id
+    );
+    if (!result) {
+      return { fairing, position: [0, 0, 0], quaternion: [0, 0, 0, 1] };
+    }
+    return {
+      fairing,
+      ...getGhostPlacement(selected, result),
+      fits: result.fits,
+    };
+  }, [fairingFit, fairing, objects, selectedObjectIds]);
+
+  // Spin gravity is only analyzed while the gravity panel is open
+  const gravityAnalysis = useMemo(
+    () => (isGravityPanelOpen ? analyzeArtificialGravity(objects) : null),
+    [isGravityPanelOpen, objects]
+  );
+
+  const gravityDecks = useMemo(() => {
+    if (!gravityAnalysis) return null;
+    return gravityAnalysis.map((result) => {
+      const { position, rotation } = objects.find(
+        (obj) => obj.id === result.objectId
+      ).transform;
+      return { ...result, position, rotation };
+    });
+  }, [gravityAnalysis, objects]);
+
+  // Fillet/chamfer: edges of the target body and the previewed result
+  const filletObject = filletTool
+    ? objects.find((obj) => obj.id === filletTool.objectId && !obj.hidden)
+    : null;
+  const filletSource = getObjectGeometry(filletObject);
+
+  const filletEdges = useMemo(
+    () => (filletSource ? getFeatureEdges(filletSource) : null),
+    [filletSource]
+  );
+
+  const filletPreview = useMemo(() => {
+    if (!filletEdges || !filletTool.edges.length) return null;
+    return filletEdge(
+      filletSource,
+      getEdgeVertices(filletEdges, filletTool.edges),
+      filletTool.radius,
+      { mode: filletTool.mode }
+    );
+  }, [filletSource, filletEdges, filletTool]);
+
+  useEffect(() => {
+    return () => filletPreview?.dispose();
+  }, [filletPreview]);
+
+  // Set while a save was refused because someone else saved the project
+  // first. Nothing is saved until the user settles it, so the autosaver
+  // doesn't keep running into the same conflict.
+  const conflictRef = useRef(false);
+  const [saveConflict, setSaveConflict] = useState(false);
+
+  // Keep our version over theirs, or open theirs instead. Saving stays
+  // paused when the user picks neither.
+  const resolveSaveConflict = useCallback(
+    (options = {}) => {
+      const name = currentProject.name;
+      if (
+        window.confirm(
+          `"${name}" was saved by someone else since you opened it. ` +
+            "Overwrite their changes with yours?"
+        )
+      ) {
+        conflictRef.current = false;
+        setSaveConflict(false);
+        handleSaveRef.current({ ...options, force: true });
+      } else if (
+        window.confirm(
+          `Open their version of "${name}" instead? ` +
+            "Your changes since it was last saved are lost."
+        )
+      ) {
+        // Reading it again also takes its ETag, so later saves go over it
+        loadProject(currentProject.id)
+          .then((result) => {
+            if (!result) throw new Error("It no longer exists");
+            onReload(result);
+          })
+          .catch((error) =>
+            alert(`Their version could not be opened: ${error.message}`)
+          );
+      }
+    },
+    [currentProject.id, currentProject.name, onReload]
+  );
+
   // Auto-save functionality
-  const handleSave = useCallback(() => {
-    const updatedProject = {
-      ...currentProject,
+  // options: { checkpoint: label } keeps this save as a named revision;
+  // { force: true } saves over a conflict
+  const handleSave = useCallback(
+    (options = {}) => {
+      if (conflictRef.current && !options.force) {
+        resolveSaveConflict(options);
+        return;
+      }
+      const updatedProject = {
+        ...currentProject,
+        objects,
+        objectIdCounter,
+        topology,
+        budgetLimits,
+        fairingId,
+        customModules,
+      };
+      setCurrentProject(updatedProject);
+      // Interior mode builds on the design open here
+      saveExteriorDesign(updatedProject).catch((error) =>
+        console.warn("Failed to keep the design for interior mode:", error)
+      );
+      saveProject(updatedProject, options)
+        .then(() => console.log("✓ Project saved:", updatedProject.name))
+        .catch((error) => {
+          if (!(error instanceof StorageConflictError)) {
+            alert(`The project could not be saved: ${error}`);
+            return;
+          }
+          // A save already queued can meet the same conflict
+          if (conflictRef.current) return;
+          conflictRef.current = true;
+          setSaveConflict(true);
+          autoSaver.current.cancel();
+          resolveSaveConflict(options);
+        });
+    },
+    [
+      currentProject,
       objects,
       objectIdCounter,
-    };
-    saveProject(updatedProject);
-    setCurrentProject(updatedProject);
-    console.log("✓ Project saved:", updatedProject.name);
-  }, [currentProject, objects, objectIdCounter]);
+      topology,
+      budgetLimits,
+      fairingId,
+      customModules,
+      resolveSaveConflict,
+    ]
+  );
 
-  const autoSaver = useRef(createAutoSaver(handleSave, 3000));
+  // The saver outlives renders, so it saves through a ref to the latest
+  // handleSave rather than the one from the first render
+  const handleSaveRef = useRef(handleSave);
+  useEffect(() => {
+    handleSaveRef.current = handleSave;
+  }, [handleSave]);
+
+  const autoSaver = useRef(null);
+  if (!autoSaver.current) {
+    autoSaver.current = createAutoSaver(() => {
+      if (!conflictRef.current) handleSaveRef.current();
+    }, 3000);
+  }
+
+  useEffect(() => {
+    const saver = autoSaver.current;
+    return () => saver.cancel();
+  }, []);
 
   useEffect(() => {
     autoSaver.current();
-  }, [objects, objectIdCounter]);
+  }, [
+    objects,
+    objectIdCounter,
+    storedTopology,
+    budgetLimits,
+    fairingId,
+    customModules,
+  ]);
 
   const saveHistory = (newObjects) => {
     historyManager.current.push(newObjects);
@@ -155,6 +454,18 @@ function EditorView({ initialProject, onExit }) {
           return obj;
         });
 
+        if (commit) {
+          saveHistory(newObjects);
+        }
+        return newObjects;
+      } else if (activeAssemblyIds.includes(id)) {
+        // Rigid assembly movement
+        const newObjects = moveAssembly(
+          prevObjects,
+          id,
+          transform,
+          new Set(activeAssemblyIds)
+        );
         if (commit) {
           saveHistory(newObjects);
         }
@@ -174,16 +485,43 @@ function EditorView({ initialProject, onExit }) {
     });
   };
 
+  const handleConnectModules = (connection) => {
+    const edge = edgeFromConnection(connection);
+    if (edge) {
+      setStoredTopology((prev) => connectPorts(prev, edge));
+    }
+  };
+
+  const handleBreakConnection = (edgeId) => {
+    setStoredTopology((prev) => disconnectEdge(prev, edgeId));
+  };
+
   const updateObject = (id, updates) => {
-    const newObjects = objects.map((obj) =>
-      obj.id === id ? { ...obj, ...updates } : obj
+    const newObjects = propagatePatternShape(
+      objects.map((obj) => (obj.id === id ? { ...obj, ...updates } : obj)),
+      id
     );
     setObjects(newObjects);
     saveHistory(newObjects);
   };
 
+  // Tool bodies of other bodies' booleans stay until those are removed or
+  // suppressed; returns whether the delete may go ahead
+  const confirmToolsUnused = (ids) => {
+    const users = getToolUsers(objects, ids);
+    if (users.length === 0) return true;
+    alert(
+      `${users.map((obj) => obj.name).join(", ")} ${
+        users.length === 1 ? "uses" : "use"
+      } this as a boolean tool. Remove or suppress that feature in the ` +
+        "feature tree first."
+    );
+    return false;
+  };
+
   const deleteSelectedObjects = () => {
     if (selectedObjectIds.length > 0) {
+      if (!confirmToolsUnused(selectedObjectIds)) return;
       const newObjects = objects.filter(
         (obj) => !selectedObjectIds.includes(obj.id)
       );
@@ -197,6 +535,7 @@ function EditorView({ initialProject, onExit }) {
     if (selectedObjectIds.length > 0) {
       const newObjects = [...objects];
       const newIds = [];
+      const idMap = new Map();
       let counter = objectIdCounter;
 
       selectedObjectIds.forEach((id) => {
@@ -218,6 +557,7 @@ function EditorView({ initialProject, onExit }) {
           };
           newObjects.push(newObject);
           newIds.push(counter);
+          idMap.set(id, counter);
           counter++;
         }
       });
@@ -225,6 +565,7 @@ function EditorView({ initialProject, onExit }) {
       setObjects(newObjects);
       setSelectedObjectIds(newIds);
       setObjectIdCounter(counter);
+      setStoredTopology((prev) => duplicateTopologyEdges(prev, idMap));
       saveHistory(newObjects);
     }
   };
@@ -279,6 +620,8 @@ function EditorView({ initialProject, onExit }) {
         setAxisLock(axisLock === "z" ? null : "z");
       } else if (e.key === "Escape") {
         setAxisLock(null);
+        setFilletTool(null);
+        setFaceSketch(null);
       }
     };
 
@@ -287,7 +630,19 @@ function EditorView({ initialProject, onExit }) {
   }, [objects, selectedObjectIds, axisLock, handleSave]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const handleExport = (format) => {
-    if (format === "json") return exportToJSON(visibleObjects);
+    if (format === "json") {
+      // The whole project: hidden bodies can be boolean tools
+      return exportToJSON({
+        ...currentProject,
+        objects,
+        objectIdCounter,
+        topology,
+        budgetLimits,
+        fairingId,
+        customModules,
+        interior: { zones: loadSavedZones() },
+      });
+    }
     if (format === "stl") return exportToSTL(visibleObjects);
     if (format === "glb") return exportToGLB(visibleObjects);
   };
@@ -321,16 +676,17 @@ function EditorView({ initialProject, onExit }) {
 
     if (moduleDefinition.type === "procedural") {
       // Generate geometry for procedural modules
-      const generatorFunc = ModuleGenerators[moduleDefinition.generator];
-      if (!generatorFunc) {
+      const geometry = buildModuleGeometry(
+        moduleDefinition,
+        moduleDefinition.defaultParams
+      );
+      if (!geometry) {
         console.error(
           `Generator function ${moduleDefinition.generator} not found`
         );
         return;
       }
 
-      const geometry = generatorFunc(moduleDefinition.defaultParams);
-
       const freePos = findFreeSpawnPosition(
         geometry,
         new THREE.Vector3(0, 0, 0)
@@ -361,6 +717,7 @@ function EditorView({ initialProject, onExit }) {
           isModule: true,
           moduleDefinition: moduleDefinition,
           parameters: moduleDefinition.defaultParams,
+          rotation: moduleDefinition.defaultRotation ?? null,
           geometry: geometry,
           connections: [],
         },
@@ -383,39 +740,443 @@ function EditorView({ initialProject, onExit }) {
     }
   };
 
+  // Store an edited body; its pattern copies take its shape and bodies that
+  // use it as a boolean tool are rebuilt
+  const commitBody = (body, baseObjects = objects) => {
+    let newObjects = propagatePatternShape(
+      baseObjects.map((obj) => (obj.id === body.id ? body : obj)),
+      body.id
+    );
+    newObjects = rebuildDependents(
+      newObjects,
+      getPatternMemberIds(newObjects, body.id)
+    );
+    setObjects(newObjects);
+    saveHistory(newObjects);
+
+    if (selectedModuleForParams) {
+      setSelectedModuleForParams(
+        newObjects.find((obj) => obj.id === selectedModuleForParams.id)
+      );
+    }
+  };
+
   const handleModuleParameterChange = (newParams) => {
     if (!selectedModuleForParams) return;
+    const module = objects.find((obj) => obj.id === selectedModuleForParams.id);
 
-    const moduleId = selectedModuleForParams.id;
-    const moduleDef = selectedModuleForParams.userData.moduleDefinition;
+    // Regenerate geometry with new parameters (in the current deploy state),
+    // replaying the module's features
+    commitBody(
+      rebuildBody(
+        { ...module, userData: { ...module.userData, parameters: newParams } },
+        objects
+      )
+    );
+  };
 
-    // Regenerate geometry with new parameters
-    const generatorFunc = ModuleGenerators[moduleDef.generator];
-    if (!generatorFunc) return;
+  // Regenerate inflatable modules in their stowed or deployed form
+  const applyDeployState = (ids, deployState) => {
+    const newObjects = objects.map((obj) => {
+      const moduleDef = obj.userData?.moduleDefinition;
+      if (!ids.includes(obj.id) || !moduleDef?.stowedGenerator) return obj;
+      if ((obj.userData.deployState || "deployed") === deployState) return obj;
+      return rebuildBody(
+        { ...obj, userData: { ...obj.userData, deployState } },
+        objects
+      );
+    });
 
-    const newGeometry = generatorFunc(newParams);
+    setObjects(newObjects);
+    saveHistory(newObjects);
 
-    // Update the module
-    const newObjects = objects.map((obj) => {
-      if (obj.id === moduleId) {
-        return {
-          ...obj,
-          userData: {
-            ...obj.userData,
-            parameters: newParams,
-            geometry: newGeometry,
-          },
-        };
-      }
-      return obj;
+    if (selectedModuleForParams) {
+      setSelectedModuleForParams(
+        newObjects.find((obj) => obj.id === selectedModuleForParams.id)
+      );
+    }
+  };
+
+  const handleDeployStateChange = (deployState) => {
+    if (!selectedModuleForParams) return;
+    applyDeployState(
+      getPatternMemberIds(objects, selectedModuleForParams.id),
+      deployState
+    );
+  };
+
+  // Launch configuration = every inflatable packed
+  const inflatableIds = objects
+    .filter((obj) => obj.userData?.moduleDefinition?.stowedGenerator)
+    .map((obj) => obj.id);
+  const launchConfig =
+    inflatableIds.length > 0 &&
+    objects.every(
+      (obj) =>
+        !inflatableIds.includes(obj.id) || obj.userData.deployState === "stowed"
+    );
+
+  const handleRotationChange = (rotation) => {
+    if (!selectedModuleForParams) return;
+    const newObjects = propagatePatternShape(
+      objects.map((obj) =>
+        obj.id === selectedModuleForParams.id
+          ? { ...obj, userData: { ...obj.userData, rotation } }
+          : obj
+      ),
+      selectedModuleForParams.id
+    );
+    setObjects(newObjects);
+    saveHistory(newObjects);
+    setSelectedModuleForParams(
+      newObjects.find((obj) => obj.id === selectedModuleForParams.id)
+    );
+  };
+
+  const handleToggleLaunchConfig = () => {
+    applyDeployState(inflatableIds, launchConfig ? "deployed" : "stowed");
+  };
+
+  const handleToggleFillet = () => {
+    if (filletTool) {
+      setFilletTool(null);
+      return;
+    }
+    const target = objects.find((obj) => obj.id === selectedObjectIds[0]);
+    if (selectedObjectIds.length !== 1 || !getObjectGeometry(target)) return;
+    setFaceSketch(null);
+    setFilletTool({
+      objectId: target.id,
+      edges: [],
+      mode: "fillet",
+      radius: 0.25,
+    });
+  };
+
+  // Picking an edge chain again removes it
+  const handleFilletEdgeSelect = useCallback((chain) => {
+    setFilletTool((prev) => {
+      const picked = chain.every((i) => prev.edges.includes(i));
+      return {
+        ...prev,
+        edges: picked
+          ? prev.edges.filter((i) => !chain.includes(i))
+          : [...new Set([...prev.edges, ...chain])],
+      };
+    });
+  }, []);
+
+  const handleApplyFillet = () => {
+    if (!filletPreview) return;
+    const { body, error } = addFeature(
+      filletObject,
+      "fillet",
+      {
+        edges: getEdgeVertices(filletEdges, filletTool.edges),
+        radius: filletTool.radius,
+        mode: filletTool.mode,
+      },
+      objects
+    );
+    if (!body) {
+      alert(`The ${filletTool.mode} failed: ${error}.`);
+      return;
+    }
+    commitBody(body);
+    setFilletTool(null);
+  };
+
+  const faceSketchObject = faceSketch
+    ? objects.find((obj) => obj.id === faceSketch.objectId && !obj.hidden)
+    : null;
+
+  const handleToggleFaceSketch = () => {
+    if (faceSketch) {
+      setFaceSketch(null);
+      return;
+    }
+    const target = objects.find((obj) => obj.id === selectedObjectIds[0]);
+    if (selectedObjectIds.length !== 1 || !getObjectGeometry(target)) return;
+    setFilletTool(null);
+    setFaceSketch({ objectId: target.id, faceIndex: null, plane: null });
+  };
+
+  const handleSketchFaceSelect = useCallback(
+    (faceIndex) => {
+      const target = objects.find((obj) => obj.id === faceSketch?.objectId);
+      const mesh = createObjectMesh(target);
+      const faceData = mesh && getFaceData(mesh.geometry, faceIndex);
+      if (!faceData) return;
+      setFaceSketch((prev) => ({
+        ...prev,
+        faceIndex,
+        plane: createPlaneFromFace(faceData, mesh.matrix),
+      }));
+    },
+    [objects, faceSketch?.objectId]
+  );
+
+  // Add the sketched profile onto the face, or cut it into the body
+  const handleFaceSketchExtrude = (
+    cut,
+    shape,
+    depth,
+    bevelEnabled,
+    bevelSize,
+    sketch
+  ) => {
+    // The feature keeps the sketch plane in the body's local space
+    const bodyMatrix = createObjectMesh(faceSketchObject).matrix;
+    const plane = bodyMatrix.invert().multiply(faceSketch.plane.matrix);
+    const { body } = addFeature(
+      faceSketchObject,
+      "extrude",
+      {
+        sketch,
+        plane: plane.toArray(),
+        outline: faceSketch.plane.outline,
+        depth,
+        cut,
+        bevelEnabled,
+        bevelSize,
+      },
+      objects
+    );
+    setFaceSketch(null);
+    if (!body) {
+      alert(
+        cut
+          ? "The cut failed or removed the whole body."
+          : "The extrusion failed."
+      );
+      return;
+    }
+    commitBody(body);
+  };
+
+  // Combine the two selected bodies: the first one picked (the target, cut
+  // from) gets a boolean feature and the tool is hidden for later re-edit
+  const handleBoolean = (operation) => {
+    if (selectedObjectIds.length !== 2) return;
+    const [target, tool] = selectedObjectIds.map((id) =>
+      objects.find((obj) => obj.id === id)
+    );
+    const meshes = [target, tool].map(createObjectMesh);
+    if (meshes.includes(null)) return;
+
+    const { body, error } = addFeature(
+      target,
+      "boolean",
+      {
+        operation,
+        toolId: tool.id,
+        toolName: tool.name,
+        matrix: meshes[0].matrix.invert().multiply(meshes[1].matrix).toArray(),
+        mirrored: false,
+      },
+      objects
+    );
+    if (!body) {
+      alert(
+        error === "Nothing would be left"
+          ? "The result is empty: the bodies don't overlap."
+          : "The boolean operation failed."
+      );
+      return;
+    }
+
+    commitBody(
+      body,
+      objects.map((obj) =>
+        obj.id === tool.id ? { ...obj, hidden: true } : obj
+      )
+    );
+    setSelectedObjectIds([target.id]);
+  };
+
+  const featureTreeObject =
+    selectedObjectIds.length === 1
+      ? objects.find((obj) => obj.id === selectedObjectIds[0])
+      : null;
+
+  const sketchEditObject = sketchEdit
+    ? objects.find((obj) => obj.id === sketchEdit.objectId)
+    : null;
+  const sketchEditFeature = sketchEditObject?.features?.find(
+    (feature) => feature.id === sketchEdit.featureId
+  );
+  const sketchEditParams =
+    sketchEditFeature && getFeatureParams(sketchEditObject, sketchEditFeature);
+
+  // Re-edited sketch of an extrude feature, rebuilt in place in the history
+  const handleSketchEdit = (
+    cut,
+    shape,
+    depth,
+    bevelEnabled,
+    bevelSize,
+    sketch
+  ) => {
+    setSketchEdit(null);
+    commitBody(
+      updateFeature(
+        sketchEditObject,
+        sketchEditFeature.id,
+        { params: { sketch, depth, cut, bevelEnabled, bevelSize } },
+        objects
+      )
+    );
+  };
+
+  // Linked copies of every selected body
+  const handleCreatePattern = (options) => {
+    let counter = objectIdCounter;
+    let newObjects = objects;
+    const newIds = [];
+    selectedObjectIds.forEach((id) => {
+      const source = newObjects.find((obj) => obj.id === id);
+      if (!source) return;
+      const pattern = createPattern(source, options, counter);
+      newObjects = [
+        ...newObjects.map((obj) => (obj.id === id ? pattern.source : obj)),
+        ...pattern.copies,
+      ];
+      newIds.push(id, ...pattern.copies.map((copy) => copy.id));
+      counter += pattern.copies.length;
+    });
+
+    setObjects(newObjects);
+    setObjectIdCounter(counter);
+    setSelectedObjectIds(newIds);
+    saveHistory(newObjects);
+    setPatternPanelOpen(false);
+  };
+
+  // Linked mirror image of every selected body
+  const handleMirror = (options) => {
+    let counter = objectIdCounter;
+    let newObjects = objects;
+    const newIds = [];
+    selectedObjectIds.forEach((id) => {
+      const source = newObjects.find((obj) => obj.id === id);
+      if (!source) return;
+      const { source: linked, copy } = createMirror(source, options, counter);
+      newObjects = [
+        ...newObjects.map((obj) => (obj.id === id ? linked : obj)),
+        copy,
+      ];
+      newIds.push(copy.id);
+      counter++;
     });
 
     setObjects(newObjects);
+    setObjectIdCounter(counter);
+    setSelectedObjectIds(newIds);
     saveHistory(newObjects);
+    setMirrorPanelOpen(false);
+  };
+
+  // Sweep: a new body, or the selected sweep body re-built in its own frame
+  const sweepObject = sweepTool
+    ? objects.find((obj) => obj.id === sweepTool.objectId)
+    : null;
 
-    // Update selected module reference
-    const updatedModule = newObjects.find((obj) => obj.id === moduleId);
-    setSelectedModuleForParams(updatedModule);
+  const sweepResult = useMemo(() => {
+    if (!sweepTool) return null;
+    const worldToLocal = sweepObject
+      ? transformToMatrix(sweepObject.transform).invert()
+      : new THREE.Matrix4();
+    return buildSweepGeometry(sweepTool.sweep, objects, worldToLocal);
+  }, [sweepTool, sweepObject, objects]);
+
+  useEffect(() => {
+    return () => sweepResult?.geometry?.dispose();
+  }, [sweepResult]);
+
+  const handleToggleSweep = () => {
+    if (sweepTool) {
+      setSweepTool(null);
+      return;
+    }
+    const selected =
+      selectedObjectIds.length === 1
+        ? objects.find((obj) => obj.id === selectedObjectIds[0])
+        : null;
+    setPatternPanelOpen(false);
+    setMirrorPanelOpen(false);
+    setFeatureTreeOpen(false);
+    setSweepTool(
+      selected?.parameters?.sweep && !isMirroredBody(selected)
+        ? { objectId: selected.id, sweep: selected.parameters.sweep }
+        : { objectId: null, sweep: DEFAULT_SWEEP }
+    );
+  };
+
+  const updateSweep = (changes) =>
+    setSweepTool((prev) => ({ ...prev, sweep: { ...prev.sweep, ...changes } }));
+
+  const handleApplySweep = () => {
+    const { sweep } = sweepTool;
+    const geometry = sweepResult?.geometry?.clone();
+    if (!geometry) return;
+
+    if (sweepObject) {
+      // Features on the body are replayed on the new sweep
+      commitBody(
+        rebuildBody(
+          {
+            ...sweepObject,
+            parameters: {
+              ...sweepObject.parameters,
+              sweep,
+              baseGeometry: geometry,
+            },
+          },
+          objects
+        )
+      );
+    } else {
+      const counter = objectIdCounter;
+      const newObjects = [
+        ...objects,
+        {
+          id: counter,
+          name: `Sweep ${counter}`,
+          type: "custom",
+          hidden: false,
+          parameters: { geometry, sweep },
+          transform: {
+            position: [0, 0, 0],
+            rotation: [0, 0, 0],
+            scale: [1, 1, 1],
+          },
+          material: {
+            color: "#888888",
+            selectedColor: "#4a9cff",
+            hoverColor: "#6ab0ff",
+            metalness: 0.5,
+            roughness: 0.5,
+            opacity: 1,
+            transparent: false,
+            wireframe: false,
+          },
+        },
+      ];
+      setObjects(newObjects);
+      setObjectIdCounter(counter + 1);
+      setSelectedObjectIds([counter]);
+      saveHistory(newObjects);
+    }
+    setSweepTool(null);
+  };
+
+  const handleExplodePattern = () => {
+    const newObjects = selectedObjectIds.reduce(
+      (result, id) => explodePattern(result, id),
+      objects
+    );
+    setObjects(newObjects);
+    saveHistory(newObjects);
   };
 
   const handleToggleVisibility = (id) => {
@@ -431,19 +1192,83 @@ function EditorView({ initialProject, onExit }) {
     saveHistory(newObjects);
   };
 
+  // Custom module definitions ("My Modules")
+  const handleSaveCustomModule = (definition) => {
+    setCustomModules((prev) =>
+      prev.some((mod) => mod.id === definition.id)
+        ? prev.map((mod) => (mod.id === definition.id ? definition : mod))
+        : [...prev, definition]
+    );
+    setModuleEditor(null);
+  };
+
+  const handleDeleteCustomModule = (id) => {
+    const definition = customModules.find((mod) => mod.id === id);
+    if (!definition || !window.confirm(`Delete module "${definition.name}"?`)) return;
+    // Placed instances keep their own copy of the definition
+    setCustomModules((prev) => prev.filter((mod) => mod.id !== id));
+  };
+
+  const handleExportCustomModules = (definitions) => {
+    const baseName =
+      definitions.length === 1 ? definitions[0].name : currentProject.name;
+    downloadFile(
+      serializeModuleDefinitions(definitions),
+      `${baseName.replace(/[^\w-]+/g, "_")}.modules.json`,
+      "application/json"
+    );
+  };
+
+  const handleImportCustomModules = async (files) => {
+    const imported = [];
+    const errors = [];
+    for (const file of files) {
+      const result = parseModuleDefinitions(await file.text());
+      imported.push(...result.modules);
+      errors.push(...result.errors.map((error) => `${file.name}: ${error}`));
+    }
+    if (imported.length) {
+      setCustomModules((prev) => [...prev, ...imported]);
+    }
+    if (errors.length) {
+      alert(`Some modules could not be imported:\n\n${errors.join("\n")}`);
+    }
+  };
+
   const handleSelectFromPanel = (id) => {
     setSelectedObjectIds([id]);
   };
 
   const handleDeleteObject = (id) => {
+    if (!confirmToolsUnused([id])) return;
     const newObjects = objects.filter((obj) => obj.id !== id);
     setObjects(newObjects);
     setSelectedObjectIds((prev) => prev.filter((objId) => objId !== id));
     saveHistory(newObjects);
   };
 
+  const handleCheckpoint = () => {
+    const label = window.prompt(
+      "Name this checkpoint (it stays in the project's history):",
+      ""
+    );
+    if (label === null) return;
+    autoSaver.current.cancel();
+    handleSave({ checkpoint: label.trim() });
+  };
+
   const handleExitToHome = () => {
-    handleSave(); // Save before exiting
+    if (
+      conflictRef.current &&
+      !window.confirm(
+        "Your changes aren't saved because someone else saved the project " +
+          "first. Leave without them?"
+      )
+    ) {
+      return;
+    }
+    autoSaver.current.cancel();
+    if (!conflictRef.current) handleSave(); // Save before exiting
     onExit();
   };
 
@@ -469,12 +1294,28 @@ function EditorView({ initialProject, onExit }) {
         </div>
         <div className="header-controls">
           <button
-            onClick={handleSave}
+            onClick={() => handleSave()}
             className="header-btn"
             title="Save (Ctrl+S)"
           >
             Save
           </button>
+          {saveConflict && (
+            <button
+              onClick={() => resolveSaveConflict()}
+              className="header-btn"
+              title="Someone else saved this project first. Choose whose changes to keep."
+            >
+              Saving paused
+            </button>
+          )}
+          <button
+            onClick={handleCheckpoint}
+            className="header-btn"
+            title="Save a named revision you can go back to from the project's history"
+          >
+            Checkpoint
+          </button>
           <div className="undo-redo-group">
             <button
               onClick={handleUndo}
@@ -543,12 +1384,77 @@ function EditorView({ initialProject, onExit }) {
         bodyPanelOpen={isBodyPanelOpen}
         onToggleModules={() => setModuleLibraryOpen((prev) => !prev)}
         moduleLibraryOpen={isModuleLibraryOpen}
+        onToggleAssembly={() => setAssemblyMode((prev) => !prev)}
+        assemblyMode={assemblyMode}
+        onToggleBudget={() => setBudgetPanelOpen((prev) => !prev)}
+        budgetPanelOpen={isBudgetPanelOpen}
+        onToggleFairing={() => setFairingPanelOpen((prev) => !prev)}
+        fairingPanelOpen={isFairingPanelOpen}
+        onToggleLaunchConfig={
+          inflatableIds.length > 0 ? handleToggleLaunchConfig : null
+        }
+        launchConfig={launchConfig}
+        onToggleGravity={() => setGravityPanelOpen((prev) => !prev)}
+        gravityPanelOpen={isGravityPanelOpen}
+        onFillet={handleToggleFillet}
+        onSketchOnFace={handleToggleFaceSketch}
+        faceSketchActive={!!faceSketch}
+        onBoolean={handleBoolean}
+        onToggleSweep={handleToggleSweep}
+        sweepPanelOpen={!!sweepTool}
+        onTogglePattern={() => {
+          setMirrorPanelOpen(false);
+          setFeatureTreeOpen(false);
+          setSweepTool(null);
+          setPatternPanelOpen((prev) => !prev);
+        }}
+        patternPanelOpen={isPatternPanelOpen}
+        onToggleMirror={() => {
+          setPatternPanelOpen(false);
+          setFeatureTreeOpen(false);
+          setSweepTool(null);
+          setMirrorPanelOpen((prev) => !prev);
+        }}
+        mirrorPanelOpen={isMirrorPanelOpen}
+        onExplodePattern={
+          selectedObjects.some((obj) => obj.pattern)
+            ? handleExplodePattern
+            : null
+        }
+        onToggleFeatureTree={() => {
+          setPatternPanelOpen(false);
+          setMirrorPanelOpen(false);
+          setSweepTool(null);
+          setFeatureTreeOpen((prev) => !prev);
+        }}
+        featureTreeOpen={isFeatureTreeOpen}
+        filletActive={!!filletTool}
       />
 
       {isModuleLibraryOpen && (
         <ModuleLibraryPanel
           onModuleSelect={handleModuleSelect}
           onClose={() => setModuleLibraryOpen(false)}
+          customModules={customModules}
+          onNewModule={() =>
+            setModuleEditor({ definition: createCustomModule(), isNew: true })
+          }
+          onEditModule={(definition) =>
+            setModuleEditor({ definition, isNew: false })
+          }
+          onDeleteModule={handleDeleteCustomModule}
+          onExportModules={handleExportCustomModules}
+          onImportModules={handleImportCustomModules}
+        />
+      )}
+
+      {moduleEditor && (
+        <ModuleEditorModal
+          key={moduleEditor.definition.id}
+          definition={moduleEditor.definition}
+          isNew={moduleEditor.isNew}
+          onSave={handleSaveCustomModule}
+          onClose={() => setModuleEditor(null)}
         />
       )}
 
@@ -556,10 +1462,156 @@ function EditorView({ initialProject, onExit }) {
         <ModuleParameterPanel
           module={selectedModuleForParams}
           onParameterChange={handleModuleParameterChange}
+          onDeployStateChange={handleDeployStateChange}
+          onRotationChange={handleRotationChange}
           onClose={() => setSelectedModuleForParams(null)}
         />
       )}
 
+      {isBudgetPanelOpen && (
+        <BudgetPanel
+          objects={objects}
+          limits={budgetLimits}
+          onLimitsChange={setBudgetLimits}
+          onSelect={handleSelectFromPanel}
+          onClose={() => setBudgetPanelOpen(false)}
+        />
+      )}
+
+      {fairingFit && (
+        <FairingPanel
+          fairingId={fairing.id}
+          onFairingChange={setFairingId}
+          fit={fairingFit}
+          selectedIds={selectedObjectIds}
+          onSelect={handleSelectFromPanel}
+          onClose={() => setFairingPanelOpen(false)}
+        />
+      )}
+
+      {gravityAnalysis && (
+        <GravityPanel
+          results={gravityAnalysis}
+          onSelect={handleSelectFromPanel}
+          onClose={() => setGravityPanelOpen(false)}
+        />
+      )}
+
+      {isPatternPanelOpen && (
+        <PatternPanel
+          selectedCount={selectedObjectIds.length}
+          onCreate={handleCreatePattern}
+          onClose={() => setPatternPanelOpen(false)}
+        />
+      )}
+
+      {isMirrorPanelOpen && (
+        <MirrorPanel
+          selectedCount={selectedObjectIds.length}
+          onCreate={handleMirror}
+          onClose={() => setMirrorPanelOpen(false)}
+        />
+      )}
+
+      {isFeatureTreeOpen && (
+        <FeatureTreePanel
+          object={featureTreeObject}
+          onMove={(id, offset) =>
+            commitBody(moveFeature(featureTreeObject, id, offset, objects))
+          }
+          onUpdate={(id, changes) =>
+            commitBody(updateFeature(featureTreeObject, id, changes, objects))
+          }
+          onEditSketch={(featureId) =>
+            setSketchEdit({ objectId: featureTreeObject.id, featureId })
+          }
+          onRemove={(id) =>
+            commitBody(removeFeature(featureTreeObject, id, objects))
+          }
+          onRegenerate={() =>
+            commitBody(rebuildBody(featureTreeObject, objects))
+          }
+          onClose={() => setFeatureTreeOpen(false)}
+        />
+      )}
+
+      {sweepTool && (
+        <SweepPanel
+          key={sweepTool.objectId ?? "new"}
+          sweep={sweepTool.sweep}
+          ports={listModulePorts(objects)}
+          editingName={sweepObject?.name}
+          error={sweepResult.error}
+          onChange={updateSweep}
+          onDrawSection={() => setSweepSectionOpen(true)}
+          onApply={handleApplySweep}
+          onClose={() => setSweepTool(null)}
+        />
+      )}
+
+      {sweepTool && isSweepSectionOpen && (
+        <ImprovedSketchModal
+          title="Sweep Section"
+          initial={
+            sweepTool.sweep.profile.sketch
+              ? { sketch: sweepTool.sweep.profile.sketch }
+              : undefined
+          }
+          onClose={() => setSweepSectionOpen(false)}
+          onCreateSection={(shape, sketch) =>
+            updateSweep({
+              profile: { ...sweepTool.sweep.profile, type: "sketch", sketch },
+            })
+          }
+        />
+      )}
+
+      {filletObject && (
+        <FilletPanel
+          objectName={filletObject.name}
+          mode={filletTool.mode}
+          radius={filletTool.radius}
+          edgeCount={filletTool.edges.length}
+          status={
+            !filletTool.edges.length
+              ? "empty"
+              : filletPreview
+                ? "ready"
+                : "failed"
+          }
+          onModeChange={(mode) => setFilletTool((prev) => ({ ...prev, mode }))}
+          onRadiusChange={(radius) =>
+            setFilletTool((prev) => ({ ...prev, radius }))
+          }
+          onClearEdges={() => setFilletTool((prev) => ({ ...prev, edges: [] }))}
+          onApply={handleApplyFillet}
+          onClose={() => setFilletTool(null)}
+        />
+      )}
+
+      {faceSketchObject && faceSketch.plane && (
+        <ImprovedSketchModal
+          title={`Sketch on ${faceSketchObject.name}`}
+          reference={faceSketch.plane.outline}
+          onClose={() => setFaceSketch(null)}
+          onCreateExtrusion={(...args) =>
+            handleFaceSketchExtrude(false, ...args)
+          }
+          onCreateCut={(...args) => handleFaceSketchExtrude(true, ...args)}
+        />
+      )}
+
+      {sketchEditParams && (
+        <ImprovedSketchModal
+          title={`Edit sketch on ${sketchEditObject.name}`}
+          reference={sketchEditParams.outline}
+          initial={sketchEditParams}
+          onClose={() => setSketchEdit(null)}
+          onCreateExtrusion={(...args) => handleSketchEdit(false, ...args)}
+          onCreateCut={(...args) => handleSketchEdit(true, ...args)}
+        />
+      )}
+
       <div className={`app-content ${drawerOpen ? "drawer-open" : ""}`}>
         <div className="canvas-container">
           <CADCanvas
@@ -568,10 +1620,50 @@ function EditorView({ initialProject, onExit }) {
             onSelectObject={selectObject}
             transformMode={transformMode}
             onTransformObject={updateObjectTransform}
+            onConnectModules={handleConnectModules}
+            assemblyIds={activeAssemblyIds}
+            fairingGhost={fairingGhost}
+            gravityDecks={gravityDecks}
+            filletTarget={
+              filletEdges && {
+                object: filletObject,
+                geometry: filletSource,
+                preview: filletPreview,
+                featureEdges: filletEdges,
+                selectedEdges: filletTool.edges,
+                onEdgeSelect: handleFilletEdgeSelect,
+              }
+            }
+            faceSketchTarget={
+              faceSketchObject &&
+              !faceSketch.plane && {
+                object: faceSketchObject,
+                geometry: getObjectGeometry(faceSketchObject),
+                selectedFaceIndex: faceSketch.faceIndex,
+                onFaceSelect: handleSketchFaceSelect,
+              }
+            }
+            sweepPreview={
+              sweepResult && {
+                geometry: sweepResult.geometry,
+                points: sweepResult.points,
+                transform: sweepObject?.transform || {
+                  position: [0, 0, 0],
+                  rotation: [0, 0, 0],
+                  scale: [1, 1, 1],
+                },
+              }
+            }
             gridSize={gridSize}
             showGrid={showGrid}
             axisLock={axisLock}
           />
+          {faceSketchObject && !faceSketch.plane && (
+            <div className="shortcuts-hint">
+              Click a face of {faceSketchObject.name} to sketch on it
+              <kbd>Esc</kbd> cancels
+            </div>
+          )}
         </div>
         <div className={`properties-drawer ${drawerOpen ? "open" : ""}`}>
           {drawerOpen && (
@@ -580,6 +1672,8 @@ function EditorView({ initialProject, onExit }) {
               selectedObjects={selectedObjects}
               onUpdateObject={updateObject}
               onExport={handleExport}
+              topology={topology}
+              onBreakConnection={handleBreakConnection}
             />
           )}
         </div>
@@ -600,22 +1694,40 @@ function EditorView({ initialProject, onExit }) {
 function App() {
   const [currentView, setCurrentView] = useState("landing");
   const [currentProject, setCurrentProject] = useState(null);
+  // Bumped on every open so the editor starts over, also when the same
+  // project is opened again
+  const [editorSession, setEditorSession] = useState(0);
+
+  // Open an import result, telling the user what couldn't be restored
+  const openImported = (result, name) => {
+    if (!result.project) {
+      alert(`${name} could not be opened: ${result.error}`);
+      return;
+    }
+    const report = describeImport(result);
+    if (report) alert(`${name} was opened with changes:\n\n${report}`);
+    setCurrentProject(result.project);
+    setEditorSession((session) => session + 1);
+    setCurrentView("editor");
+  };
 
   useEffect(() => {
     // Check if there's a current project on mount
     const projectId = getCurrentProjectId();
-    if (projectId) {
-      const project = getProject(projectId);
-      if (project) {
-        setCurrentProject(project);
-        setCurrentView("editor");
-      }
-    }
+    if (!projectId) return;
+    // A project server that's down leaves the landing page to say so
+    loadProject(projectId)
+      .then((result) => {
+        if (result) openImported(result, result.project?.name || "The project");
+      })
+      .catch((error) => console.error("Failed to reopen the project:", error));
   }, []);
 
-  const handleOpenProject = (project) => {
-    setCurrentProject(project);
-    setCurrentView("editor");
+  const handleOpenProject = async (record) => {
+    openImported(
+      await importStoredProject(record),
+      record.name || "The project"
+    );
   };
 
   const handleCreateProject = (project) => {
@@ -641,8 +1753,12 @@ function App() {
   if (currentView === "editor" && currentProject) {
     return (
       <EditorView
+        key={editorSession}
         initialProject={currentProject}
         onExit={handleExitToLanding}
+        onReload={(result) =>
+          openImported(result, result.project?.name || "The project")
+        }
       />
     );
   }
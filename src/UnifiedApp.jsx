@@ -1,5 +1,5 @@
 import { useState, useMemo, useEffect } from "react";
-import App from "./App";
+import App from "./AppWithLanding";
 import InteriorApp from "./interior/InteriorApp";
 import "./App.css";
 
@@ -42,6 +42,12 @@ export default function BodyPanel({
                   onClick={() => onSelect(body.id)}
                   title="Select body"
                 >
+                  {body.pattern &&
+                    (body.pattern.mirrored ? (
+                      <span title="Linked mirror image">⇋ </span>
+                    ) : (
+                      <span title="Linked pattern member">⁂ </span>
+                    ))}
                   {body.name || `Body ${body.id}`}
                 </button>
                 <button
@@ -0,0 +1,152 @@
+import React, { useMemo } from "react";
+import { computeBudget } from "../utils/budgetCalculator";
+import "./BudgetPanel.css";
+
+const formatMass = (kg) => `${(kg / 1000).toFixed(1)} t`;
+const formatVolume = (m3) => `${m3.toFixed(1)} m³`;
+const formatPower = (w) => `${(w / 1000).toFixed(1)} kW`;
+
+export default function BudgetPanel({
+  objects,
+  limits,
+  onLimitsChange,
+  onSelect,
+  onClose,
+}) {
+  const budget = useMemo(
+    () => computeBudget(objects, limits),
+    [objects, limits]
+  );
+  const { totals } = budget;
+
+  const handleLimitChange = (key, value) => {
+    const val = parseFloat(value);
+    if (!isNaN(val) && val > 0) {
+      onLimitsChange({ ...limits, [key]: val });
+    }
+  };
+
+  return (
+    <div className="budget-panel">
+      <div className="budget-header">
+        <h3>Mass / Volume / Power</h3>
+        <button className="close-btn" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className="budget-totals">
+        <div
+          className={`budget-total ${
+            budget.launchMassExceeded ? "exceeded" : ""
+          }`}
+        >
+          <span>Dry Mass</span>
+          <span>
+            {formatMass(totals.dryMass)} / {formatMass(limits.launchMass)}
+          </span>
+        </div>
+        <div className="budget-total">
+          <span>Pressurized Volume</span>
+          <span>{formatVolume(totals.pressurizedVolume)}</span>
+        </div>
+        <div className="budget-total">
+          <span>Habitable Volume</span>
+          <span>{formatVolume(totals.habitableVolume)}</span>
+        </div>
+        <div className="budget-total">
+          <span>Launch (Stowed) Volume</span>
+          <span>{formatVolume(totals.stowedVolume)}</span>
+        </div>
+        <div className="budget-total">
+          <span>Power Draw</span>
+          <span>{formatPower(totals.powerDraw)}</span>
+        </div>
+        <div className="budget-total">
+          <span>Power Generation</span>
+          <span>{formatPower(totals.powerGeneration)}</span>
+        </div>
+        <div
+          className={`budget-total ${totals.netPower < 0 ? "exceeded" : ""}`}
+        >
+          <span>Net Power</span>
+          <span>{formatPower(totals.netPower)}</span>
+        </div>
+      </div>
+
+      {(budget.launchMassExceeded || budget.oversizedIds.length > 0) && (
+        <div className="budget-warnings">
+          {budget.launchMassExceeded && (
+            <div>
+              ⚠ Launch mass budget exceeded by{" "}
+              {formatMass(totals.dryMass - limits.launchMass)}
+            </div>
+          )}
+          {budget.oversizedIds.length > 0 && (
+            <div>
+              ⚠ {budget.oversizedIds.length} module(s) wider than the{" "}
+              {limits.fairingDiameter} m fairing
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="budget-limits">
+        <label>
+          <span>Launch Mass Budget (t)</span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={limits.launchMass / 1000}
+            onChange={(e) =>
+              handleLimitChange("launchMass", e.target.value * 1000)
+            }
+          />
+        </label>
+        <label>
+          <span>Fairing Diameter (m)</span>
+          <input
+            type="number"
+            min="0.5"
+            step="0.1"
+            value={limits.fairingDiameter}
+            onChange={(e) =>
+              handleLimitChange("fairingDiameter", e.target.value)
+            }
+          />
+        </label>
+      </div>
+
+      <div className="budget-lines">
+        {budget.lines.length === 0 && (
+          <div className="budget-empty">No rated modules in the scene</div>
+        )}
+        {budget.lines.map((line) => (
+          <button
+            key={line.objectId}
+            className={`budget-line ${
+              budget.oversizedIds.includes(line.objectId) ? "oversized" : ""
+            }`}
+            onClick={() => onSelect(line.objectId)}
+            title="Select module"
+          >
+            <span className="budget-line-name">{line.name}</span>
+            <span>{formatMass(line.dryMass)}</span>
+            <span>{formatVolume(line.pressurizedVolume)}</span>
+            <span>
+              {line.powerGeneration > 0
+                ? `+${formatPower(line.powerGeneration)}`
+                : formatPower(line.powerDraw)}
+            </span>
+          </button>
+        ))}
+        {budget.unratedCount > 0 && (
+          <div className="budget-empty">
+            {budget.unratedCount} object(s) without engineering data
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,11 @@ import {
 } from "@react-three/drei";
 import Scene from "./Scene";
 import MagneticEffectManager from "./MagneticEffectManager";
+import FairingGhost from "./FairingGhost";
+import GravityDecks from "./GravityDecks";
+import FilletTarget from "./FilletTarget";
+import FaceSketchTarget from "./FaceSketchTarget";
+import SweepPreview from "./SweepPreview";
 import { useTouchGestures } from "../utils/touchGestures";
 
 function SceneContent({
@@ -16,6 +21,8 @@ function SceneContent({
   onSelectObject,
   transformMode,
   onTransformObject,
+  onConnectModules,
+  assemblyIds,
   axisLock,
 }) {
   const { scene } = useThree();
@@ -28,6 +35,8 @@ function SceneContent({
         onSelectObject={onSelectObject}
         transformMode={transformMode}
         onTransformObject={onTransformObject}
+        onConnectModules={onConnectModules}
+        assemblyIds={assemblyIds}
         axisLock={axisLock}
       />
       <MagneticEffectManager
@@ -45,6 +54,13 @@ export default function CADCanvas({
   onSelectObject,
   transformMode,
   onTransformObject,
+  onConnectModules,
+  assemblyIds,
+  fairingGhost,
+  gravityDecks,
+  filletTarget,
+  faceSketchTarget,
+  sweepPreview,
   gridSize,
   showGrid,
   axisLock,
@@ -53,6 +69,13 @@ export default function CADCanvas({
 
   useTouchGestures(orbitControlsRef, true);
 
+  // The body being filleted or sketched on is drawn by its target instead
+  const targetId = (filletTarget || faceSketchTarget)?.object.id;
+  const sceneObjects =
+    targetId !== undefined
+      ? objects.filter((obj) => obj.id !== targetId)
+      : objects;
+
   return (
     <Canvas
       camera={{ position: [10, 10, 10], fov: 50 }}
@@ -80,14 +103,22 @@ export default function CADCanvas({
       )}
 
       <SceneContent
-        objects={objects}
+        objects={sceneObjects}
         selectedObjectIds={selectedObjectIds}
         onSelectObject={onSelectObject}
         transformMode={transformMode}
         onTransformObject={onTransformObject}
+        onConnectModules={onConnectModules}
+        assemblyIds={assemblyIds}
         axisLock={axisLock}
       />
 
+      {fairingGhost && <FairingGhost {...fairingGhost} />}
+      {gravityDecks && <GravityDecks modules={gravityDecks} />}
+      {filletTarget && <FilletTarget {...filletTarget} />}
+      {faceSketchTarget && <FaceSketchTarget {...faceSketchTarget} />}
+      {sweepPreview && <SweepPreview {...sweepPreview} />}
+
       <OrbitControls ref={orbitControlsRef} makeDefault />
 
       <GizmoHelper alignment="bottom-right" margin={[80, 80]}>
@@ -7,12 +7,14 @@ import {
   getAttachmentPoints,
   arePointsCompatible,
   snapModuleToPoint,
+  createConnection,
   showAttachmentPoints,
   hideAttachmentPoints,
   findClosestAttachmentPoint,
 } from "../utils/connectionSystem";
 import { checkCollision, getSafePosition } from "../utils/collisionDetection";
 import { physicsWorld, notifyGeometryChanged } from "../utils/physicsSystem";
+import { useGeometryMorph } from "../utils/geometryMorph";
 import {
   computeAlignmentSnaps,
   buildAlignmentGuideDescriptors,
@@ -26,10 +28,13 @@ export default function CADObject({
   onSelect,
   transformMode,
   onTransform,
+  onConnect,
+  assemblyIds,
   axisLock,
 }) {
   const meshRef = useRef();
   const transformControlsRef = useRef();
+  const snapMatchRef = useRef(null);
   const [hovered, setHovered] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const { scene } = useThree();
@@ -132,6 +137,9 @@ export default function CADObject({
     };
   }, [geometry, object.type]);
 
+  // Stowed <-> deployed inflatables animate between their two shapes
+  const displayGeometry = useGeometryMorph(geometry);
+
   useEffect(() => {
     const mesh = meshRef.current;
     if (isModule && mesh) {
@@ -173,7 +181,10 @@ export default function CADObject({
 
   useFrame(() => {
     if (meshRef.current && isSelected && isDragging) {
-      const otherMeshes = physicsWorld.getPotentialColliders(meshRef.current);
+      // Members of the dragged assembly move with us, never against us
+      const otherMeshes = physicsWorld
+        .getPotentialColliders(meshRef.current)
+        .filter((m) => !assemblyIds?.includes(m.userData?.objectId));
 
       if (otherMeshes.length > 0) {
         const snaps = computeAlignmentSnaps(meshRef.current, otherMeshes);
@@ -238,12 +249,13 @@ export default function CADObject({
                 closestMatch.myPoint,
                 closestMatch.otherPoint
               );
+              snapMatchRef.current = closestMatch;
               if (meshRef.current.material) {
                 meshRef.current.material.emissive = new THREE.Color(0x000000);
                 meshRef.current.material.emissiveIntensity = 0;
               }
             } else {
-              
+              snapMatchRef.current = null;
               if (meshRef.current.material) {
                 const intensity = Math.max(0, 1 - closestMatch.distance / 4.5);
                 meshRef.current.material.emissive = new THREE.Color(0x0044ff);
@@ -252,6 +264,7 @@ export default function CADObject({
               }
             }
           } else {
+            snapMatchRef.current = null;
             if (meshRef.current.material) {
               meshRef.current.material.emissive = new THREE.Color(0x000000);
               meshRef.current.material.emissiveIntensity = 0;
@@ -334,6 +347,15 @@ export default function CADObject({
     );
   };
 
+  // Record the port pairing of the last snap so it outlives the drag
+  const emitConnection = () => {
+    const match = snapMatchRef.current;
+    snapMatchRef.current = null;
+    if (!match || !onConnect) return;
+
+    onConnect(createConnection(match.myPoint, match.otherPoint));
+  };
+
   const getTransformSpace = () => {
     if (!axisLock) return "world";
     return "local";
@@ -384,7 +406,7 @@ export default function CADObject({
         castShadow
         receiveShadow
       >
-        <primitive object={geometry} attach="geometry" />
+        <primitive object={displayGeometry} attach="geometry" />
         {material ? (
           <primitive object={material} attach="material" />
         ) : (
@@ -415,10 +437,14 @@ export default function CADObject({
           object={meshRef.current}
           mode={transformMode}
           onObjectChange={() => emitTransform(false)}
-          onMouseDown={() => setIsDragging(true)}
+          onMouseDown={() => {
+            snapMatchRef.current = null;
+            setIsDragging(true);
+          }}
           onMouseUp={() => {
             setIsDragging(false);
             emitTransform(true);
+            emitConnection();
           }}
           space={getTransformSpace()}
           showX={getTransformShowX()}
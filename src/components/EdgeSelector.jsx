@@ -0,0 +1,140 @@
+import { useState, useEffect, useMemo } from "react";
+import { useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { findNearestFeatureEdge, getEdgeChain } from "../utils/cadOperations";
+
+// Pick tolerance as a share of the distance to the camera
+const PICK_TOLERANCE = 0.02;
+
+// Edges are drawn in the mesh's local space
+function buildEdgeLines(featureEdges, edgeIndices) {
+  const points = edgeIndices.flatMap((i) => [
+    featureEdges.edges[i].start,
+    featureEdges.edges[i].end,
+  ]);
+  return new THREE.BufferGeometry().setFromPoints(points);
+}
+
+export default function EdgeSelector({
+  mesh,
+  featureEdges,
+  selectedEdges,
+  onEdgeSelect,
+  enabled,
+}) {
+  const { raycaster, camera, gl } = useThree();
+  const [hoveredChain, setHoveredChain] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !mesh || !featureEdges) return;
+
+    const handlePointerMove = (event) => {
+      const rect = gl.domElement.getBoundingClientRect();
+      const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+      raycaster.setFromCamera({ x, y }, camera);
+      const intersects = raycaster.intersectObject(mesh, false);
+
+      const edgeIndex =
+        intersects.length > 0
+          ? findNearestFeatureEdge(
+              featureEdges,
+              mesh.worldToLocal(intersects[0].point.clone()),
+              (intersects[0].distance * PICK_TOLERANCE) /
+                Math.max(...mesh.scale.toArray().map(Math.abs))
+            )
+          : -1;
+
+      if (edgeIndex >= 0) {
+        setHoveredChain(getEdgeChain(featureEdges, edgeIndex));
+        gl.domElement.style.cursor = "pointer";
+      } else {
+        setHoveredChain(null);
+        gl.domElement.style.cursor = "default";
+      }
+    };
+
+    const handleClick = (event) => {
+      if (hoveredChain !== null) {
+        event.stopPropagation();
+        event.preventDefault();
+        onEdgeSelect(hoveredChain);
+      }
+    };
+
+    const handlePointerDown = (event) => {
+      if (hoveredChain !== null) {
+        event.stopPropagation();
+        event.preventDefault();
+      }
+    };
+
+    const handlePointerUp = (event) => {
+      if (hoveredChain !== null) {
+        event.stopPropagation();
+        event.preventDefault();
+      }
+    };
+
+    gl.domElement.addEventListener("pointermove", handlePointerMove);
+    gl.domElement.addEventListener("click", handleClick, true);
+    gl.domElement.addEventListener("pointerdown", handlePointerDown, true);
+    gl.domElement.addEventListener("pointerup", handlePointerUp, true);
+    return () => {
+      gl.domElement.removeEventListener("pointermove", handlePointerMove);
+      gl.domElement.removeEventListener("click", handleClick, true);
+      gl.domElement.removeEventListener("pointerdown", handlePointerDown, true);
+      gl.domElement.removeEventListener("pointerup", handlePointerUp, true);
+      gl.domElement.style.cursor = "default";
+    };
+  }, [
+    enabled,
+    mesh,
+    featureEdges,
+    hoveredChain,
+    onEdgeSelect,
+    raycaster,
+    camera,
+    gl,
+  ]);
+
+  const selectedGeometry = useMemo(
+    () =>
+      featureEdges && selectedEdges.length
+        ? buildEdgeLines(featureEdges, selectedEdges)
+        : null,
+    [featureEdges, selectedEdges]
+  );
+  const hoveredGeometry = useMemo(
+    () =>
+      featureEdges && hoveredChain
+        ? buildEdgeLines(featureEdges, hoveredChain)
+        : null,
+    [featureEdges, hoveredChain]
+  );
+
+  useEffect(() => () => selectedGeometry?.dispose(), [selectedGeometry]);
+  useEffect(() => () => hoveredGeometry?.dispose(), [hoveredGeometry]);
+
+  if (!enabled || !mesh) return null;
+
+  return (
+    <group
+      position={mesh.position}
+      quaternion={mesh.quaternion}
+      scale={mesh.scale}
+    >
+      {selectedGeometry && (
+        <lineSegments geometry={selectedGeometry} renderOrder={999}>
+          <lineBasicMaterial color="#00ff00" depthTest={false} />
+        </lineSegments>
+      )}
+      {hoveredGeometry && (
+        <lineSegments geometry={hoveredGeometry} renderOrder={1000}>
+          <lineBasicMaterial color="#ffff00" depthTest={false} />
+        </lineSegments>
+      )}
+    </group>
+  );
+}
@@ -0,0 +1,44 @@
+import { useState } from "react";
+import * as THREE from "three";
+import FaceSelector from "./FaceSelector";
+
+/**
+ * FaceSketchTarget - The body being sketched on, drawn in place of its
+ * CADObject while a face is picked
+ */
+export default function FaceSketchTarget({
+  object,
+  geometry,
+  selectedFaceIndex,
+  onFaceSelect,
+}) {
+  const [mesh, setMesh] = useState(null);
+  const { position, rotation, scale } = object.transform;
+
+  return (
+    <>
+      <mesh
+        ref={setMesh}
+        geometry={geometry}
+        position={position}
+        rotation={rotation}
+        scale={scale}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <meshStandardMaterial
+          color={object.material?.color || "#cccccc"}
+          metalness={object.material?.metalness ?? 0.5}
+          roughness={object.material?.roughness ?? 0.5}
+          side={THREE.DoubleSide}
+        />
+      </mesh>
+
+      <FaceSelector
+        mesh={mesh}
+        onFaceSelect={onFaceSelect}
+        selectedFaceIndex={selectedFaceIndex}
+        enabled
+      />
+    </>
+  );
+}
@@ -0,0 +1,41 @@
+import { useMemo, useEffect } from "react";
+import * as THREE from "three";
+import { getFairingHeight } from "../utils/fairingLibrary";
+
+/**
+ * FairingGhost - Translucent launch fairing envelope drawn in the canvas
+ * Ignores pointer events so modules inside it stay selectable
+ */
+export default function FairingGhost({ fairing, position, quaternion, fits }) {
+  const geometry = useMemo(() => {
+    const points = [
+      new THREE.Vector2(0, 0),
+      ...fairing.profile.map((p) => new THREE.Vector2(p.radius, p.height)),
+      new THREE.Vector2(0, getFairingHeight(fairing)),
+    ];
+    return new THREE.LatheGeometry(points, 48);
+  }, [fairing]);
+
+  useEffect(() => {
+    return () => geometry.dispose();
+  }, [geometry]);
+
+  const color = fits === false ? "#ff4444" : "#00aaff";
+
+  return (
+    <group position={position} quaternion={quaternion}>
+      <mesh geometry={geometry} raycast={() => null}>
+        <meshBasicMaterial
+          color={color}
+          transparent
+          opacity={0.08}
+          side={THREE.DoubleSide}
+          depthWrite={false}
+        />
+      </mesh>
+      <mesh geometry={geometry} raycast={() => null}>
+        <meshBasicMaterial color={color} wireframe transparent opacity={0.2} />
+      </mesh>
+    </group>
+  );
+}
@@ -0,0 +1,77 @@
+import React from "react";
+import {
+  FAIRING_LIBRARY,
+  getFairingDiameter,
+  getFairingHeight,
+} from "../utils/fairingLibrary";
+import "./FairingPanel.css";
+
+export default function FairingPanel({
+  fairingId,
+  onFairingChange,
+  fit,
+  selectedIds,
+  onSelect,
+  onClose,
+}) {
+  const { results, misfits } = fit;
+
+  return (
+    <div className="fairing-panel">
+      <div className="fairing-header">
+        <h3>Fairing Fit Check</h3>
+        <button className="close-btn" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className="fairing-select">
+        <select
+          value={fairingId}
+          onChange={(e) => onFairingChange(e.target.value)}
+        >
+          {FAIRING_LIBRARY.map((fairing) => (
+            <option key={fairing.id} value={fairing.id}>
+              {fairing.name} ({fairing.vehicle}) –{" "}
+              {getFairingDiameter(fairing).toFixed(1)} m ×{" "}
+              {getFairingHeight(fairing).toFixed(1)} m
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div
+        className={`fairing-summary ${misfits.length > 0 ? "exceeded" : ""}`}
+      >
+        {results.length === 0
+          ? "No procedural modules in the scene"
+          : misfits.length === 0
+            ? `✓ All ${results.length} modules fit`
+            : `⚠ ${misfits.length} of ${results.length} modules do not fit`}
+      </div>
+
+      <div className="fairing-results">
+        {[...misfits, ...results.filter((r) => r.fits)].map((result) => (
+          <button
+            key={result.objectId}
+            className={`fairing-result ${result.fits ? "fits" : "misfit"} ${
+              selectedIds.includes(result.objectId) ? "selected" : ""
+            }`}
+            onClick={() => onSelect(result.objectId)}
+            title="Select module and show the fairing around it"
+          >
+            <span className="fairing-result-name">
+              {result.fits ? "✓" : "✗"} {result.name}
+              {result.stowed && <em> (stowed)</em>}
+            </span>
+            <span className="fairing-result-detail">
+              {result.fits
+                ? `${result.clearance.toFixed(2)} m clearance`
+                : result.reason}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from "react";
+import { BOOLEAN_OPERATIONS } from "../utils/cadOperations";
+import {
+  FEATURE_TYPES,
+  getBaseLabel,
+  getFeatureLabel,
+} from "../utils/featureTree";
+import "./FeatureTreePanel.css";
+
+// Applied on Enter or blur: every change regenerates the body
+function SizeInput({ value, onCommit }) {
+  const [input, setInput] = useState(value);
+
+  useEffect(() => {
+    setInput(value);
+  }, [value]);
+
+  const commit = () => {
+    const parsed = parseFloat(input);
+    if (parsed > 0 && parsed !== value) onCommit(parsed);
+    else setInput(value);
+  };
+
+  return (
+    <input
+      type="number"
+      min="0.01"
+      step="0.05"
+      value={input}
+      onChange={(e) => setInput(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
+
+function FeatureOptions({ feature, onChange, onEditSketch }) {
+  const { params } = feature;
+  switch (feature.type) {
+    case "extrude":
+      return (
+        <>
+          <label>
+            <span>Depth (m)</span>
+            <SizeInput
+              value={params.depth}
+              onCommit={(depth) => onChange({ depth })}
+            />
+          </label>
+          <select
+            value={params.cut ? "cut" : "add"}
+            onChange={(e) => onChange({ cut: e.target.value === "cut" })}
+          >
+            <option value="add">Add</option>
+            <option value="cut">Cut</option>
+          </select>
+          <button onClick={onEditSketch}>Edit sketch</button>
+        </>
+      );
+    case "fillet":
+      return (
+        <>
+          <label>
+            <span>{params.mode === "chamfer" ? "Distance" : "Radius"} (m)</span>
+            <SizeInput
+              value={params.radius}
+              onCommit={(radius) => onChange({ radius })}
+            />
+          </label>
+          <select
+            value={params.mode}
+            onChange={(e) => onChange({ mode: e.target.value })}
+          >
+            <option value="fillet">Fillet</option>
+            <option value="chamfer">Chamfer</option>
+          </select>
+        </>
+      );
+    case "boolean":
+      return (
+        <select
+          value={params.operation}
+          onChange={(e) => onChange({ operation: e.target.value })}
+        >
+          {Object.entries(BOOLEAN_OPERATIONS).map(([key, operation]) => (
+            <option key={key} value={key}>
+              {operation.label}
+            </option>
+          ))}
+        </select>
+      );
+    default:
+      return null;
+  }
+}
+
+export default function FeatureTreePanel({
+  object,
+  onMove,
+  onUpdate,
+  onEditSketch,
+  onRemove,
+  onRegenerate,
+  onClose,
+}) {
+  const features = object?.features || [];
+
+  return (
+    <div className="feature-tree-panel">
+      <div className="feature-tree-header">
+        <h3>History</h3>
+        <button className="close-btn" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className="feature-tree-body">
+        {!object ? (
+          <div className="feature-tree-note">
+            Select one body to see its features.
+          </div>
+        ) : (
+          <>
+            <div className="feature-tree-target">{object.name}</div>
+            <ol className="feature-list">
+              <li className="feature-base">{getBaseLabel(object)}</li>
+              {features.map((feature, i) => (
+                <li
+                  key={feature.id}
+                  className={`feature-row${feature.suppressed ? " suppressed" : ""}`}
+                >
+                  <div className="feature-title">
+                    <input
+                      type="checkbox"
+                      checked={!feature.suppressed}
+                      onChange={() =>
+                        onUpdate(feature.id, {
+                          suppressed: !feature.suppressed,
+                        })
+                      }
+                      title={feature.suppressed ? "Unsuppress" : "Suppress"}
+                    />
+                    <span className="feature-icon">
+                      {FEATURE_TYPES[feature.type].icon}
+                    </span>
+                    <span className="feature-label">
+                      {getFeatureLabel(feature)}
+                    </span>
+                    <button
+                      onClick={() => onMove(feature.id, -1)}
+                      disabled={i === 0}
+                      title="Earlier"
+                    >
+                      ▲
+                    </button>
+                    <button
+                      onClick={() => onMove(feature.id, 1)}
+                      disabled={i === features.length - 1}
+                      title="Later"
+                    >
+                      ▼
+                    </button>
+                    <button
+                      onClick={() => onRemove(feature.id)}
+                      title="Delete feature"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                  <div className="feature-options">
+                    <FeatureOptions
+                      feature={feature}
+                      onChange={(params) => onUpdate(feature.id, { params })}
+                      onEditSketch={() => onEditSketch(feature.id)}
+                    />
+                  </div>
+                  {feature.error && !feature.suppressed && (
+                    <div className="feature-error">⚠ {feature.error}</div>
+                  )}
+                </li>
+              ))}
+            </ol>
+            {features.length === 0 && (
+              <div className="feature-tree-note">
+                Fillets, sketch extrusions and booleans on this body are listed
+                here and can be edited later.
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="feature-tree-actions">
+        <button className="cancel-btn" onClick={onClose}>
+          Close
+        </button>
+        <button
+          className="apply-btn"
+          disabled={features.length === 0}
+          onClick={onRegenerate}
+        >
+          ⟳ Regenerate
+        </button>
+      </div>
+    </div>
+  );
+}
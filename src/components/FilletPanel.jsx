@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import "./FilletPanel.css";
+
+const MODES = [
+  { mode: "fillet", label: "Fillet", sizeLabel: "Radius" },
+  { mode: "chamfer", label: "Chamfer", sizeLabel: "Distance" },
+];
+
+export default function FilletPanel({
+  objectName,
+  mode,
+  radius,
+  edgeCount,
+  status,
+  onModeChange,
+  onRadiusChange,
+  onClearEdges,
+  onApply,
+  onClose,
+}) {
+  const [radiusInput, setRadiusInput] = useState(radius);
+
+  useEffect(() => {
+    setRadiusInput(radius);
+  }, [radius]);
+
+  const handleRadiusChange = (e) => {
+    setRadiusInput(e.target.value);
+    const value = parseFloat(e.target.value);
+    if (value > 0) onRadiusChange(value);
+  };
+
+  const { sizeLabel } = MODES.find((m) => m.mode === mode);
+
+  return (
+    <div className="fillet-panel">
+      <div className="fillet-header">
+        <h3>Fillet / Chamfer</h3>
+        <button className="close-btn" onClick={onClose} title="Cancel">
+          ✕
+        </button>
+      </div>
+
+      <div className="fillet-body">
+        <div className="fillet-target">{objectName}</div>
+
+        <div className="fillet-modes">
+          {MODES.map((m) => (
+            <button
+              key={m.mode}
+              className={mode === m.mode ? "active" : ""}
+              onClick={() => onModeChange(m.mode)}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+
+        <label className="fillet-size">
+          <span>{sizeLabel} (m)</span>
+          <input
+            type="number"
+            min="0.01"
+            step="0.05"
+            value={radiusInput}
+            onChange={handleRadiusChange}
+          />
+        </label>
+
+        <div className="fillet-edges">
+          <span>
+            {edgeCount
+              ? `${edgeCount} edge segment${edgeCount === 1 ? "" : "s"}`
+              : "Click edges on the body to pick them"}
+          </span>
+          {edgeCount > 0 && <button onClick={onClearEdges}>Clear</button>}
+        </div>
+
+        {status === "failed" && (
+          <div className="fillet-status error">
+            Could not build the result. Try a smaller size.
+          </div>
+        )}
+      </div>
+
+      <div className="fillet-actions">
+        <button className="cancel-btn" onClick={onClose}>
+          Cancel
+        </button>
+        <button
+          className="apply-btn"
+          disabled={status !== "ready"}
+          onClick={onApply}
+        >
+          ✓ Apply
+        </button>
+      </div>
+    </div>
+  );
+}
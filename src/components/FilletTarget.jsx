@@ -0,0 +1,66 @@
+import { useState } from "react";
+import * as THREE from "three";
+import EdgeSelector from "./EdgeSelector";
+
+/**
+ * FilletTarget - The body being filleted, drawn in place of its CADObject
+ * Once edges are picked the preview result is shown instead; picking keeps
+ * running against the original mesh.
+ */
+export default function FilletTarget({
+  object,
+  geometry,
+  preview,
+  featureEdges,
+  selectedEdges,
+  onEdgeSelect,
+}) {
+  const [mesh, setMesh] = useState(null);
+  const { position, rotation, scale } = object.transform;
+
+  return (
+    <>
+      <mesh
+        ref={setMesh}
+        geometry={geometry}
+        position={position}
+        rotation={rotation}
+        scale={scale}
+        visible={!preview}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <meshStandardMaterial
+          color={object.material?.color || "#cccccc"}
+          metalness={object.material?.metalness ?? 0.5}
+          roughness={object.material?.roughness ?? 0.5}
+          side={THREE.DoubleSide}
+        />
+      </mesh>
+
+      {preview && (
+        <mesh
+          geometry={preview}
+          position={position}
+          rotation={rotation}
+          scale={scale}
+          raycast={() => null}
+        >
+          <meshStandardMaterial
+            color="#ffb347"
+            metalness={0.3}
+            roughness={0.5}
+            side={THREE.DoubleSide}
+          />
+        </mesh>
+      )}
+
+      <EdgeSelector
+        mesh={mesh}
+        featureEdges={featureEdges}
+        selectedEdges={selectedEdges}
+        onEdgeSelect={onEdgeSelect}
+        enabled
+      />
+    </>
+  );
+}
@@ -0,0 +1,82 @@
+import { useMemo, useEffect } from "react";
+import * as THREE from "three";
+import { SPIN_AXES } from "../utils/artificialGravity";
+
+/**
+ * GravityDecks - Deck floors of rotating modules colored by effective g
+ * Drawn through the hull (no depth test) and ignores pointer events.
+ */
+export default function GravityDecks({ modules }) {
+  return modules.map((module) => (
+    <group
+      key={module.objectId}
+      position={module.position}
+      rotation={module.rotation}
+    >
+      {module.decks.map((deck) => (
+        <DeckFloor
+          key={deck.id}
+          deck={deck}
+          grid={module.grid}
+          spinAxis={module.spinAxis}
+        />
+      ))}
+    </group>
+  ));
+}
+
+function DeckFloor({ deck, grid, spinAxis }) {
+  const geometry = useMemo(
+    () => buildDeckGeometry(deck, grid, SPIN_AXES[spinAxis] || SPIN_AXES.z),
+    [deck, grid, spinAxis]
+  );
+
+  useEffect(() => {
+    return () => geometry.dispose();
+  }, [geometry]);
+
+  return (
+    <mesh geometry={geometry} raycast={() => null} renderOrder={10}>
+      <meshBasicMaterial
+        color={deck.color}
+        transparent
+        opacity={0.55}
+        side={THREE.DoubleSide}
+        depthTest={false}
+        depthWrite={false}
+      />
+    </mesh>
+  );
+}
+
+/**
+ * One quad per sampled floor cell on the cylinder of the floor radius
+ */
+function buildDeckGeometry(deck, grid, frame) {
+  const { angleCells, axialCells, axialMin, axialMax } = grid;
+  const axialStep = (axialMax - axialMin) / axialCells;
+  const point = (angleIndex, axialIndex) => {
+    const angle = (angleIndex / angleCells) * Math.PI * 2;
+    return new THREE.Vector3()
+      .copy(frame.axis)
+      .multiplyScalar(axialMin + axialIndex * axialStep)
+      .addScaledVector(frame.u, deck.floorRadius * Math.cos(angle))
+      .addScaledVector(frame.v, deck.floorRadius * Math.sin(angle));
+  };
+
+  const vertices = [];
+  deck.cells.forEach(([a, w]) => {
+    const p00 = point(a, w);
+    const p10 = point(a + 1, w);
+    const p01 = point(a, w + 1);
+    const p11 = point(a + 1, w + 1);
+    [p00, p10, p11, p00, p11, p01].forEach((p) => vertices.push(p.x, p.y, p.z));
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(vertices, 3)
+  );
+  return geometry;
+}
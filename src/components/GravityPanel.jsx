@@ -0,0 +1,112 @@
+import React from "react";
+import {
+  getGravityColor,
+  getRadiusForGravity,
+  COMFORT_LIMITS,
+} from "../utils/artificialGravity";
+import "./GravityPanel.css";
+
+const LEGEND_STOPS = [0, 0.25, 0.5, 0.75, 1, 1.25, 1.5];
+
+export default function GravityPanel({ results, onSelect, onClose }) {
+  return (
+    <div className="gravity-panel">
+      <div className="gravity-header">
+        <h3>Artificial Gravity</h3>
+        <button className="close-btn" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className="gravity-legend">
+        <div
+          className="gravity-legend-bar"
+          style={{
+            background: `linear-gradient(to right, ${LEGEND_STOPS.map(
+              getGravityColor
+            ).join(", ")})`,
+          }}
+        />
+        <div className="gravity-legend-labels">
+          <span>0 g</span>
+          <span>1 g</span>
+          <span>1.5 g</span>
+        </div>
+      </div>
+
+      <div className="gravity-modules">
+        {results.length === 0 && (
+          <div className="gravity-empty">
+            No rotating modules. Set a spin rate in a module's parameters.
+          </div>
+        )}
+        {results.map((result) => (
+          <div key={result.objectId} className="gravity-module">
+            <button
+              className="gravity-module-header"
+              onClick={() => onSelect(result.objectId)}
+              title="Select module"
+            >
+              <span className="gravity-module-name">{result.name}</span>
+              <span>
+                {result.rpm} rpm · {result.spinAxis.toUpperCase()} axis
+              </span>
+            </button>
+            <div className="gravity-module-stats">
+              <span>Rim {result.rimRadius.toFixed(1)} m</span>
+              <span>{result.rimSpeed.toFixed(1)} m/s</span>
+              <span>
+                1 g needs {getRadiusForGravity(1, result.rpm).toFixed(0)} m
+              </span>
+            </div>
+            {result.issues.map((issue) => (
+              <div key={issue} className="gravity-issue">
+                ⚠ {issue}
+              </div>
+            ))}
+            <table className="gravity-decks">
+              <thead>
+                <tr>
+                  <th>Deck</th>
+                  <th>Radius</th>
+                  <th>g</th>
+                  <th>m/s²</th>
+                  <th>Gradient</th>
+                  <th>Coriolis</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.decks.map((deck) => (
+                  <tr
+                    key={deck.id}
+                    className={deck.issues.length ? "warn" : ""}
+                    title={deck.issues.join(", ") || "Within comfort limits"}
+                  >
+                    <td>
+                      <span
+                        className="gravity-swatch"
+                        style={{ background: deck.color }}
+                      />
+                      {deck.level}
+                    </td>
+                    <td>{deck.floorRadius.toFixed(1)} m</td>
+                    <td>{deck.g.toFixed(2)}</td>
+                    <td>{deck.acceleration.toFixed(2)}</td>
+                    <td>{(deck.gradient * 100).toFixed(0)}%</td>
+                    <td>{deck.coriolisRatio.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+
+      <div className="gravity-footnote">
+        Comfort: ≤ {COMFORT_LIMITS.maxRpm} rpm, {COMFORT_LIMITS.minG}–
+        {COMFORT_LIMITS.maxG} g, gradient ≤ {COMFORT_LIMITS.maxGradient * 100}%,
+        Coriolis ratio ≤ {COMFORT_LIMITS.maxCoriolisRatio} (walking 1 m/s)
+      </div>
+    </div>
+  );
+}
@@ -1,35 +1,337 @@
-import { useState, useRef, useEffect, useCallback } from "react";
-import * as THREE from "three";
+import { useState, useRef, useEffect, useCallback, useMemo } from "react";
+import {
+  CONSTRAINT_TYPES,
+  DIMENSION_TYPES,
+  createSketch,
+  solveSketch,
+  addConstraint,
+  setDimensionValue,
+  matchEntities,
+  measureDimension,
+  pickEntity,
+  removeEntities,
+  getSketchOutline,
+  sketchToShape,
+  getEntityKind,
+} from "../utils/sketchSolver";
+import {
+  arcThroughPoints,
+  tangentArc,
+  getEndTangent,
+  sampleArc,
+  sampleSpline,
+  getCurvePoints,
+  trimEntity,
+  extendEntity,
+  offsetEntities,
+} from "../utils/sketchCurves";
+import {
+  parseProfileFile,
+  getProfileBounds,
+  addProfileToSketch,
+} from "../utils/sketchImport";
+import "./SketchModal.css";
 import "./ImprovedSketchModal.css";
 
-export default function ImprovedSketchModal({ onClose, onCreateExtrusion }) {
+// Canvas origin and scale (pixels per meter)
+const ORIGIN_X = 300;
+const ORIGIN_Y = 250;
+const PIXELS_PER_METER = 20;
+
+const toSketchUnits = (p) => ({
+  x: (p.x - ORIGIN_X) / PIXELS_PER_METER,
+  y: -(p.y - ORIGIN_Y) / PIXELS_PER_METER,
+});
+
+const toCanvas = (p) => ({
+  x: ORIGIN_X + p.x * PIXELS_PER_METER,
+  y: ORIGIN_Y - p.y * PIXELS_PER_METER,
+});
+
+const SNAP_DISTANCE = 15; // pixels
+const POINT_RADIUS = 6;
+const GRID_SIZE = 20;
+const SNAP_TOLERANCE = SNAP_DISTANCE / PIXELS_PER_METER; // m
+
+const TOOLS = [
+  { tool: "select", label: "Select" },
+  { tool: "point", label: "Point" },
+  { tool: "line", label: "Line" },
+  { tool: "rectangle", label: "Rectangle" },
+  { tool: "circle", label: "Circle" },
+  { tool: "arc", label: "3-Point Arc" },
+  { tool: "tangentArc", label: "Tangent Arc" },
+  { tool: "spline", label: "Spline" },
+  { tool: "polygon", label: "Polygon" },
+  { tool: "trim", label: "Trim" },
+  { tool: "extend", label: "Extend" },
+];
+
+const OFFSET_KINDS = ["line", "arc", "spline", "circle"];
+
+function addPoint(sketch, { x, y }) {
+  const id = sketch.nextId;
+  return [
+    { ...sketch, points: [...sketch.points, { id, x, y }], nextId: id + 1 },
+    id,
+  ];
+}
+
+function addLine(sketch, start, end) {
+  const id = sketch.nextId;
+  return [
+    { ...sketch, lines: [...sketch.lines, { id, start, end }], nextId: id + 1 },
+    id,
+  ];
+}
+
+// Existing point within snap distance, or a new one
+function snapOrAddPoint(sketch, at) {
+  const id = pickEntity(
+    { ...sketch, lines: [], circles: [], arcs: [], splines: [] },
+    at,
+    SNAP_TOLERANCE
+  );
+  return id !== null ? [sketch, id] : addPoint(sketch, at);
+}
+
+// Axis-aligned rectangle: four lines held horizontal and vertical
+function addRectangle(sketch, a, b) {
+  let next = sketch;
+  const ids = [
+    [a.x, a.y],
+    [b.x, a.y],
+    [b.x, b.y],
+    [a.x, b.y],
+  ].map(([x, y]) => {
+    let id;
+    [next, id] = addPoint(next, { x, y });
+    return id;
+  });
+  const lines = ids.map((id, i) => {
+    let lineId;
+    [next, lineId] = addLine(next, id, ids[(i + 1) % 4]);
+    return lineId;
+  });
+  const constraints = lines.map((lineId, i) => ({
+    id: next.nextId + i,
+    type: i % 2 === 0 ? "horizontal" : "vertical",
+    entities: [lineId],
+  }));
+  return {
+    ...next,
+    constraints: [...next.constraints, ...constraints],
+    nextId: next.nextId + constraints.length,
+  };
+}
+
+function addCircle(sketch, centerAt, radius) {
+  const [next, center] = snapOrAddPoint(sketch, centerAt);
+  const id = next.nextId;
+  return {
+    ...next,
+    circles: [...next.circles, { id, center, radius }],
+    nextId: id + 1,
+  };
+}
+
+// Arc between existing or new points, see arcThroughPoints and tangentArc
+function addArc(sketch, arc) {
+  let next = sketch;
+  const [center, start, end] = [arc.center, arc.start, arc.end].map((at) => {
+    let id;
+    [next, id] = snapOrAddPoint(next, at);
+    return id;
+  });
+  const id = next.nextId;
+  return [
+    {
+      ...next,
+      arcs: [...next.arcs, { id, center, start, end }],
+      nextId: id + 1,
+    },
+    id,
+  ];
+}
+
+function addSpline(sketch, positions) {
+  let next = sketch;
+  const points = positions.map((at) => {
+    let id;
+    [next, id] = snapOrAddPoint(next, at);
+    return id;
+  });
+  const id = next.nextId;
+  return {
+    ...next,
+    splines: [...next.splines, { id, points }],
+    nextId: id + 1,
+  };
+}
+
+// Corners of a regular polygon around a center, starting at one corner
+function getPolygonCorners(center, corner, sides) {
+  const radius = Math.hypot(corner.x - center.x, corner.y - center.y);
+  const angle = Math.atan2(corner.y - center.y, corner.x - center.x);
+  return Array.from({ length: sides }, (_, i) => ({
+    x: center.x + radius * Math.cos(angle + (2 * Math.PI * i) / sides),
+    y: center.y + radius * Math.sin(angle + (2 * Math.PI * i) / sides),
+  }));
+}
+
+// Closed polygon with its sides held equal
+function addPolygon(sketch, corners) {
+  let next = sketch;
+  const ids = corners.map((at) => {
+    let id;
+    [next, id] = addPoint(next, at);
+    return id;
+  });
+  const lines = ids.map((id, i) => {
+    let lineId;
+    [next, lineId] = addLine(next, id, ids[(i + 1) % ids.length]);
+    return lineId;
+  });
+  const constraints = lines.slice(1).map((lineId, i) => ({
+    id: next.nextId + i,
+    type: "equal",
+    entities: [lines[0], lineId],
+  }));
+  return {
+    ...next,
+    constraints: [...next.constraints, ...constraints],
+    nextId: next.nextId + constraints.length,
+  };
+}
+
+function tracePath(ctx, points) {
+  points.forEach((point, i) => {
+    const p = toCanvas(point);
+    if (i === 0) ctx.moveTo(p.x, p.y);
+    else ctx.lineTo(p.x, p.y);
+  });
+}
+
+// Where constraint glyphs and dimension labels sit, in canvas pixels
+function getAnchor(sketch, constraint) {
+  const point = (id) => sketch.points.find((p) => p.id === id);
+  const [a, b] = constraint.entities;
+  const line = sketch.lines.find((l) => l.id === a);
+  if (line) {
+    const [p, q] = [toCanvas(point(line.start)), toCanvas(point(line.end))];
+    return { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+  }
+  const circle = sketch.circles.find((c) => c.id === a);
+  if (circle) {
+    const c = toCanvas(point(circle.center));
+    return { x: c.x, y: c.y - circle.radius * PIXELS_PER_METER };
+  }
+  if (sketch.arcs.some((arc) => arc.id === a)) {
+    const points = getCurvePoints(sketch, a);
+    return toCanvas(points[Math.floor(points.length / 2)]);
+  }
+  const p = toCanvas(point(a));
+  if (b === undefined) return p;
+  const q = toCanvas(point(b));
+  return { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+}
+
+function DimensionInput({ value, onCommit }) {
+  const [text, setText] = useState(value.toFixed(3));
+  const commit = () => {
+    const parsed = parseFloat(text);
+    if (parsed > 0 && parsed !== value) onCommit(parsed);
+    else setText(value.toFixed(3));
+  };
+  return (
+    <input
+      type="number"
+      step="0.1"
+      min="0"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
+
+/**
+ * With onCreateProfile the sketch is a revolve half-profile: the vertical
+ * center line is the revolve axis and the result is [[r, z], ...]
+ * With onCreateSection it is a closed cross-section, e.g. of a sweep, handed
+ * back as (shape, sketch) around the sketch origin.
+ * Geometry is kept in meters; constraints and driving dimensions are solved
+ * by sketchSolver.js after every change.
+ * Sketches on a face get its boundary as reference ([[u1, v1], [u2, v2]]
+ * segments) and, with onCreateCut, can be cut into the body as well.
+ * `initial` ({ sketch, depth, bevelEnabled, bevelSize }) re-opens a feature
+ * for editing; the sketch is handed back as the last callback argument.
+ */
+export default function ImprovedSketchModal({
+  onClose,
+  onCreateExtrusion,
+  onCreateProfile,
+  onCreateCut,
+  onCreateSection,
+  title,
+  reference,
+  initial,
+}) {
+  const isProfile = !!onCreateProfile;
   const canvasRef = useRef(null);
-  const [points, setPoints] = useState([]);
-  const [lines, setLines] = useState([]);
-  const [currentTool, setCurrentTool] = useState("point"); // 'point', 'line', 'rectangle', 'circle'
-  const [extrudeDepth, setExtrudeDepth] = useState(1);
-  const [bevelEnabled, setBevelEnabled] = useState(false);
-  const [bevelSize, setBevelSize] = useState(0.1);
-  const [tempLineStart, setTempLineStart] = useState(null);
-  const [hoveredPoint, setHoveredPoint] = useState(null);
-
-  const SNAP_DISTANCE = 15; // pixels
-  const POINT_RADIUS = 6;
-  const GRID_SIZE = 20;
+  const [sketch, setSketch] = useState(() => createSketch(initial?.sketch));
+  const [history, setHistory] = useState([]);
+  const [currentTool, setCurrentTool] = useState(initial ? "select" : "line"); // see TOOLS
+  const [extrudeDepth, setExtrudeDepth] = useState(initial?.depth ?? 1);
+  const [bevelEnabled, setBevelEnabled] = useState(
+    initial?.bevelEnabled ?? false
+  );
+  const [bevelSize, setBevelSize] = useState(initial?.bevelSize ?? 0.1);
+  const [pendingStart, setPendingStart] = useState(null); // point id or { x, y }
+  const [pendingPath, setPendingPath] = useState([]); // arc and spline clicks
+  const [polygonSides, setPolygonSides] = useState(6);
+  const [offsetText, setOffsetText] = useState("0.5");
+  const [drawing, setDrawing] = useState(null); // { name, items, skipped }
+  const [importScaleText, setImportScaleText] = useState("0.001");
+  const [importCentered, setImportCentered] = useState(!isProfile);
+  const fileInputRef = useRef(null);
+  const [hoveredPoint, setHoveredPoint] = useState(null); // m
+  const [selection, setSelection] = useState([]);
+  const [dimensionText, setDimensionText] = useState("");
+  const [message, setMessage] = useState(null);
+
+  const dof = useMemo(() => solveSketch(sketch).dof, [sketch]);
+  const hoveredEntity = useMemo(
+    () =>
+      hoveredPoint && currentTool === "select"
+        ? pickEntity(sketch, hoveredPoint, SNAP_TOLERANCE)
+        : null,
+    [sketch, hoveredPoint, currentTool]
+  );
+
+  // Keep a change only when every constraint still holds
+  const apply = (result, conflict) => {
+    if (!result.solved) {
+      setMessage(conflict || "Sketch can't be solved");
+      return false;
+    }
+    setHistory((prev) => [...prev, sketch]);
+    setSketch(result.sketch);
+    setMessage(null);
+    return true;
+  };
 
   const findNearestPoint = useCallback(
-    (x, y) => {
-      for (let point of points) {
-        const distance = Math.sqrt(
-          Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2)
-        );
-        if (distance < SNAP_DISTANCE) {
-          return point;
-        }
-      }
-      return null;
+    (at) => {
+      const id = pickEntity(
+        { ...sketch, lines: [], circles: [], arcs: [], splines: [] },
+        at,
+        SNAP_TOLERANCE
+      );
+      return id === null ? null : sketch.points.find((p) => p.id === id);
     },
-    [points]
+    [sketch]
   );
 
   const drawCanvas = useCallback(() => {
@@ -56,149 +358,483 @@ export default function ImprovedSketchModal({ onClose, onCreateExtrusion }) {
       ctx.stroke();
     }
 
-    ctx.strokeStyle = "#4a7c59";
+    if (isProfile) {
+      ctx.strokeStyle = "#00aaff";
+      ctx.setLineDash([10, 4, 2, 4]);
+      ctx.beginPath();
+      ctx.moveTo(ORIGIN_X, 0);
+      ctx.lineTo(ORIGIN_X, canvas.height);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = "#00aaff";
+      ctx.font = "12px monospace";
+      ctx.fillText("revolve axis", ORIGIN_X + 6, 14);
+    }
+
+    if (reference) {
+      ctx.strokeStyle = "#888";
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      reference.forEach(([start, end]) => {
+        const a = toCanvas({ x: start[0], y: start[1] });
+        const b = toCanvas({ x: end[0], y: end[1] });
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    const colorOf = (id) =>
+      selection.includes(id)
+        ? "#ffaa00"
+        : id === hoveredEntity
+          ? "#ffff00"
+          : "#4a7c59";
+    const pointById = new Map(sketch.points.map((p) => [p.id, p]));
+
     ctx.lineWidth = 2;
-    lines.forEach((line) => {
+    sketch.lines.forEach((line) => {
+      const start = toCanvas(pointById.get(line.start));
+      const end = toCanvas(pointById.get(line.end));
+      ctx.strokeStyle = colorOf(line.id);
       ctx.beginPath();
-      ctx.moveTo(line.start.x, line.start.y);
-      ctx.lineTo(line.end.x, line.end.y);
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+    });
+    [...sketch.arcs, ...sketch.splines].forEach((curve) => {
+      ctx.strokeStyle = colorOf(curve.id);
+      ctx.beginPath();
+      tracePath(ctx, getCurvePoints(sketch, curve.id));
+      ctx.stroke();
+    });
+    sketch.circles.forEach((circle) => {
+      const center = toCanvas(pointById.get(circle.center));
+      ctx.strokeStyle = colorOf(circle.id);
+      ctx.beginPath();
+      ctx.arc(
+        center.x,
+        center.y,
+        circle.radius * PIXELS_PER_METER,
+        0,
+        Math.PI * 2
+      );
       ctx.stroke();
     });
 
-    if (tempLineStart) {
+    // Rubber band for the shape being drawn
+    if (pendingStart !== null && hoveredPoint) {
+      const from =
+        typeof pendingStart === "number"
+          ? pointById.get(pendingStart)
+          : pendingStart;
+      const to = findNearestPoint(hoveredPoint) || hoveredPoint;
+      const start = toCanvas(from);
+      const mouse = toCanvas(to);
+      const tangent =
+        currentTool === "tangentArc" && getEndTangent(sketch, pendingStart);
+      const arc = tangent && tangentArc(from, tangent.direction, to);
       ctx.strokeStyle = "#6a9c79";
       ctx.setLineDash([5, 5]);
       ctx.beginPath();
-      ctx.moveTo(tempLineStart.x, tempLineStart.y);
-      const mouse = hoveredPoint || tempLineStart;
-      ctx.lineTo(mouse.x, mouse.y);
+      if (currentTool === "polygon") {
+        const corners = getPolygonCorners(from, to, polygonSides);
+        tracePath(ctx, [...corners, corners[0]]);
+      } else if (arc) {
+        tracePath(ctx, sampleArc(arc.center, arc.start, arc.end));
+      } else if (currentTool === "rectangle") {
+        ctx.rect(start.x, start.y, mouse.x - start.x, mouse.y - start.y);
+      } else if (currentTool === "circle") {
+        ctx.arc(
+          start.x,
+          start.y,
+          Math.hypot(mouse.x - start.x, mouse.y - start.y),
+          0,
+          Math.PI * 2
+        );
+      } else {
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(mouse.x, mouse.y);
+      }
       ctx.stroke();
       ctx.setLineDash([]);
     }
 
-    points.forEach((point, index) => {
-      const isHovered =
-        hoveredPoint &&
-        Math.abs(point.x - hoveredPoint.x) < SNAP_DISTANCE &&
-        Math.abs(point.y - hoveredPoint.y) < SNAP_DISTANCE;
+    if (pendingPath.length > 0 && hoveredPoint) {
+      const mouse = findNearestPoint(hoveredPoint) || hoveredPoint;
+      const arc =
+        currentTool === "arc" &&
+        pendingPath.length === 2 &&
+        arcThroughPoints(pendingPath[0], pendingPath[1], mouse);
+      ctx.strokeStyle = "#6a9c79";
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      if (arc) {
+        tracePath(ctx, sampleArc(arc.center, arc.start, arc.end));
+      } else if (currentTool === "spline") {
+        tracePath(ctx, sampleSpline([...pendingPath, mouse]));
+      } else {
+        tracePath(ctx, [...pendingPath, mouse]);
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = "#6a9c79";
+      pendingPath.forEach((point) => {
+        const p = toCanvas(point);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, POINT_RADIUS - 2, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
 
-      ctx.fillStyle = isHovered ? "#ffff00" : "#4a7c59";
+    sketch.points.forEach((point, index) => {
+      const p = toCanvas(point);
+      ctx.fillStyle = colorOf(point.id);
       ctx.beginPath();
-      ctx.arc(point.x, point.y, POINT_RADIUS, 0, Math.PI * 2);
+      ctx.arc(p.x, p.y, POINT_RADIUS, 0, Math.PI * 2);
       ctx.fill();
 
       ctx.fillStyle = "#fff";
       ctx.font = "12px monospace";
-      ctx.fillText(index + 1, point.x + 10, point.y - 10);
+      ctx.fillText(index + 1, p.x + 10, p.y - 10);
     });
 
-    if (hoveredPoint) {
-      const snappedPoint = findNearestPoint(hoveredPoint.x, hoveredPoint.y);
+    // Constraint glyphs and dimension labels, stacked per anchor
+    const stacked = new Map();
+    ctx.font = "12px monospace";
+    sketch.constraints.forEach((constraint) => {
+      const anchor = getAnchor(sketch, constraint);
+      const key = `${Math.round(anchor.x)},${Math.round(anchor.y)}`;
+      const row = stacked.get(key) || 0;
+      stacked.set(key, row + 1);
+
+      const dimension = DIMENSION_TYPES[constraint.type];
+      ctx.fillStyle = dimension ? "#00ddff" : "#ff9f43";
+      const text = dimension
+        ? `${constraint.type === "radius" ? "R " : ""}${constraint.value.toFixed(2)} m`
+        : CONSTRAINT_TYPES[constraint.type].symbol;
+      ctx.fillText(text, anchor.x + 6, anchor.y + 16 + row * 14);
+    });
+
+    if (hoveredPoint && currentTool !== "select") {
+      const snappedPoint = findNearestPoint(hoveredPoint);
       if (snappedPoint) {
+        const p = toCanvas(snappedPoint);
         ctx.strokeStyle = "#ffff00";
         ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.arc(
-          snappedPoint.x,
-          snappedPoint.y,
-          POINT_RADIUS + 4,
-          0,
-          Math.PI * 2
-        );
+        ctx.arc(p.x, p.y, POINT_RADIUS + 4, 0, Math.PI * 2);
         ctx.stroke();
       }
     }
-  }, [points, lines, tempLineStart, hoveredPoint, findNearestPoint]);
+  }, [
+    sketch,
+    selection,
+    hoveredEntity,
+    pendingStart,
+    pendingPath,
+    polygonSides,
+    hoveredPoint,
+    currentTool,
+    findNearestPoint,
+    isProfile,
+    reference,
+  ]);
 
   useEffect(() => {
     drawCanvas();
   }, [drawCanvas]);
 
+  const getSketchPosition = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return toSketchUnits({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
   const handleCanvasClick = (e) => {
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    let x = e.clientX - rect.left;
-    let y = e.clientY - rect.top;
-
-    const nearestPoint = findNearestPoint(x, y);
-    if (nearestPoint) {
-      x = nearestPoint.x;
-      y = nearestPoint.y;
-    }
+    const at = getSketchPosition(e);
+    const nearestPoint = findNearestPoint(at);
 
-    if (currentTool === "point") {
-      if (!nearestPoint) {
-        setPoints([...points, { x, y }]);
-      }
+    if (currentTool === "select") {
+      const id = pickEntity(sketch, at, SNAP_TOLERANCE);
+      setSelection((prev) =>
+        id === null
+          ? []
+          : prev.includes(id)
+            ? prev.filter((selected) => selected !== id)
+            : [...prev, id]
+      );
+    } else if (currentTool === "point") {
+      if (!nearestPoint) apply(solveSketch(addPoint(sketch, at)[0]));
     } else if (currentTool === "line") {
-      if (!tempLineStart) {
-        if (!nearestPoint) {
-          setPoints([...points, { x, y }]);
-          setTempLineStart({ x, y });
-        } else {
-          setTempLineStart(nearestPoint);
+      if (pendingStart === null) {
+        const [next, id] = snapOrAddPoint(sketch, at);
+        if (next !== sketch) apply(solveSketch(next));
+        setPendingStart(id);
+      } else {
+        const [withEnd, end] = snapOrAddPoint(sketch, at);
+        if (end !== pendingStart) {
+          apply(solveSketch(addLine(withEnd, pendingStart, end)[0]));
         }
+        setPendingStart(null);
+      }
+    } else if (currentTool === "trim" || currentTool === "extend") {
+      const id = pickEntity(sketch, at, SNAP_TOLERANCE, { points: false });
+      if (id === null) return;
+      const next =
+        currentTool === "trim"
+          ? trimEntity(sketch, id, at)
+          : extendEntity(sketch, id, at);
+      if (next) {
+        apply(solveSketch(next));
+      } else {
+        setMessage(
+          currentTool === "trim"
+            ? "Only lines, arcs and circles can be trimmed"
+            : "Nothing ahead to extend to"
+        );
+      }
+    } else if (currentTool === "arc") {
+      const position = nearestPoint ? { ...nearestPoint } : at;
+      if (pendingPath.length < 2) {
+        setPendingPath([...pendingPath, position]);
       } else {
-        const endPoint = nearestPoint || { x, y };
-        if (!nearestPoint) {
-          setPoints([...points, endPoint]);
+        const arc = arcThroughPoints(pendingPath[0], pendingPath[1], position);
+        if (arc) apply(solveSketch(addArc(sketch, arc)[0]));
+        setPendingPath([]);
+      }
+    } else if (currentTool === "spline") {
+      // Clicking the last point again finishes the spline
+      const last = pendingPath[pendingPath.length - 1];
+      if (last && Math.hypot(at.x - last.x, at.y - last.y) < SNAP_TOLERANCE) {
+        if (pendingPath.length >= 2) {
+          apply(solveSketch(addSpline(sketch, pendingPath)));
+        }
+        setPendingPath([]);
+      } else {
+        setPendingPath([
+          ...pendingPath,
+          nearestPoint ? { ...nearestPoint } : at,
+        ]);
+      }
+    } else if (currentTool === "tangentArc") {
+      if (pendingStart === null) {
+        if (nearestPoint && getEndTangent(sketch, nearestPoint.id)) {
+          setPendingStart(nearestPoint.id);
+        } else {
+          setMessage("Start a tangent arc on the end of a line, arc or spline");
+        }
+        return;
+      }
+      const from = getEndTangent(sketch, pendingStart);
+      const arc = tangentArc(
+        sketch.points.find((p) => p.id === pendingStart),
+        from.direction,
+        nearestPoint || at
+      );
+      if (arc) {
+        const [next, id] = addArc(sketch, arc);
+        // Lines and arcs it carries on from stay tangent to it
+        const tangent =
+          from.kind === "spline"
+            ? null
+            : addConstraint(next, { type: "tangent", entities: [from.id, id] });
+        apply(tangent?.solved ? tangent : solveSketch(next));
+      }
+      setPendingStart(null);
+    } else if (pendingStart === null) {
+      setPendingStart(nearestPoint ? { ...nearestPoint } : at);
+    } else {
+      const end = nearestPoint || at;
+      const radius = Math.hypot(end.x - pendingStart.x, end.y - pendingStart.y);
+      if (currentTool === "rectangle") {
+        if (end.x !== pendingStart.x && end.y !== pendingStart.y) {
+          apply(solveSketch(addRectangle(sketch, pendingStart, end)));
         }
-        setLines([...lines, { start: tempLineStart, end: endPoint }]);
-        setTempLineStart(null);
+      } else if (currentTool === "polygon") {
+        if (radius > 0) {
+          const corners = getPolygonCorners(pendingStart, end, polygonSides);
+          apply(solveSketch(addPolygon(sketch, corners)));
+        }
+      } else if (radius > 0) {
+        apply(solveSketch(addCircle(sketch, pendingStart, radius)));
       }
+      setPendingStart(null);
     }
   };
 
   const handleCanvasMove = (e) => {
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    setHoveredPoint({ x, y });
+    setHoveredPoint(getSketchPosition(e));
+  };
+
+  const selectTool = (tool) => {
+    setCurrentTool(tool);
+    setPendingStart(null);
+    setPendingPath([]);
+    if (tool !== "select") setSelection([]);
   };
 
   const handleClear = () => {
-    setPoints([]);
-    setLines([]);
-    setTempLineStart(null);
+    apply(solveSketch(createSketch()));
+    setPendingStart(null);
+    setPendingPath([]);
+    setSelection([]);
+  };
+
+  const handleUndo = () => {
+    setPendingStart(null);
+    setPendingPath([]);
+    if (history.length === 0) return;
+    setSketch(history[history.length - 1]);
+    setHistory(history.slice(0, -1));
+    setSelection([]);
+    setMessage(null);
+  };
+
+  const handleDeleteSelected = () => {
+    apply(solveSketch(removeEntities(sketch, selection)));
+    setSelection([]);
+  };
+
+  const handleConstraint = (type) => {
+    const entities = matchEntities(sketch, type, selection);
+    if (!entities) return;
+    if (
+      apply(
+        addConstraint(sketch, { type, entities }),
+        `${CONSTRAINT_TYPES[type].label} conflicts with the other constraints`
+      )
+    ) {
+      setSelection([]);
+    }
+  };
+
+  const handleDimension = (type) => {
+    const entities = matchEntities(sketch, type, selection);
+    if (!entities) return;
+    const typed = parseFloat(dimensionText);
+    const value = typed > 0 ? typed : measureDimension(sketch, type, entities);
+    if (
+      apply(
+        addConstraint(sketch, { type, entities, value }),
+        `${DIMENSION_TYPES[type].label} of ${value} m conflicts with the other constraints`
+      )
+    ) {
+      setSelection([]);
+      setDimensionText("");
+    }
   };
 
-  const handleCreate = () => {
-    if (points.length < 2) {
-      alert("Please draw at least 2 points or 1 line to create a shape");
+  const handleDimensionChange = (id, value) => {
+    apply(
+      setDimensionValue(sketch, id, value),
+      `${value} m conflicts with the other constraints`
+    );
+  };
+
+  const canOffset = selection.some((id) =>
+    OFFSET_KINDS.includes(getEntityKind(sketch, id))
+  );
+
+  const handleOffset = () => {
+    const distance = parseFloat(offsetText);
+    const next = distance ? offsetEntities(sketch, selection, distance) : null;
+    if (!next) {
+      setMessage("Enter a distance that leaves the offset curves a size");
       return;
     }
+    if (apply(solveSketch(next))) setSelection([]);
+  };
 
-    const shape = new THREE.Shape();
+  const importScale = parseFloat(importScaleText);
+  const drawingBounds = useMemo(
+    () => drawing && getProfileBounds(drawing.items),
+    [drawing]
+  );
 
-    if (lines.length > 0) {
-      const sortedLines = [...lines];
-      shape.moveTo(
-        (sortedLines[0].start.x - 300) / 20,
-        -(sortedLines[0].start.y - 250) / 20
+  const handleDrawingFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { items, skipped, scale } = parseProfileFile(
+        file.name,
+        await file.text()
       );
+      if (items.length === 0) throw new Error("nothing to import");
+      setDrawing({ name: file.name, items, skipped });
+      if (scale) setImportScaleText(String(scale));
+      setMessage(null);
+    } catch (err) {
+      setDrawing(null);
+      setMessage(`Couldn't import ${file.name}: ${err.message}`);
+    }
+  };
 
-      sortedLines.forEach((line) => {
-        shape.lineTo((line.end.x - 300) / 20, -(line.end.y - 250) / 20);
-      });
-    } else {
-      // Use points tocreate shape (legacy mode)
-      const normalizedPoints = points.map((p) => ({
-        x: (p.x - 300) / 20,
-        y: -(p.y - 250) / 20,
-      }));
-
-      shape.moveTo(normalizedPoints[0].x, normalizedPoints[0].y);
-      for (let i = 1; i < normalizedPoints.length; i++) {
-        shape.lineTo(normalizedPoints[i].x, normalizedPoints[i].y);
-      }
-      shape.lineTo(normalizedPoints[0].x, normalizedPoints[0].y);
+  const handleImportDrawing = () => {
+    const next = addProfileToSketch(sketch, drawing.items, {
+      scale: importScale,
+      centered: importCentered,
+    });
+    if (apply(solveSketch(next))) setDrawing(null);
+  };
+
+  const handleRemoveConstraint = (id) => {
+    apply(
+      solveSketch({
+        ...sketch,
+        constraints: sketch.constraints.filter((c) => c.id !== id),
+      })
+    );
+  };
+
+  const handleCreateProfile = () => {
+    // Lines are chained end to end, like the extrusion outline
+    const path = getSketchOutline(sketch);
+    if (path.length < 2) {
+      alert("Please draw at least 2 points or 1 line to create a profile");
+      return;
     }
 
-    onCreateExtrusion(shape, extrudeDepth, bevelEnabled, bevelSize);
+    onCreateProfile(path.map(({ x, y }) => [Math.abs(x), y]));
     onClose();
   };
 
+  const handleCreateSection = () => {
+    const shape = sketchToShape(sketch);
+    if (!shape) {
+      alert("Please draw a closed outline or a circle to use as a section");
+      return;
+    }
+
+    onCreateSection(shape, sketch);
+    onClose();
+  };
+
+  const handleCreate = (cut = false) => {
+    const shape = sketchToShape(sketch);
+    if (!shape) {
+      alert("Please draw a closed outline or a circle to create a shape");
+      return;
+    }
+
+    (cut ? onCreateCut : onCreateExtrusion)(
+      shape,
+      extrudeDepth,
+      bevelEnabled,
+      bevelSize,
+      sketch
+    );
+    onClose();
+  };
+
+  const selectionMeasure = (type) => {
+    const entities = matchEntities(sketch, type, selection);
+    return entities ? measureDimension(sketch, type, entities) : null;
+  };
+  const measured =
+    selectionMeasure("distance") ?? selectionMeasure("radius") ?? null;
+
   return (
     <div className="sketch-modal-overlay" onClick={onClose}>
       <div
@@ -206,7 +842,9 @@ export default function ImprovedSketchModal({ onClose, onCreateExtrusion }) {
         onClick={(e) => e.stopPropagation()}
       >
         <div className="sketch-header">
-          <h2>Advanced Sketch</h2>
+          <h2>
+            {title || (isProfile ? "Revolve Profile" : "Advanced Sketch")}
+          </h2>
           <button onClick={onClose} className="close-btn">
             ×
           </button>
@@ -224,100 +862,322 @@ export default function ImprovedSketchModal({ onClose, onCreateExtrusion }) {
             />
             <div className="sketch-instructions">
               <strong>Tools:</strong> {currentTool.toUpperCase()} |
-              <strong> Points:</strong> {points.length} |
-              <strong> Lines:</strong> {lines.length}
-              {tempLineStart && " | Drawing line..."}
+              <strong> Points:</strong> {sketch.points.length} |
+              <strong> Lines:</strong> {sketch.lines.length} |
+              <strong> Circles:</strong> {sketch.circles.length} |
+              <strong> Arcs:</strong> {sketch.arcs.length} |
+              <strong> Splines:</strong> {sketch.splines.length} |
+              <strong> DOF:</strong> {dof === 0 ? "fully constrained" : dof}
+              {(pendingStart !== null || pendingPath.length > 0) &&
+                " | Drawing..."}
+              {message && <div className="sketch-message">{message}</div>}
             </div>
           </div>
 
           <div className="sketch-controls">
             <h3>Tools</h3>
             <div className="tool-buttons">
+              {TOOLS.map(({ tool, label }) => (
+                <button
+                  key={tool}
+                  className={`tool-btn ${currentTool === tool ? "active" : ""}`}
+                  onClick={() => selectTool(tool)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {currentTool === "polygon" && (
+              <div className="control-group">
+                <label>Sides: {polygonSides}</label>
+                <input
+                  type="range"
+                  min="3"
+                  max="12"
+                  step="1"
+                  value={polygonSides}
+                  onChange={(e) =>
+                    setPolygonSides(parseInt(e.target.value, 10))
+                  }
+                  className="slider"
+                />
+              </div>
+            )}
+
+            <h3>Constraints</h3>
+            <div className="tool-buttons constraint-buttons">
+              {Object.entries(CONSTRAINT_TYPES).map(([type, constraint]) => (
+                <button
+                  key={type}
+                  className="tool-btn"
+                  disabled={!matchEntities(sketch, type, selection)}
+                  onClick={() => handleConstraint(type)}
+                  title={`${constraint.label}: select ${constraint.signatures
+                    .map((kinds) => kinds.join(" + "))
+                    .join(" or ")}`}
+                >
+                  {constraint.symbol} {constraint.label}
+                </button>
+              ))}
+            </div>
+
+            <h3>Dimensions</h3>
+            <div className="control-group dimension-add">
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                value={dimensionText}
+                placeholder={measured !== null ? measured.toFixed(3) : "m"}
+                onChange={(e) => setDimensionText(e.target.value)}
+              />
+              {Object.entries(DIMENSION_TYPES).map(([type, dimension]) => (
+                <button
+                  key={type}
+                  className="tool-btn"
+                  disabled={!matchEntities(sketch, type, selection)}
+                  onClick={() => handleDimension(type)}
+                >
+                  {dimension.label}
+                </button>
+              ))}
+            </div>
+
+            <h3>Offset</h3>
+            <div className="control-group offset-add">
+              <input
+                type="number"
+                step="0.1"
+                value={offsetText}
+                onChange={(e) => setOffsetText(e.target.value)}
+                title="m; positive grows closed outlines and circles"
+              />
               <button
-                className={`tool-btn ${
-                  currentTool === "point" ? "active" : ""
-                }`}
-                onClick={() => {
-                  setCurrentTool("point");
-                  setTempLineStart(null);
-                }}
+                className="tool-btn"
+                disabled={!canOffset}
+                onClick={handleOffset}
               >
-                Point
+                Offset Selected
               </button>
+            </div>
+
+            {sketch.constraints.length > 0 && (
+              <div className="constraint-list">
+                {sketch.constraints.map((constraint) => {
+                  const dimension = DIMENSION_TYPES[constraint.type];
+                  return (
+                    <div key={constraint.id} className="constraint-row">
+                      <span>
+                        {dimension
+                          ? dimension.label
+                          : `${CONSTRAINT_TYPES[constraint.type].symbol} ${
+                              CONSTRAINT_TYPES[constraint.type].label
+                            }`}
+                      </span>
+                      {dimension && (
+                        <DimensionInput
+                          key={constraint.value}
+                          value={constraint.value}
+                          onCommit={(value) =>
+                            handleDimensionChange(constraint.id, value)
+                          }
+                        />
+                      )}
+                      <button
+                        onClick={() => handleRemoveConstraint(constraint.id)}
+                        title="Remove"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            <h3>Import</h3>
+            <div className="control-group">
               <button
-                className={`tool-btn ${currentTool === "line" ? "active" : ""}`}
-                onClick={() => setCurrentTool("line")}
+                className="control-btn"
+                onClick={() => fileInputRef.current?.click()}
               >
-                Line
+                Open SVG / DXF…
               </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".svg,.dxf"
+                style={{ display: "none" }}
+                onChange={handleDrawingFile}
+              />
             </div>
+            {drawing && (
+              <div className="control-group import-options">
+                <div className="import-summary">
+                  {drawing.name}: {drawing.items.length} curves
+                  {Object.entries(drawing.skipped).map(([type, count]) => (
+                    <div key={type} className="import-skipped">
+                      {count} {type} skipped
+                    </div>
+                  ))}
+                </div>
+                <label>
+                  Scale (m per unit)
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={importScaleText}
+                    onChange={(e) => setImportScaleText(e.target.value)}
+                  />
+                </label>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={importCentered}
+                    onChange={(e) => setImportCentered(e.target.checked)}
+                  />
+                  Center on origin
+                </label>
+                {importScale > 0 && drawingBounds && (
+                  <div className="import-summary">
+                    Size:{" "}
+                    {(
+                      (drawingBounds.max.x - drawingBounds.min.x) *
+                      importScale
+                    ).toFixed(3)}{" "}
+                    ×{" "}
+                    {(
+                      (drawingBounds.max.y - drawingBounds.min.y) *
+                      importScale
+                    ).toFixed(3)}{" "}
+                    m
+                  </div>
+                )}
+                <div className="import-actions">
+                  <button className="tool-btn" onClick={() => setDrawing(null)}>
+                    Cancel
+                  </button>
+                  <button
+                    className="tool-btn active"
+                    disabled={!(importScale > 0)}
+                    onClick={handleImportDrawing}
+                  >
+                    Add to Sketch
+                  </button>
+                </div>
+              </div>
+            )}
 
             <h3>Actions</h3>
             <div className="control-group">
               <button onClick={handleClear} className="control-btn">
                 Clear All
               </button>
+              <button onClick={handleUndo} className="control-btn">
+                Undo Last
+              </button>
               <button
-                onClick={() => {
-                  if (tempLineStart) setTempLineStart(null);
-                  if (lines.length > 0) setLines(lines.slice(0, -1));
-                  else if (points.length > 0) setPoints(points.slice(0, -1));
-                }}
+                onClick={handleDeleteSelected}
                 className="control-btn"
+                disabled={selection.length === 0}
               >
-                Undo Last
+                Delete Selected
               </button>
             </div>
 
-            <h3>Extrusion</h3>
-            <div className="control-group">
-              <label>Depth: {extrudeDepth.toFixed(1)}</label>
-              <input
-                type="range"
-                min="0.1"
-                max="10"
-                step="0.1"
-                value={extrudeDepth}
-                onChange={(e) => setExtrudeDepth(parseFloat(e.target.value))}
-                className="slider"
-              />
-            </div>
-
-            <div className="control-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={bevelEnabled}
-                  onChange={(e) => setBevelEnabled(e.target.checked)}
-                />
-                Enable Bevel
-              </label>
-            </div>
-
-            {bevelEnabled && (
+            {isProfile ? (
               <div className="control-group">
-                <label>Bevel Size: {bevelSize.toFixed(2)}</label>
-                <input
-                  type="range"
-                  min="0.01"
-                  max="0.5"
-                  step="0.01"
-                  value={bevelSize}
-                  onChange={(e) => setBevelSize(parseFloat(e.target.value))}
-                  className="slider"
-                />
+                <button
+                  onClick={handleCreateProfile}
+                  className="create-btn"
+                  disabled={
+                    sketch.points.length < 2 && sketch.lines.length === 0
+                  }
+                >
+                  Use Profile
+                </button>
               </div>
-            )}
+            ) : onCreateSection ? (
+              <div className="control-group">
+                <button
+                  onClick={handleCreateSection}
+                  className="create-btn"
+                  disabled={
+                    sketch.points.length < 3 && sketch.circles.length === 0
+                  }
+                >
+                  Use Section
+                </button>
+              </div>
+            ) : (
+              <>
+                <h3>Extrusion</h3>
+                <div className="control-group">
+                  <label>Depth: {extrudeDepth.toFixed(1)}</label>
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="10"
+                    step="0.1"
+                    value={extrudeDepth}
+                    onChange={(e) =>
+                      setExtrudeDepth(parseFloat(e.target.value))
+                    }
+                    className="slider"
+                  />
+                </div>
 
-            <div className="control-group">
-              <button
-                onClick={handleCreate}
-                className="create-btn"
-                disabled={points.length < 2 && lines.length === 0}
-              >
-                Create 3D Object
-              </button>
-            </div>
+                <div className="control-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={bevelEnabled}
+                      onChange={(e) => setBevelEnabled(e.target.checked)}
+                    />
+                    Enable Bevel
+                  </label>
+                </div>
+
+                {bevelEnabled && (
+                  <div className="control-group">
+                    <label>Bevel Size: {bevelSize.toFixed(2)}</label>
+                    <input
+                      type="range"
+                      min="0.01"
+                      max="0.5"
+                      step="0.01"
+                      value={bevelSize}
+                      onChange={(e) => setBevelSize(parseFloat(e.target.value))}
+                      className="slider"
+                    />
+                  </div>
+                )}
+
+                <div className="control-group">
+                  <button
+                    onClick={() => handleCreate()}
+                    className="create-btn"
+                    disabled={
+                      sketch.points.length < 3 && sketch.circles.length === 0
+                    }
+                  >
+                    {onCreateCut ? "Extrude" : "Create 3D Object"}
+                  </button>
+                  {onCreateCut && (
+                    <button
+                      onClick={() => handleCreate(true)}
+                      className="create-btn"
+                      disabled={
+                        sketch.points.length < 3 && sketch.circles.length === 0
+                      }
+                    >
+                      Cut
+                    </button>
+                  )}
+                </div>
+              </>
+            )}
 
             <div className="stats">
               <p>
@@ -325,8 +1185,21 @@ export default function ImprovedSketchModal({ onClose, onCreateExtrusion }) {
               </p>
               <p>• Points snap to nearby points (magnetic!)</p>
               <p>• Line tool: Click start, then end point</p>
-              <p>• Points connect automatically when near</p>
-              <p>• Yellow highlight = snap zone</p>
+              <p>• Rectangle / Circle / Polygon: Click two points</p>
+              <p>• 3-point arc: Click both ends, then a point on the arc</p>
+              <p>• Tangent arc: Click the end of a line or arc, then the end</p>
+              <p>• Spline: Click points, click the last one again to finish</p>
+              <p>
+                • Trim / Extend: Click the piece to cut or the end to lengthen
+              </p>
+              <p>• Offset: Select curves; positive distances grow outlines</p>
+              <p>• Import: SVG paths or DXF polylines, arcs and circles</p>
+              <p>• Select entities, then add a constraint or dimension</p>
+              <p>• Dimensions are in meters (1 m per square)</p>
+              {isProfile && (
+                <p>• Draw one side of the axis, end to end (1 m per square)</p>
+              )}
+              {reference && <p>• Dashed outline = the picked face</p>}
             </div>
           </div>
         </div>
@@ -1,24 +1,86 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import {
-  getAllProjects,
+  getStorageAdapter,
+  getStorageServer,
+  connectStorageServer,
+  disconnectStorageServer,
+  getStorageUsage,
+  requestPersistentStorage,
   deleteProject,
   createNewProject,
+  saveProject,
+  generateId,
   setCurrentProjectId,
 } from "../utils/projectStorage";
+import { importStoredProject, describeImport } from "../utils/projectFormat";
+import RevisionBrowser from "./RevisionBrowser";
 import "./LandingPage.css";
 
+const STORAGE_WARNING = 0.8; // share of the quota
+const DEFAULT_SERVER = "http://localhost:8787"; // see server/projectServer.js
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
 export default function LandingPage({ onOpenProject, onCreateProject }) {
   const [projects, setProjects] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [storageError, setStorageError] = useState(null);
   const [showNewProjectDialog, setShowNewProjectDialog] = useState(false);
   const [newProjectName, setNewProjectName] = useState("");
+  const [historyProject, setHistoryProject] = useState(null);
+  const fileInputRef = useRef(null);
 
   useEffect(() => {
     loadProjects();
   }, []);
 
-  const loadProjects = () => {
-    const allProjects = getAllProjects();
-    setProjects(allProjects);
+  const loadProjects = async () => {
+    try {
+      setProjects(await getStorageAdapter().list());
+      setStorageError(null);
+    } catch (error) {
+      console.error("Failed to load projects:", error);
+      setProjects([]);
+      setStorageError(error.message);
+    }
+    setStorage(await getStorageUsage());
+  };
+
+  const handleConnectServer = async () => {
+    const url = window.prompt(
+      "Project server address (start one with npm run server):",
+      getStorageServer() || DEFAULT_SERVER
+    );
+    if (!url?.trim()) return;
+    try {
+      await connectStorageServer(url.trim());
+    } catch (error) {
+      alert(`${url.trim()} could not be reached: ${error.message}`);
+      return;
+    }
+    loadProjects();
+  };
+
+  const handleUseBrowser = async () => {
+    await disconnectStorageServer();
+    loadProjects();
+  };
+
+  const handlePersistStorage = async () => {
+    if (!(await requestPersistentStorage())) {
+      alert("The browser declined to keep storage persistent.");
+    }
+    setStorage(await getStorageUsage());
   };
 
   const handleCreateNew = () => {
@@ -30,19 +92,63 @@ export default function LandingPage({ onOpenProject, onCreateProject }) {
     onCreateProject(project);
   };
 
+  // Imported projects get a fresh id so they never replace an existing one
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const result = await importStoredProject(await file.text());
+    if (!result.project) {
+      alert(`${file.name} could not be imported: ${result.error}`);
+      return;
+    }
+    const report = describeImport(result);
+    if (report) alert(`${file.name} was imported with changes:\n\n${report}`);
+    let project;
+    try {
+      project = await saveProject({
+        ...result.project,
+        id: generateId(),
+        createdAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      alert(`${file.name} could not be saved: ${error}`);
+      return;
+    }
+    setCurrentProjectId(project.id);
+    onCreateProject(project);
+  };
+
   const handleOpenProject = (project) => {
     setCurrentProjectId(project.id);
     onOpenProject(project);
   };
 
-  const handleDeleteProject = (e, projectId) => {
+  const handleShowHistory = (e, project) => {
+    e.stopPropagation();
+    setHistoryProject(project);
+  };
+
+  const handleDeleteProject = async (e, projectId) => {
     e.stopPropagation();
     if (window.confirm("Are you sure you want to delete this project?")) {
-      deleteProject(projectId);
+      try {
+        await deleteProject(projectId);
+      } catch (error) {
+        alert(`The project could not be deleted: ${error.message}`);
+      }
       loadProjects();
     }
   };
 
+  const usedShare =
+    storage?.usage != null && storage.quota
+      ? storage.usage / storage.quota
+      : null;
+  const projectBytes = new Map(
+    (storage?.projects || []).map((p) => [p.id, p.bytes])
+  );
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return (
@@ -58,13 +164,72 @@ export default function LandingPage({ onOpenProject, onCreateProject }) {
         <div className="landing-title">
           <h1>Habitat Creator</h1>
           <p>Create and manage your 3D habitat models</p>
+          {usedShare !== null && (
+            <div
+              className={`storage-usage${usedShare > STORAGE_WARNING ? " warning" : ""}`}
+              title={
+                storage.persisted
+                  ? "Storage is persistent"
+                  : "The browser may clear this storage when space runs low"
+              }
+            >
+              <div className="storage-bar">
+                <div
+                  className="storage-fill"
+                  style={{ width: `${Math.min(usedShare, 1) * 100}%` }}
+                />
+              </div>
+              <span>
+                {formatBytes(storage.usage)} of {formatBytes(storage.quota)}{" "}
+                used
+              </span>
+              {!storage.persisted && (
+                <button className="btn-persist" onClick={handlePersistStorage}>
+                  Keep data
+                </button>
+              )}
+            </div>
+          )}
+          <div
+            className={`storage-location${storageError ? " warning" : ""}`}
+            title={storageError || undefined}
+          >
+            <span>
+              Projects are kept in: {getStorageAdapter().name}
+              {storageError && " (unreachable)"}
+            </span>
+            {getStorageServer() ? (
+              <button className="btn-storage" onClick={handleUseBrowser}>
+                Use this browser
+              </button>
+            ) : (
+              <button className="btn-storage" onClick={handleConnectServer}>
+                Use a project server
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="landing-actions">
+          <button
+            className="btn-import-project"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Import Project
+          </button>
+          <button
+            className="btn-new-project"
+            onClick={() => setShowNewProjectDialog(true)}
+          >
+            + New Project
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: "none" }}
+            onChange={handleImportFile}
+          />
         </div>
-        <button
-          className="btn-new-project"
-          onClick={() => setShowNewProjectDialog(true)}
-        >
-          + New Project
-        </button>
       </div>
 
       <div className="projects-grid">
@@ -101,12 +266,21 @@ export default function LandingPage({ onOpenProject, onCreateProject }) {
                 <div className="project-meta">
                   <span className="object-count">
                     {project.objects?.length || 0} objects
+                    {projectBytes.has(project.id) &&
+                      ` · ${formatBytes(projectBytes.get(project.id))}`}
                   </span>
                   <span className="project-date">
                     {formatDate(project.updatedAt)}
                   </span>
                 </div>
               </div>
+              <button
+                className="btn-history-project"
+                onClick={(e) => handleShowHistory(e, project)}
+                title="Revisions of this project"
+              >
+                History
+              </button>
               <button
                 className="btn-delete-project"
                 onClick={(e) => handleDeleteProject(e, project.id)}
@@ -119,6 +293,14 @@ export default function LandingPage({ onOpenProject, onCreateProject }) {
         )}
       </div>
 
+      {historyProject && (
+        <RevisionBrowser
+          project={historyProject}
+          onOpenProject={handleOpenProject}
+          onClose={() => setHistoryProject(null)}
+        />
+      )}
+
       {showNewProjectDialog && (
         <div
           className="modal-overlay"
@@ -1,6 +1,8 @@
-import { useEffect, useRef, useCallback } from "react";
+import { useEffect, useRef, useCallback, useState } from "react";
 import { useFrame } from "@react-three/fiber";
+import { Html } from "@react-three/drei";
 import * as THREE from "three";
+import { checkPortMating } from "../utils/portStandards";
 import {
   findClosestAttachmentPoint,
   getAttachmentPoints,
@@ -10,9 +12,13 @@ import {
   createConnectionBolt,
 } from "../utils/connectionSystem";
 
+const REJECTION_LABEL_DISTANCE = 3.0; // Show why a snap is refused within this range
+
 /**
  * MagneticEffectManager - Handles visual effects for magnetic snapping
  * Shows particle rings, glows, and connection bolts when modules snap together
+ * Facing ports that may not mate (see portStandards.js) glow red with the
+ * reason
  */
 export default function MagneticEffectManager({
   objects,
@@ -22,6 +28,15 @@ export default function MagneticEffectManager({
   const magneticParticlesRef = useRef([]);
   const activeEffectsRef = useRef([]);
   const lastSnapPointRef = useRef(null);
+  const rejectionKeyRef = useRef(null);
+  const [rejection, setRejection] = useState(null);
+
+  const updateRejection = (next) => {
+    const key = next ? `${next.reason}_${next.position.toArray()}` : null;
+    if (key === rejectionKeyRef.current) return;
+    rejectionKeyRef.current = key;
+    setRejection(next);
+  };
 
   // Clean up effects on unmount
   useEffect(() => {
@@ -71,9 +86,12 @@ export default function MagneticEffectManager({
         magneticParticlesRef.current = [];
         lastSnapPointRef.current = null;
       }
+      updateRejection(null);
       return;
     }
 
+    let nearestRejection = null;
+
     // Get all non-selected module meshes from the scene
     const targetModules = objects
       .filter((obj) => !selectedObjectIds.includes(obj.id))
@@ -94,12 +112,28 @@ export default function MagneticEffectManager({
 
         if (closestPoint) {
           const distance = closestPoint.distance;
+          const mating = checkPortMating(sourcePoint, closestPoint);
+          const effectColor = mating.compatible ? 0x00ffff : 0xff3344;
+
+          // Ports merely passing each other aren't an attempt to mate
+          if (
+            !mating.compatible &&
+            mating.facing &&
+            distance < REJECTION_LABEL_DISTANCE &&
+            (!nearestRejection || distance < nearestRejection.distance)
+          ) {
+            nearestRejection = {
+              position: closestPoint.position.clone(),
+              reason: mating.reason,
+              distance,
+            };
+          }
 
           // Show magnetic field effect when within INCREASED visual range
           if (distance < 6.0) {
             // Increased from 5.0
             // Check if we need to create new particles for this snap point
-            const snapPointKey = `${sourcePoint.module.uuid}_${closestPoint.module.uuid}`;
+            const snapPointKey = `${sourcePoint.module.uuid}_${closestPoint.module.uuid}_${mating.compatible}`;
 
             // DEBUG: Log effect activation
             if (Math.random() > 0.98) {
@@ -122,7 +156,7 @@ export default function MagneticEffectManager({
               const particles = createMagneticFieldEffect(
                 closestPoint.position,
                 1.5, // Increased radius from 1.2
-                0x00ffff
+                effectColor
               );
 
               particles.forEach((particle) => {
@@ -155,7 +189,7 @@ export default function MagneticEffectManager({
             // Create snap glow MORE FREQUENTLY when close
             if (distance < 2.0 && Math.random() > 0.7) {
               // Increased chance from 0.9
-              const glow = createSnapGlow(closestPoint.position, 0x00ffff);
+              const glow = createSnapGlow(closestPoint.position, effectColor);
               glow.scale.set(2, 2, 2); // Make glow bigger
               scene.add(glow);
               activeEffectsRef.current.push(glow);
@@ -165,11 +199,11 @@ export default function MagneticEffectManager({
             if (distance < 3.0 && Math.random() > 0.95) {
               const ringGeo = new THREE.RingGeometry(0.5, 0.8, 32);
               const ringMat = new THREE.MeshBasicMaterial({
-                color: 0x00ffff,
+                color: effectColor,
                 transparent: true,
                 opacity: 0.8,
                 side: THREE.DoubleSide,
-                emissive: 0x00ffff,
+                emissive: effectColor,
                 emissiveIntensity: 2.0,
               });
               const ring = new THREE.Mesh(ringGeo, ringMat);
@@ -196,6 +230,8 @@ export default function MagneticEffectManager({
       });
     });
 
+    updateRejection(nearestRejection);
+
     // Clean up old effects (glows and bolts) - slower fade for more visibility
     const now = Date.now();
     activeEffectsRef.current = activeEffectsRef.current.filter((effect) => {
@@ -251,5 +287,26 @@ export default function MagneticEffectManager({
     };
   }, [createSnapEffect]);
 
-  return null; // This is a logic-only component
+  if (!rejection) return null;
+
+  return (
+    <Html position={rejection.position.toArray()}>
+      <div
+        style={{
+          background: "rgba(60, 0, 0, 0.85)",
+          color: "#ff8a8a",
+          border: "1px solid #ff3344",
+          padding: "4px 8px",
+          borderRadius: "4px",
+          fontSize: "11px",
+          fontWeight: "bold",
+          whiteSpace: "nowrap",
+          pointerEvents: "none",
+          transform: "translate(-50%, -150%)",
+        }}
+      >
+        ⛔ {rejection.reason}
+      </div>
+    </Html>
+  );
 }
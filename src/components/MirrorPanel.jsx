@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_MIRROR,
+  MIRROR_PLANES,
+  validateMirror,
+} from "../utils/patterns";
+import "./MirrorPanel.css";
+
+function VectorInput({ value, step, onChange }) {
+  // Cleared inputs hold NaN until the user types again
+  return (
+    <div className="mirror-vector">
+      {value.map((c, i) => (
+        <input
+          key={i}
+          type="number"
+          step={step}
+          value={Number.isFinite(c) ? c : ""}
+          onChange={(e) =>
+            onChange(
+              value.map((v, j) => (j === i ? parseFloat(e.target.value) : v))
+            )
+          }
+          title={["X", "Y", "Z"][i]}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function MirrorPanel({ selectedCount, onCreate, onClose }) {
+  const [options, setOptions] = useState(DEFAULT_MIRROR);
+  const errors = validateMirror(options);
+
+  const update = (changes) => setOptions((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <div className="mirror-panel">
+      <div className="mirror-header">
+        <h3>Mirror</h3>
+        <button className="close-btn" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className="mirror-body">
+        <label>
+          <span>Plane</span>
+          <select
+            value={options.plane}
+            onChange={(e) => update({ plane: e.target.value })}
+          >
+            {Object.entries(MIRROR_PLANES).map(([key, plane]) => (
+              <option key={key} value={key}>
+                {plane.label}
+              </option>
+            ))}
+            <option value="custom">Custom</option>
+          </select>
+        </label>
+
+        {options.plane === "custom" ? (
+          <>
+            <label>
+              <span>Point (m)</span>
+              <VectorInput
+                value={options.point}
+                step="0.5"
+                onChange={(point) => update({ point })}
+              />
+            </label>
+            <label>
+              <span>Normal</span>
+              <VectorInput
+                value={options.normal}
+                step="0.1"
+                onChange={(normal) => update({ normal })}
+              />
+            </label>
+          </>
+        ) : (
+          <label>
+            <span>Offset (m)</span>
+            <input
+              type="number"
+              step="0.5"
+              value={Number.isFinite(options.offset) ? options.offset : ""}
+              onChange={(e) => update({ offset: parseFloat(e.target.value) })}
+            />
+          </label>
+        )}
+
+        {errors.length > 0 && (
+          <ul className="mirror-errors">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+        <div className="mirror-note">
+          Mirror images stay linked: editing one side edits the other until the
+          copies are exploded.
+        </div>
+      </div>
+
+      <div className="mirror-actions">
+        <button className="cancel-btn" onClick={onClose}>
+          Cancel
+        </button>
+        <button
+          className="apply-btn"
+          disabled={errors.length > 0 || selectedCount === 0}
+          onClick={() => onCreate(options)}
+        >
+          ✓ Mirror
+        </button>
+      </div>
+    </div>
+  );
+}
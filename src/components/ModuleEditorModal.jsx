@@ -0,0 +1,426 @@
+import React, { useMemo, useState } from "react";
+import {
+  GENERATOR_TEMPLATES,
+  getGeneratorTemplate,
+  changeModuleGenerator,
+  getGeneratorPorts,
+  validateModuleDefinition,
+} from "../utils/customModules";
+import { PORT_STANDARDS } from "../utils/portStandards";
+import {
+  normalizeProfile,
+  getProfileBounds,
+  validateProfile,
+  parseProfileText,
+  formatProfileText,
+} from "../utils/revolveProfile";
+import ImprovedSketchModal from "./ImprovedSketchModal";
+import "./ModuleEditorModal.css";
+
+// Cleared number inputs hold NaN until the user types again
+const numberValue = (value) => (Number.isFinite(value) ? value : "");
+
+export default function ModuleEditorModal({
+  definition,
+  isNew,
+  onSave,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(definition);
+
+  const template = getGeneratorTemplate(draft.generator);
+  // Ports only depend on the shape, not on names or ranges
+  const { generator, defaultParams } = draft;
+  const ports = useMemo(
+    () => getGeneratorPorts({ generator, defaultParams }),
+    [generator, defaultParams]
+  );
+  const errors = validateModuleDefinition(draft);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const setDefault = (name, value) =>
+    update({
+      defaultParams: { ...draft.defaultParams, [name]: parseFloat(value) },
+    });
+
+  const toggleAdjustable = (param) => {
+    const isAdjustable = draft.adjustableParams.some(
+      (p) => p.name === param.name
+    );
+    update({
+      adjustableParams: isAdjustable
+        ? draft.adjustableParams.filter((p) => p.name !== param.name)
+        : template.adjustableParams
+            .filter(
+              (p) =>
+                p.name === param.name ||
+                draft.adjustableParams.some((a) => a.name === p.name)
+            )
+            .map(
+              (p) =>
+                draft.adjustableParams.find((a) => a.name === p.name) || {
+                  ...p,
+                }
+            ),
+    });
+  };
+
+  // A new profile resets the size defaults to its drawn size
+  const setProfile = (profile) => {
+    const { diameter, length } = getProfileBounds(normalizeProfile(profile));
+    const round = (value) => Math.round(value * 100) / 100;
+    update({
+      defaultParams: {
+        ...draft.defaultParams,
+        profile,
+        diameter: round(diameter),
+        length: round(length),
+      },
+    });
+  };
+
+  const setRange = (name, key, value) =>
+    update({
+      adjustableParams: draft.adjustableParams.map((p) =>
+        p.name === name ? { ...p, [key]: parseFloat(value) } : p
+      ),
+    });
+
+  const getPortState = (port) => ({
+    enabled: true,
+    standard: port.standard,
+    gender: port.gender,
+    ...draft.portOverrides?.[port.name],
+  });
+
+  const setPort = (port, changes) => {
+    const next = { ...getPortState(port), ...changes };
+    if (changes.standard) {
+      next.gender = PORT_STANDARDS[changes.standard].genders[0];
+    }
+    update({
+      portOverrides: { ...draft.portOverrides, [port.name]: next },
+    });
+  };
+
+  return (
+    <div className="module-editor-overlay" onClick={onClose}>
+      <div className="module-editor" onClick={(e) => e.stopPropagation()}>
+        <div className="module-editor-header">
+          <h2>{isNew ? "New Module" : "Edit Module"}</h2>
+          <button className="close-btn" onClick={onClose} title="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="module-editor-body">
+          <section>
+            <h3>Identity</h3>
+            <div className="editor-row">
+              <label className="editor-icon">
+                <span>Icon</span>
+                <input
+                  type="text"
+                  maxLength={4}
+                  value={draft.icon}
+                  onChange={(e) => update({ icon: e.target.value })}
+                />
+              </label>
+              <label className="editor-grow">
+                <span>Name</span>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => update({ name: e.target.value })}
+                />
+              </label>
+            </div>
+            <label>
+              <span>Description</span>
+              <textarea
+                rows={2}
+                value={draft.description}
+                onChange={(e) => update({ description: e.target.value })}
+              />
+            </label>
+            <label>
+              <span>Base Shape</span>
+              <select
+                value={draft.generator}
+                onChange={(e) =>
+                  setDraft(changeModuleGenerator(draft, e.target.value))
+                }
+              >
+                {GENERATOR_TEMPLATES.map((t) => (
+                  <option key={t.generator} value={t.generator}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </section>
+
+          {draft.generator === "generateRevolvedProfile" && (
+            <ProfileEditor
+              profile={draft.defaultParams.profile}
+              onChange={setProfile}
+            />
+          )}
+
+          <section>
+            <h3>Parameters</h3>
+            <table className="editor-table">
+              <thead>
+                <tr>
+                  <th>Parameter</th>
+                  <th>Default</th>
+                  <th>Adjustable</th>
+                  <th>Min</th>
+                  <th>Max</th>
+                  <th>Step</th>
+                </tr>
+              </thead>
+              <tbody>
+                {template.adjustableParams.map((param) => {
+                  const range = draft.adjustableParams.find(
+                    (p) => p.name === param.name
+                  );
+                  return (
+                    <tr key={param.name}>
+                      <td>{param.label}</td>
+                      <td>
+                        <input
+                          type="number"
+                          step={param.step}
+                          value={numberValue(draft.defaultParams[param.name])}
+                          onChange={(e) =>
+                            setDefault(param.name, e.target.value)
+                          }
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={!!range}
+                          onChange={() => toggleAdjustable(param)}
+                        />
+                      </td>
+                      {["min", "max", "step"].map((key) => (
+                        <td key={key}>
+                          <input
+                            type="number"
+                            value={numberValue(range?.[key])}
+                            disabled={!range}
+                            onChange={(e) =>
+                              setRange(param.name, key, e.target.value)
+                            }
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </section>
+
+          <section>
+            <h3>Attachment Ports</h3>
+            {ports.length === 0 ? (
+              <p className="editor-empty">This shape has no ports.</p>
+            ) : (
+              <table className="editor-table">
+                <thead>
+                  <tr>
+                    <th>On</th>
+                    <th>Port</th>
+                    <th>Standard</th>
+                    <th>Gender</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ports.map((port) => {
+                    const state = getPortState(port);
+                    return (
+                      <tr key={port.name}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={state.enabled}
+                            onChange={(e) =>
+                              setPort(port, { enabled: e.target.checked })
+                            }
+                          />
+                        </td>
+                        <td>
+                          {port.name}
+                          {port.diameter != null && (
+                            <small> Ø {port.diameter} m</small>
+                          )}
+                        </td>
+                        <td>
+                          <select
+                            value={state.standard || ""}
+                            disabled={!state.enabled}
+                            onChange={(e) =>
+                              setPort(port, { standard: e.target.value })
+                            }
+                          >
+                            {Object.entries(PORT_STANDARDS).map(
+                              ([id, standard]) => (
+                                <option key={id} value={id}>
+                                  {standard.label}
+                                </option>
+                              )
+                            )}
+                          </select>
+                        </td>
+                        <td>
+                          <select
+                            value={state.gender || ""}
+                            disabled={!state.enabled || !state.standard}
+                            onChange={(e) =>
+                              setPort(port, { gender: e.target.value })
+                            }
+                          >
+                            {(
+                              PORT_STANDARDS[state.standard]?.genders || []
+                            ).map((gender) => (
+                              <option key={gender} value={gender}>
+                                {gender}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          {errors.length > 0 && (
+            <ul className="editor-errors">
+              {errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="module-editor-actions">
+          <button className="cancel-btn" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="save-btn"
+            disabled={errors.length > 0}
+            onClick={() => onSave(draft)}
+          >
+            ✓ Save Module
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Half-profile of a revolved module, typed as "r, z" lines or drawn in the
+ * sketcher, with a silhouette preview
+ */
+function ProfileEditor({ profile, onChange }) {
+  const [text, setText] = useState(() => formatProfileText(profile));
+  const [problems, setProblems] = useState([]);
+  const [isSketching, setSketching] = useState(false);
+
+  const applyText = (value) => {
+    setText(value);
+    const parsed = parseProfileText(value);
+    const errors = parsed.errors.length
+      ? parsed.errors
+      : validateProfile(parsed.profile);
+    setProblems(errors);
+    if (errors.length === 0) onChange(parsed.profile);
+  };
+
+  const applySketch = (sketched) => {
+    setText(formatProfileText(sketched));
+    const errors = validateProfile(sketched);
+    setProblems(errors);
+    if (errors.length === 0) onChange(sketched);
+  };
+
+  return (
+    <section>
+      <h3>Profile</h3>
+      <div className="profile-editor">
+        <label className="editor-grow">
+          <span>Points (r, z in m, one per line, end to end)</span>
+          <textarea
+            rows={7}
+            value={text}
+            onChange={(e) => applyText(e.target.value)}
+            spellCheck={false}
+          />
+        </label>
+        <ProfilePreview profile={profile} />
+      </div>
+      <button className="profile-sketch-btn" onClick={() => setSketching(true)}>
+        ✏️ Draw in Sketcher
+      </button>
+      {problems.length > 0 && (
+        <ul className="editor-errors">
+          {problems.map((problem) => (
+            <li key={problem}>{problem}</li>
+          ))}
+        </ul>
+      )}
+      {isSketching && (
+        <ImprovedSketchModal
+          onClose={() => setSketching(false)}
+          onCreateProfile={applySketch}
+        />
+      )}
+    </section>
+  );
+}
+
+const PREVIEW_SIZE = 120;
+
+function ProfilePreview({ profile }) {
+  const points = normalizeProfile(profile);
+  if (points.length < 2) return <div className="profile-preview" />;
+
+  const { maxRadius, minZ, length } = getProfileBounds(points);
+  const scale = (PREVIEW_SIZE - 10) / Math.max(2 * maxRadius, length, 1e-6);
+  const toSvg = (r, z) =>
+    `${PREVIEW_SIZE / 2 + r * scale},${
+      PREVIEW_SIZE / 2 + (length / 2 - (z - minZ)) * scale
+    }`;
+  // Right half as drawn, left half mirrored across the axis
+  const outline = [
+    ...points.map(([r, z]) => toSvg(r, z)),
+    ...[...points].reverse().map(([r, z]) => toSvg(-r, z)),
+  ].join(" ");
+
+  return (
+    <svg
+      className="profile-preview"
+      width={PREVIEW_SIZE}
+      height={PREVIEW_SIZE}
+      viewBox={`0 0 ${PREVIEW_SIZE} ${PREVIEW_SIZE}`}
+    >
+      <line
+        x1={PREVIEW_SIZE / 2}
+        y1={0}
+        x2={PREVIEW_SIZE / 2}
+        y2={PREVIEW_SIZE}
+        className="profile-axis"
+      />
+      <polygon points={outline} className="profile-shape" />
+    </svg>
+  );
+}
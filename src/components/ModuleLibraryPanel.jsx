@@ -1,9 +1,19 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useRef } from "react";
 import { MODULE_LIBRARY, MODULE_CATEGORIES } from "../utils/moduleLibrary";
 import "./ModuleLibraryPanel.css";
 
 //drag and drop doesn't work here
-export default function ModuleLibraryPanel({ onModuleSelect, onClose }) {
+export default function ModuleLibraryPanel({
+  onModuleSelect,
+  onClose,
+  customModules = [],
+  onNewModule,
+  onEditModule,
+  onDeleteModule,
+  onExportModules,
+  onImportModules,
+}) {
+  const importInputRef = useRef(null);
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [searchTerm, setSearchTerm] = useState("");
   const [expandedCategories, setExpandedCategories] = useState(
@@ -11,7 +21,7 @@ export default function ModuleLibraryPanel({ onModuleSelect, onClose }) {
   );
 
   const filteredModules = useMemo(() => {
-    let modules = MODULE_LIBRARY;
+    let modules = [...MODULE_LIBRARY, ...customModules];
 
     if (selectedCategory !== "all") {
       modules = modules.filter((mod) => mod.category === selectedCategory);
@@ -27,7 +37,7 @@ export default function ModuleLibraryPanel({ onModuleSelect, onClose }) {
     }
 
     return modules;
-  }, [selectedCategory, searchTerm]);
+  }, [selectedCategory, searchTerm, customModules]);
 
   const groupedModules = useMemo(() => {
     const groups = {};
@@ -56,6 +66,12 @@ export default function ModuleLibraryPanel({ onModuleSelect, onClose }) {
     onModuleSelect(module);
   };
 
+  const handleImportChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length) onImportModules(files);
+    e.target.value = "";
+  };
+
   const handleDragStart = (e, module) => {
     e.dataTransfer.setData("module", JSON.stringify(module));
     e.dataTransfer.effectAllowed = "copy";
@@ -97,6 +113,35 @@ export default function ModuleLibraryPanel({ onModuleSelect, onClose }) {
         ))}
       </div>
 
+      {onNewModule && (
+        <div className="custom-module-actions">
+          <button onClick={onNewModule} title="Define a new module type">
+            ＋ New Module
+          </button>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            title="Import shared module definitions"
+          >
+            ⤓ Import
+          </button>
+          <button
+            onClick={() => onExportModules(customModules)}
+            disabled={customModules.length === 0}
+            title="Export My Modules for sharing"
+          >
+            ⤒ Export
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            multiple
+            style={{ display: "none" }}
+            onChange={handleImportChange}
+          />
+        </div>
+      )}
+
       <div className="module-list">
         {Object.keys(groupedModules).length === 0 ? (
           <div className="no-results">
@@ -125,6 +170,21 @@ export default function ModuleLibraryPanel({ onModuleSelect, onClose }) {
                       module={module}
                       onClick={() => handleModuleClick(module)}
                       onDragStart={(e) => handleDragStart(e, module)}
+                      onEdit={
+                        module.isCustom && onEditModule
+                          ? () => onEditModule(module)
+                          : null
+                      }
+                      onExport={
+                        module.isCustom && onExportModules
+                          ? () => onExportModules([module])
+                          : null
+                      }
+                      onDelete={
+                        module.isCustom && onDeleteModule
+                          ? () => onDeleteModule(module.id)
+                          : null
+                      }
                     />
                   ))}
                 </div>
@@ -140,7 +200,14 @@ export default function ModuleLibraryPanel({ onModuleSelect, onClose }) {
 }
 
 
-function ModuleCard({ module, onClick, onDragStart }) {
+function ModuleCard({
+  module,
+  onClick,
+  onDragStart,
+  onEdit,
+  onExport,
+  onDelete,
+}) {
   const [isHovered, setIsHovered] = useState(false);
 
   return (
@@ -180,6 +247,44 @@ function ModuleCard({ module, onClick, onDragStart }) {
         )}
       </div>
 
+      {(onEdit || onExport || onDelete) && (
+        <div className="module-card-actions">
+          {onEdit && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onEdit();
+              }}
+              title="Edit module"
+            >
+              ✎
+            </button>
+          )}
+          {onExport && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onExport();
+              }}
+              title="Export module for sharing"
+            >
+              ⤒
+            </button>
+          )}
+          {onDelete && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onDelete();
+              }}
+              title="Delete module"
+            >
+              🗑
+            </button>
+          )}
+        </div>
+      )}
+
       {isHovered && (
         <div className="hover-hint">
           <span>Click or Drag to Add</span>
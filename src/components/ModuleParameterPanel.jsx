@@ -1,10 +1,18 @@
 import React, { useState, useEffect } from "react";
+import { computeObjectBudget } from "../utils/budgetCalculator";
+import {
+  analyzeRotatingModule,
+  DEFAULT_ROTATION,
+  SPIN_AXES,
+} from "../utils/artificialGravity";
 import "./ModuleParameterPanel.css";
 
 
 export default function ModuleParameterPanel({
   module,
   onParameterChange,
+  onDeployStateChange,
+  onRotationChange,
   onClose,
 }) {
   const [params, setParams] = useState({});
@@ -49,6 +57,17 @@ export default function ModuleParameterPanel({
         </div>
       </div>
 
+      {def.stowedGenerator && onDeployStateChange && (
+        <DeployStateControl
+          module={module}
+          onDeployStateChange={onDeployStateChange}
+        />
+      )}
+
+      {onRotationChange && (
+        <RotationControl module={module} onRotationChange={onRotationChange} />
+      )}
+
       <div className="param-controls">
         {def.adjustableParams.map((param) => (
           <ParamControl
@@ -79,6 +98,101 @@ export default function ModuleParameterPanel({
 }
 
 
+function DeployStateControl({ module, onDeployStateChange }) {
+  const deployState = module.userData.deployState || "deployed";
+  const { pressurizedVolume, stowedVolume } = computeObjectBudget(module);
+
+  return (
+    <div className="deploy-state">
+      <div className="deploy-state-buttons">
+        {["stowed", "deployed"].map((state) => (
+          <button
+            key={state}
+            className={deployState === state ? "active" : ""}
+            onClick={() => onDeployStateChange(state)}
+            disabled={deployState === state}
+          >
+            {state === "stowed" ? "📦 Stowed" : "🎈 Deployed"}
+          </button>
+        ))}
+      </div>
+      <div className="deploy-state-volumes">
+        <span>Stowed: {stowedVolume.toFixed(1)} m³</span>
+        <span>Deployed: {pressurizedVolume.toFixed(1)} m³</span>
+      </div>
+    </div>
+  );
+}
+
+function RotationControl({ module, onRotationChange }) {
+  const rotation = module.userData.rotation;
+  const [rpmInput, setRpmInput] = useState(rotation?.rpm ?? "");
+
+  useEffect(() => {
+    setRpmInput(rotation?.rpm ?? "");
+  }, [rotation]);
+
+  const rim = rotation ? analyzeRotatingModule(module)?.decks[0] : null;
+
+  const handleRpmChange = (e) => {
+    setRpmInput(e.target.value);
+    const rpm = parseFloat(e.target.value);
+    if (rpm > 0) onRotationChange({ ...rotation, rpm });
+  };
+
+  return (
+    <div className="rotation-control">
+      <label className="rotation-toggle">
+        <input
+          type="checkbox"
+          checked={!!rotation}
+          onChange={(e) =>
+            onRotationChange(e.target.checked ? { ...DEFAULT_ROTATION } : null)
+          }
+        />
+        🌀 Rotating (spin gravity)
+      </label>
+      {rotation && (
+        <>
+          <div className="rotation-inputs">
+            <label>
+              <span>rpm</span>
+              <input
+                type="number"
+                min="0.1"
+                step="0.1"
+                value={rpmInput}
+                onChange={handleRpmChange}
+              />
+            </label>
+            <label>
+              <span>Spin axis</span>
+              <select
+                value={rotation.spinAxis}
+                onChange={(e) =>
+                  onRotationChange({ ...rotation, spinAxis: e.target.value })
+                }
+              >
+                {Object.keys(SPIN_AXES).map((axis) => (
+                  <option key={axis} value={axis}>
+                    Local {axis.toUpperCase()}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {rim && (
+            <div className="rotation-summary">
+              <span>Rim floor {rim.floorRadius.toFixed(1)} m</span>
+              <span style={{ color: rim.color }}>{rim.g.toFixed(2)} g</span>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
 function ParamControl({ param, value, onChange }) {
   const [localValue, setLocalValue] = useState(value);
 
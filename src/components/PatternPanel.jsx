@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_PATTERN,
+  MAX_PATTERN_COUNT,
+  PATTERN_AXES,
+  validatePattern,
+} from "../utils/patterns";
+import "./PatternPanel.css";
+
+const TYPES = [
+  { type: "linear", label: "Linear" },
+  { type: "circular", label: "Circular" },
+];
+
+export default function PatternPanel({ selectedCount, onCreate, onClose }) {
+  const [options, setOptions] = useState(DEFAULT_PATTERN);
+  const errors = validatePattern(options);
+
+  const update = (changes) => setOptions((prev) => ({ ...prev, ...changes }));
+  const setNumber = (key, value) => update({ [key]: parseFloat(value) });
+  const setCenter = (index, value) =>
+    update({
+      center: options.center.map((c, i) =>
+        i === index ? parseFloat(value) : c
+      ),
+    });
+  // Cleared inputs hold NaN until the user types again
+  const numberValue = (value) => (Number.isFinite(value) ? value : "");
+
+  return (
+    <div className="pattern-panel">
+      <div className="pattern-header">
+        <h3>Pattern</h3>
+        <button className="close-btn" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className="pattern-body">
+        <div className="pattern-types">
+          {TYPES.map((t) => (
+            <button
+              key={t.type}
+              className={options.type === t.type ? "active" : ""}
+              onClick={() => update({ type: t.type })}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        <label>
+          <span>Count (incl. original)</span>
+          <input
+            type="number"
+            min="2"
+            max={MAX_PATTERN_COUNT}
+            step="1"
+            value={numberValue(options.count)}
+            onChange={(e) => update({ count: parseInt(e.target.value, 10) })}
+          />
+        </label>
+
+        <label>
+          <span>{options.type === "linear" ? "Direction" : "Axis"}</span>
+          <select
+            value={options.axis}
+            onChange={(e) => update({ axis: e.target.value })}
+          >
+            {Object.keys(PATTERN_AXES).map((axis) => (
+              <option key={axis} value={axis}>
+                {axis.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {options.type === "linear" ? (
+          <label>
+            <span>Spacing (m)</span>
+            <input
+              type="number"
+              step="0.5"
+              value={numberValue(options.spacing)}
+              onChange={(e) => setNumber("spacing", e.target.value)}
+            />
+          </label>
+        ) : (
+          <>
+            <label>
+              <span>Total angle (°)</span>
+              <input
+                type="number"
+                min="1"
+                max="360"
+                step="15"
+                value={numberValue(options.angle)}
+                onChange={(e) => setNumber("angle", e.target.value)}
+              />
+            </label>
+            <label>
+              <span>Center (m)</span>
+              <div className="pattern-center">
+                {options.center.map((value, i) => (
+                  <input
+                    key={i}
+                    type="number"
+                    step="0.5"
+                    value={numberValue(value)}
+                    onChange={(e) => setCenter(i, e.target.value)}
+                    title={["X", "Y", "Z"][i]}
+                  />
+                ))}
+              </div>
+            </label>
+            <label className="pattern-check">
+              <input
+                type="checkbox"
+                checked={options.orient}
+                onChange={(e) => update({ orient: e.target.checked })}
+              />
+              Rotate copies with the pattern
+            </label>
+          </>
+        )}
+
+        {errors.length > 0 && (
+          <ul className="pattern-errors">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+        <div className="pattern-note">
+          Copies stay linked: editing one body edits all of them until the
+          pattern is exploded.
+        </div>
+      </div>
+
+      <div className="pattern-actions">
+        <button className="cancel-btn" onClick={onClose}>
+          Cancel
+        </button>
+        <button
+          className="apply-btn"
+          disabled={errors.length > 0 || selectedCount === 0}
+          onClick={() => onCreate(options)}
+        >
+          ✓ Create
+        </button>
+      </div>
+    </div>
+  );
+}
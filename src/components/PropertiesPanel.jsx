@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { getObjectEdges } from "../utils/habitatTopology";
 import "./PropertiesPanel.css";
 
 export default function PropertiesPanel({
@@ -7,6 +8,8 @@ export default function PropertiesPanel({
   onUpdateObject,
   onExport,
   onParameterChange,
+  topology,
+  onBreakConnection,
 }) {
   const [name, setName] = useState("");
   const [material, setMaterial] = useState({
@@ -101,6 +104,20 @@ export default function PropertiesPanel({
     }
   };
 
+  const connections =
+    topology && selectedObject
+      ? getObjectEdges(topology, selectedObject.id).map((edge) => {
+          const [own, other] =
+            edge.a.objectId === selectedObject.id
+              ? [edge.a, edge.b]
+              : [edge.b, edge.a];
+          const otherNode = topology.nodes.find(
+            (n) => n.objectId === other.objectId
+          );
+          return { id: edge.id, own, other, otherName: otherNode?.name };
+        })
+      : [];
+
   const isProceduralModule =
     selectedObject?.userData?.moduleDefinition?.type === "procedural" &&
     selectedObject?.userData?.moduleDefinition?.adjustableParams;
@@ -367,6 +384,42 @@ export default function PropertiesPanel({
           </div>
         </div>
 
+        {selectedObject.userData?.isModule && (
+          <div className="property-group">
+            <h3>Connections</h3>
+            {connections.length === 0 ? (
+              <p className="hint-text">No mated ports</p>
+            ) : (
+              <ul className="connection-list">
+                {connections.map((c) => (
+                  <li key={c.id} className="connection-row">
+                    <span className="connection-port">{c.own.port}</span>
+                    <span className="connection-arrow">↔</span>
+                    <span className="connection-target">
+                      {c.otherName || `Body ${c.other.objectId}`} (
+                      {c.other.port})
+                    </span>
+                    {c.own.diameter && (
+                      <span className="connection-diameter">
+                        Ø{c.own.diameter}m
+                      </span>
+                    )}
+                    {onBreakConnection && (
+                      <button
+                        className="connection-break-btn"
+                        onClick={() => onBreakConnection(c.id)}
+                        title="Break this connection to detach the branch"
+                      >
+                        Break
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         {isProceduralModule && (
           <div className="property-group module-params-group">
             <h3>Module Parameters</h3>
@@ -0,0 +1,237 @@
+import { useState, useEffect } from "react";
+import { Canvas } from "@react-three/fiber";
+import { Bounds, OrbitControls } from "@react-three/drei";
+import * as THREE from "three";
+import { restoreRevision, forkRevision } from "../utils/projectStorage";
+import {
+  listRevisions,
+  summarizeDocument,
+  diffSummaries,
+} from "../utils/projectRevisions";
+import { importStoredProject } from "../utils/projectFormat";
+import { getObjectGeometry } from "../utils/cadOperations";
+import "./RevisionBrowser.css";
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+function revisionTitle(revision) {
+  if (revision.label) return revision.label;
+  return revision.kind === "checkpoint" ? "Checkpoint" : "Autosave";
+}
+
+function DiffList({ changes, empty }) {
+  if (changes.length === 0) return <span className="diff-none">{empty}</span>;
+  return (
+    <span className="diff-list">
+      {changes.map((entry) => (
+        <span
+          key={entry.key}
+          className={entry.change > 0 ? "diff-added" : "diff-removed"}
+        >
+          {entry.text}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+/**
+ * RevisionPreview - The objects of a revision in a small viewport
+ * Drawn on their own rather than through CADObject, which joins the physics
+ * world and the editor's selection.
+ */
+function RevisionPreview({ document }) {
+  const [objects, setObjects] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = [];
+    setObjects(null);
+    importStoredProject(document).then((result) => {
+      loaded = (result.project?.objects || []).filter(
+        (obj) => !obj.hidden && getObjectGeometry(obj)
+      );
+      if (cancelled) {
+        loaded.forEach((obj) => getObjectGeometry(obj).dispose());
+      } else {
+        setObjects(loaded);
+      }
+    });
+    return () => {
+      cancelled = true;
+      loaded.forEach((obj) => getObjectGeometry(obj).dispose());
+    };
+  }, [document]);
+
+  if (!objects) return <div className="revision-preview loading">Loading…</div>;
+  if (objects.length === 0) {
+    return <div className="revision-preview loading">No objects</div>;
+  }
+
+  return (
+    <div className="revision-preview">
+      <Canvas camera={{ position: [10, 10, 10], fov: 50 }}>
+        <ambientLight intensity={0.6} />
+        <directionalLight position={[10, 10, 5]} intensity={1} />
+        <Bounds fit clip observe margin={1.2}>
+          {objects.map((obj) => (
+            <mesh
+              key={obj.id}
+              geometry={getObjectGeometry(obj)}
+              position={obj.transform.position}
+              rotation={obj.transform.rotation}
+              scale={obj.transform.scale}
+            >
+              <meshStandardMaterial
+                color={obj.material?.color || "#cccccc"}
+                metalness={obj.material?.metalness ?? 0.3}
+                roughness={obj.material?.roughness ?? 0.6}
+                side={THREE.DoubleSide}
+              />
+            </mesh>
+          ))}
+        </Bounds>
+        <OrbitControls makeDefault />
+      </Canvas>
+    </div>
+  );
+}
+
+/**
+ * RevisionBrowser - A saved project's revisions, to preview, compare and
+ * restore or copy into a new project
+ * @param {Object} project - The project's stored record
+ * @param {Function} onOpenProject - Called with the record to open after a
+ *   restore or fork
+ */
+export default function RevisionBrowser({ project, onOpenProject, onClose }) {
+  const [revisions, setRevisions] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    listRevisions(project.id)
+      .then((list) => {
+        setRevisions(list);
+        setSelectedId(list[0]?.id || null);
+      })
+      .catch((error) => {
+        console.error("Failed to load revisions:", error);
+        setRevisions([]);
+      });
+  }, [project.id]);
+
+  const current = summarizeDocument(project);
+  const selected = revisions?.find((r) => r.id === selectedId) || null;
+
+  const run = async (action, failure) => {
+    setBusy(true);
+    try {
+      onOpenProject(await action(selected.id));
+    } catch (error) {
+      alert(`${failure}: ${error.message || error}`);
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = () => {
+    if (
+      window.confirm(
+        `Restore "${project.name}" to ${formatDate(selected.savedAt)}? ` +
+          "The current version is kept as a checkpoint."
+      )
+    ) {
+      run(restoreRevision, "The revision could not be restored");
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="revision-browser" onClick={(e) => e.stopPropagation()}>
+        <div className="revision-browser-header">
+          <h2>History of {project.name}</h2>
+          <button className="close-btn" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {revisions === null ? (
+          <p className="revision-empty">Loading…</p>
+        ) : revisions.length === 0 ? (
+          <p className="revision-empty">
+            No revisions yet. They're kept as the project is saved, and whenever
+            you save a checkpoint from the editor.
+          </p>
+        ) : (
+          <div className="revision-browser-body">
+            <ul className="revision-list">
+              {revisions.map((revision, i) => (
+                <li
+                  key={revision.id}
+                  className={revision.id === selectedId ? "selected" : ""}
+                  onClick={() => setSelectedId(revision.id)}
+                >
+                  <div className="revision-row">
+                    <span className={`revision-kind ${revision.kind}`}>
+                      {revision.kind === "checkpoint" ? "Checkpoint" : "Auto"}
+                    </span>
+                    <span className="revision-title">
+                      {revisionTitle(revision)}
+                    </span>
+                  </div>
+                  <div className="revision-row revision-meta">
+                    <span>{formatDate(revision.savedAt)}</span>
+                    <span>{revision.summary.objects} objects</span>
+                  </div>
+                  {revisions[i + 1] && (
+                    <DiffList
+                      changes={diffSummaries(
+                        revisions[i + 1].summary,
+                        revision.summary
+                      )}
+                      empty="Same counts as before"
+                    />
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {selected && (
+              <div className="revision-detail">
+                <h3>{revisionTitle(selected)}</h3>
+                <p className="revision-meta">{formatDate(selected.savedAt)}</p>
+                <RevisionPreview document={selected.document} />
+                <div className="revision-compare">
+                  Against the current version:{" "}
+                  <DiffList
+                    changes={diffSummaries(current, selected.summary)}
+                    empty="same counts"
+                  />
+                </div>
+                <div className="modal-actions">
+                  <button
+                    className="btn-cancel"
+                    disabled={busy}
+                    onClick={() =>
+                      run(forkRevision, "The revision could not be copied")
+                    }
+                    title="Open this revision as a new project"
+                  >
+                    Fork
+                  </button>
+                  <button
+                    className="btn-create"
+                    disabled={busy}
+                    onClick={handleRestore}
+                  >
+                    Restore
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -6,6 +6,8 @@ export default function Scene({
   onSelectObject,
   transformMode,
   onTransformObject,
+  onConnectModules,
+  assemblyIds,
   axisLock,
 }) {
   return (
@@ -23,6 +25,8 @@ export default function Scene({
           onTransform={(transform, options) =>
             onTransformObject(obj.id, transform, options)
           }
+          onConnect={onConnectModules}
+          assemblyIds={assemblyIds}
           axisLock={axisLock}
           allObjects={objects}
         />
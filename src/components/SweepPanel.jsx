@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { parsePathText, formatPathText } from "../utils/sweepPath";
+import "./SweepPanel.css";
+
+const portKey = (ref) => (ref ? `${ref.objectId}:${ref.port}` : "");
+
+function PortSelect({ value, ports, onChange }) {
+  return (
+    <select
+      value={portKey(value)}
+      onChange={(e) => {
+        const port = ports.find((p) => portKey(p) === e.target.value);
+        onChange(port ? { objectId: port.objectId, port: port.port } : null);
+      }}
+    >
+      <option value="">Free</option>
+      {ports.map((port) => (
+        <option key={portKey(port)} value={portKey(port)}>
+          {port.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Sweep a section along typed path points, optionally starting and ending on
+ * module ports. The path previews in the canvas while it's edited.
+ */
+export default function SweepPanel({
+  sweep,
+  ports,
+  editingName,
+  error,
+  onChange,
+  onDrawSection,
+  onApply,
+  onClose,
+}) {
+  const [text, setText] = useState(() => formatPathText(sweep.points));
+  const [problems, setProblems] = useState([]);
+  const { profile } = sweep;
+
+  const applyText = (value) => {
+    setText(value);
+    const parsed = parsePathText(value);
+    setProblems(parsed.errors);
+    if (parsed.errors.length === 0) onChange({ points: parsed.points });
+  };
+
+  const updateProfile = (changes) =>
+    onChange({ profile: { ...profile, ...changes } });
+
+  return (
+    <div className="sweep-panel">
+      <div className="sweep-header">
+        <h3>{editingName ? `Sweep: ${editingName}` : "Sweep"}</h3>
+        <button className="close-btn" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className="sweep-body">
+        <label>
+          <span>Section</span>
+          <select
+            value={profile.type}
+            onChange={(e) => updateProfile({ type: e.target.value })}
+          >
+            <option value="circle">Circle</option>
+            <option value="sketch">Sketch</option>
+          </select>
+        </label>
+        {profile.type === "circle" ? (
+          <label>
+            <span>Diameter (m)</span>
+            <input
+              type="number"
+              min="0.01"
+              step="0.1"
+              value={Number.isFinite(profile.diameter) ? profile.diameter : ""}
+              onChange={(e) =>
+                updateProfile({ diameter: parseFloat(e.target.value) })
+              }
+            />
+          </label>
+        ) : (
+          <button className="sweep-sketch-btn" onClick={onDrawSection}>
+            ✎ {profile.sketch ? "Edit section" : "Draw section"}
+          </button>
+        )}
+
+        <label className="sweep-path">
+          <span>Path points (x, y, z in m, one per line)</span>
+          <textarea
+            rows={5}
+            value={text}
+            onChange={(e) => applyText(e.target.value)}
+            spellCheck={false}
+          />
+        </label>
+        <label>
+          <span>Spline through the points</span>
+          <input
+            type="checkbox"
+            checked={sweep.smooth}
+            onChange={(e) => onChange({ smooth: e.target.checked })}
+          />
+        </label>
+        <label>
+          <span>Start at</span>
+          <PortSelect
+            value={sweep.start}
+            ports={ports}
+            onChange={(start) => onChange({ start })}
+          />
+        </label>
+        <label>
+          <span>End at</span>
+          <PortSelect
+            value={sweep.end}
+            ports={ports}
+            onChange={(end) => onChange({ end })}
+          />
+        </label>
+
+        {(problems.length > 0 || error) && (
+          <ul className="sweep-errors">
+            {[...problems, ...(error ? [error] : [])].map((problem) => (
+              <li key={problem}>{problem}</li>
+            ))}
+          </ul>
+        )}
+        <div className="sweep-note">
+          Ports add the path's first or last point and run straight out of the
+          port before turning toward the typed points.
+        </div>
+      </div>
+
+      <div className="sweep-actions">
+        <button className="cancel-btn" onClick={onClose}>
+          Cancel
+        </button>
+        <button
+          className="apply-btn"
+          disabled={problems.length > 0 || !!error}
+          onClick={onApply}
+        >
+          ✓ {editingName ? "Update" : "Sweep"}
+        </button>
+      </div>
+    </div>
+  );
+}
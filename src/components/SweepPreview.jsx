@@ -0,0 +1,45 @@
+import { useMemo, useEffect } from "react";
+import * as THREE from "three";
+
+/**
+ * SweepPreview - Translucent sweep result and its path points, drawn in the
+ * frame of the body being swept while the sweep panel is open
+ */
+export default function SweepPreview({ geometry, points, transform }) {
+  const path = useMemo(
+    () => new THREE.BufferGeometry().setFromPoints(points),
+    [points]
+  );
+
+  useEffect(() => {
+    return () => path.dispose();
+  }, [path]);
+
+  return (
+    <group
+      position={transform.position}
+      rotation={transform.rotation}
+      scale={transform.scale}
+    >
+      {geometry && (
+        <mesh geometry={geometry} raycast={() => null}>
+          <meshStandardMaterial
+            color="#00aaff"
+            transparent
+            opacity={0.4}
+            depthWrite={false}
+          />
+        </mesh>
+      )}
+      <line geometry={path} raycast={() => null}>
+        <lineBasicMaterial color="#ffcc00" />
+      </line>
+      {points.map((point, i) => (
+        <mesh key={i} position={point} raycast={() => null}>
+          <sphereGeometry args={[0.08, 12, 8]} />
+          <meshBasicMaterial color="#ffcc00" />
+        </mesh>
+      ))}
+    </group>
+  );
+}
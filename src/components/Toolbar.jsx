@@ -13,6 +13,30 @@ export default function Toolbar({
   bodyPanelOpen,
   onToggleModules,
   moduleLibraryOpen,
+  onToggleAssembly,
+  assemblyMode,
+  onToggleBudget,
+  budgetPanelOpen,
+  onToggleFairing,
+  fairingPanelOpen,
+  onToggleLaunchConfig,
+  launchConfig,
+  onToggleGravity,
+  gravityPanelOpen,
+  onFillet,
+  filletActive,
+  onSketchOnFace,
+  faceSketchActive,
+  onBoolean,
+  onToggleSweep,
+  sweepPanelOpen,
+  onTogglePattern,
+  patternPanelOpen,
+  onToggleMirror,
+  mirrorPanelOpen,
+  onExplodePattern,
+  onToggleFeatureTree,
+  featureTreeOpen,
 }) {
   const fileInputRef = useRef(null);
 
@@ -22,6 +46,17 @@ export default function Toolbar({
     { mode: "scale", icon: "⤢", label: "Scale" },
   ];
 
+  const booleanOperations = [
+    { operation: "union", icon: "∪", label: "Union" },
+    {
+      operation: "subtract",
+      icon: "−",
+      label: "Subtract",
+      title: "Cut the second selected body out of the first",
+    },
+    { operation: "intersect", icon: "∩", label: "Intersect" },
+  ];
+
   const handleFileChange = (e) => {
     const files = Array.from(e.target.files || []);
     if (files.length) onImportFiles(files);
@@ -46,6 +81,60 @@ export default function Toolbar({
         Modules
       </button>
 
+      {onToggleAssembly && (
+        <button
+          className={`toolbar-toggle ${assemblyMode ? "active" : ""}`}
+          onClick={onToggleAssembly}
+          title="Move connected modules together"
+        >
+          ⛓ Assembly
+        </button>
+      )}
+
+      {onToggleBudget && (
+        <button
+          className={`toolbar-toggle ${budgetPanelOpen ? "active" : ""}`}
+          onClick={onToggleBudget}
+          title="Mass, volume and power budget"
+        >
+          ⚖ Budget
+        </button>
+      )}
+
+      {onToggleFairing && (
+        <button
+          className={`toolbar-toggle ${fairingPanelOpen ? "active" : ""}`}
+          onClick={onToggleFairing}
+          title="Check modules against a launch fairing"
+        >
+          🚀 Fairing
+        </button>
+      )}
+
+      {onToggleGravity && (
+        <button
+          className={`toolbar-toggle ${gravityPanelOpen ? "active" : ""}`}
+          onClick={onToggleGravity}
+          title="Spin gravity of rotating modules"
+        >
+          🌀 Gravity
+        </button>
+      )}
+
+      {onToggleLaunchConfig && (
+        <button
+          className={`toolbar-toggle ${launchConfig ? "active" : ""}`}
+          onClick={onToggleLaunchConfig}
+          title={
+            launchConfig
+              ? "Deploy all inflatable modules"
+              : "Stow all inflatable modules for launch"
+          }
+        >
+          📦 Launch Config
+        </button>
+      )}
+
       <div className="toolbar-section">
         <span className="section-title">Transform</span>
         <div className="button-column">
@@ -67,6 +156,120 @@ export default function Toolbar({
         </div>
       </div>
 
+      {onFillet && (
+        <div className="toolbar-section">
+          <span className="section-title">Modify</span>
+          <button
+            className={`toolbar-btn ${filletActive ? "active" : ""}`}
+            onClick={onFillet}
+            disabled={selectedCount !== 1 && !filletActive}
+            style={{ width: "90px" }}
+            title="Round or bevel edges of the selected body"
+          >
+            <span className="btn-icon">◠</span>
+            <span className="btn-label" style={{ fontSize: "13px" }}>
+              Fillet
+            </span>
+          </button>
+          {onSketchOnFace && (
+            <button
+              className={`toolbar-btn ${faceSketchActive ? "active" : ""}`}
+              onClick={onSketchOnFace}
+              disabled={selectedCount !== 1 && !faceSketchActive}
+              style={{ width: "90px" }}
+              title="Sketch on a face of the selected body, then extrude or cut"
+            >
+              <span className="btn-icon">✎</span>
+              <span className="btn-label" style={{ fontSize: "13px" }}>
+                Sketch
+              </span>
+            </button>
+          )}
+          {onToggleSweep && (
+            <button
+              className={`toolbar-btn ${sweepPanelOpen ? "active" : ""}`}
+              onClick={onToggleSweep}
+              style={{ width: "90px" }}
+              title="Sweep a section along a path, e.g. a tunnel between two modules; edits the selected sweep"
+            >
+              <span className="btn-icon">∿</span>
+              <span className="btn-label" style={{ fontSize: "13px" }}>
+                Sweep
+              </span>
+            </button>
+          )}
+          {onBoolean &&
+            booleanOperations.map((op) => (
+              <button
+                key={op.operation}
+                className="toolbar-btn"
+                onClick={() => onBoolean(op.operation)}
+                disabled={selectedCount !== 2}
+                style={{ width: "90px" }}
+                title={op.title || `${op.label} the two selected bodies`}
+              >
+                <span className="btn-icon">{op.icon}</span>
+                <span className="btn-label" style={{ fontSize: "13px" }}>
+                  {op.label}
+                </span>
+              </button>
+            ))}
+          {onTogglePattern && (
+            <button
+              className={`toolbar-btn ${patternPanelOpen ? "active" : ""}`}
+              onClick={onTogglePattern}
+              style={{ width: "90px" }}
+              title="Linked copies in a row or around an axis"
+            >
+              <span className="btn-icon">⁂</span>
+              <span className="btn-label" style={{ fontSize: "13px" }}>
+                Pattern
+              </span>
+            </button>
+          )}
+          {onToggleMirror && (
+            <button
+              className={`toolbar-btn ${mirrorPanelOpen ? "active" : ""}`}
+              onClick={onToggleMirror}
+              style={{ width: "90px" }}
+              title="Linked mirror images across a plane"
+            >
+              <span className="btn-icon">⇋</span>
+              <span className="btn-label" style={{ fontSize: "13px" }}>
+                Mirror
+              </span>
+            </button>
+          )}
+          {onTogglePattern && (
+            <button
+              className="toolbar-btn"
+              onClick={onExplodePattern}
+              disabled={!onExplodePattern}
+              style={{ width: "90px" }}
+              title="Unlink the selected pattern and mirror copies"
+            >
+              <span className="btn-icon">✸</span>
+              <span className="btn-label" style={{ fontSize: "13px" }}>
+                Explode
+              </span>
+            </button>
+          )}
+          {onToggleFeatureTree && (
+            <button
+              className={`toolbar-btn ${featureTreeOpen ? "active" : ""}`}
+              onClick={onToggleFeatureTree}
+              style={{ width: "90px" }}
+              title="Re-order, suppress or re-edit the features of the selected body"
+            >
+              <span className="btn-icon">☰</span>
+              <span className="btn-label" style={{ fontSize: "13px" }}>
+                History
+              </span>
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="toolbar-section">
         <span className="section-title">Files</span>
         <button
@@ -3,46 +3,12 @@
  */
 
 import { useEffect, useState } from "react";
-import * as ModuleGenerators from "../utils/moduleGenerators";
+import { importStoredProject, describeImport } from "../utils/projectFormat";
 import ZonePalette from "./components/ZonePalette";
 import ZoneViewport from "./components/ZoneViewport";
 import ZonePropertiesPanel from "./components/ZonePropertiesPanel";
 import "./InteriorApp.css";
 
-// Helper function to recreate geometry from parameters
-function recreateGeometry(obj) {
-  if (obj.type === "module" && obj.userData?.moduleDefinition) {
-    const generatorFunc =
-      ModuleGenerators[obj.userData.moduleDefinition.generator];
-    if (generatorFunc) {
-      const geometry = generatorFunc(obj.userData.parameters || obj.parameters);
-      return {
-        ...obj,
-        geometry: geometry,
-        parameters: obj.userData.parameters || obj.parameters,
-        userData: {
-          ...obj.userData,
-          geometry: geometry,
-        },
-      };
-    }
-  }
-
-  if (obj.type === "custom") {
-    console.warn(
-      `Cannot recreate custom/imported geometry for ${obj.name}. Object will be skipped.`
-    );
-    return null;
-  }
-
-  if (!obj.parameters) {
-    console.warn(`Object ${obj.name} missing parameters, skipping`);
-    return null;
-  }
-
-  return obj;
-}
-
 function InteriorApp() {
   const [exteriorObjects, setExteriorObjects] = useState([]);
   const [zones, setZones] = useState([]);
@@ -50,21 +16,22 @@ function InteriorApp() {
 
   // Load exterior objects from localStorage
   useEffect(() => {
-    const loadExteriorObjects = () => {
+    // Rebuilding bodies is costly, so only when the exterior was saved again
+    let lastSaved = null;
+    const loadExteriorObjects = async () => {
       const savedData = localStorage.getItem("habitat-creator-exterior");
-      if (savedData) {
-        try {
-          const parsed = JSON.parse(savedData);
-          if (parsed.objects && Array.isArray(parsed.objects)) {
-            const objectsWithGeometry = parsed.objects
-              .map((obj) => recreateGeometry(obj))
-              .filter((obj) => obj !== null);
-            setExteriorObjects(objectsWithGeometry);
-          }
-        } catch (error) {
-          console.error("Failed to load exterior objects:", error);
-        }
+      if (!savedData || savedData === lastSaved) return;
+      lastSaved = savedData;
+      const result = await importStoredProject(savedData);
+      if (!result.project) {
+        console.error("Failed to load exterior objects:", result.error);
+        return;
+      }
+      const report = describeImport(result);
+      if (report) {
+        console.warn(`Exterior objects loaded with changes:\n${report}`);
       }
+      setExteriorObjects(result.project.objects);
     };
 
     loadExteriorObjects();
@@ -0,0 +1,283 @@
+import * as THREE from "three";
+import { MeshBVH } from "three-mesh-bvh";
+import { buildModuleGeometry } from "./moduleLibrary";
+import {
+  calculateMaxDecks,
+  generateEvenlySpacedDecks,
+} from "../interior/utils/deckSystem";
+
+/**
+ * Artificial Gravity - Spin gravity analysis for rotating modules
+ * A rotating module (userData.rotation = { rpm, spinAxis }) spins about one
+ * of its local axes through its origin. Decks from deckSystem.js are stacked
+ * inward from the rim, "up" pointing at the spin axis, and each floor is
+ * rated by effective g, head-to-foot gravity gradient and Coriolis ratio.
+ */
+
+const G0 = 9.80665; // m/s²
+
+export const GRAVITY_ASSUMPTIONS = {
+  standingHeight: 1.8, // m, head-to-foot
+  walkingSpeed: 1.0, // m/s, for the Coriolis ratio
+  floorInset: 0.5, // m, floor structure above the hull at the rim
+  deckHeight: 2.8, // m, floor to floor
+};
+
+// Rule-of-thumb comfort bounds for long-duration crews
+export const COMFORT_LIMITS = {
+  maxRpm: 4,
+  minG: 0.3,
+  maxG: 1.1,
+  maxGradient: 0.15, // fraction of floor g lost at head height
+  maxCoriolisRatio: 0.25, // Coriolis / centripetal while walking
+};
+
+export const DEFAULT_ROTATION = { rpm: 2, spinAxis: "z" };
+
+export const SPIN_AXES = {
+  x: {
+    axis: new THREE.Vector3(1, 0, 0),
+    u: new THREE.Vector3(0, 1, 0),
+    v: new THREE.Vector3(0, 0, 1),
+  },
+  y: {
+    axis: new THREE.Vector3(0, 1, 0),
+    u: new THREE.Vector3(0, 0, 1),
+    v: new THREE.Vector3(1, 0, 0),
+  },
+  z: {
+    axis: new THREE.Vector3(0, 0, 1),
+    u: new THREE.Vector3(1, 0, 0),
+    v: new THREE.Vector3(0, 1, 0),
+  },
+};
+
+// Floor sampling grid around the spin axis and along it
+const ANGLE_CELLS = 48;
+const AXIAL_CELLS = 10;
+const MAX_DECKS = 12;
+// Decks with less floor than this share of the largest one are dropped
+// (spoke crossings, hub corners)
+const MIN_DECK_COVERAGE = 0.1;
+const FLOOR_PROBE_HEIGHT = 0.2; // m above the floor
+
+export function rpmToAngularVelocity(rpm) {
+  return (rpm * 2 * Math.PI) / 60;
+}
+
+/**
+ * Spin gravity on a floor at a given radius
+ * @param {Number} radius - Floor distance from the spin axis (m)
+ * @param {Number} rpm
+ * @returns {Object} { acceleration (m/s²), g, gradient, coriolisRatio }
+ */
+export function getFloorGravity(radius, rpm) {
+  const omega = rpmToAngularVelocity(rpm);
+  const acceleration = omega * omega * radius;
+  const { standingHeight, walkingSpeed } = GRAVITY_ASSUMPTIONS;
+  return {
+    acceleration,
+    g: acceleration / G0,
+    gradient: Math.min(1, standingHeight / radius),
+    coriolisRatio: (2 * walkingSpeed) / (omega * radius),
+  };
+}
+
+/**
+ * Floor radius giving a target g at a spin rate
+ * @param {Number} g
+ * @param {Number} rpm
+ * @returns {Number} m
+ */
+export function getRadiusForGravity(g, rpm) {
+  const omega = rpmToAngularVelocity(rpm);
+  return (g * G0) / (omega * omega);
+}
+
+/**
+ * Deck color by effective g: blue (0 g) through green (1 g) to red (1.5 g)
+ * @param {Number} g
+ * @returns {String} CSS color
+ */
+export function getGravityColor(g) {
+  const hue = g <= 1 ? 240 - 120 * Math.max(0, g) : 120 - 240 * (g - 1);
+  return `hsl(${Math.round(Math.max(0, hue))}, 80%, 55%)`;
+}
+
+function getFloorIssues(gravity) {
+  const issues = [];
+  if (gravity.g < COMFORT_LIMITS.minG) issues.push("Low gravity");
+  if (gravity.g > COMFORT_LIMITS.maxG) issues.push("High gravity");
+  if (gravity.gradient > COMFORT_LIMITS.maxGradient) {
+    issues.push("Steep gravity gradient");
+  }
+  if (gravity.coriolisRatio > COMFORT_LIMITS.maxCoriolisRatio) {
+    issues.push("Strong Coriolis effects");
+  }
+  return issues;
+}
+
+/**
+ * Whether a point lies inside the closed mesh: the nearest surface faces
+ * away from it
+ */
+function isInside(bvh, geometry, point, hit, triangle, normal) {
+  if (!bvh.closestPointToPoint(point, hit)) return false;
+  const index = geometry.index;
+  const position = geometry.attributes.position;
+  const face = hit.faceIndex * 3;
+  triangle.setFromAttributeAndIndices(
+    position,
+    index.getX(face),
+    index.getX(face + 1),
+    index.getX(face + 2)
+  );
+  triangle.getNormal(normal);
+  return point.clone().sub(hit.point).dot(normal) < 0;
+}
+
+// userData -> { key, result }, like the fairing fit cache
+const analysisCache = new WeakMap();
+
+/**
+ * Analyze one rotating module
+ * @param {Object} obj - Scene object with userData.rotation
+ * @returns {Object|null} { objectId, name, rpm, spinAxis, rimRadius,
+ *   rimSpeed, grid: { angleCells, axialCells, axialMin, axialMax }, decks,
+ *   issues } where each deck is a deckSystem deck plus { floorRadius,
+ *   acceleration, g, gradient, coriolisRatio, color, cells, issues };
+ *   null when the object is not a rotating procedural module
+ */
+export function analyzeRotatingModule(obj) {
+  const rotation = obj.userData?.rotation;
+  const def = obj.userData?.moduleDefinition;
+  if (!(rotation?.rpm > 0) || def?.type !== "procedural") return null;
+
+  const scaleArray = (obj.transform?.scale || [1, 1, 1]).map(Math.abs);
+  const key = `${rotation.rpm}|${rotation.spinAxis}|${scaleArray.join(",")}`;
+  const cached = analysisCache.get(obj.userData);
+  if (cached?.key === key) {
+    return { ...cached.result, objectId: obj.id, name: obj.name };
+  }
+
+  const geometry = buildModuleGeometry(
+    def,
+    { ...def.defaultParams, ...obj.userData.parameters },
+    obj.userData.deployState
+  );
+  if (!geometry) return null;
+  geometry.scale(...scaleArray);
+  if (!geometry.index) {
+    geometry.setIndex([...Array(geometry.attributes.position.count).keys()]);
+  }
+
+  const frame = SPIN_AXES[rotation.spinAxis] || SPIN_AXES.z;
+  const positions = geometry.attributes.position;
+  const vertex = new THREE.Vector3();
+  let rim = 0;
+  let axialMin = Infinity;
+  let axialMax = -Infinity;
+  for (let i = 0; i < positions.count; i++) {
+    vertex.fromBufferAttribute(positions, i);
+    rim = Math.max(rim, Math.hypot(vertex.dot(frame.u), vertex.dot(frame.v)));
+    axialMin = Math.min(axialMin, vertex.dot(frame.axis));
+    axialMax = Math.max(axialMax, vertex.dot(frame.axis));
+  }
+
+  const { floorInset, deckHeight } = GRAVITY_ASSUMPTIONS;
+  const depth = rim - floorInset;
+  const deckCount = Math.min(
+    MAX_DECKS,
+    Math.max(1, calculateMaxDecks(depth, deckHeight))
+  );
+
+  const bvh = new MeshBVH(geometry);
+  const hit = { point: new THREE.Vector3() };
+  const triangle = new THREE.Triangle();
+  const normal = new THREE.Vector3();
+  const probe = new THREE.Vector3();
+  const axialStep = (axialMax - axialMin) / AXIAL_CELLS;
+
+  const sampled = generateEvenlySpacedDecks(
+    deckCount,
+    deckCount * deckHeight,
+    deckHeight
+  ).map((deck) => {
+    const floorRadius = depth - deck.floorHeight;
+    const cells = [];
+    const probeRadius = Math.max(0, floorRadius - FLOOR_PROBE_HEIGHT);
+    for (let a = 0; a < ANGLE_CELLS; a++) {
+      const angle = ((a + 0.5) / ANGLE_CELLS) * Math.PI * 2;
+      for (let w = 0; w < AXIAL_CELLS; w++) {
+        probe
+          .copy(frame.axis)
+          .multiplyScalar(axialMin + (w + 0.5) * axialStep)
+          .addScaledVector(frame.u, probeRadius * Math.cos(angle))
+          .addScaledVector(frame.v, probeRadius * Math.sin(angle));
+        if (isInside(bvh, geometry, probe, hit, triangle, normal)) {
+          cells.push([a, w]);
+        }
+      }
+    }
+    return { ...deck, floorRadius, cells };
+  });
+  geometry.dispose();
+
+  const maxCells = Math.max(...sampled.map((deck) => deck.cells.length));
+  const decks = sampled
+    .filter(
+      (deck) =>
+        deck.floorRadius > 0 &&
+        deck.cells.length > 0 &&
+        deck.cells.length >= maxCells * MIN_DECK_COVERAGE
+    )
+    .map((deck, index) => {
+      const gravity = getFloorGravity(deck.floorRadius, rotation.rpm);
+      return {
+        ...deck,
+        level: index + 1,
+        ...gravity,
+        color: getGravityColor(gravity.g),
+        issues: getFloorIssues(gravity),
+      };
+    });
+
+  const rimRadius = decks[0]?.floorRadius ?? depth;
+  const issues = [];
+  if (rotation.rpm > COMFORT_LIMITS.maxRpm) {
+    issues.push(`Spin rate above ${COMFORT_LIMITS.maxRpm} rpm`);
+  }
+  if (decks.length === 0) issues.push("No deck fits inside the module");
+
+  const result = {
+    objectId: obj.id,
+    name: obj.name,
+    rpm: rotation.rpm,
+    spinAxis: rotation.spinAxis,
+    rimRadius,
+    rimSpeed: rpmToAngularVelocity(rotation.rpm) * rimRadius,
+    grid: {
+      angleCells: ANGLE_CELLS,
+      axialCells: AXIAL_CELLS,
+      axialMin,
+      axialMax,
+    },
+    decks,
+    issues,
+  };
+
+  analysisCache.set(obj.userData, { key, result });
+  return result;
+}
+
+/**
+ * Analyze every visible rotating module
+ * @param {Array} objects - Scene objects
+ * @returns {Array} Results of analyzeRotatingModule
+ */
+export function analyzeArtificialGravity(objects) {
+  return objects
+    .filter((obj) => !obj.hidden && obj.type === "module")
+    .map(analyzeRotatingModule)
+    .filter(Boolean);
+}
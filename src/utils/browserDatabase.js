@@ -0,0 +1,86 @@
+/**
+ * Browser Database - The app's IndexedDB database
+ * One database holds every store; each version's upgrade step adds what it
+ * introduced, so browsers at any older version catch up in order.
+ * - meshes: packed geometry by hash (see meshStore.js)
+ * - projects: one project document per record, by id (see
+ *   projectStorage.js)
+ * - revisions: restore points of projects, by id and projectId (see
+ *   projectRevisions.js)
+ */
+
+const DB_NAME = "habitat-creator";
+const DB_VERSION = 3;
+
+export const MESH_STORE = "meshes";
+export const PROJECT_STORE = "projects";
+export const REVISION_STORE = "revisions";
+
+const UPGRADES = [
+  (db) => db.createObjectStore(MESH_STORE, { keyPath: "hash" }),
+  (db) => db.createObjectStore(PROJECT_STORE, { keyPath: "id" }),
+  (db) =>
+    db
+      .createObjectStore(REVISION_STORE, { keyPath: "id" })
+      .createIndex("projectId", "projectId"),
+];
+
+let database = null;
+
+/**
+ * Promise for an IDBRequest's result
+ * @param {IDBRequest} req
+ * @returns {Promise}
+ */
+export function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Promise that settles when a transaction commits or fails
+ * @param {IDBTransaction} transaction
+ * @returns {Promise}
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * The database, opened and upgraded on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!database) {
+    if (typeof indexedDB === "undefined") {
+      return Promise.reject(new Error("IndexedDB is not available"));
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      UPGRADES.slice(event.oldVersion).forEach((upgrade) =>
+        upgrade(req.result)
+      );
+    };
+    database = request(req).then(
+      (db) => {
+        // Another tab moved to a newer version; reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          database = null;
+        };
+        return db;
+      },
+      (error) => {
+        database = null;
+        throw error;
+      }
+    );
+  }
+  return database;
+}
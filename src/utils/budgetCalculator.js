@@ -0,0 +1,269 @@
+import { getModuleById } from "./moduleLibrary";
+import {
+  INFLATABLE_STOWED_RATIO,
+  getTorusRingLayout,
+} from "./moduleGenerators";
+import { prepareProfile, measureRevolvedProfile } from "./revolveProfile";
+
+/**
+ * Budget Calculator - Mass, volume and power totals for the habitat
+ * Procedural modules are sized from their generator parameters and the
+ * `engineering` metadata in moduleLibrary.js; imported models use the
+ * fixed values from the same metadata.
+ */
+
+export const DEFAULT_BUDGET_LIMITS = {
+  launchMass: 100000, // kg
+  fairingDiameter: 8.4, // m, usable fairing diameter
+};
+
+/**
+ * Get the engineering metadata for a module object
+ * Projects saved before the metadata existed fall back to the library entry.
+ * @param {Object} obj - Scene object
+ * @returns {Object|null}
+ */
+export function getEngineeringData(obj) {
+  const def = obj?.userData?.moduleDefinition;
+  if (!def) return null;
+  return def.engineering || getModuleById(def.id)?.engineering || null;
+}
+
+const circle = (diameter) => Math.PI * (diameter / 2) ** 2;
+
+/**
+ * Cylinder-like shell: cross-section area, perimeter and length
+ */
+function prismShape(sectionArea, perimeter, length, envelopeDiameter) {
+  return {
+    volume: sectionArea * length,
+    area: perimeter * length + 2 * sectionArea,
+    envelopeDiameter,
+    length,
+  };
+}
+
+/**
+ * Estimate the shell geometry of a procedural module from its parameters
+ * Modules are built along Z, so envelopeDiameter is the width across Z.
+ * @param {String} generator - Generator function name
+ * @param {Object} params - Module parameters
+ * @returns {Object|null} { volume, area, envelopeDiameter, length }
+ */
+export function getModuleShape(generator, params = {}) {
+  switch (generator) {
+    case "generateRigidCylinder":
+    case "generateMultiLevelCylinder":
+    case "generateInflatableCylinder":
+    case "generateTunnel":
+    case "generateFilletedCylinder": {
+      const { diameter, length } = params;
+      return prismShape(circle(diameter), Math.PI * diameter, length, diameter);
+    }
+    case "generateDockingPort": {
+      const { diameter, depth } = params;
+      return prismShape(circle(diameter), Math.PI * diameter, depth, diameter);
+    }
+    case "generateRoundedBox": {
+      const { width, height, length, radius = 0 } = params;
+      const r = Math.min(radius, width / 2, height / 2);
+      const section = width * height - (4 - Math.PI) * r * r;
+      const perimeter = 2 * (width + height) - (8 - 2 * Math.PI) * r;
+      return prismShape(section, perimeter, length, Math.hypot(width, height));
+    }
+    case "generateHexPrism":
+    case "generatePolyPrism": {
+      const { diameter, length } = params;
+      const sides = Math.max(
+        3,
+        Math.floor(generator === "generateHexPrism" ? 6 : params.sides)
+      );
+      const apothem = diameter / 2;
+      const halfSide = apothem * Math.tan(Math.PI / sides);
+      return prismShape(
+        sides * apothem * halfSide,
+        sides * 2 * halfSide,
+        length,
+        (2 * apothem) / Math.cos(Math.PI / sides)
+      );
+    }
+    case "generateAdapter": {
+      const { diameterStart, diameterEnd, length } = params;
+      const r1 = diameterStart / 2;
+      const r2 = diameterEnd / 2;
+      return {
+        volume: ((Math.PI * length) / 3) * (r1 * r1 + r1 * r2 + r2 * r2),
+        area:
+          Math.PI * (r1 + r2) * Math.hypot(length, r1 - r2) +
+          Math.PI * (r1 * r1 + r2 * r2),
+        envelopeDiameter: Math.max(diameterStart, diameterEnd),
+        length,
+      };
+    }
+    case "generateDome": {
+      // Spherical cap around +Y sitting on its base
+      const { radius, heightRatio = 1 } = params;
+      const theta = (Math.PI / 2) * heightRatio;
+      const h = radius * (1 - Math.cos(theta));
+      const baseRadius = radius * Math.sin(theta);
+      return {
+        volume: (Math.PI * h * h * (3 * radius - h)) / 3,
+        area: 2 * Math.PI * radius * h + Math.PI * baseRadius * baseRadius,
+        envelopeDiameter: 2 * baseRadius,
+        length: h,
+      };
+    }
+    case "generateRevolvedProfile": {
+      if (!params.profile) return null;
+      const prepared = prepareProfile(params.profile, params);
+      return {
+        ...measureRevolvedProfile(prepared.points),
+        envelopeDiameter: prepared.diameter,
+        length: prepared.length,
+      };
+    }
+    case "generateTorusRing": {
+      // Ring tube (Pappus) plus hub and spokes
+      const layout = getTorusRingLayout(params);
+      const { majorRadius: R, tubeRadius: r, hubRadius, hubLength } = layout;
+      const hub = prismShape(
+        circle(2 * hubRadius),
+        2 * Math.PI * hubRadius,
+        hubLength,
+        2 * hubRadius
+      );
+      const spokeSection = Math.PI * layout.spokeRadius ** 2;
+      const spokeLength = Math.max(0, layout.spokeLength);
+      return {
+        volume:
+          2 * Math.PI ** 2 * R * r * r +
+          hub.volume +
+          layout.spokes * spokeSection * spokeLength,
+        area:
+          4 * Math.PI ** 2 * R * r +
+          hub.area +
+          layout.spokes * 2 * Math.PI * layout.spokeRadius * spokeLength,
+        envelopeDiameter: 2 * (R + r),
+        length: Math.max(2 * r, hubLength),
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compute the budget line of one scene object
+ * Object scale is applied: volume by sx*sy*sz, shell area by its 2/3 power.
+ * Imported modules' rated values are for scale 1 and follow the same rule:
+ * volumes and power draw go with volume, dry mass and power generation
+ * (panel area) with area.
+ * @param {Object} obj - Scene object
+ * Volumes are on-orbit (deployed) values; stowedVolume is the launch value.
+ * @returns {Object} { objectId, name, rated, dryMass, pressurizedVolume,
+ *   habitableVolume, stowedVolume, powerDraw, powerGeneration,
+ *   envelopeDiameter }
+ */
+export function computeObjectBudget(obj) {
+  const line = {
+    objectId: obj.id,
+    name: obj.name,
+    rated: false,
+    dryMass: 0,
+    pressurizedVolume: 0,
+    habitableVolume: 0,
+    stowedVolume: 0,
+    powerDraw: 0,
+    powerGeneration: 0,
+    envelopeDiameter: null,
+  };
+
+  const engineering = getEngineeringData(obj);
+  if (!engineering) return line;
+
+  const [sx, sy, sz] = obj.transform?.scale || [1, 1, 1];
+  const volumeScale = Math.abs(sx * sy * sz);
+  const areaScale = Math.pow(volumeScale, 2 / 3);
+  const def = obj.userData.moduleDefinition;
+
+  if (def.type === "imported") {
+    return {
+      ...line,
+      rated: true,
+      dryMass: (engineering.dryMass || 0) * areaScale,
+      pressurizedVolume: (engineering.pressurizedVolume || 0) * volumeScale,
+      habitableVolume: (engineering.habitableVolume || 0) * volumeScale,
+      stowedVolume: (engineering.pressurizedVolume || 0) * volumeScale,
+      powerDraw: (engineering.powerDraw || 0) * volumeScale,
+      powerGeneration: (engineering.powerGeneration || 0) * areaScale,
+    };
+  }
+
+  const shape = getModuleShape(def.generator, {
+    ...def.defaultParams,
+    ...obj.userData.parameters,
+  });
+  if (!shape) return line;
+
+  const pressurizedVolume = shape.volume * volumeScale;
+  const area = shape.area * areaScale;
+
+  return {
+    ...line,
+    rated: true,
+    dryMass: area * engineering.massPerArea + (engineering.fixedMass || 0),
+    pressurizedVolume,
+    habitableVolume: pressurizedVolume * (engineering.habitableFraction || 0),
+    // Packed inflatables launch at a fraction of their on-orbit volume
+    stowedVolume: def.stowedGenerator
+      ? pressurizedVolume *
+        INFLATABLE_STOWED_RATIO.diameter ** 2 *
+        INFLATABLE_STOWED_RATIO.length
+      : pressurizedVolume,
+    powerDraw:
+      pressurizedVolume * (engineering.powerPerVolume || 0) +
+      (engineering.fixedPowerDraw || 0),
+    powerGeneration: 0,
+    envelopeDiameter:
+      shape.envelopeDiameter * Math.max(Math.abs(sx), Math.abs(sy)),
+  };
+}
+
+/**
+ * Total the budget over the scene and check it against the limits
+ * @param {Array} objects - Scene objects (hidden objects are skipped)
+ * @param {Object} limits - { launchMass, fairingDiameter }
+ * @returns {Object} { lines, totals, unratedCount, launchMassExceeded,
+ *   oversizedIds }
+ */
+export function computeBudget(objects, limits = DEFAULT_BUDGET_LIMITS) {
+  const lines = objects
+    .filter((obj) => !obj.hidden)
+    .map((obj) => computeObjectBudget(obj));
+  const rated = lines.filter((line) => line.rated);
+
+  const sum = (key) => rated.reduce((total, line) => total + line[key], 0);
+  const totals = {
+    dryMass: sum("dryMass"),
+    pressurizedVolume: sum("pressurizedVolume"),
+    habitableVolume: sum("habitableVolume"),
+    stowedVolume: sum("stowedVolume"),
+    powerDraw: sum("powerDraw"),
+    powerGeneration: sum("powerGeneration"),
+  };
+  totals.netPower = totals.powerGeneration - totals.powerDraw;
+
+  return {
+    lines: rated,
+    totals,
+    unratedCount: lines.length - rated.length,
+    launchMassExceeded: totals.dryMass > limits.launchMass,
+    oversizedIds: rated
+      .filter(
+        (line) =>
+          line.envelopeDiameter != null &&
+          line.envelopeDiameter > limits.fairingDiameter
+      )
+      .map((line) => line.objectId),
+  };
+}
@@ -1,35 +1,75 @@
 import * as THREE from "three";
 import { CSG } from "three-csg-ts";
+import {
+  mergeVertices,
+  toCreasedNormals,
+} from "three/examples/jsm/utils/BufferGeometryUtils.js";
+
+/**
+ * Geometry a scene object is drawn with: imported and CAD bodies keep it in
+ * parameters, procedural modules in userData
+ * @param {Object} obj - Scene object
+ * @returns {THREE.BufferGeometry|null}
+ */
+export function getObjectGeometry(obj) {
+  const geometry =
+    obj?.geometry || obj?.userData?.geometry || obj?.parameters?.geometry;
+  return geometry?.isBufferGeometry ? geometry : null;
+}
 
 // Boolean Operations using CSG
-export function unionMeshes(mesh1, mesh2) {
+// Results live in mesh1's local space and carry its transform and material.
+function combineMeshes(operation, label, mesh1, mesh2) {
   try {
-    const result = CSG.union(mesh1, mesh2);
+    mesh1.updateMatrix();
+    mesh2.updateMatrix();
+    const solid = toSolid(mesh1.geometry, mesh1.matrix)[operation](
+      toSolid(mesh2.geometry, mesh2.matrix)
+    );
+    const result = new THREE.Mesh(
+      fromSolid(solid, mesh1.matrix),
+      mesh1.material
+    );
+    mesh1.matrix.decompose(result.position, result.quaternion, result.scale);
     return result;
   } catch (error) {
-    console.error("Union operation failed:", error);
+    console.error(`${label} operation failed:`, error);
     return null;
   }
 }
 
+export function unionMeshes(mesh1, mesh2) {
+  return combineMeshes("union", "Union", mesh1, mesh2);
+}
+
 export function subtractMeshes(mesh1, mesh2) {
-  try {
-    const result = CSG.subtract(mesh1, mesh2);
-    return result;
-  } catch (error) {
-    console.error("Subtract operation failed:", error);
-    return null;
-  }
+  return combineMeshes("subtract", "Subtract", mesh1, mesh2);
 }
 
 export function intersectMeshes(mesh1, mesh2) {
-  try {
-    const result = CSG.intersect(mesh1, mesh2);
-    return result;
-  } catch (error) {
-    console.error("Intersect operation failed:", error);
-    return null;
-  }
+  return combineMeshes("intersect", "Intersect", mesh1, mesh2);
+}
+
+export const BOOLEAN_OPERATIONS = {
+  union: { combine: unionMeshes, symbol: "∪", label: "Union" },
+  subtract: { combine: subtractMeshes, symbol: "−", label: "Subtract" },
+  intersect: { combine: intersectMeshes, symbol: "∩", label: "Intersect" },
+};
+
+/**
+ * Mesh placed like a scene object, for CSG and other mesh-level operations
+ * @param {Object} obj - Scene object
+ * @returns {THREE.Mesh|null} null when the object has no geometry
+ */
+export function createObjectMesh(obj) {
+  const geometry = getObjectGeometry(obj);
+  if (!geometry) return null;
+  const mesh = new THREE.Mesh(geometry);
+  mesh.position.fromArray(obj.transform.position);
+  mesh.rotation.set(...obj.transform.rotation);
+  mesh.scale.fromArray(obj.transform.scale);
+  mesh.updateMatrix();
+  return mesh;
 }
 
 // Face Extrusion
@@ -72,53 +112,163 @@ export function extrudeFace(geometry, faceIndex, distance) {
   return newGeometry;
 }
 
-// Get face data for selection
+// Faces of a mesh are the flat regions around a picked triangle: the
+// connected triangles sharing its plane
+const FACE_NORMAL_TOLERANCE = 1e-3; // 1 - cos of the angle between normals
+const FACE_PLANE_TOLERANCE = 1e-4; // m, relative to the mesh size
+
+function getTriangleVertexIndices(geometry, faceIndex) {
+  const index = geometry.index;
+  return [0, 1, 2].map((k) =>
+    index ? index.getX(faceIndex * 3 + k) : faceIndex * 3 + k
+  );
+}
+
+/**
+ * Face data for selection and sketch planes
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Number} faceIndex - Picked triangle
+ * @returns {Object} { vertices, normal, center, indices, faces, outline }
+ *   in local space: vertices/indices of the picked triangle, the flat
+ *   region's triangles (faces), its area-weighted center and its boundary
+ *   as [start, end] pairs
+ */
 export function getFaceData(geometry, faceIndex) {
   const positionAttribute = geometry.attributes.position;
-  const normalAttribute = geometry.attributes.normal;
-  const index = geometry.index;
+  const triangleCount =
+    (geometry.index ? geometry.index.count : positionAttribute.count) / 3;
+  if (!(faceIndex >= 0 && faceIndex < triangleCount)) return null;
 
-  if (!index) return null;
+  const triangle = new THREE.Triangle();
+  const setTriangle = (face) =>
+    triangle.setFromAttributeAndIndices(
+      positionAttribute,
+      ...getTriangleVertexIndices(geometry, face)
+    );
 
-  const i1 = index.getX(faceIndex * 3);
-  const i2 = index.getX(faceIndex * 3 + 1);
-  const i3 = index.getX(faceIndex * 3 + 2);
+  const indices = getTriangleVertexIndices(geometry, faceIndex);
+  setTriangle(faceIndex);
+  const vertices = [triangle.a.clone(), triangle.b.clone(), triangle.c.clone()];
+  const normal = triangle.getNormal(new THREE.Vector3());
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+    normal,
+    vertices[0]
+  );
+
+  if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+  const planeTolerance =
+    FACE_PLANE_TOLERANCE * Math.max(1, geometry.boundingSphere.radius);
 
-  const v1 = new THREE.Vector3().fromBufferAttribute(positionAttribute, i1);
-  const v2 = new THREE.Vector3().fromBufferAttribute(positionAttribute, i2);
-  const v3 = new THREE.Vector3().fromBufferAttribute(positionAttribute, i3);
+  // Triangles around each welded edge
+  const key = (i) =>
+    [
+      positionAttribute.getX(i),
+      positionAttribute.getY(i),
+      positionAttribute.getZ(i),
+    ]
+      .map((c) => Math.round(c / WELD_TOLERANCE))
+      .join(",");
+  const edgeKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+  const edgeFaces = new Map();
+  for (let face = 0; face < triangleCount; face++) {
+    const keys = getTriangleVertexIndices(geometry, face).map(key);
+    keys.forEach((a, k) => {
+      const edge = edgeKey(a, keys[(k + 1) % 3]);
+      if (!edgeFaces.has(edge)) edgeFaces.set(edge, []);
+      edgeFaces.get(edge).push(face);
+    });
+  }
 
-  const normal = new THREE.Vector3().fromBufferAttribute(normalAttribute, i1);
+  // Flood the flat region from the picked triangle
+  const faceNormal = new THREE.Vector3();
+  const inRegion = new Set([faceIndex]);
+  const queue = [faceIndex];
+  while (queue.length > 0) {
+    const keys = getTriangleVertexIndices(geometry, queue.pop()).map(key);
+    keys.forEach((a, k) => {
+      edgeFaces.get(edgeKey(a, keys[(k + 1) % 3])).forEach((other) => {
+        if (inRegion.has(other)) return;
+        setTriangle(other);
+        triangle.getNormal(faceNormal);
+        if (
+          1 - faceNormal.dot(normal) < FACE_NORMAL_TOLERANCE &&
+          [triangle.a, triangle.b, triangle.c].every(
+            (v) => Math.abs(plane.distanceToPoint(v)) < planeTolerance
+          )
+        ) {
+          inRegion.add(other);
+          queue.push(other);
+        }
+      });
+    });
+  }
 
-  // Calculate face center
-  const center = new THREE.Vector3().add(v1).add(v2).add(v3).divideScalar(3);
+  const faces = [...inRegion];
+  const center = new THREE.Vector3();
+  const centroid = new THREE.Vector3();
+  let area = 0;
+  const outline = [];
+  faces.forEach((face) => {
+    setTriangle(face);
+    const faceArea = triangle.getArea();
+    center.addScaledVector(triangle.getMidpoint(centroid), faceArea);
+    area += faceArea;
 
-  return {
-    vertices: [v1, v2, v3],
-    normal,
-    center,
-    indices: [i1, i2, i3],
-  };
+    // Boundary edges have no other region triangle on them
+    const corners = [triangle.a, triangle.b, triangle.c];
+    const keys = getTriangleVertexIndices(geometry, face).map(key);
+    keys.forEach((a, k) => {
+      const shared = edgeFaces
+        .get(edgeKey(a, keys[(k + 1) % 3]))
+        .some((other) => other !== face && inRegion.has(other));
+      if (!shared) {
+        outline.push([corners[k].clone(), corners[(k + 1) % 3].clone()]);
+      }
+    });
+  });
+  center.divideScalar(area || 1);
+
+  return { vertices, normal, center, indices, faces, outline };
 }
 
-// Create plane geometry from face
+/**
+ * Sketch plane on a face
+ * The plane's X axis follows the body axis lying flattest in the face, so
+ * sketches on box-like bodies come out square to the edges.
+ * @param {Object} faceData - From getFaceData
+ * @param {THREE.Matrix4} worldMatrix - Of the mesh
+ * @returns {Object} { center, normal, uAxis, vAxis, quaternion, matrix,
+ *   outline } in world space; matrix maps sketch (u, v, out of the face)
+ *   coordinates to world and outline is the face boundary as
+ *   [[u1, v1], [u2, v2]] segments
+ */
 export function createPlaneFromFace(faceData, worldMatrix) {
-  const { center, normal, vertices } = faceData;
+  const { center, normal, outline } = faceData;
 
   // Transform to world space
   const worldCenter = center.clone().applyMatrix4(worldMatrix);
   const worldNormal = normal
     .clone()
-    .transformDirection(worldMatrix)
+    .applyMatrix3(new THREE.Matrix3().getNormalMatrix(worldMatrix))
     .normalize();
 
   // Calculate plane basis vectors
-  const v1 = vertices[0].clone().applyMatrix4(worldMatrix);
-  const v2 = vertices[1].clone().applyMatrix4(worldMatrix);
-
-  const uAxis = v2.clone().sub(v1).normalize();
+  const [bodyAxis] = [
+    new THREE.Vector3(1, 0, 0),
+    new THREE.Vector3(0, 1, 0),
+    new THREE.Vector3(0, 0, 1),
+  ].sort((a, b) => Math.abs(a.dot(normal)) - Math.abs(b.dot(normal)));
+  const uAxis = bodyAxis
+    .transformDirection(worldMatrix)
+    .projectOnPlane(worldNormal)
+    .normalize();
   const vAxis = worldNormal.clone().cross(uAxis).normalize();
 
+  const toPlane = (point) => {
+    const offset = point.clone().applyMatrix4(worldMatrix).sub(worldCenter);
+    return [offset.dot(uAxis), offset.dot(vAxis)];
+  };
+
   return {
     center: worldCenter,
     normal: worldNormal,
@@ -127,42 +277,641 @@ export function createPlaneFromFace(faceData, worldMatrix) {
     quaternion: new THREE.Quaternion().setFromRotationMatrix(
       new THREE.Matrix4().makeBasis(uAxis, vAxis, worldNormal)
     ),
+    matrix: new THREE.Matrix4()
+      .makeBasis(uAxis, vAxis, worldNormal)
+      .setPosition(worldCenter),
+    outline: outline.map(([start, end]) => [toPlane(start), toPlane(end)]),
   };
 }
 
-// Fillet/Chamfer edge
-export function filletEdge(geometry, edgeVertices, radius) {
-  const newGeometry = geometry.clone();
-  // Implementation would require complex mesh subdivision
-  // For now, return original geometry
-  // Full implementation would use subdivision and smoothing
-  console.log("Fillet edge:", edgeVertices, radius);
-  return newGeometry;
+// Overlap of sketch features with their face, so CSG never meets
+// coincident surfaces
+const SKETCH_FEATURE_OVERLAP = 1e-3; // m
+
+/**
+ * Extrude a sketch profile from a plane into, or out of, a body
+ * @param {THREE.BufferGeometry} geometry - The body, in its local space
+ * @param {THREE.Matrix4} planeMatrix - Sketch (u, v, out of the face)
+ *   coordinates to the body's local space
+ * @param {THREE.Shape} shape - Profile in plane coordinates (m)
+ * @param {Object} options - { depth, cut, bevelEnabled, bevelSize }: cut
+ *   removes material below the plane, otherwise it's added above it
+ * @returns {THREE.BufferGeometry|null} null when the operation fails
+ */
+export function extrudeSketch(
+  geometry,
+  planeMatrix,
+  shape,
+  { depth, cut = false, bevelEnabled = false, bevelSize = 0 }
+) {
+  const feature = new THREE.ExtrudeGeometry(shape, {
+    depth: depth + SKETCH_FEATURE_OVERLAP,
+    bevelEnabled,
+    bevelSize,
+    bevelThickness: bevelSize,
+    bevelSegments: 3,
+    curveSegments: 32,
+  })
+    .translate(0, 0, cut ? -depth : -SKETCH_FEATURE_OVERLAP)
+    .applyMatrix4(planeMatrix);
+
+  const result = (cut ? subtractMeshes : unionMeshes)(
+    new THREE.Mesh(geometry),
+    new THREE.Mesh(feature)
+  );
+  feature.dispose();
+  if (!result) return null;
+  result.geometry.userData = { ...geometry.userData };
+  return result.geometry;
 }
 
-// Mirror geometry across plane
-export function mirrorGeometry(geometry, plane) {
-  const newGeometry = geometry.clone();
-  const positionAttribute = newGeometry.attributes.position;
+// Fillet/Chamfer edges
+// Feature edges join two faces meeting at more than FEATURE_EDGE_ANGLE on the
+// welded mesh. A treated edge chain gets a corner profile swept along it,
+// which is cut out of convex edges and filled into concave ones.
+const FEATURE_EDGE_ANGLE = 30; // degrees
+const CHAIN_ANGLE = 40; // degrees, max turn between edges of one chain
+const WELD_TOLERANCE = 1e-4;
+const FILLET_SEGMENTS = 8;
+const CREASE_ANGLE = Math.PI / 6; // smooth shading below, hard edges above
 
-  for (let i = 0; i < positionAttribute.count; i++) {
-    const vertex = new THREE.Vector3().fromBufferAttribute(
-      positionAttribute,
-      i
+/**
+ * Find the sharp edges of a mesh
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Number} thresholdAngle - Min angle between face normals (degrees)
+ * @returns {Object} { vertices, edges, vertexEdges } where each edge is
+ *   { a, b, start, end, direction, normals, sides, convex }; sides point from
+ *   the edge into each of its two faces
+ */
+export function getFeatureEdges(geometry, thresholdAngle = FEATURE_EDGE_ANGLE) {
+  const source = new THREE.BufferGeometry();
+  source.setAttribute("position", geometry.attributes.position);
+  if (geometry.index) source.setIndex(geometry.index);
+  const welded = mergeVertices(source, WELD_TOLERANCE);
+  const position = welded.attributes.position;
+  const index = welded.index;
+
+  const vertices = [];
+  for (let i = 0; i < position.count; i++) {
+    vertices.push(new THREE.Vector3().fromBufferAttribute(position, i));
+  }
+
+  const edgeFaces = new Map();
+  const triangle = new THREE.Triangle();
+  for (let f = 0; f < index.count; f += 3) {
+    const ids = [index.getX(f), index.getX(f + 1), index.getX(f + 2)];
+    triangle.set(vertices[ids[0]], vertices[ids[1]], vertices[ids[2]]);
+    if (triangle.getArea() < WELD_TOLERANCE * WELD_TOLERANCE) continue;
+    const normal = triangle.getNormal(new THREE.Vector3());
+
+    for (let k = 0; k < 3; k++) {
+      const a = ids[k];
+      const b = ids[(k + 1) % 3];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      if (!edgeFaces.has(key)) edgeFaces.set(key, []);
+      edgeFaces.get(key).push({ normal, opposite: ids[(k + 2) % 3] });
+    }
+  }
+  welded.dispose();
+
+  const cosThreshold = Math.cos(THREE.MathUtils.degToRad(thresholdAngle));
+  const edges = [];
+  const vertexEdges = new Map();
+  edgeFaces.forEach((faces, key) => {
+    // Open and non-manifold edges can't be rounded
+    if (faces.length !== 2) return;
+    if (faces[0].normal.dot(faces[1].normal) > cosThreshold) return;
+
+    const [a, b] = key.split("_").map(Number);
+    const start = vertices[a];
+    const end = vertices[b];
+    const direction = end.clone().sub(start).normalize();
+    const sides = faces.map(({ opposite }) => {
+      const side = vertices[opposite].clone().sub(start);
+      return side.addScaledVector(direction, -side.dot(direction)).normalize();
+    });
+
+    const edgeIndex = edges.length;
+    edges.push({
+      a,
+      b,
+      start,
+      end,
+      direction,
+      normals: faces.map((face) => face.normal),
+      sides,
+      // The second face falls away below the plane of the first
+      convex: faces[0].normal.dot(sides[1]) < 0,
+    });
+    [a, b].forEach((v) => {
+      if (!vertexEdges.has(v)) vertexEdges.set(v, []);
+      vertexEdges.get(v).push(edgeIndex);
+    });
+  });
+
+  return { vertices, edges, vertexEdges };
+}
+
+/**
+ * Follow an edge through smooth, unbranched joints in both directions
+ * @returns {Object} { edges, vertices, closed } in chain order; edge i runs
+ *   from vertices[i] to vertices[i + 1]
+ */
+function walkChain({ edges, vertexEdges }, edgeIndex, isAllowed = () => true) {
+  const cosChain = Math.cos(THREE.MathUtils.degToRad(CHAIN_ANGLE));
+  const seed = edges[edgeIndex];
+
+  const follow = (vertex) => {
+    const path = [];
+    let current = edgeIndex;
+    let v = vertex;
+    for (;;) {
+      const incident = vertexEdges.get(v).filter(isAllowed);
+      if (incident.length !== 2) return { path, closed: false };
+      const next = incident[0] === current ? incident[1] : incident[0];
+      if (next === edgeIndex) return { path, closed: true };
+
+      const edge = edges[next];
+      const turn = Math.abs(edges[current].direction.dot(edge.direction));
+      if (edge.convex !== seed.convex || turn < cosChain) {
+        return { path, closed: false };
+      }
+      v = edge.a === v ? edge.b : edge.a;
+      path.push({ edge: next, vertex: v });
+      current = next;
+    }
+  };
+
+  const forward = follow(seed.b);
+  if (forward.closed) {
+    return {
+      edges: [edgeIndex, ...forward.path.map((step) => step.edge)],
+      vertices: [
+        seed.a,
+        seed.b,
+        ...forward.path.map((step) => step.vertex),
+      ].slice(0, -1),
+      closed: true,
+    };
+  }
+
+  const backward = follow(seed.a).path.reverse();
+  return {
+    edges: [
+      ...backward.map((step) => step.edge),
+      edgeIndex,
+      ...forward.path.map((step) => step.edge),
+    ],
+    vertices: [
+      ...backward.map((step) => step.vertex),
+      seed.a,
+      seed.b,
+      ...forward.path.map((step) => step.vertex),
+    ],
+    closed: false,
+  };
+}
+
+/**
+ * Edges that continue a feature edge smoothly (e.g. the whole rim of a
+ * cylinder cap), so one pick selects the visible edge
+ * @param {Object} featureEdges - From getFeatureEdges
+ * @param {Number} edgeIndex
+ * @returns {Array} Edge indices
+ */
+export function getEdgeChain(featureEdges, edgeIndex) {
+  return walkChain(featureEdges, edgeIndex).edges;
+}
+
+/**
+ * Feature edge closest to a point
+ * @param {Object} featureEdges - From getFeatureEdges
+ * @param {THREE.Vector3} point - In geometry space
+ * @param {Number} maxDistance
+ * @returns {Number} Edge index, or -1 when none is within maxDistance
+ */
+export function findNearestFeatureEdge(featureEdges, point, maxDistance) {
+  const line = new THREE.Line3();
+  const closest = new THREE.Vector3();
+  let nearest = -1;
+  let nearestDistance = maxDistance;
+  featureEdges.edges.forEach((edge, i) => {
+    line.set(edge.start, edge.end).closestPointToPoint(point, true, closest);
+    const distance = closest.distanceTo(point);
+    if (distance < nearestDistance) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Serializable endpoints of feature edges, the input of filletEdge
+ * @param {Object} featureEdges - From getFeatureEdges
+ * @param {Array} edgeIndices
+ * @returns {Array} [[[x, y, z], [x, y, z]], ...]
+ */
+export function getEdgeVertices(featureEdges, edgeIndices) {
+  return edgeIndices.map((i) => [
+    featureEdges.edges[i].start.toArray(),
+    featureEdges.edges[i].end.toArray(),
+  ]);
+}
+
+/**
+ * Feature edges at the given positions (see getEdgeVertices)
+ * Edges that overlap a given segment along its line count too, so edges
+ * that a later rebuild splits or merges are still found.
+ * @param {Object} featureEdges - From getFeatureEdges
+ * @param {Array} edgeVertices - [[start], [end]] pairs
+ * @returns {Array} Edge indices found
+ */
+export function matchFeatureEdges(featureEdges, edgeVertices) {
+  const tolerance = WELD_TOLERANCE * 10;
+  const closest = new THREE.Vector3();
+  const on = (line, point) =>
+    line.closestPointToPoint(point, true, closest).distanceTo(point) <
+    tolerance;
+
+  const found = new Set();
+  edgeVertices.forEach(([p, q]) => {
+    const segment = new THREE.Line3(
+      new THREE.Vector3(...p),
+      new THREE.Vector3(...q)
     );
-    const mirrored = vertex
+    featureEdges.edges.forEach((edge, i) => {
+      const line = new THREE.Line3(edge.start, edge.end);
+      if (
+        (on(segment, edge.start) && on(segment, edge.end)) ||
+        (on(line, segment.start) && on(line, segment.end))
+      ) {
+        found.add(i);
+      }
+    });
+  });
+  return [...found];
+}
+
+// Corner cross-section at one chain vertex: from the edge point P, t1 and t2
+// run into the two faces. The profile covers the corner region between P
+// and the fillet arc (or chamfer line), with an overshoot past P.
+function getCornerProfile(point, t1, t2, size, mode, segments) {
+  const cos = THREE.MathUtils.clamp(t1.dot(t2), -1, 1);
+  const angle = Math.acos(cos);
+  const setback = mode === "chamfer" ? size : size / Math.tan(angle / 2);
+  const overshoot = Math.max(setback / 2, WELD_TOLERANCE * 100);
+  // Directions pointing away from the other face
+  const m1 = t2.clone().addScaledVector(t1, -cos).normalize().negate();
+  const m2 = t1.clone().addScaledVector(t2, -cos).normalize().negate();
+
+  const tangent1 = point.clone().addScaledVector(t1, setback);
+  const tangent2 = point.clone().addScaledVector(t2, setback);
+  const profile = [tangent1];
+
+  if (mode !== "chamfer") {
+    const center = point
       .clone()
-      .reflect(plane.normal)
-      .add(plane.normal.clone().multiplyScalar(2 * plane.constant));
-    positionAttribute.setXYZ(i, mirrored.x, mirrored.y, mirrored.z);
+      .addScaledVector(
+        t1.clone().add(t2).normalize(),
+        size / Math.sin(angle / 2)
+      );
+    const u1 = tangent1.clone().sub(center).divideScalar(size);
+    const u2 = tangent2.clone().sub(center).divideScalar(size);
+    const sweep = Math.PI - angle;
+    for (let j = 1; j < segments; j++) {
+      const f = j / segments;
+      profile.push(
+        center
+          .clone()
+          .addScaledVector(
+            u1,
+            (size * Math.sin((1 - f) * sweep)) / Math.sin(sweep)
+          )
+          .addScaledVector(u2, (size * Math.sin(f * sweep)) / Math.sin(sweep))
+      );
+    }
   }
 
-  positionAttribute.needsUpdate = true;
-  newGeometry.computeVertexNormals();
+  profile.push(
+    tangent2,
+    tangent2.clone().addScaledVector(m2, overshoot),
+    point.clone().addScaledVector(m1, overshoot).addScaledVector(m2, overshoot),
+    tangent1.clone().addScaledVector(m1, overshoot)
+  );
+  return { profile, setback, overshoot };
+}
+
+// Closed solid sweeping the corner profile along an edge chain
+function buildCornerSweep(featureEdges, chain, size, mode, segments) {
+  const { edges, vertices } = featureEdges;
+  const chainEdges = chain.edges.map((i) => edges[i]);
+  const points = chain.vertices.map((v) => vertices[v]);
+  const edgeCount = chainEdges.length;
+
+  // Keep each edge's face order consistent with the one before it
+  const sides = [];
+  chainEdges.forEach((edge, i) => {
+    const reference = i === 0 ? edge.normals[0] : sides[i - 1].normal;
+    const flip =
+      edge.normals[1].dot(reference) > edge.normals[0].dot(reference);
+    sides.push({
+      t1: edge.sides[flip ? 1 : 0],
+      t2: edge.sides[flip ? 0 : 1],
+      normal: edge.normals[flip ? 1 : 0],
+    });
+  });
+  const segmentDirection = (i) =>
+    points[(i + 1) % points.length].clone().sub(points[i]).normalize();
+
+  let setback = 0;
+  let overshoot = 0;
+  const rings = points.map((point, k) => {
+    const adjacent = [k - 1, k].filter(
+      (i) => chain.closed || (i >= 0 && i < edgeCount)
+    );
+    const at = adjacent.map((i) => (i + edgeCount) % edgeCount);
+    const tangent = at
+      .reduce((sum, i) => sum.add(segmentDirection(i)), new THREE.Vector3())
+      .normalize();
+    const inPlane = (key) => {
+      const v = at.reduce(
+        (sum, i) => sum.add(sides[i][key]),
+        new THREE.Vector3()
+      );
+      return v.addScaledVector(tangent, -v.dot(tangent)).normalize();
+    };
+
+    const corner = getCornerProfile(
+      point,
+      inPlane("t1"),
+      inPlane("t2"),
+      size,
+      mode,
+      segments
+    );
+    setback = Math.max(setback, corner.setback);
+    overshoot = Math.max(overshoot, corner.overshoot);
+    return { tangent, profile: corner.profile };
+  });
+
+  // Open convex chains run past their ends so the cut goes all the way
+  // through; concave fills stop flush
+  if (!chain.closed && chainEdges[0].convex) {
+    const shift = (ring, distance) =>
+      ring.profile.forEach((p) => p.addScaledVector(ring.tangent, distance));
+    shift(rings[0], -overshoot);
+    shift(rings[rings.length - 1], overshoot);
+  }
+
+  // Wind every ring counter-clockwise around the chain direction
+  const first = rings[0];
+  const origin = points[0];
+  const xAxis = first.profile[0].clone().sub(origin);
+  xAxis.addScaledVector(first.tangent, -xAxis.dot(first.tangent)).normalize();
+  const yAxis = first.tangent.clone().cross(xAxis);
+  const flat = first.profile.map((p) => {
+    const d = p.clone().sub(origin);
+    return new THREE.Vector2(d.dot(xAxis), d.dot(yAxis));
+  });
+  if (THREE.ShapeUtils.area(flat) < 0) {
+    rings.forEach((ring) => ring.profile.reverse());
+    flat.reverse();
+  }
+
+  const triangles = [];
+  const ringCount = rings.length;
+  const profileSize = first.profile.length;
+  const sections = chain.closed ? ringCount : ringCount - 1;
+  for (let k = 0; k < sections; k++) {
+    const back = rings[k].profile;
+    const front = rings[(k + 1) % ringCount].profile;
+    for (let j = 0; j < profileSize; j++) {
+      const next = (j + 1) % profileSize;
+      triangles.push([back[j], back[next], front[next]]);
+      triangles.push([back[j], front[next], front[j]]);
+    }
+  }
+
+  if (!chain.closed) {
+    const cap = THREE.ShapeUtils.triangulateShape(flat, []);
+    [
+      [rings[0], -1],
+      [rings[ringCount - 1], 1],
+    ].forEach(([ring, facing]) => {
+      cap.forEach((ids) => {
+        const triangle = ids.map((id) => ring.profile[id]);
+        const normal = new THREE.Triangle(...triangle).getNormal(
+          new THREE.Vector3()
+        );
+        if (normal.dot(ring.tangent) * facing < 0) triangle.reverse();
+        triangles.push(triangle);
+      });
+    });
+  }
+
+  const geometry = new THREE.BufferGeometry().setFromPoints(triangles.flat());
+  geometry.computeVertexNormals();
+  return { geometry, setback };
+}
+
+// CSG solids are built from positions only; normals are recreated after
+function toSolid(geometry, matrix) {
+  const source = new THREE.BufferGeometry();
+  source.setAttribute(
+    "position",
+    matrix
+      ? geometry.attributes.position.clone().applyMatrix4(matrix)
+      : geometry.attributes.position
+  );
+  if (geometry.index) source.setIndex(geometry.index);
+  const soup = geometry.index ? source.toNonIndexed() : source;
+  soup.computeVertexNormals();
+  // Explicit index: three-csg-ts makes a 16-bit one for unindexed input
+  soup.setIndex([...Array(soup.attributes.position.count).keys()]);
+  return CSG.fromGeometry(soup);
+}
+
+function fromSolid(solid, matrix = new THREE.Matrix4()) {
+  const soup = CSG.toGeometry(solid, matrix);
+  soup.deleteAttribute("uv");
+  soup.deleteAttribute("normal");
+  const geometry = mergeVertices(
+    toCreasedNormals(soup, CREASE_ANGLE),
+    WELD_TOLERANCE
+  );
+  soup.dispose();
+  return geometry;
+}
+
+/**
+ * Round (fillet) or bevel (chamfer) sharp edges of a closed mesh
+ * Each chain of selected edges is treated as one swept corner, so a picked
+ * cylinder rim is rounded all the way around.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Array} edgeVertices - Edge endpoints from getEdgeVertices
+ * @param {Number} radius - Fillet radius, or chamfer setback along each face
+ * @param {Object} options - { mode: "fillet" | "chamfer", segments }
+ * @returns {THREE.BufferGeometry|null} New geometry, null when the CSG
+ *   operation fails
+ */
+export function filletEdge(
+  geometry,
+  edgeVertices,
+  radius,
+  { mode = "fillet", segments = FILLET_SEGMENTS } = {}
+) {
+  const featureEdges = getFeatureEdges(geometry);
+  const selected = matchFeatureEdges(featureEdges, edgeVertices || []);
+  if (!(radius > 0) || selected.length === 0) return geometry.clone();
+
+  const remaining = new Set(selected);
+  const chains = [];
+  selected.forEach((edgeIndex) => {
+    if (!remaining.has(edgeIndex)) return;
+    const chain = walkChain(featureEdges, edgeIndex, (i) => remaining.has(i));
+    chain.edges.forEach((i) => remaining.delete(i));
+    chains.push(chain);
+  });
+
+  try {
+    let solid = toSolid(geometry);
+    chains.forEach((chain) => {
+      const sweep = buildCornerSweep(
+        featureEdges,
+        chain,
+        radius,
+        mode,
+        segments
+      );
+      const corner = CSG.fromGeometry(sweep.geometry);
+      solid = featureEdges.edges[chain.edges[0]].convex
+        ? solid.subtract(corner)
+        : solid.union(corner);
+      sweep.geometry.dispose();
+    });
+
+    const result = fromSolid(solid);
+    result.userData = { ...geometry.userData };
+    return result;
+  } catch (error) {
+    console.error("Fillet operation failed:", error);
+    return null;
+  }
+}
+
+/**
+ * Bevel sharp edges, see filletEdge
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Array} edgeVertices
+ * @param {Number} distance - Setback along each face
+ * @returns {THREE.BufferGeometry|null}
+ */
+export function chamferEdge(geometry, edgeVertices, distance) {
+  return filletEdge(geometry, edgeVertices, distance, { mode: "chamfer" });
+}
+
+// Mirror operations
+
+// The plane mirrored bodies are flipped across in their own frame
+export const LOCAL_MIRROR_PLANE = new THREE.Plane(
+  new THREE.Vector3(1, 0, 0),
+  0
+);
+
+/**
+ * Reflection across a plane as a matrix
+ * @param {THREE.Plane} plane - Normal must be unit length
+ * @returns {THREE.Matrix4}
+ */
+export function getReflectionMatrix(plane) {
+  const { normal, constant } = plane;
+  const axis = (x, y, z) => new THREE.Vector3(x, y, z).reflect(normal);
+  return new THREE.Matrix4()
+    .makeBasis(axis(1, 0, 0), axis(0, 1, 0), axis(0, 0, 1))
+    .setPosition(normal.clone().multiplyScalar(-2 * constant));
+}
+
+// Swap the second and third corner of every triangle so faces point out
+// again after a reflection
+function flipWinding(geometry) {
+  if (geometry.index) {
+    const index = geometry.index;
+    for (let i = 0; i + 2 < index.count; i += 3) {
+      const b = index.getX(i + 1);
+      index.setX(i + 1, index.getX(i + 2));
+      index.setX(i + 2, b);
+    }
+    index.needsUpdate = true;
+    return;
+  }
+  Object.values(geometry.attributes).forEach((attribute) => {
+    for (let i = 0; i + 2 < attribute.count; i += 3) {
+      for (let k = 0; k < attribute.itemSize; k++) {
+        const b = attribute.getComponent(i + 1, k);
+        attribute.setComponent(i + 1, k, attribute.getComponent(i + 2, k));
+        attribute.setComponent(i + 2, k, b);
+      }
+    }
+    attribute.needsUpdate = true;
+  });
+}
+
+/**
+ * Mirror geometry across a plane
+ * Triangle winding is reversed so normals stay outward, and attachment points
+ * in userData are mirrored with the surface.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Plane} plane
+ * @returns {THREE.BufferGeometry} New geometry
+ */
+export function mirrorGeometry(geometry, plane) {
+  const reflection = getReflectionMatrix(plane);
+  // applyMatrix4 reflects normals (and tangents) along with positions
+  const newGeometry = geometry.clone().applyMatrix4(reflection);
+  flipWinding(newGeometry);
+  if (!newGeometry.attributes.normal) newGeometry.computeVertexNormals();
+
+  // clone() shares userData with the source
+  newGeometry.userData = { ...geometry.userData };
+  if (geometry.userData.attachmentPoints) {
+    newGeometry.userData.attachmentPoints =
+      geometry.userData.attachmentPoints.map((point) => ({
+        ...point,
+        position: point.position.clone().applyMatrix4(reflection),
+        normal: point.normal.clone().reflect(plane.normal),
+      }));
+  }
 
   return newGeometry;
 }
 
+/**
+ * Placement of an object's mirror image
+ * A reflection can't be written as a rotation, so the image is the object
+ * turned and moved, with its geometry mirrored across LOCAL_MIRROR_PLANE.
+ * @param {THREE.Object3D} object
+ * @param {THREE.Plane} plane
+ * @returns {Object} { position, rotation, scale }
+ */
+export function mirrorObject(object, plane) {
+  const reflection = getReflectionMatrix(plane);
+  const rotation = reflection
+    .clone()
+    .setPosition(0, 0, 0)
+    .multiply(new THREE.Matrix4().makeRotationFromQuaternion(object.quaternion))
+    .multiply(new THREE.Matrix4().makeScale(-1, 1, 1));
+
+  return {
+    position: object.position.clone().applyMatrix4(reflection),
+    rotation: new THREE.Euler().setFromRotationMatrix(
+      rotation,
+      object.rotation.order
+    ),
+    scale: object.scale.clone(),
+  };
+}
+
 // Array/Pattern operations
 export function linearArray(object, direction, count, spacing) {
   const instances = [];
@@ -177,9 +926,19 @@ export function linearArray(object, direction, count, spacing) {
   return instances;
 }
 
-export function circularArray(object, axis, center, count, angle) {
+// Full turns space the copies evenly; partial arcs put the last copy at the
+// end of the arc. Copies turn with the pattern unless orient is false.
+export function circularArray(
+  object,
+  axis,
+  center,
+  count,
+  angle,
+  { orient = true } = {}
+) {
   const instances = [];
-  const angleStep = angle / count;
+  const fullTurn = Math.abs(angle) >= Math.PI * 2 - 1e-6;
+  const angleStep = fullTurn || count < 2 ? angle / count : angle / (count - 1);
 
   for (let i = 0; i < count; i++) {
     const rotation = new THREE.Quaternion().setFromAxisAngle(
@@ -194,7 +953,11 @@ export function circularArray(object, axis, center, count, angle) {
 
     instances.push({
       position,
-      rotation: object.rotation.clone(),
+      rotation: orient
+        ? new THREE.Euler().setFromQuaternion(
+            rotation.multiply(object.quaternion)
+          )
+        : object.rotation.clone(),
       scale: object.scale.clone(),
     });
   }
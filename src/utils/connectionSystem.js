@@ -1,4 +1,5 @@
 import * as THREE from "three";
+import { checkPortMating } from "./portStandards";
 
 /**
  * Connection System - Handles snap-to-connect functionality
@@ -35,6 +36,9 @@ export function getAttachmentPoints(module) {
       name: point.name,
       position: worldPos,
       normal: worldNormal,
+      diameter: point.diameter,
+      standard: point.standard,
+      gender: point.gender,
       module: module,
       localPosition: point.position.clone(),
       localNormal: point.normal.clone(),
@@ -95,21 +99,14 @@ export function findClosestAttachmentPoint(
 
 /**
  * Check if two attachment points are compatible for connection
+ * Facing normals, matching diameters and the port standard rule table
+ * (see portStandards.js) must all agree.
  * @param {Object} point1 - First attachment point
  * @param {Object} point2 - Second attachment point
  * @returns {Boolean} True if compatible
  */
 export function arePointsCompatible(point1, point2) {
-  // Normals should be opposite (facing each other)
-  const normalDot = point1.normal.dot(point2.normal);
-  const areOpposite = normalDot < -0.8; // Nearly opposite
-
-  // Check if diameters match (if specified)
-  const diameter1 = point1.diameter || Infinity;
-  const diameter2 = point2.diameter || Infinity;
-  const diameterMatch = Math.abs(diameter1 - diameter2) < 0.5;
-
-  return areOpposite && diameterMatch;
+  return checkPortMating(point1, point2).compatible;
 }
 
 /**
@@ -168,11 +165,13 @@ export function createConnection(sourcePoint, targetPoint) {
     id: `${sourcePoint.module.uuid}_${sourcePoint.name}_${targetPoint.module.uuid}_${targetPoint.name}`,
     source: {
       module: sourcePoint.module,
+      objectId: sourcePoint.module.userData.objectId,
       pointName: sourcePoint.name,
       position: sourcePoint.position.clone(),
     },
     target: {
       module: targetPoint.module,
+      objectId: targetPoint.module.userData.objectId,
       pointName: targetPoint.name,
       position: targetPoint.position.clone(),
     },
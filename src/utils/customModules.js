@@ -0,0 +1,249 @@
+import {
+  MODULE_LIBRARY,
+  MODULE_CATEGORIES,
+  buildModuleGeometry,
+} from "./moduleLibrary";
+import { PORT_STANDARDS } from "./portStandards";
+import { validateProfile } from "./revolveProfile";
+
+/**
+ * Custom Modules - User-defined module definitions
+ * A custom module reuses one of the procedural generators with its own
+ * defaults, adjustable ranges, icon, description and port typing. They live
+ * in the project record (project.customModules) and are shared as JSON files.
+ */
+
+export const MODULE_FILE_FORMAT = "habitat-module-definitions";
+const MODULE_FILE_VERSION = 1;
+
+const GENERATOR_LABELS = {
+  generateRigidCylinder: "Rigid Cylinder",
+  generateMultiLevelCylinder: "Multi-Level Cylinder",
+  generateRoundedBox: "Rounded Box",
+  generateFilletedCylinder: "Capsule",
+  generateHexPrism: "Hex Prism",
+  generatePolyPrism: "Polygon Prism",
+  generateInflatableCylinder: "Inflatable Cylinder",
+  generateDome: "Dome",
+  generateTunnel: "Tunnel",
+  generateDockingPort: "Docking Port",
+  generateAdapter: "Size Adapter",
+  generateRevolvedProfile: "Revolved Profile",
+  generateTorusRing: "Torus Ring",
+};
+
+/**
+ * Base shapes for custom modules: one per procedural generator, seeded with
+ * the parameters and engineering data of its first library entry
+ */
+export const GENERATOR_TEMPLATES = MODULE_LIBRARY.filter(
+  (mod) => mod.type === "procedural"
+).reduce((templates, mod) => {
+  if (templates.some((t) => t.generator === mod.generator)) return templates;
+  return [
+    ...templates,
+    {
+      generator: mod.generator,
+      label: GENERATOR_LABELS[mod.generator] || mod.name,
+      stowedGenerator: mod.stowedGenerator,
+      defaultParams: mod.defaultParams,
+      adjustableParams: mod.adjustableParams,
+      engineering: mod.engineering,
+    },
+  ];
+}, []);
+
+export function getGeneratorTemplate(generator) {
+  return GENERATOR_TEMPLATES.find((t) => t.generator === generator);
+}
+
+function generateModuleId() {
+  return `custom-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .substr(2, 5)}`;
+}
+
+/**
+ * Create a new custom module definition from a generator template
+ * @param {String} generator - Generator function name
+ * @returns {Object} Module definition (same shape as MODULE_LIBRARY entries)
+ */
+export function createCustomModule(
+  generator = GENERATOR_TEMPLATES[0].generator
+) {
+  const template = getGeneratorTemplate(generator);
+
+  return {
+    id: generateModuleId(),
+    name: `Custom ${template.label}`,
+    category: MODULE_CATEGORIES.USER,
+    type: "procedural",
+    generator: template.generator,
+    ...(template.stowedGenerator && {
+      stowedGenerator: template.stowedGenerator,
+    }),
+    defaultParams: { ...template.defaultParams },
+    adjustableParams: template.adjustableParams.map((param) => ({
+      ...param,
+    })),
+    portOverrides: {},
+    icon: "🧩",
+    description: "",
+    engineering: template.engineering,
+    isCustom: true,
+  };
+}
+
+/**
+ * Switch a definition to another generator, keeping name, icon and
+ * description but resetting params and ports to the new template
+ * @param {Object} definition
+ * @param {String} generator
+ * @returns {Object}
+ */
+export function changeModuleGenerator(definition, generator) {
+  const fresh = createCustomModule(generator);
+  return {
+    ...fresh,
+    id: definition.id,
+    name: definition.name,
+    icon: definition.icon,
+    description: definition.description,
+  };
+}
+
+/**
+ * List the ports a definition's generator creates with its default params
+ * @param {Object} definition
+ * @returns {Array} [{ name, standard, gender, diameter }]
+ */
+export function getGeneratorPorts(definition) {
+  const geometry = buildModuleGeometry(
+    { ...definition, portOverrides: null },
+    definition.defaultParams
+  );
+  if (!geometry) return [];
+
+  const ports = (geometry.userData.attachmentPoints || []).map((point) => ({
+    name: point.name,
+    standard: point.standard ?? null,
+    gender: point.gender ?? null,
+    diameter: point.diameter ?? null,
+  }));
+  geometry.dispose();
+  return ports;
+}
+
+/**
+ * Validate a module definition
+ * @param {Object} definition
+ * @returns {Array} Error messages (empty when valid)
+ */
+export function validateModuleDefinition(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== "object") {
+    return ["Not a module definition"];
+  }
+
+  if (!definition.name?.trim()) errors.push("Name is required");
+  if (!getGeneratorTemplate(definition.generator)) {
+    errors.push(`Unknown generator "${definition.generator}"`);
+    return errors;
+  }
+
+  Object.entries(definition.defaultParams || {}).forEach(([name, value]) => {
+    if (name === "profile") {
+      errors.push(...validateProfile(value));
+    } else if (!Number.isFinite(value)) {
+      errors.push(`${name}: default must be a number`);
+    }
+  });
+
+  (definition.adjustableParams || []).forEach((param) => {
+    const value = definition.defaultParams?.[param.name];
+    if (!(param.min < param.max)) {
+      errors.push(`${param.label}: min must be below max`);
+    } else if (value < param.min || value > param.max) {
+      errors.push(`${param.label}: default must be within min and max`);
+    }
+    if (!(param.step > 0)) {
+      errors.push(`${param.label}: step must be positive`);
+    }
+  });
+
+  Object.entries(definition.portOverrides || {}).forEach(([name, port]) => {
+    if (!port.standard) return;
+    const standard = PORT_STANDARDS[port.standard];
+    if (!standard) {
+      errors.push(`Port ${name}: unknown standard "${port.standard}"`);
+    } else if (port.gender && !standard.genders.includes(port.gender)) {
+      errors.push(
+        `Port ${name}: ${port.standard} has no "${port.gender}" gender`
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Serialize module definitions for sharing
+ * @param {Array} definitions
+ * @returns {String} JSON
+ */
+export function serializeModuleDefinitions(definitions) {
+  return JSON.stringify(
+    {
+      format: MODULE_FILE_FORMAT,
+      version: MODULE_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      modules: definitions,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Parse a shared module definition file
+ * Accepts the export format, a bare array or a single definition. Imported
+ * definitions get fresh ids so they never clash with existing ones.
+ * @param {String} text - File contents
+ * @returns {Object} { modules, errors }
+ */
+export function parseModuleDefinitions(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { modules: [], errors: ["File is not valid JSON"] };
+  }
+
+  const list = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.modules)
+      ? data.modules
+      : [data];
+
+  const modules = [];
+  const errors = [];
+  list.forEach((definition, index) => {
+    const problems = validateModuleDefinition(definition);
+    if (problems.length > 0) {
+      const label = definition?.name || `Module ${index + 1}`;
+      errors.push(`${label}: ${problems.join("; ")}`);
+      return;
+    }
+    const template = getGeneratorTemplate(definition.generator);
+    modules.push({
+      ...definition,
+      id: generateModuleId(),
+      category: MODULE_CATEGORIES.USER,
+      type: "procedural",
+      engineering: definition.engineering || template.engineering,
+      isCustom: true,
+    });
+  });
+
+  return { modules, errors };
+}
@@ -1,23 +1,16 @@
 import * as THREE from "three";
 import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
 import { STLExporter } from "three/examples/jsm/exporters/STLExporter.js";
-
-export function exportToJSON(objects) {
-  const exportData = {
-    version: "1.0",
-    timestamp: new Date().toISOString(),
-    objects: objects.map((obj) => ({
-      id: obj.id,
-      name: obj.name,
-      type: obj.type,
-      parameters: obj.parameters,
-      transform: obj.transform,
-      material: obj.material,
-    })),
-  };
-
-  const json = JSON.stringify(exportData, null, 2);
-  downloadFile(json, "model.json", "application/json");
+import { serializeProject } from "./projectFormat";
+
+/**
+ * Download a project as a project document (see projectFormat.js)
+ * @param {Object} project - In-memory project; only objects is required
+ */
+export function exportToJSON(project) {
+  const json = JSON.stringify(serializeProject(project), null, 2);
+  const baseName = (project.name || "model").replace(/[^\w-]+/g, "_");
+  downloadFile(json, `${baseName}.json`, "application/json");
 }
 
 // Removed OBJ export per new simplified scope (GLB + STL + JSON only)
@@ -223,7 +216,7 @@ function createGeometry(type, parameters) {
   }
 }
 
-function downloadFile(content, filename, mimeType) {
+export function downloadFile(content, filename, mimeType) {
   const blob =
     content instanceof Blob ? content : new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
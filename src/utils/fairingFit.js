@@ -0,0 +1,188 @@
+import * as THREE from "three";
+import { buildModuleGeometry } from "./moduleLibrary";
+import {
+  getFairingRadiusAt,
+  getFairingHeight,
+  getFairingDiameter,
+} from "./fairingLibrary";
+
+/**
+ * Fairing Fit - Checks module geometry against a launch fairing envelope
+ * Each module is tried standing on each of its local axes; the orientation
+ * with the most clearance wins. Inflatables are checked in stowed form.
+ */
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+const FIT_AXES = [
+  new THREE.Vector3(0, 0, 1),
+  new THREE.Vector3(0, 1, 0),
+  new THREE.Vector3(1, 0, 0),
+];
+
+// userData -> { key, result }; transforms change far more often than
+// parameters, so results are reused until the geometry or scale changes
+const fitCache = new WeakMap();
+
+/**
+ * Build the geometry a module has on the launch pad
+ * @param {Object} obj - Scene object
+ * @returns {THREE.BufferGeometry|null} null for non-procedural objects
+ */
+export function getLaunchGeometry(obj) {
+  const def = obj?.userData?.moduleDefinition;
+  if (!def || def.type !== "procedural") return null;
+
+  return buildModuleGeometry(
+    def,
+    { ...def.defaultParams, ...obj.userData.parameters },
+    "stowed"
+  );
+}
+
+/**
+ * Fit scaled geometry inside the fairing with `axis` along the fairing axis
+ */
+function fitAlongAxis(geometry, scale, axis, fairing) {
+  const toFairing = new THREE.Quaternion().setFromUnitVectors(axis, UP);
+  const positions = geometry.attributes.position;
+  const points = [];
+  const box = new THREE.Box3();
+
+  for (let i = 0; i < positions.count; i++) {
+    const point = new THREE.Vector3()
+      .fromBufferAttribute(positions, i)
+      .multiply(scale)
+      .applyQuaternion(toFairing);
+    box.expandByPoint(point);
+    points.push(point);
+  }
+
+  const usableHeight = getFairingHeight(fairing);
+  let clearance = Infinity;
+  let maxRadius = 0;
+
+  points.forEach((point) => {
+    const height = point.y - box.min.y;
+    // Generators build modules around their local origin, so the fairing
+    // axis runs through it
+    const radius = Math.hypot(point.x, point.z);
+    maxRadius = Math.max(maxRadius, radius);
+    clearance = Math.min(
+      clearance,
+      height > usableHeight
+        ? usableHeight - height
+        : getFairingRadiusAt(fairing, height) - radius
+    );
+  });
+
+  const baseCenter = new THREE.Vector3(0, box.min.y, 0)
+    .applyQuaternion(toFairing.invert())
+    .toArray();
+
+  return {
+    axis: axis.toArray(),
+    clearance,
+    requiredDiameter: 2 * maxRadius,
+    requiredHeight: box.max.y - box.min.y,
+    baseCenter,
+  };
+}
+
+function describeMisfit(fit, fairing) {
+  const usableHeight = getFairingHeight(fairing);
+  const usableDiameter = getFairingDiameter(fairing);
+
+  if (fit.requiredDiameter > usableDiameter) {
+    return `Too wide: ${fit.requiredDiameter.toFixed(
+      1
+    )} m vs ${usableDiameter.toFixed(1)} m usable`;
+  }
+  if (fit.requiredHeight > usableHeight) {
+    return `Too tall: ${fit.requiredHeight.toFixed(
+      1
+    )} m vs ${usableHeight.toFixed(1)} m usable`;
+  }
+  return "Clips the nose cone taper";
+}
+
+/**
+ * Check one module against a fairing
+ * @param {Object} obj - Scene object
+ * @param {Object} fairing - Entry from FAIRING_LIBRARY
+ * @returns {Object|null} { objectId, name, stowed, fits, axis, clearance,
+ *   requiredDiameter, requiredHeight, baseCenter, reason } or null when the
+ *   object has no generator geometry
+ */
+export function checkModuleFit(obj, fairing) {
+  const scaleArray = obj.transform?.scale || [1, 1, 1];
+  const key = `${fairing.id}|${scaleArray.join(",")}`;
+  const cached = obj.userData && fitCache.get(obj.userData);
+  if (cached?.key === key) {
+    return { ...cached.result, objectId: obj.id, name: obj.name };
+  }
+
+  const geometry = getLaunchGeometry(obj);
+  if (!geometry) return null;
+
+  const scale = new THREE.Vector3(...scaleArray.map(Math.abs));
+  const best = FIT_AXES.map((axis) =>
+    fitAlongAxis(geometry, scale, axis, fairing)
+  ).reduce((a, b) => (b.clearance > a.clearance ? b : a));
+  geometry.dispose();
+
+  const fits = best.clearance >= 0;
+  const result = {
+    objectId: obj.id,
+    name: obj.name,
+    stowed: !!obj.userData.moduleDefinition.stowedGenerator,
+    fits,
+    ...best,
+    reason: fits ? null : describeMisfit(best, fairing),
+  };
+
+  fitCache.set(obj.userData, { key, result });
+  return result;
+}
+
+/**
+ * Check every visible module in the scene against a fairing
+ * @param {Array} objects - Scene objects
+ * @param {Object} fairing - Entry from FAIRING_LIBRARY
+ * @returns {Object} { results, misfits }
+ */
+export function checkFairingFit(objects, fairing) {
+  const results = objects
+    .filter((obj) => !obj.hidden && obj.type === "module")
+    .map((obj) => checkModuleFit(obj, fairing))
+    .filter(Boolean);
+
+  return { results, misfits: results.filter((result) => !result.fits) };
+}
+
+/**
+ * World placement of the fairing ghost around a checked module
+ * The ghost base sits under the module in its best launch orientation.
+ * @param {Object} obj - Scene object
+ * @param {Object} result - From checkModuleFit
+ * @returns {Object} { position, quaternion } as arrays
+ */
+export function getGhostPlacement(obj, result) {
+  const { position, rotation } = obj.transform;
+  const objectQuaternion = new THREE.Quaternion().setFromEuler(
+    new THREE.Euler().fromArray(rotation)
+  );
+  const axisQuaternion = new THREE.Quaternion().setFromUnitVectors(
+    UP,
+    new THREE.Vector3().fromArray(result.axis)
+  );
+
+  return {
+    position: new THREE.Vector3()
+      .fromArray(result.baseCenter)
+      .applyQuaternion(objectQuaternion)
+      .add(new THREE.Vector3().fromArray(position))
+      .toArray(),
+    quaternion: objectQuaternion.multiply(axisQuaternion).toArray(),
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Fairing Library - Usable payload envelopes of launch vehicle fairings
+ * Each profile lists the usable radius (m) at a height (m) above the payload
+ * interface, from the base up to the tip. Values are approximate static
+ * envelopes meant for early sizing, not for mission design.
+ */
+
+export const FAIRING_LIBRARY = [
+  {
+    id: "falcon-9",
+    name: "Falcon 9 / Heavy",
+    vehicle: "SpaceX",
+    profile: [
+      { height: 0, radius: 2.3 },
+      { height: 6.7, radius: 2.3 },
+      { height: 9.0, radius: 1.9 },
+      { height: 10.5, radius: 1.2 },
+      { height: 11.0, radius: 0.6 },
+    ],
+  },
+  {
+    id: "vulcan-5.4",
+    name: "Vulcan 5.4 m Short",
+    vehicle: "ULA",
+    profile: [
+      { height: 0, radius: 2.3 },
+      { height: 9.0, radius: 2.3 },
+      { height: 12.0, radius: 1.8 },
+      { height: 14.0, radius: 1.0 },
+      { height: 15.0, radius: 0.5 },
+    ],
+  },
+  {
+    id: "ariane-6-long",
+    name: "Ariane 6 Long",
+    vehicle: "Arianespace",
+    profile: [
+      { height: 0, radius: 2.3 },
+      { height: 11.8, radius: 2.3 },
+      { height: 15.5, radius: 1.7 },
+      { height: 17.5, radius: 0.9 },
+      { height: 18.2, radius: 0.4 },
+    ],
+  },
+  {
+    id: "new-glenn",
+    name: "New Glenn 7 m",
+    vehicle: "Blue Origin",
+    profile: [
+      { height: 0, radius: 3.2 },
+      { height: 12.5, radius: 3.2 },
+      { height: 17.0, radius: 2.4 },
+      { height: 20.0, radius: 1.2 },
+      { height: 21.5, radius: 0.6 },
+    ],
+  },
+  {
+    id: "sls-block-1b",
+    name: "SLS Block 1B 8.4 m",
+    vehicle: "NASA",
+    profile: [
+      { height: 0, radius: 3.75 },
+      { height: 13.5, radius: 3.75 },
+      { height: 17.0, radius: 2.8 },
+      { height: 19.1, radius: 1.2 },
+    ],
+  },
+  {
+    id: "starship",
+    name: "Starship Payload Bay",
+    vehicle: "SpaceX",
+    profile: [
+      { height: 0, radius: 4.0 },
+      { height: 17.2, radius: 4.0 },
+      { height: 20.0, radius: 3.0 },
+      { height: 22.0, radius: 1.5 },
+    ],
+  },
+];
+
+export const DEFAULT_FAIRING_ID = "falcon-9";
+
+/**
+ * Get fairing by ID
+ */
+export function getFairingById(id) {
+  return FAIRING_LIBRARY.find((fairing) => fairing.id === id);
+}
+
+/**
+ * Usable height of a fairing (top of its profile)
+ */
+export function getFairingHeight(fairing) {
+  return fairing.profile[fairing.profile.length - 1].height;
+}
+
+/**
+ * Largest usable diameter of a fairing
+ */
+export function getFairingDiameter(fairing) {
+  return 2 * Math.max(...fairing.profile.map((p) => p.radius));
+}
+
+/**
+ * Usable radius at a height, linearly interpolated along the profile
+ * @param {Object} fairing
+ * @param {Number} height - Height above the payload interface (m)
+ * @returns {Number} Radius in meters, 0 above the tip
+ */
+export function getFairingRadiusAt(fairing, height) {
+  const { profile } = fairing;
+  if (height <= profile[0].height) return profile[0].radius;
+
+  for (let i = 1; i < profile.length; i++) {
+    const lower = profile[i - 1];
+    const upper = profile[i];
+    if (height <= upper.height) {
+      const t = (height - lower.height) / (upper.height - lower.height);
+      return lower.radius + t * (upper.radius - lower.radius);
+    }
+  }
+
+  return 0;
+}
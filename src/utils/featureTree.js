@@ -0,0 +1,435 @@
+import * as THREE from "three";
+import { buildModuleGeometry } from "./moduleLibrary";
+import {
+  BOOLEAN_OPERATIONS,
+  getObjectGeometry,
+  getFeatureEdges,
+  matchFeatureEdges,
+  filletEdge,
+  extrudeSketch,
+  mirrorGeometry,
+  getReflectionMatrix,
+  LOCAL_MIRROR_PLANE,
+} from "./cadOperations";
+import { sketchToShape, mirrorSketch } from "./sketchSolver";
+
+/**
+ * Feature Tree - Ordered edit history of a body
+ * A body's features (obj.features = [{ id, type, params, suppressed,
+ * error }]) are applied in order on top of its base: the module generator
+ * for modules, parameters.baseGeometry for other bodies. Features are plain
+ * data, so the tree is saved with the project JSON and any feature can be
+ * re-ordered, suppressed or re-edited with the geometry rebuilt.
+ *
+ * Feature params (lengths in m, matrices as 16-number arrays in the body's
+ * local space):
+ * - extrude: { sketch, plane, outline, depth, cut, bevelEnabled, bevelSize }
+ *   where plane maps sketch coordinates onto the body (see
+ *   createPlaneFromFace) and outline is the face the sketch was drawn on
+ * - fillet: { edges, radius, mode } with edges as getEdgeVertices pairs
+ * - boolean: { operation, toolId, toolName, matrix, mirrored } where matrix
+ *   places the tool body and mirrored flips its shape
+ *
+ * Mirror images (see patterns.js) share their features with the original:
+ * features are kept in the unmirrored frame and the result is flipped last.
+ */
+
+export const FEATURE_TYPES = {
+  extrude: { label: "Extrude", icon: "✎" },
+  fillet: { label: "Fillet", icon: "◠" },
+  boolean: { label: "Boolean", icon: "∪" },
+};
+
+const MIRROR_MATRIX = getReflectionMatrix(LOCAL_MIRROR_PLANE);
+
+export function isMirroredBody(obj) {
+  return !!(obj.userData?.mirrored || obj.parameters?.mirrored);
+}
+
+/**
+ * One-line description of a feature
+ * @param {Object} feature
+ * @returns {String}
+ */
+export function getFeatureLabel(feature) {
+  const { params } = feature;
+  switch (feature.type) {
+    case "extrude":
+      return `${params.cut ? "Cut" : "Extrude"} ${params.depth.toFixed(2)} m`;
+    case "fillet":
+      return `${params.mode === "chamfer" ? "Chamfer" : "Fillet"} ${params.radius.toFixed(2)} m (${params.edges.length} edges)`;
+    case "boolean":
+      return `${BOOLEAN_OPERATIONS[params.operation].label} ${params.toolName || `body ${params.toolId}`}`;
+    default:
+      return feature.type;
+  }
+}
+
+/**
+ * Description of the shape features are applied to
+ * @param {Object} obj - Scene object
+ * @returns {String}
+ */
+export function getBaseLabel(obj) {
+  if (obj.userData?.moduleDefinition) {
+    return `Module: ${obj.userData.moduleDefinition.name}`;
+  }
+  return obj.parameters?.sweep ? "Sweep" : "Imported mesh";
+}
+
+// Base shape in the unmirrored frame
+function getBaseGeometry(obj) {
+  const def = obj.userData?.moduleDefinition;
+  if (def?.type === "procedural") {
+    return buildModuleGeometry(
+      def,
+      obj.userData.parameters,
+      obj.userData.deployState
+    );
+  }
+  return obj.parameters?.baseGeometry || null;
+}
+
+// Geometry from the shape in the other frame, for mirrored bodies
+function flip(geometry) {
+  return mirrorGeometry(geometry, LOCAL_MIRROR_PLANE);
+}
+
+function flipMatrix(elements) {
+  return MIRROR_MATRIX.clone()
+    .multiply(new THREE.Matrix4().fromArray(elements))
+    .multiply(MIRROR_MATRIX)
+    .toArray();
+}
+
+// The same feature seen from the other side of LOCAL_MIRROR_PLANE
+function mirrorFeatureParams(type, params) {
+  switch (type) {
+    case "extrude":
+      // The sketch flips in its own u so the plane stays right-handed
+      return {
+        ...params,
+        plane: flipMatrix(params.plane),
+        sketch: mirrorSketch(params.sketch),
+        outline: params.outline?.map((segment) =>
+          segment.map(([u, v]) => [-u, v])
+        ),
+      };
+    case "fillet":
+      return {
+        ...params,
+        edges: params.edges.map((edge) => edge.map(([x, y, z]) => [-x, y, z])),
+      };
+    case "boolean":
+      return {
+        ...params,
+        matrix: flipMatrix(params.matrix),
+        mirrored: !params.mirrored,
+      };
+    default:
+      return params;
+  }
+}
+
+/**
+ * Apply one feature
+ * @param {THREE.BufferGeometry} geometry - Unmirrored frame
+ * @param {Object} feature
+ * @param {Array} objects - Scene objects, for boolean tools
+ * @returns {Object} { geometry, error } with the input geometry back when
+ *   the feature fails
+ */
+export function applyFeature(geometry, feature, objects) {
+  const { params } = feature;
+  let result = null;
+
+  if (feature.type === "extrude") {
+    const shape = sketchToShape(params.sketch);
+    if (!shape) return { geometry, error: "The sketch has no closed profile" };
+    result = extrudeSketch(
+      geometry,
+      new THREE.Matrix4().fromArray(params.plane),
+      shape,
+      params
+    );
+  } else if (feature.type === "fillet") {
+    const featureEdges = getFeatureEdges(geometry);
+    const lost = params.edges.filter(
+      (edge) => matchFeatureEdges(featureEdges, [edge]).length === 0
+    ).length;
+    if (lost === params.edges.length) {
+      return { geometry, error: "Its edges no longer exist" };
+    }
+    result = filletEdge(geometry, params.edges, params.radius, {
+      mode: params.mode,
+    });
+    if (result && lost > 0) {
+      return {
+        geometry: result,
+        error: `${lost} of its edges no longer exist`,
+      };
+    }
+  } else if (feature.type === "boolean") {
+    const tool = getObjectGeometry(
+      objects.find((obj) => obj.id === params.toolId)
+    );
+    if (!tool) return { geometry, error: "The tool body was deleted" };
+    const placed = (params.mirrored ? flip(tool) : tool.clone()).applyMatrix4(
+      new THREE.Matrix4().fromArray(params.matrix)
+    );
+    result = BOOLEAN_OPERATIONS[params.operation].combine(
+      new THREE.Mesh(geometry),
+      new THREE.Mesh(placed)
+    )?.geometry;
+    placed.dispose();
+    if (result) result.userData = { ...geometry.userData };
+  }
+
+  if (!result) return { geometry, error: "The operation failed" };
+  if (result.attributes.position.count === 0) {
+    return { geometry, error: "Nothing would be left" };
+  }
+  return { geometry: result, error: null };
+}
+
+/**
+ * Rebuild a body's geometry from its base and features
+ * @param {Object} obj - Scene object
+ * @param {Array} objects - Scene objects, for boolean tools
+ * @returns {Object} { geometry, errors: { [featureId]: message } } with
+ *   geometry null when the base can't be built
+ */
+export function regenerateBody(obj, objects) {
+  let geometry = getBaseGeometry(obj);
+  const errors = {};
+  if (!geometry) return { geometry: null, errors };
+  // Steps a later one replaces are dropped, but not a stored base
+  const storedBase = obj.parameters?.baseGeometry;
+  const replace = (next) => {
+    if (next !== geometry && geometry !== storedBase) geometry.dispose();
+    geometry = next;
+  };
+
+  (obj.features || []).forEach((feature) => {
+    if (feature.suppressed) return;
+    const result = applyFeature(geometry, feature, objects);
+    if (result.error) errors[feature.id] = result.error;
+    replace(result.geometry);
+  });
+
+  if (isMirroredBody(obj)) replace(flip(geometry));
+  return { geometry, errors };
+}
+
+// Put the drawn geometry where the object type keeps it
+function withGeometry(obj, geometry) {
+  return obj.userData?.moduleDefinition
+    ? { ...obj, userData: { ...obj.userData, geometry } }
+    : { ...obj, parameters: { ...obj.parameters, geometry } };
+}
+
+// Drop a body's drawn geometry once it's been rebuilt, unless the body
+// keeps it as its base
+function disposeReplaced(obj, geometry) {
+  const previous = getObjectGeometry(obj);
+  if (
+    previous &&
+    previous !== geometry &&
+    previous !== obj.parameters?.baseGeometry
+  ) {
+    previous.dispose();
+  }
+}
+
+function withErrors(features, errors) {
+  return features.map((feature) => ({
+    ...feature,
+    error: errors[feature.id] || null,
+  }));
+}
+
+/**
+ * Body with its geometry rebuilt, e.g. after its parameters changed
+ * @param {Object} obj - Scene object
+ * @param {Array} objects - Scene objects
+ * @returns {Object} Scene object (unchanged when the base can't be built)
+ */
+export function rebuildBody(obj, objects) {
+  const { geometry, errors } = regenerateBody(obj, objects);
+  if (!geometry) return obj;
+  disposeReplaced(obj, geometry);
+  const body = withGeometry(obj, geometry);
+  return obj.features
+    ? { ...body, features: withErrors(obj.features, errors) }
+    : body;
+}
+
+/**
+ * Append a feature to a body
+ * Only the new feature is computed: the current geometry already holds the
+ * others.
+ * @param {Object} obj - Scene object
+ * @param {String} type - Key of FEATURE_TYPES
+ * @param {Object} params - In the body's local frame as drawn
+ * @param {Array} objects - Scene objects
+ * @returns {Object} { body, error } where body is null when the feature
+ *   fails
+ */
+export function addFeature(obj, type, params, objects) {
+  const mirrored = isMirroredBody(obj);
+  const current = getObjectGeometry(obj);
+  if (!current) return { body: null, error: "The body has no geometry" };
+
+  let body = obj;
+  // Bodies that aren't modules start their history from their mesh
+  if (!obj.userData?.moduleDefinition && !obj.parameters?.baseGeometry) {
+    body = {
+      ...obj,
+      type: "custom",
+      parameters: {
+        ...obj.parameters,
+        baseGeometry: mirrored ? flip(current) : current,
+      },
+    };
+  }
+
+  const features = body.features || [];
+  const feature = {
+    id: features.reduce((max, f) => Math.max(max, f.id), 0) + 1,
+    type,
+    params: mirrored ? mirrorFeatureParams(type, params) : params,
+    suppressed: false,
+    error: null,
+  };
+  const input = mirrored ? flip(current) : current;
+  const result = applyFeature(input, feature, objects);
+  if (input !== current) input.dispose();
+  if (result.error) return { body: null, error: result.error };
+
+  let geometry = result.geometry;
+  if (mirrored) {
+    geometry = flip(result.geometry);
+    result.geometry.dispose();
+  }
+  disposeReplaced(body, geometry);
+  return {
+    body: {
+      ...withGeometry(body, geometry),
+      features: [...features, feature],
+    },
+    error: null,
+  };
+}
+
+/**
+ * A feature's params in the body's local frame as drawn, e.g. to re-edit its
+ * sketch on a mirror image
+ * @param {Object} obj - Scene object
+ * @param {Object} feature - One of obj.features
+ * @returns {Object}
+ */
+export function getFeatureParams(obj, feature) {
+  return isMirroredBody(obj)
+    ? mirrorFeatureParams(feature.type, feature.params)
+    : feature.params;
+}
+
+/**
+ * Edit, suppress or unsuppress a feature
+ * @param {Object} obj - Scene object
+ * @param {Number} id - Feature id
+ * @param {Object} changes - { params, suppressed } where params are merged
+ *   in the frame of getFeatureParams
+ * @param {Array} objects - Scene objects
+ * @returns {Object} Scene object
+ */
+export function updateFeature(obj, id, changes, objects) {
+  const edit = (feature) => {
+    if (!changes.params) return { ...feature, ...changes };
+    const params = { ...getFeatureParams(obj, feature), ...changes.params };
+    return {
+      ...feature,
+      ...changes,
+      params: isMirroredBody(obj)
+        ? mirrorFeatureParams(feature.type, params)
+        : params,
+    };
+  };
+  return rebuildBody(
+    {
+      ...obj,
+      features: obj.features.map((feature) =>
+        feature.id === id ? edit(feature) : feature
+      ),
+    },
+    objects
+  );
+}
+
+/**
+ * Move a feature earlier or later in the history
+ * @param {Object} obj - Scene object
+ * @param {Number} id - Feature id
+ * @param {Number} offset - -1 earlier, 1 later
+ * @param {Array} objects - Scene objects
+ * @returns {Object} Scene object
+ */
+export function moveFeature(obj, id, offset, objects) {
+  const features = [...obj.features];
+  const from = features.findIndex((feature) => feature.id === id);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= features.length) return obj;
+  features.splice(to, 0, ...features.splice(from, 1));
+  return rebuildBody({ ...obj, features }, objects);
+}
+
+/**
+ * Drop a feature from the history
+ * @param {Object} obj - Scene object
+ * @param {Number} id - Feature id
+ * @param {Array} objects - Scene objects
+ * @returns {Object} Scene object
+ */
+export function removeFeature(obj, id, objects) {
+  return rebuildBody(
+    { ...obj, features: obj.features.filter((feature) => feature.id !== id) },
+    objects
+  );
+}
+
+/**
+ * Bodies other than the given ones whose booleans use one of them as their
+ * tool; deleting a tool body loses those booleans once the project reloads
+ * @param {Array} objects - Scene objects
+ * @param {Array} toolIds
+ * @returns {Array} Scene objects
+ */
+export function getToolUsers(objects, toolIds) {
+  return objects.filter(
+    (obj) =>
+      !toolIds.includes(obj.id) &&
+      obj.features?.some(
+        (feature) =>
+          feature.type === "boolean" &&
+          !feature.suppressed &&
+          toolIds.includes(feature.params.toolId)
+      )
+  );
+}
+
+/**
+ * Rebuild every body whose booleans use one of the given tool bodies
+ * @param {Array} objects - Scene objects
+ * @param {Array} toolIds
+ * @returns {Array} Scene objects
+ */
+export function rebuildDependents(objects, toolIds) {
+  return objects.map((obj) =>
+    obj.features?.some(
+      (feature) =>
+        feature.type === "boolean" && toolIds.includes(feature.params.toolId)
+    )
+      ? rebuildBody(obj, objects)
+      : obj
+  );
+}
@@ -0,0 +1,96 @@
+import { useEffect, useRef, useState } from "react";
+import { useFrame } from "@react-three/fiber";
+
+/**
+ * Geometry Morph - Animated transition between two geometries that share
+ * one vertex layout (same `userData.morphGroup` and vertex count), such as
+ * the stowed and deployed forms of an inflatable module
+ */
+
+const easeInOut = (t) =>
+  t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+/**
+ * Whether a change from one geometry to another can be animated
+ * @param {THREE.BufferGeometry} from
+ * @param {THREE.BufferGeometry} to
+ * @returns {Boolean}
+ */
+export function canMorph(from, to) {
+  return (
+    !!from &&
+    !!to &&
+    from !== to &&
+    !!from.userData?.morphGroup &&
+    from.userData.morphGroup === to.userData?.morphGroup &&
+    from.attributes.position?.count === to.attributes.position?.count
+  );
+}
+
+/**
+ * Hook returning the geometry to render: the target geometry itself, or a
+ * temporary copy whose vertices travel from the previous geometry to the
+ * target over `duration` seconds. Must be used inside the R3F Canvas.
+ * @param {THREE.BufferGeometry} geometry - Target geometry
+ * @param {Number} duration - Seconds
+ * @returns {THREE.BufferGeometry}
+ */
+export function useGeometryMorph(geometry, duration = 1.5) {
+  const previousRef = useRef(geometry);
+  const morphRef = useRef(null);
+  const [morphGeometry, setMorphGeometry] = useState(null);
+
+  useEffect(() => {
+    const previous = previousRef.current;
+    previousRef.current = geometry;
+    if (!canMorph(previous, geometry)) {
+      morphRef.current = null;
+      setMorphGeometry(null);
+      return;
+    }
+
+    const animated = geometry.clone();
+    const from = previous.attributes.position.array.slice();
+    animated.attributes.position.array.set(from);
+    // Keep the larger of both shapes so the mesh is not culled mid-way
+    animated.boundingSphere = [previous, geometry]
+      .map((g) => {
+        if (!g.boundingSphere) g.computeBoundingSphere();
+        return g.boundingSphere;
+      })
+      .reduce((a, b) => (b.radius > a.radius ? b : a))
+      .clone();
+
+    morphRef.current = {
+      from,
+      to: geometry.attributes.position.array,
+      elapsed: 0,
+    };
+    setMorphGeometry(animated);
+  }, [geometry]);
+
+  useEffect(() => {
+    return () => morphGeometry?.dispose();
+  }, [morphGeometry]);
+
+  useFrame((_, delta) => {
+    const morph = morphRef.current;
+    if (!morph || !morphGeometry) return;
+
+    morph.elapsed += delta;
+    const t = Math.min(1, morph.elapsed / duration);
+    const eased = easeInOut(t);
+    const array = morphGeometry.attributes.position.array;
+    for (let i = 0; i < array.length; i++) {
+      array[i] = morph.from[i] + (morph.to[i] - morph.from[i]) * eased;
+    }
+    morphGeometry.attributes.position.needsUpdate = true;
+
+    if (t >= 1) {
+      morphRef.current = null;
+      setMorphGeometry(null);
+    }
+  });
+
+  return morphGeometry || geometry;
+}
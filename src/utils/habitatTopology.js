@@ -0,0 +1,299 @@
+import * as THREE from "three";
+
+/**
+ * Habitat Topology - Persistent connection graph between modules
+ * Nodes are module objects, edges are mated attachment ports.
+ * The graph is plain JSON so it can live in the project record.
+ */
+
+const PORT_MATE_TOLERANCE = 0.1; // Max distance between mated ports (meters)
+
+/**
+ * Create an empty topology graph
+ * @returns {Object} { nodes, edges }
+ */
+export function createTopology() {
+  return { nodes: [], edges: [] };
+}
+
+/**
+ * Build the stable id of an edge from its two endpoints
+ * Endpoints are sorted so A->B and B->A produce the same id
+ */
+function getEdgeId(a, b) {
+  const keys = [`${a.objectId}:${a.port}`, `${b.objectId}:${b.port}`].sort();
+  return keys.join("|");
+}
+
+function isModuleObject(obj) {
+  return obj?.type === "module" && obj.userData?.isModule;
+}
+
+/**
+ * Read the local attachment points of a module object
+ * Works with live BufferGeometry and with geometry restored from JSON
+ * @param {Object} obj - Scene object
+ * @returns {Array} [{ name, position, normal, diameter, standard, gender }]
+ */
+export function getLocalPorts(obj) {
+  const points = obj?.userData?.geometry?.userData?.attachmentPoints || [];
+  return points.map((point) => ({
+    name: point.name,
+    position: new THREE.Vector3(
+      point.position.x,
+      point.position.y,
+      point.position.z
+    ),
+    normal: new THREE.Vector3(point.normal.x, point.normal.y, point.normal.z),
+    diameter: point.diameter ?? null,
+    standard: point.standard ?? null,
+    gender: point.gender ?? null,
+  }));
+}
+
+/**
+ * Build a world matrix from a { position, rotation, scale } transform
+ * @param {Object} transform
+ * @returns {THREE.Matrix4}
+ */
+export function transformToMatrix({ position, rotation, scale }) {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3().fromArray(position),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(rotation)),
+    new THREE.Vector3().fromArray(scale)
+  );
+}
+
+/**
+ * Convert a world matrix back into a { position, rotation, scale } transform
+ * @param {THREE.Matrix4} matrix
+ * @returns {Object}
+ */
+export function matrixToTransform(matrix) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  matrix.decompose(position, quaternion, scale);
+  return {
+    position: position.toArray(),
+    rotation: new THREE.Euler()
+      .setFromQuaternion(quaternion)
+      .toArray()
+      .slice(0, 3),
+    scale: scale.toArray(),
+  };
+}
+
+/**
+ * Get the attachment points of a module object in world space
+ * @param {Object} obj - Scene object with transform
+ * @returns {Array} [{ name, position, normal, diameter, standard, gender }]
+ */
+export function getModulePorts(obj) {
+  const matrix = transformToMatrix(obj.transform);
+
+  return getLocalPorts(obj).map((port) => ({
+    ...port,
+    position: port.position.applyMatrix4(matrix),
+    normal: port.normal.transformDirection(matrix),
+  }));
+}
+
+/**
+ * Convert a connection from connectionSystem.createConnection into an edge
+ * @param {Object} connection
+ * @returns {Object|null} Edge or null when a side is not a scene object
+ */
+export function edgeFromConnection(connection) {
+  const a = {
+    objectId: connection.source.objectId,
+    port: connection.source.pointName,
+  };
+  const b = {
+    objectId: connection.target.objectId,
+    port: connection.target.pointName,
+  };
+  if (a.objectId == null || b.objectId == null) return null;
+
+  return {
+    id: getEdgeId(a, b),
+    a,
+    b,
+    createdAt: new Date(connection.timestamp || Date.now()).toISOString(),
+  };
+}
+
+/**
+ * Add an edge, replacing any edge already using one of its ports
+ * (a port can only be mated once)
+ * @param {Object} topology
+ * @param {Object} edge
+ * @returns {Object} New topology
+ */
+export function connectPorts(topology, edge) {
+  if (!edge) return topology;
+  const usesPort = (end) =>
+    [edge.a, edge.b].some(
+      (other) => other.objectId === end.objectId && other.port === end.port
+    );
+
+  return {
+    ...topology,
+    edges: [
+      ...topology.edges.filter((e) => !usesPort(e.a) && !usesPort(e.b)),
+      edge,
+    ],
+  };
+}
+
+/**
+ * Remove an edge by id
+ * @param {Object} topology
+ * @param {String} edgeId
+ * @returns {Object} New topology
+ */
+export function disconnectEdge(topology, edgeId) {
+  return {
+    ...topology,
+    edges: topology.edges.filter((e) => e.id !== edgeId),
+  };
+}
+
+/**
+ * Get every edge touching an object
+ * @param {Object} topology
+ * @param {Number} objectId
+ * @returns {Array}
+ */
+export function getObjectEdges(topology, objectId) {
+  return topology.edges.filter(
+    (e) => e.a.objectId === objectId || e.b.objectId === objectId
+  );
+}
+
+/**
+ * Collect every object reachable from a start object through mated ports
+ * @param {Object} topology
+ * @param {Number} objectId
+ * @returns {Set} Object ids of the connected assembly (includes objectId)
+ */
+export function getConnectedComponent(topology, objectId) {
+  const visited = new Set([objectId]);
+  const queue = [objectId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    getObjectEdges(topology, current).forEach((edge) => {
+      const next =
+        edge.a.objectId === current ? edge.b.objectId : edge.a.objectId;
+      if (!visited.has(next)) {
+        visited.add(next);
+        queue.push(next);
+      }
+    });
+  }
+
+  return visited;
+}
+
+/**
+ * Move a connected assembly rigidly with one of its modules
+ * The position/rotation change of the moved module is applied to every
+ * member; a scale change only affects the moved module itself.
+ * @param {Array} objects - Scene objects
+ * @param {Number} movedId - Object driven by the gizmo
+ * @param {Object} transform - New transform of the moved object
+ * @param {Set} memberIds - Ids of the assembly (from getConnectedComponent)
+ * @returns {Array} New objects array
+ */
+export function moveAssembly(objects, movedId, transform, memberIds) {
+  const moved = objects.find((obj) => obj.id === movedId);
+  if (!moved) return objects;
+
+  const nextTransform = { ...moved.transform, ...transform };
+  const rigidBefore = transformToMatrix({
+    ...moved.transform,
+    scale: [1, 1, 1],
+  });
+  const rigidAfter = transformToMatrix({ ...nextTransform, scale: [1, 1, 1] });
+  const delta = rigidAfter.multiply(rigidBefore.invert());
+
+  return objects.map((obj) => {
+    if (obj.id === movedId) {
+      return { ...obj, transform: nextTransform };
+    }
+    if (!memberIds.has(obj.id)) return obj;
+
+    const matrix = delta.clone().multiply(transformToMatrix(obj.transform));
+    return { ...obj, transform: matrixToTransform(matrix) };
+  });
+}
+
+/**
+ * Copy edges between duplicated objects onto their copies
+ * Only edges with both ends inside the duplicated set are copied.
+ * @param {Object} topology
+ * @param {Map} idMap - original object id -> copy object id
+ * @returns {Object} New topology
+ */
+export function duplicateTopologyEdges(topology, idMap) {
+  const copies = topology.edges
+    .filter((e) => idMap.has(e.a.objectId) && idMap.has(e.b.objectId))
+    .map((e) => {
+      const a = { ...e.a, objectId: idMap.get(e.a.objectId) };
+      const b = { ...e.b, objectId: idMap.get(e.b.objectId) };
+      return { ...e, id: getEdgeId(a, b), a, b };
+    });
+
+  return { ...topology, edges: [...topology.edges, ...copies] };
+}
+
+/**
+ * Reconcile the graph with the current objects
+ * - Nodes are rebuilt from the module objects
+ * - Edges whose modules were deleted or whose ports drifted apart are dropped
+ * - Port diameters on edges are refreshed from the current geometry
+ * @param {Object} topology
+ * @param {Array} objects - Scene objects
+ * @returns {Object} New topology
+ */
+export function syncTopology(topology, objects) {
+  const portsById = new Map();
+  const nodes = [];
+
+  objects.filter(isModuleObject).forEach((obj) => {
+    const ports = getModulePorts(obj);
+    portsById.set(obj.id, ports);
+    nodes.push({
+      objectId: obj.id,
+      name: obj.name,
+      moduleType: obj.userData.moduleDefinition?.id || null,
+      ports: ports.map((p) => ({
+        name: p.name,
+        diameter: p.diameter,
+        standard: p.standard,
+        gender: p.gender,
+      })),
+    });
+  });
+
+  const findPort = (end) =>
+    portsById.get(end.objectId)?.find((p) => p.name === end.port);
+
+  const edges = [];
+  (topology?.edges || []).forEach((edge) => {
+    const portA = findPort(edge.a);
+    const portB = findPort(edge.b);
+    if (!portA || !portB) return;
+    if (portA.position.distanceTo(portB.position) > PORT_MATE_TOLERANCE) {
+      return;
+    }
+    edges.push({
+      ...edge,
+      a: { ...edge.a, diameter: portA.diameter },
+      b: { ...edge.b, diameter: portB.diameter },
+    });
+  });
+
+  return { nodes, edges };
+}
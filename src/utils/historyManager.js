@@ -1,9 +1,23 @@
 // History management for undo/redo
+
+// Snapshots deep-copy plain data but keep geometries (and other class
+// instances) by reference: edits always build new geometry, so a stored
+// instance never changes after the fact and survives undo intact
+function snapshot(value) {
+  if (Array.isArray(value)) return value.map(snapshot);
+  if (!value || typeof value !== "object") return value;
+  if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, snapshot(item)])
+  );
+}
+
 export class HistoryManager {
-  constructor() {
+  constructor(initialState) {
     this.history = [];
     this.currentIndex = -1;
     this.maxHistory = 50;
+    if (initialState) this.push(initialState);
   }
 
   push(state) {
@@ -11,7 +25,7 @@ export class HistoryManager {
     this.history = this.history.slice(0, this.currentIndex + 1);
 
     // Add new state
-    this.history.push(JSON.parse(JSON.stringify(state)));
+    this.history.push(snapshot(state));
 
     // Limit history size
     if (this.history.length > this.maxHistory) {
@@ -24,7 +38,7 @@ export class HistoryManager {
   undo() {
     if (this.canUndo()) {
       this.currentIndex--;
-      return JSON.parse(JSON.stringify(this.history[this.currentIndex]));
+      return snapshot(this.history[this.currentIndex]);
     }
     return null;
   }
@@ -32,7 +46,7 @@ export class HistoryManager {
   redo() {
     if (this.canRedo()) {
       this.currentIndex++;
-      return JSON.parse(JSON.stringify(this.history[this.currentIndex]));
+      return snapshot(this.history[this.currentIndex]);
     }
     return null;
   }
@@ -0,0 +1,270 @@
+import * as THREE from "three";
+import {
+  MESH_STORE,
+  openDatabase,
+  request,
+  transactionDone,
+} from "./browserDatabase";
+
+/**
+ * Mesh Store - Imported and CAD meshes kept outside the project records
+ * Geometry is packed into one binary buffer, gzip-compressed when the
+ * browser can, and stored in IndexedDB under the hash of the packed bytes.
+ * Project documents only hold the hash (see projectFormat.js), so a mesh
+ * shared by pattern copies, revisions or several projects is stored once.
+ *
+ * Packed layout: uint32 header length, UTF-8 JSON header, then each array
+ * (attributes in header order, index last) starting on an 8-byte boundary.
+ * Header: { attributes: [{ name, type, itemSize, normalized, count }],
+ * index: { type, count } | null, groups, userData }.
+ */
+
+const ARRAY_TYPES = {
+  Float32Array,
+  Float64Array,
+  Int8Array,
+  Int16Array,
+  Int32Array,
+  Uint8Array,
+  Uint16Array,
+  Uint32Array,
+};
+
+const hashes = new WeakMap(); // geometry -> hash of its packed bytes
+const storedHashes = new Set(); // known to be in the store this session
+
+const align = (offset) => Math.ceil(offset / 8) * 8;
+
+// Plain copy of an attribute's values, interleaved or not
+function getAttributeArray(attribute) {
+  if (!attribute.isInterleavedBufferAttribute) return attribute.array;
+  const { count, itemSize } = attribute;
+  const array = new attribute.array.constructor(count * itemSize);
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < itemSize; k++) {
+      array[i * itemSize + k] = attribute.getComponent(i, k);
+    }
+  }
+  return array;
+}
+
+/**
+ * Pack a geometry into one buffer (see the layout above)
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {Uint8Array}
+ */
+export function packGeometry(geometry) {
+  const arrays = [];
+  const attributes = Object.entries(geometry.attributes).map(
+    ([name, attribute]) => {
+      const array = getAttributeArray(attribute);
+      arrays.push(array);
+      return {
+        name,
+        type: array.constructor.name,
+        itemSize: attribute.itemSize,
+        normalized: attribute.normalized,
+        count: array.length,
+      };
+    }
+  );
+  const index = geometry.index && {
+    type: geometry.index.array.constructor.name,
+    count: geometry.index.array.length,
+  };
+  if (index) arrays.push(geometry.index.array);
+
+  const header = new TextEncoder().encode(
+    JSON.stringify({
+      attributes,
+      index,
+      groups: geometry.groups,
+      userData: geometry.userData,
+    })
+  );
+  let offset = align(4 + header.byteLength);
+  const offsets = arrays.map((array) => {
+    const start = offset;
+    offset = align(offset + array.byteLength);
+    return start;
+  });
+
+  const bytes = new Uint8Array(offset);
+  new DataView(bytes.buffer).setUint32(0, header.byteLength, true);
+  bytes.set(header, 4);
+  arrays.forEach((array, i) =>
+    bytes.set(
+      new Uint8Array(array.buffer, array.byteOffset, array.byteLength),
+      offsets[i]
+    )
+  );
+  return bytes;
+}
+
+/**
+ * Geometry from packGeometry's bytes
+ * @param {Uint8Array} bytes
+ * @returns {THREE.BufferGeometry}
+ */
+export function unpackGeometry(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerLength = view.getUint32(0, true);
+  const header = JSON.parse(
+    new TextDecoder().decode(bytes.subarray(4, 4 + headerLength))
+  );
+  let offset = align(4 + headerLength);
+  const readArray = ({ type, count }) => {
+    const ArrayType = ARRAY_TYPES[type];
+    if (!ArrayType) throw new Error(`Unknown array type "${type}"`);
+    const byteLength = count * ArrayType.BYTES_PER_ELEMENT;
+    // Copied so the array owns an aligned buffer of its own
+    const array = new ArrayType(
+      bytes.slice(offset, offset + byteLength).buffer
+    );
+    offset = align(offset + byteLength);
+    return array;
+  };
+
+  const geometry = new THREE.BufferGeometry();
+  header.attributes.forEach((attribute) => {
+    geometry.setAttribute(
+      attribute.name,
+      new THREE.BufferAttribute(
+        readArray(attribute),
+        attribute.itemSize,
+        attribute.normalized
+      )
+    );
+  });
+  if (header.index) {
+    geometry.setIndex(new THREE.BufferAttribute(readArray(header.index), 1));
+  }
+  header.groups.forEach((group) =>
+    geometry.addGroup(group.start, group.count, group.materialIndex)
+  );
+  geometry.userData = header.userData || {};
+  return geometry;
+}
+
+async function pipeBytes(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+// FNV-1a in two 32-bit lanes, for pages without crypto.subtle (plain http)
+function fallbackHash(bytes) {
+  let a = 0x811c9dc5;
+  let b = 0x050c5d1f;
+  for (let i = 0; i < bytes.length; i++) {
+    a = Math.imul(a ^ bytes[i], 0x01000193);
+    b = Math.imul(b ^ bytes[i], 0x01000193) ^ (a >>> 15);
+  }
+  const hex = (n) => (n >>> 0).toString(16).padStart(8, "0");
+  return `fnv1a:${hex(a)}${hex(b)}${bytes.length.toString(16)}`;
+}
+
+/**
+ * Content hash of packed bytes, the key they're stored under
+ * @param {Uint8Array} bytes
+ * @returns {Promise<String>} "sha256:<hex>", or "fnv1a:<hex>" without
+ *   crypto.subtle
+ */
+export async function hashBytes(bytes) {
+  if (!globalThis.crypto?.subtle) return fallbackHash(bytes);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  const hex = Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+  return `sha256:${hex}`;
+}
+
+/**
+ * Store geometries, skipping any the store already has
+ * @param {Array} geometries - THREE.BufferGeometry
+ * @returns {Promise<Map>} geometry -> hash
+ */
+export async function storeMeshes(geometries) {
+  const refs = new Map();
+  const records = [];
+  for (const geometry of new Set(geometries)) {
+    let hash = hashes.get(geometry);
+    if (!hash || !storedHashes.has(hash)) {
+      const bytes = packGeometry(geometry);
+      hash = await hashBytes(bytes);
+      hashes.set(geometry, hash);
+      if (!storedHashes.has(hash) && !records.some((r) => r.hash === hash)) {
+        const gzip = typeof CompressionStream !== "undefined";
+        records.push({
+          hash,
+          compression: gzip ? "gzip" : null,
+          data: gzip
+            ? await pipeBytes(bytes, new CompressionStream("gzip"))
+            : bytes,
+          size: bytes.byteLength,
+          storedAt: new Date().toISOString(),
+        });
+      }
+    }
+    refs.set(geometry, hash);
+  }
+
+  if (records.length > 0) {
+    const db = await openDatabase();
+    const transaction = db.transaction(MESH_STORE, "readwrite");
+    const store = transaction.objectStore(MESH_STORE);
+    records.forEach((record) => store.put(record));
+    await transactionDone(transaction);
+    records.forEach((record) => storedHashes.add(record.hash));
+  }
+  return refs;
+}
+
+/**
+ * Read stored geometries
+ * @param {Array} hashList - Hashes from storeMeshes
+ * @returns {Promise<Map>} hash -> THREE.BufferGeometry, without the hashes
+ *   that aren't in the store
+ */
+export async function fetchMeshes(hashList) {
+  const meshes = new Map();
+  const wanted = [...new Set(hashList)];
+  if (wanted.length === 0) return meshes;
+
+  const db = await openDatabase();
+  const store = db.transaction(MESH_STORE).objectStore(MESH_STORE);
+  const records = await Promise.all(
+    wanted.map((hash) => request(store.get(hash)))
+  );
+  for (const record of records.filter(Boolean)) {
+    const bytes =
+      record.compression === "gzip"
+        ? await pipeBytes(record.data, new DecompressionStream("gzip"))
+        : new Uint8Array(record.data);
+    const geometry = unpackGeometry(bytes);
+    hashes.set(geometry, record.hash);
+    storedHashes.add(record.hash);
+    meshes.set(record.hash, geometry);
+  }
+  return meshes;
+}
+
+/**
+ * Delete stored meshes nothing refers to anymore
+ * @param {Array} usedHashes - Every hash still referenced
+ * @returns {Promise<Number>} How many were deleted
+ */
+export async function deleteUnusedMeshes(usedHashes) {
+  const used = new Set(usedHashes);
+  const db = await openDatabase();
+  const transaction = db.transaction(MESH_STORE, "readwrite");
+  const store = transaction.objectStore(MESH_STORE);
+  const unused = (await request(store.getAllKeys())).filter(
+    (hash) => !used.has(hash)
+  );
+  unused.forEach((hash) => {
+    store.delete(hash);
+    storedHashes.delete(hash);
+  });
+  await transactionDone(transaction);
+  return unused.length;
+}
@@ -1,4 +1,7 @@
 import * as THREE from "three";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { PORT_STANDARD, PORT_GENDER } from "./portStandards";
+import { prepareProfile } from "./revolveProfile";
 
 /**
  * Procedural Geometry Generators for Habitat Modules
@@ -36,12 +39,16 @@ export function generateRigidCylinder({
       name: "front",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.ACTIVE,
       diameter,
     },
     {
       name: "back",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
       diameter,
     },
   ];
@@ -87,9 +94,8 @@ export function generateInflatableCylinder({
 
   const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
 
-  // Center and align
+  // Center along Z (the shape is extruded along Z already)
   geometry.translate(0, 0, -length / 2);
-  geometry.rotateX(Math.PI / 2);
 
   // Add attachment points
   geometry.userData.attachmentPoints = [
@@ -97,22 +103,83 @@ export function generateInflatableCylinder({
       name: "front",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.ACTIVE,
       diameter,
     },
     {
       name: "back",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
       diameter,
     },
   ];
 
   geometry.userData.moduleType = "inflatable-cylinder";
+  geometry.userData.morphGroup = "inflatable-cylinder";
+  geometry.userData.deployState = "deployed";
   geometry.userData.dimensions = { diameter, length };
 
   return geometry;
 }
 
+// Packed size of an inflatable relative to its deployed size (BEAM-like)
+export const INFLATABLE_STOWED_RATIO = { diameter: 0.45, length: 0.55 };
+const STOWED_PLEATS = 12; // Folds of the packed shell around the core
+const STOWED_PLEAT_DEPTH = 0.04;
+
+/**
+ * Generate the stowed (packed for launch) form of an inflatable module
+ * Built from the deployed geometry so both share one vertex layout and can
+ * be morphed into each other (see useGeometryMorph)
+ * @param {Object} params - Same params as generateInflatableCylinder
+ */
+export function generateInflatableStowed(params) {
+  const { diameter = 6, length = 10 } = params;
+  const geometry = generateInflatableCylinder(params);
+  const stowedDiameter = diameter * INFLATABLE_STOWED_RATIO.diameter;
+  const stowedLength = length * INFLATABLE_STOWED_RATIO.length;
+
+  const position = geometry.attributes.position;
+  for (let i = 0; i < position.count; i++) {
+    const x = position.getX(i);
+    const y = position.getY(i);
+    const pleat =
+      1 + STOWED_PLEAT_DEPTH * Math.cos(Math.atan2(y, x) * STOWED_PLEATS);
+    const radial = INFLATABLE_STOWED_RATIO.diameter * pleat;
+    position.setXYZ(
+      i,
+      x * radial,
+      y * radial,
+      position.getZ(i) * INFLATABLE_STOWED_RATIO.length
+    );
+  }
+  position.needsUpdate = true;
+  geometry.computeVertexNormals();
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+
+  geometry.userData.attachmentPoints = geometry.userData.attachmentPoints.map(
+    (point) => ({
+      ...point,
+      position: point.position
+        .clone()
+        .multiplyScalar(INFLATABLE_STOWED_RATIO.length),
+      diameter: stowedDiameter,
+    })
+  );
+
+  geometry.userData.deployState = "stowed";
+  geometry.userData.dimensions = {
+    diameter: stowedDiameter,
+    length: stowedLength,
+  };
+
+  return geometry;
+}
+
 /**
  * Generate a hemispherical dome module
  * @param {Object} params - { radius, segments, height }
@@ -141,6 +208,8 @@ export function generateDome({
       name: "base",
       position: new THREE.Vector3(0, 0, 0),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
     },
   ];
 
@@ -175,12 +244,16 @@ export function generateTunnel({ diameter = 2, length = 4, segments = 24 }) {
       name: "front",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.HATCH,
+      gender: PORT_GENDER.MALE,
       diameter,
     },
     {
       name: "back",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.HATCH,
+      gender: PORT_GENDER.FEMALE,
       diameter,
     },
   ];
@@ -225,11 +298,15 @@ export function generateMultiLevelCylinder({
       name: "front",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.ACTIVE,
     },
     {
       name: "back",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
     },
   ];
 
@@ -265,11 +342,15 @@ export function generateDockingPort({
       name: "outer",
       position: new THREE.Vector3(0, 0, depth / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.IDSS,
+      gender: PORT_GENDER.ANDROGYNOUS,
     },
     {
       name: "inner",
       position: new THREE.Vector3(0, 0, -depth / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
     },
   ];
 
@@ -303,12 +384,16 @@ export function generateAdapter({
       name: "large",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
       diameter: diameterStart,
     },
     {
       name: "small",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.HATCH,
+      gender: PORT_GENDER.FEMALE,
       diameter: diameterEnd,
     },
   ];
@@ -452,12 +537,16 @@ export function generateRoundedBox({
       name: "front",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.ACTIVE,
       diameter,
     },
     {
       name: "back",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
       diameter,
     },
   ];
@@ -494,12 +583,16 @@ export function generateFilletedCylinder({
         name: "front",
         position: new THREE.Vector3(0, 0, radius),
         normal: new THREE.Vector3(0, 0, 1),
+        standard: PORT_STANDARD.CBM,
+        gender: PORT_GENDER.ACTIVE,
         diameter,
       },
       {
         name: "back",
         position: new THREE.Vector3(0, 0, -radius),
         normal: new THREE.Vector3(0, 0, -1),
+        standard: PORT_STANDARD.CBM,
+        gender: PORT_GENDER.PASSIVE,
         diameter,
       },
     ];
@@ -547,12 +640,16 @@ export function generateFilletedCylinder({
       name: "front",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.ACTIVE,
       diameter,
     },
     {
       name: "back",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
       diameter,
     },
   ];
@@ -583,12 +680,16 @@ export function generateHexPrism({ diameter = 6, length = 10 }) {
       name: "front",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.ACTIVE,
       diameter,
     },
     {
       name: "back",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
       diameter,
     },
   ];
@@ -619,12 +720,16 @@ export function generatePolyPrism({ sides = 5, diameter = 6, length = 10 }) {
       name: "front",
       position: new THREE.Vector3(0, 0, length / 2),
       normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.ACTIVE,
       diameter,
     },
     {
       name: "back",
       position: new THREE.Vector3(0, 0, -length / 2),
       normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
       diameter,
     },
   ];
@@ -632,3 +737,193 @@ export function generatePolyPrism({ sides = 5, diameter = 6, length = 10 }) {
   geometry.userData.dimensions = { sides: s, diameter, length };
   return geometry;
 }
+
+// Profile corners sharper than this keep a hard edge instead of being smoothed
+const REVOLVE_CREASE_ANGLE = Math.PI / 6;
+
+/**
+ * Revolve an arbitrary half-profile into a closed pressure vessel along Z
+ * params: { profile, diameter, length, segments }
+ * profile is [[r, z], ...] (see revolveProfile.js); diameter and length
+ * rescale it. Ports sit on the axis at both axial ends.
+ */
+export function generateRevolvedProfile({
+  profile,
+  diameter,
+  length,
+  segments = 48,
+}) {
+  const prepared = prepareProfile(profile, { diameter, length });
+  const { points, endRadii } = prepared;
+
+  // Duplicate creased points so computeVertexNormals keeps the edge sharp
+  const lathePoints = [];
+  points.forEach(([r, z], i) => {
+    lathePoints.push(new THREE.Vector2(r, z));
+    if (i === 0 || i === points.length - 1) return;
+    const incoming = new THREE.Vector2(
+      r - points[i - 1][0],
+      z - points[i - 1][1]
+    );
+    const outgoing = new THREE.Vector2(
+      points[i + 1][0] - r,
+      points[i + 1][1] - z
+    );
+    if (incoming.angleTo(outgoing) > REVOLVE_CREASE_ANGLE) {
+      lathePoints.push(new THREE.Vector2(r, z));
+    }
+  });
+
+  const geometry = new THREE.LatheGeometry(lathePoints, segments);
+  // Lathe revolves around Y; align with Z like the other modules
+  geometry.rotateX(Math.PI / 2);
+  geometry.computeVertexNormals();
+
+  const halfLength = prepared.length / 2;
+  const endPort = (name, side, endRadius, gender) => ({
+    name,
+    position: new THREE.Vector3(0, 0, side * halfLength),
+    normal: new THREE.Vector3(0, 0, side),
+    standard: PORT_STANDARD.CBM,
+    gender,
+    // Flat bulkheads carry a port of their own size
+    ...(endRadius > 0 && { diameter: 2 * endRadius }),
+  });
+  geometry.userData.attachmentPoints = [
+    endPort("front", 1, endRadii.front, PORT_GENDER.ACTIVE),
+    endPort("back", -1, endRadii.back, PORT_GENDER.PASSIVE),
+  ];
+  geometry.userData.moduleType = "revolved-profile";
+  geometry.userData.dimensions = {
+    diameter: prepared.diameter,
+    length: prepared.length,
+  };
+  return geometry;
+}
+
+/**
+ * Derived sizes of a torus ring station, shared with the budget calculator
+ * The hub is as long as it is wide; spokes run from inside the hub to the
+ * ring centerline and are sized from the tube.
+ * @param {Object} params - { majorRadius, tubeDiameter, spokes, hubDiameter }
+ */
+export function getTorusRingLayout({
+  majorRadius = 20,
+  tubeDiameter = 5,
+  spokes = 4,
+  hubDiameter = 6,
+}) {
+  const tubeRadius = Math.min(tubeDiameter / 2, majorRadius * 0.9);
+  // Keep a visible spoke between hub and ring
+  const hubRadius = Math.min(hubDiameter / 2, (majorRadius - tubeRadius) * 0.8);
+  const hubLength = 2 * hubRadius;
+  return {
+    majorRadius,
+    tubeRadius,
+    hubRadius,
+    hubLength,
+    spokes: Math.max(0, Math.round(spokes)),
+    spokeRadius: Math.min(tubeRadius * 0.4, hubRadius * 0.8),
+    spokeLength: majorRadius - tubeRadius - hubRadius,
+  };
+}
+
+/**
+ * Torus (rotating ring) habitat with spokes and a central hub
+ * The ring lies in the XY plane and spins about Z.
+ * params: { majorRadius, tubeDiameter, spokes, hubDiameter, ringSegments,
+ *   tubeSegments }
+ * Ports: hub ends along the spin axis plus radial hub ports between spokes.
+ */
+export function generateTorusRing({
+  majorRadius = 20,
+  tubeDiameter = 5,
+  spokes = 4,
+  hubDiameter = 6,
+  ringSegments = 96,
+  tubeSegments = 24,
+}) {
+  const layout = getTorusRingLayout({
+    majorRadius,
+    tubeDiameter,
+    spokes,
+    hubDiameter,
+  });
+  const { tubeRadius, hubRadius, hubLength, spokeRadius } = layout;
+
+  const parts = [
+    new THREE.TorusGeometry(
+      majorRadius,
+      tubeRadius,
+      tubeSegments,
+      ringSegments
+    ),
+  ];
+
+  const hub = new THREE.CylinderGeometry(hubRadius, hubRadius, hubLength, 32);
+  hub.rotateX(Math.PI / 2);
+  parts.push(hub);
+
+  // Spokes start inside the hub and end at the tube centerline
+  const spokeStart = hubRadius * 0.5;
+  for (let i = 0; i < layout.spokes; i++) {
+    const angle = (i / layout.spokes) * Math.PI * 2;
+    const spoke = new THREE.CylinderGeometry(
+      spokeRadius,
+      spokeRadius,
+      majorRadius - spokeStart,
+      16
+    );
+    spoke.translate(0, (majorRadius + spokeStart) / 2, 0);
+    spoke.rotateZ(angle - Math.PI / 2);
+    parts.push(spoke);
+  }
+
+  const geometry = mergeGeometries(parts);
+  parts.forEach((part) => part.dispose());
+  geometry.computeVertexNormals();
+
+  // Radial ports sit halfway between spokes (four when there are none)
+  const radialCount = layout.spokes || 4;
+  const radialOffset = layout.spokes ? Math.PI / layout.spokes : 0;
+  const radialPorts = [];
+  for (let i = 0; i < radialCount; i++) {
+    const angle = (i / radialCount) * Math.PI * 2 + radialOffset;
+    const direction = new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0);
+    radialPorts.push({
+      name: `hub-radial-${i + 1}`,
+      position: direction.clone().multiplyScalar(hubRadius),
+      normal: direction,
+      standard: PORT_STANDARD.HATCH,
+      gender: PORT_GENDER.FEMALE,
+    });
+  }
+
+  geometry.userData.attachmentPoints = [
+    {
+      name: "hub-front",
+      position: new THREE.Vector3(0, 0, hubLength / 2),
+      normal: new THREE.Vector3(0, 0, 1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.ACTIVE,
+      diameter: hubRadius * 2,
+    },
+    {
+      name: "hub-back",
+      position: new THREE.Vector3(0, 0, -hubLength / 2),
+      normal: new THREE.Vector3(0, 0, -1),
+      standard: PORT_STANDARD.CBM,
+      gender: PORT_GENDER.PASSIVE,
+      diameter: hubRadius * 2,
+    },
+    ...radialPorts,
+  ];
+  geometry.userData.moduleType = "torus-ring";
+  geometry.userData.dimensions = {
+    majorRadius,
+    tubeDiameter: tubeRadius * 2,
+    spokes: layout.spokes,
+    hubDiameter: hubRadius * 2,
+  };
+  return geometry;
+}
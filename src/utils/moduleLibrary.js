@@ -1,6 +1,27 @@
+import * as ModuleGenerators from "./moduleGenerators";
+import { torisphericalProfile, ogiveProfile } from "./revolveProfile";
+import { mirrorGeometry, LOCAL_MIRROR_PLANE } from "./cadOperations";
+
 /**
  * Module Library - Defines all available habitat modules
  * Includes both procedural and imported models
+ *
+ * `stowedGenerator` (inflatables) builds the packed launch configuration.
+ *
+ * `defaultRotation` ({ rpm, spinAxis }) marks modules that spin for
+ * artificial gravity when placed (see artificialGravity.js).
+ *
+ * `generateRevolvedProfile` modules carry their half-profile in
+ * defaultParams.profile ([[r, z], ...] in meters, see revolveProfile.js);
+ * diameter and length rescale it.
+ *
+ * `engineering` carries the data used by budgetCalculator.js:
+ * - procedural modules scale with their parameters:
+ *   massPerArea (kg per m² of shell), habitableFraction (of pressurized
+ *   volume), powerPerVolume (W per m³ pressurized), optional fixedMass (kg)
+ *   and fixedPowerDraw (W)
+ * - imported models have fixed values: dryMass (kg), pressurizedVolume and
+ *   habitableVolume (m³), powerDraw and powerGeneration (W)
  */
 
 export const MODULE_CATEGORIES = {
@@ -9,6 +30,7 @@ export const MODULE_CATEGORIES = {
   CONNECTORS: "Connectors",
   SPECIALIZED: "Specialized Equipment",
   IMPORTED: "Custom Models",
+  USER: "My Modules",
 };
 
 export const MODULE_LIBRARY = [
@@ -26,6 +48,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🏠",
     description: "Small rigid cylindrical habitat module",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 60,
+    },
   },
   {
     id: "rigid-medium",
@@ -40,6 +68,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🏘️",
     description: "Medium rigid cylindrical habitat module",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 60,
+    },
   },
   {
     id: "rigid-large",
@@ -54,6 +88,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🏢",
     description: "Large rigid cylindrical habitat module",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 60,
+    },
   },
   {
     id: "multi-level",
@@ -69,6 +109,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🏗️",
     description: "Cylindrical module with multiple internal floors",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 110,
+      habitableFraction: 0.65,
+      powerPerVolume: 60,
+    },
   },
   {
     id: "rounded-box",
@@ -98,6 +144,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🧊",
     description: "Rectangular prism with rounded corners",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 60,
+    },
   },
   {
     id: "filleted-cylinder",
@@ -133,6 +185,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🛢️",
     description: "Cylinder with rounded end transitions (capsule)",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 60,
+    },
   },
   {
     id: "hex-prism",
@@ -153,6 +211,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "⬡",
     description: "Hexagonal prism module",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 60,
+    },
   },
   {
     id: "poly-prism",
@@ -174,6 +238,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🔷",
     description: "Generic N‑gon prism module",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 60,
+    },
   },
 
   // ===== INFLATABLE MODULES =====
@@ -183,6 +253,7 @@ export const MODULE_LIBRARY = [
     category: MODULE_CATEGORIES.INFLATABLE,
     type: "procedural",
     generator: "generateInflatableCylinder",
+    stowedGenerator: "generateInflatableStowed",
     defaultParams: { diameter: 6, length: 10 },
     adjustableParams: [
       { name: "diameter", label: "Diameter (m)", min: 3, max: 10, step: 0.5 },
@@ -190,6 +261,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🎈",
     description: "Expandable inflatable habitat module",
+    engineering: {
+      structure: "inflatable",
+      massPerArea: 30,
+      habitableFraction: 0.75,
+      powerPerVolume: 40,
+    },
   },
   {
     id: "inflatable-large",
@@ -197,6 +274,7 @@ export const MODULE_LIBRARY = [
     category: MODULE_CATEGORIES.INFLATABLE,
     type: "procedural",
     generator: "generateInflatableCylinder",
+    stowedGenerator: "generateInflatableStowed",
     defaultParams: { diameter: 10, length: 15 },
     adjustableParams: [
       { name: "diameter", label: "Diameter (m)", min: 3, max: 15, step: 0.5 },
@@ -204,6 +282,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🎪",
     description: "Large expandable inflatable habitat",
+    engineering: {
+      structure: "inflatable",
+      massPerArea: 30,
+      habitableFraction: 0.75,
+      powerPerVolume: 40,
+    },
   },
 
   // ===== DOMES =====
@@ -226,6 +310,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🔮",
     description: "Hemispherical dome for observation",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 120,
+      habitableFraction: 0.5,
+      powerPerVolume: 30,
+    },
   },
   {
     id: "dome-shallow",
@@ -246,6 +336,114 @@ export const MODULE_LIBRARY = [
     ],
     icon: "⛑️",
     description: "Shallow dome cap for module ends",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 120,
+      habitableFraction: 0.5,
+      powerPerVolume: 30,
+    },
+  },
+
+  // ===== REVOLVED PROFILES =====
+  {
+    id: "torispherical-vessel",
+    name: "Torispherical Pressure Vessel",
+    category: MODULE_CATEGORIES.BASIC,
+    type: "procedural",
+    generator: "generateRevolvedProfile",
+    defaultParams: {
+      diameter: 4.2,
+      length: 9,
+      segments: 48,
+      profile: torisphericalProfile({ diameter: 4.2, length: 9 }),
+    },
+    adjustableParams: [
+      { name: "diameter", label: "Diameter (m)", min: 2, max: 10, step: 0.1 },
+      { name: "length", label: "Length (m)", min: 3, max: 20, step: 0.5 },
+      { name: "segments", label: "Segments", min: 12, max: 96, step: 4 },
+    ],
+    icon: "💊",
+    description: "Cylinder with flanged and dished (torispherical) ends",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 60,
+    },
+  },
+  {
+    id: "ogive-cap",
+    name: "Ogive Cap Module",
+    category: MODULE_CATEGORIES.BASIC,
+    type: "procedural",
+    generator: "generateRevolvedProfile",
+    defaultParams: {
+      diameter: 4,
+      length: 6,
+      segments: 48,
+      profile: ogiveProfile({ diameter: 4, length: 6 }),
+    },
+    adjustableParams: [
+      { name: "diameter", label: "Diameter (m)", min: 2, max: 10, step: 0.1 },
+      { name: "length", label: "Length (m)", min: 2, max: 15, step: 0.5 },
+      { name: "segments", label: "Segments", min: 12, max: 96, step: 4 },
+    ],
+    icon: "🚀",
+    description: "Tangent ogive nose on a short barrel, closes a stack end",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 120,
+      habitableFraction: 0.5,
+      powerPerVolume: 30,
+    },
+  },
+
+  // ===== ROTATING STRUCTURES =====
+  {
+    id: "torus-ring",
+    name: "Rotating Ring Habitat",
+    category: MODULE_CATEGORIES.BASIC,
+    type: "procedural",
+    generator: "generateTorusRing",
+    defaultParams: {
+      majorRadius: 20,
+      tubeDiameter: 5,
+      spokes: 4,
+      hubDiameter: 6,
+    },
+    adjustableParams: [
+      {
+        name: "majorRadius",
+        label: "Ring Radius (m)",
+        min: 8,
+        max: 120,
+        step: 1,
+      },
+      {
+        name: "tubeDiameter",
+        label: "Tube Diameter (m)",
+        min: 2,
+        max: 12,
+        step: 0.5,
+      },
+      { name: "spokes", label: "Spokes", min: 0, max: 12, step: 1 },
+      {
+        name: "hubDiameter",
+        label: "Hub Diameter (m)",
+        min: 2,
+        max: 20,
+        step: 0.5,
+      },
+    ],
+    defaultRotation: { rpm: 3, spinAxis: "z" },
+    icon: "🎡",
+    description: "Torus with spokes and a central hub for artificial gravity",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 100,
+      habitableFraction: 0.6,
+      powerPerVolume: 40,
+    },
   },
 
   // ===== CONNECTORS & TUNNELS =====
@@ -262,6 +460,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🚇",
     description: "Short connecting tunnel",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 60,
+      habitableFraction: 0,
+      powerPerVolume: 10,
+    },
   },
   {
     id: "tunnel-long",
@@ -276,6 +480,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🛤️",
     description: "Long connecting tunnel",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 60,
+      habitableFraction: 0,
+      powerPerVolume: 10,
+    },
   },
   {
     id: "docking-port",
@@ -296,6 +506,14 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🔗",
     description: "Simple docking collar",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 80,
+      fixedMass: 300,
+      habitableFraction: 0,
+      powerPerVolume: 0,
+      fixedPowerDraw: 150,
+    },
   },
   {
     id: "adapter",
@@ -323,6 +541,12 @@ export const MODULE_LIBRARY = [
     ],
     icon: "🔌",
     description: "Conical adapter for different module sizes",
+    engineering: {
+      structure: "rigid",
+      massPerArea: 80,
+      habitableFraction: 0,
+      powerPerVolume: 10,
+    },
   },
 
   // ===== IMPORTED MODELS (STL/GLB) =====
@@ -335,6 +559,13 @@ export const MODULE_LIBRARY = [
     defaultScale: 1.0,
     icon: "🚪",
     description: "Detailed airlock with hatches",
+    engineering: {
+      dryMass: 6000,
+      pressurizedVolume: 34,
+      habitableVolume: 10,
+      powerDraw: 1200,
+      powerGeneration: 0,
+    },
     isPriority: true,
   },
   {
@@ -346,6 +577,13 @@ export const MODULE_LIBRARY = [
     defaultScale: 1.0,
     icon: "✚",
     description: "Four-port junction hub (cross)",
+    engineering: {
+      dryMass: 11000,
+      pressurizedVolume: 70,
+      habitableVolume: 30,
+      powerDraw: 800,
+      powerGeneration: 0,
+    },
     isPriority: true,
   },
   {
@@ -357,6 +595,13 @@ export const MODULE_LIBRARY = [
     defaultScale: 1.0,
     icon: "✳️",
     description: "Six-port junction hub (3D)",
+    engineering: {
+      dryMass: 14000,
+      pressurizedVolume: 75,
+      habitableVolume: 34,
+      powerDraw: 1000,
+      powerGeneration: 0,
+    },
     isPriority: true,
   },
   {
@@ -368,6 +613,13 @@ export const MODULE_LIBRARY = [
     defaultScale: 1.0,
     icon: "☀️",
     description: "Deployable solar panel array",
+    engineering: {
+      dryMass: 1100,
+      pressurizedVolume: 0,
+      habitableVolume: 0,
+      powerDraw: 0,
+      powerGeneration: 31000,
+    },
     isPriority: false,
   },
   {
@@ -379,6 +631,13 @@ export const MODULE_LIBRARY = [
     defaultScale: 1.0,
     icon: "📡",
     description: "Parabolic communications dish",
+    engineering: {
+      dryMass: 250,
+      pressurizedVolume: 0,
+      habitableVolume: 0,
+      powerDraw: 400,
+      powerGeneration: 0,
+    },
     isPriority: false,
   },
   {
@@ -390,6 +649,13 @@ export const MODULE_LIBRARY = [
     defaultScale: 1.0,
     icon: "🔘",
     description: "NASA Common Berthing Mechanism",
+    engineering: {
+      dryMass: 1400,
+      pressurizedVolume: 8,
+      habitableVolume: 0,
+      powerDraw: 150,
+      powerGeneration: 0,
+    },
     isPriority: false,
   },
   {
@@ -401,6 +667,13 @@ export const MODULE_LIBRARY = [
     defaultScale: 1.0,
     icon: "👁️",
     description: "Multi-window observation dome",
+    engineering: {
+      dryMass: 1900,
+      pressurizedVolume: 8,
+      habitableVolume: 6,
+      powerDraw: 300,
+      powerGeneration: 0,
+    },
     isPriority: false,
   },
   {
@@ -412,6 +685,13 @@ export const MODULE_LIBRARY = [
     defaultScale: 1.0,
     icon: "🌱",
     description: "Hydroponic plant growth rack",
+    engineering: {
+      dryMass: 450,
+      pressurizedVolume: 0,
+      habitableVolume: 0,
+      powerDraw: 1500,
+      powerGeneration: 0,
+    },
     isPriority: false,
   },
 ];
@@ -430,6 +710,60 @@ export function getModuleById(id) {
   return MODULE_LIBRARY.find((mod) => mod.id === id);
 }
 
+/**
+ * Get the generator name for a module in a deploy state
+ * Only modules with a stowedGenerator have a distinct stowed form.
+ * @param {Object} moduleDef - Module definition
+ * @param {String} deployState - "deployed" or "stowed"
+ */
+export function getGeneratorName(moduleDef, deployState = "deployed") {
+  if (deployState === "stowed" && moduleDef.stowedGenerator) {
+    return moduleDef.stowedGenerator;
+  }
+  return moduleDef.generator;
+}
+
+/**
+ * Build the geometry of a procedural module definition
+ * Applies the per-port overrides of user-defined modules
+ * ({ [portName]: { enabled, standard, gender } })
+ * @param {Object} moduleDef - Module definition
+ * @param {Object} params - Module parameters
+ * @param {String} deployState - "deployed" or "stowed"
+ * @param {Boolean} mirrored - Mirror image (userData.mirrored of mirrored
+ *   copies, see patterns.js)
+ * @returns {THREE.BufferGeometry|null} null when the generator is unknown
+ */
+export function buildModuleGeometry(
+  moduleDef,
+  params,
+  deployState = "deployed",
+  mirrored = false
+) {
+  const generatorFunc =
+    ModuleGenerators[getGeneratorName(moduleDef, deployState)];
+  if (!generatorFunc) return null;
+
+  const geometry = generatorFunc(params);
+  const overrides = moduleDef.portOverrides;
+  if (overrides && geometry.userData.attachmentPoints) {
+    geometry.userData.attachmentPoints = geometry.userData.attachmentPoints
+      .filter((point) => overrides[point.name]?.enabled !== false)
+      .map((point) => ({
+        ...point,
+        standard: overrides[point.name]?.standard ?? point.standard,
+        gender: overrides[point.name]?.gender ?? point.gender,
+      }));
+  }
+
+  if (mirrored) {
+    const image = mirrorGeometry(geometry, LOCAL_MIRROR_PLANE);
+    geometry.dispose();
+    return image;
+  }
+  return geometry;
+}
+
 /**
  * Get all procedural modules
  */
@@ -0,0 +1,295 @@
+import * as THREE from "three";
+import {
+  linearArray,
+  circularArray,
+  mirrorGeometry,
+  mirrorObject,
+  LOCAL_MIRROR_PLANE,
+} from "./cadOperations";
+
+/**
+ * Patterns - Linked copies of a body in a row, around an axis or mirrored
+ * Members of a pattern carry pattern = { sourceId, type, mirrored } where
+ * sourceId is the body the pattern was made from. They share one shape
+ * (module parameters, geometry, features, material): editing any member
+ * edits them all, while each keeps its own placement. Mirrored members hold
+ * the mirror image of that shape, flipped across LOCAL_MIRROR_PLANE
+ * (userData.mirrored for modules, parameters.mirrored for other bodies, so
+ * they regenerate flipped). Exploding a pattern drops the links.
+ */
+
+export const PATTERN_AXES = {
+  x: [1, 0, 0],
+  y: [0, 1, 0],
+  z: [0, 0, 1],
+};
+
+export const DEFAULT_PATTERN = {
+  type: "linear",
+  count: 4,
+  axis: "x",
+  spacing: 5, // m, linear
+  center: [0, 0, 0], // circular
+  angle: 360, // degrees, circular
+  orient: true, // circular copies turn with the pattern
+};
+
+export const MAX_PATTERN_COUNT = 50;
+
+export const MIRROR_PLANES = {
+  yz: { label: "YZ (across X)", normal: [1, 0, 0] },
+  xz: { label: "XZ (across Y)", normal: [0, 1, 0] },
+  xy: { label: "XY (across Z)", normal: [0, 0, 1] },
+};
+
+export const DEFAULT_MIRROR = {
+  plane: "yz", // key of MIRROR_PLANES or "custom"
+  offset: 0, // m along the world plane's normal
+  point: [0, 0, 0], // custom plane
+  normal: [1, 0, 0], // custom plane
+};
+
+// Fields that make up a member's shape, as opposed to its placement
+const SHAPE_KEYS = [
+  "type",
+  "geometryType",
+  "parameters",
+  "material",
+  "userData",
+  "features",
+];
+
+/**
+ * Check pattern options
+ * @param {Object} options - See DEFAULT_PATTERN
+ * @returns {Array} Error messages (empty when valid)
+ */
+export function validatePattern(options) {
+  const errors = [];
+  if (
+    !Number.isInteger(options.count) ||
+    options.count < 2 ||
+    options.count > MAX_PATTERN_COUNT
+  ) {
+    errors.push(`Count must be a whole number from 2 to ${MAX_PATTERN_COUNT}`);
+  }
+  if (!PATTERN_AXES[options.axis]) errors.push("Unknown axis");
+  if (options.type === "linear" && !(Math.abs(options.spacing) > 0)) {
+    errors.push("Spacing must not be zero");
+  }
+  if (options.type === "circular") {
+    if (!(Math.abs(options.angle) > 0 && Math.abs(options.angle) <= 360)) {
+      errors.push("Angle must be between 0 and 360°");
+    }
+    if (!options.center.every(Number.isFinite)) {
+      errors.push("Center must be a point");
+    }
+  }
+  return errors;
+}
+
+function toObject3D(transform) {
+  const object = new THREE.Object3D();
+  object.position.fromArray(transform.position);
+  object.rotation.set(...transform.rotation);
+  object.scale.fromArray(transform.scale);
+  return object;
+}
+
+/**
+ * Placements of every member, the source first
+ * @param {Object} source - Scene object
+ * @param {Object} options - See DEFAULT_PATTERN
+ * @returns {Array} [{ position, rotation, scale }] as arrays
+ */
+export function getPatternTransforms(source, options) {
+  const object = toObject3D(source.transform);
+  const axis = new THREE.Vector3(...PATTERN_AXES[options.axis]);
+
+  const instances =
+    options.type === "circular"
+      ? circularArray(
+          object,
+          axis,
+          new THREE.Vector3(...options.center),
+          options.count,
+          THREE.MathUtils.degToRad(options.angle),
+          { orient: options.orient }
+        )
+      : linearArray(object, axis, options.count, options.spacing);
+
+  return instances.map((instance) => ({
+    position: instance.position.toArray(),
+    rotation: instance.rotation.toArray().slice(0, 3),
+    scale: instance.scale.toArray(),
+  }));
+}
+
+/**
+ * Lay out linked copies of a body
+ * @param {Object} source - Scene object
+ * @param {Object} options - See DEFAULT_PATTERN
+ * @param {Number} firstId - Id for the first copy, the rest follow
+ * @returns {Object} { source, copies } with the source linked too
+ */
+export function createPattern(source, options, firstId) {
+  const pattern = source.pattern || { sourceId: source.id, type: options.type };
+  const copies = getPatternTransforms(source, options)
+    .slice(1)
+    .map((transform, i) => ({
+      ...source,
+      id: firstId + i,
+      name: `${source.name} ${i + 2}`,
+      hidden: false,
+      transform,
+      pattern,
+    }));
+  return { source: { ...source, pattern }, copies };
+}
+
+/**
+ * Check mirror options
+ * @param {Object} options - See DEFAULT_MIRROR
+ * @returns {Array} Error messages (empty when valid)
+ */
+export function validateMirror(options) {
+  const errors = [];
+  if (options.plane === "custom") {
+    if (!options.point.every(Number.isFinite)) {
+      errors.push("Point must be a point");
+    }
+    if (
+      !options.normal.every(Number.isFinite) ||
+      options.normal.every((c) => c === 0)
+    ) {
+      errors.push("Normal must be a non-zero direction");
+    }
+  } else if (!MIRROR_PLANES[options.plane]) {
+    errors.push("Unknown plane");
+  } else if (!Number.isFinite(options.offset)) {
+    errors.push("Offset must be a number");
+  }
+  return errors;
+}
+
+/**
+ * World plane to mirror across
+ * @param {Object} options - See DEFAULT_MIRROR
+ * @returns {THREE.Plane}
+ */
+export function getMirrorPlane(options) {
+  if (options.plane === "custom") {
+    return new THREE.Plane().setFromNormalAndCoplanarPoint(
+      new THREE.Vector3(...options.normal).normalize(),
+      new THREE.Vector3(...options.point)
+    );
+  }
+  return new THREE.Plane(
+    new THREE.Vector3(...MIRROR_PLANES[options.plane].normal),
+    -options.offset
+  );
+}
+
+// Mirror image of a member's shape; primitives are symmetric across
+// LOCAL_MIRROR_PLANE and stay as they are
+function mirrorShape(shape) {
+  const image = { ...shape };
+  if (shape.userData?.geometry?.isBufferGeometry) {
+    image.userData = {
+      ...shape.userData,
+      mirrored: !shape.userData.mirrored,
+      geometry: mirrorGeometry(shape.userData.geometry, LOCAL_MIRROR_PLANE),
+    };
+  }
+  if (shape.parameters?.geometry?.isBufferGeometry) {
+    image.parameters = {
+      ...shape.parameters,
+      mirrored: !shape.parameters.mirrored,
+      geometry: mirrorGeometry(shape.parameters.geometry, LOCAL_MIRROR_PLANE),
+    };
+  }
+  return image;
+}
+
+/**
+ * Linked mirror image of a body
+ * @param {Object} source - Scene object
+ * @param {Object} options - See DEFAULT_MIRROR
+ * @param {Number} id - Id for the copy
+ * @returns {Object} { source, copy } with the source linked too
+ */
+export function createMirror(source, options, id) {
+  const pattern = source.pattern || { sourceId: source.id, type: "mirror" };
+  const { position, rotation, scale } = mirrorObject(
+    toObject3D(source.transform),
+    getMirrorPlane(options)
+  );
+  const shape = Object.fromEntries(SHAPE_KEYS.map((key) => [key, source[key]]));
+
+  const copy = {
+    ...source,
+    ...mirrorShape(shape),
+    id,
+    name: `${source.name} (mirror)`,
+    hidden: false,
+    transform: {
+      position: position.toArray(),
+      rotation: rotation.toArray().slice(0, 3),
+      scale: scale.toArray(),
+    },
+    pattern: { ...pattern, mirrored: !pattern.mirrored },
+  };
+  return { source: { ...source, pattern }, copy };
+}
+
+/**
+ * Ids of the bodies linked with one body
+ * @param {Array} objects - Scene objects
+ * @param {Number} id
+ * @returns {Array} Member ids including id itself
+ */
+export function getPatternMemberIds(objects, id) {
+  const sourceId = objects.find((obj) => obj.id === id)?.pattern?.sourceId;
+  if (sourceId === undefined) return [id];
+  return objects
+    .filter((obj) => obj.pattern?.sourceId === sourceId)
+    .map((obj) => obj.id);
+}
+
+/**
+ * Give every member of a body's pattern that body's shape
+ * @param {Array} objects - Scene objects, with the edited body already updated
+ * @param {Number} id - Edited body
+ * @returns {Array} Scene objects
+ */
+export function propagatePatternShape(objects, id) {
+  const edited = objects.find((obj) => obj.id === id);
+  const sourceId = edited?.pattern?.sourceId;
+  if (sourceId === undefined) return objects;
+
+  const shape = Object.fromEntries(SHAPE_KEYS.map((key) => [key, edited[key]]));
+  let image = null; // built once, for the members of the other hand
+  return objects.map((obj) => {
+    if (obj.id === id || obj.pattern?.sourceId !== sourceId) return obj;
+    if (!obj.pattern.mirrored === !edited.pattern.mirrored) {
+      return { ...obj, ...shape };
+    }
+    image = image || mirrorShape(shape);
+    return { ...obj, ...image };
+  });
+}
+
+/**
+ * Make every member of a body's pattern independent
+ * @param {Array} objects - Scene objects
+ * @param {Number} id - Any member
+ * @returns {Array} Scene objects
+ */
+export function explodePattern(objects, id) {
+  const members = getPatternMemberIds(objects, id);
+  return objects.map((obj) => {
+    if (!members.includes(obj.id) || !obj.pattern) return obj;
+    const { pattern: _pattern, ...body } = obj;
+    return body;
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * Port Standards - Typing and mating rules for module attachment points
+ * Every attachment point can declare a berthing/docking standard and a gender.
+ * The rule table below decides which combinations may be joined.
+ */
+
+export const PORT_STANDARD = {
+  CBM: "CBM",
+  IDSS: "IDSS",
+  HATCH: "HATCH",
+};
+
+export const PORT_GENDER = {
+  ACTIVE: "active",
+  PASSIVE: "passive",
+  ANDROGYNOUS: "androgynous",
+  MALE: "male",
+  FEMALE: "female",
+};
+
+export const PORT_STANDARDS = {
+  [PORT_STANDARD.CBM]: {
+    label: "Common Berthing Mechanism",
+    genders: [PORT_GENDER.ACTIVE, PORT_GENDER.PASSIVE],
+  },
+  [PORT_STANDARD.IDSS]: {
+    label: "IDSS / NASA Docking System",
+    genders: [PORT_GENDER.ANDROGYNOUS],
+  },
+  [PORT_STANDARD.HATCH]: {
+    label: "Custom Hatch",
+    genders: [PORT_GENDER.MALE, PORT_GENDER.FEMALE],
+  },
+};
+
+/**
+ * Allowed pairings. A pair of ports may mate when a rule lists both
+ * standards and both genders (in either order).
+ */
+export const PORT_MATING_RULES = [
+  {
+    standards: [PORT_STANDARD.CBM, PORT_STANDARD.CBM],
+    genders: [PORT_GENDER.ACTIVE, PORT_GENDER.PASSIVE],
+  },
+  {
+    standards: [PORT_STANDARD.IDSS, PORT_STANDARD.IDSS],
+    genders: [PORT_GENDER.ANDROGYNOUS, PORT_GENDER.ANDROGYNOUS],
+  },
+  {
+    standards: [PORT_STANDARD.HATCH, PORT_STANDARD.HATCH],
+    genders: [PORT_GENDER.MALE, PORT_GENDER.FEMALE],
+  },
+];
+
+const NORMAL_OPPOSITION = -0.8; // dot product threshold for facing normals
+const DIAMETER_TOLERANCE = 0.5; // meters
+
+function describePort(point) {
+  return point.gender ? `${point.standard} ${point.gender}` : point.standard;
+}
+
+function ruleMatches(rule, a, b) {
+  const [s1, s2] = rule.standards;
+  const [g1, g2] = rule.genders;
+  return (
+    (a.standard === s1 &&
+      b.standard === s2 &&
+      a.gender === g1 &&
+      b.gender === g2) ||
+    (a.standard === s2 &&
+      b.standard === s1 &&
+      a.gender === g2 &&
+      b.gender === g1)
+  );
+}
+
+/**
+ * Decide whether two attachment points may mate
+ * Points without a standard (legacy geometry) only get the geometric checks;
+ * points without a diameter never mate.
+ * @param {Object} point1 - { normal, diameter, standard, gender }
+ * @param {Object} point2 - { normal, diameter, standard, gender }
+ * @returns {Object} { compatible, facing, reason } where facing is false
+ *   when the ports point past each other rather than breaking a mating rule
+ */
+export function checkPortMating(point1, point2) {
+  if (point1.normal.dot(point2.normal) >= NORMAL_OPPOSITION) {
+    return {
+      compatible: false,
+      facing: false,
+      reason: "Ports are not facing each other",
+    };
+  }
+
+  // A port without a diameter (e.g. the tip of a pointed end) can't mate
+  if (!point1.diameter || !point2.diameter) {
+    return {
+      compatible: false,
+      facing: true,
+      reason: "Port has no diameter",
+    };
+  }
+
+  if (Math.abs(point1.diameter - point2.diameter) >= DIAMETER_TOLERANCE) {
+    return {
+      compatible: false,
+      facing: true,
+      reason: `Diameter mismatch (${point1.diameter}m vs ${point2.diameter}m)`,
+    };
+  }
+
+  if (!point1.standard || !point2.standard) {
+    return { compatible: true, facing: true, reason: null };
+  }
+
+  if (point1.standard !== point2.standard) {
+    return {
+      compatible: false,
+      facing: true,
+      reason: `${point1.standard} cannot mate with ${point2.standard}`,
+    };
+  }
+
+  if (!PORT_MATING_RULES.some((rule) => ruleMatches(rule, point1, point2))) {
+    return {
+      compatible: false,
+      facing: true,
+      reason: `${describePort(point1)} cannot mate with ${describePort(
+        point2
+      )}`,
+    };
+  }
+
+  return { compatible: true, facing: true, reason: null };
+}
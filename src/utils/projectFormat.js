@@ -0,0 +1,790 @@
+import * as THREE from "three";
+import { getObjectGeometry } from "./cadOperations";
+import { rebuildBody } from "./featureTree";
+import { createTopology, syncTopology } from "./habitatTopology";
+import { DEFAULT_BUDGET_LIMITS } from "./budgetCalculator";
+import { DEFAULT_FAIRING_ID } from "./fairingLibrary";
+import { FUNCTIONAL_ZONES } from "../interior/utils/functionalZones";
+import { storeMeshes, fetchMeshes } from "./meshStore";
+
+/**
+ * Project Format - Saved and exported habitat projects
+ * One JSON document holds a whole project; the project list, the exterior
+ * autosave and JSON exports all use it:
+ *
+ * {
+ *   format: "habitat-project", version: "2.0", savedAt,
+ *   id, name, createdAt, updatedAt, thumbnail,
+ *   settings: { objectIdCounter, budgetLimits, fairingId },
+ *   objects: [object],
+ *   connections: { nodes, edges } (see habitatTopology.js),
+ *   customModules: [module definition] (see customModules.js),
+ *   interior: { zones: [zone], decks: [deck] } (see functionalZones.js and
+ *     deckSystem.js)
+ * }
+ *
+ * Objects are scene objects without any BufferGeometry. Each says in source
+ * how its shape comes back:
+ * - "module": rebuilt by the generator in userData.moduleDefinition from
+ *   userData.parameters, then its features (see featureTree.js)
+ * - "mesh": decoded from mesh, the base shape when it has features. Files
+ *   carry it inline ({ encoding: "three-json", data } with data a
+ *   BufferGeometry.toJSON()); saved projects refer to the browser's mesh
+ *   store ({ encoding: "stored", hash }, see meshStore.js)
+ * - "primitive": drawn from type and parameters (box, sphere, ...)
+ *
+ * Documents from older versions are migrated on import, one MIGRATIONS step
+ * at a time. Whatever can't be restored is left out and reported with the
+ * reason, never silently skipped.
+ */
+
+export const PROJECT_FORMAT = "habitat-project";
+export const PROJECT_FORMAT_VERSION = "2.0";
+// Before 1.0 there was no version: project records and exterior autosaves
+const UNVERSIONED = "0";
+
+const INLINE_MESH = "three-json";
+const STORED_MESH = "stored";
+const PRIMITIVE_TYPES = ["box", "sphere", "cylinder", "cone", "torus", "plane"];
+
+const VECTOR3 = {
+  type: "array",
+  items: { type: "number" },
+  minItems: 3,
+  maxItems: 3,
+};
+
+const OBJECT_SCHEMA = {
+  type: "object",
+  required: ["id", "type", "transform", "source"],
+  properties: {
+    id: { type: ["integer", "string"] },
+    name: { type: "string" },
+    type: { type: "string" },
+    hidden: { type: "boolean" },
+    transform: {
+      type: "object",
+      required: ["position", "rotation", "scale"],
+      properties: { position: VECTOR3, rotation: VECTOR3, scale: VECTOR3 },
+    },
+    material: { type: "object" },
+    parameters: { type: "object" },
+    userData: { type: "object" },
+    features: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "type", "params"],
+        properties: {
+          id: { type: "integer" },
+          type: { enum: ["extrude", "fillet", "boolean"] },
+          params: { type: "object" },
+          suppressed: { type: "boolean" },
+        },
+      },
+    },
+    source: { enum: ["module", "mesh", "primitive"] },
+    mesh: {
+      type: "object",
+      required: ["encoding"],
+      properties: {
+        encoding: { enum: [INLINE_MESH, STORED_MESH] },
+        data: { type: "object" },
+        hash: { type: "string" },
+      },
+    },
+  },
+};
+
+const ZONE_SCHEMA = {
+  type: "object",
+  required: ["id", "type", "position", "size"],
+  properties: {
+    id: { type: "string" },
+    type: { type: "string" },
+    name: { type: "string" },
+    position: VECTOR3,
+    rotation: VECTOR3,
+    size: {
+      type: "object",
+      required: ["width", "height", "depth"],
+      properties: {
+        width: { type: "number" },
+        height: { type: "number" },
+        depth: { type: "number" },
+      },
+    },
+  },
+};
+
+const DECK_SCHEMA = {
+  type: "object",
+  required: ["id", "level", "floorHeight", "ceilingHeight"],
+  properties: {
+    id: { type: "string" },
+    level: { type: "integer" },
+    floorHeight: { type: "number" },
+    ceilingHeight: { type: "number" },
+    layoutType: { type: "string" },
+    rooms: { type: "array" },
+    corridors: { type: "array" },
+  },
+};
+
+/**
+ * Schema of the current version. Objects, zones and decks are checked one by
+ * one against OBJECT_SCHEMA, ZONE_SCHEMA and DECK_SCHEMA so a bad one is
+ * dropped, not the project.
+ */
+export const PROJECT_SCHEMA = {
+  type: "object",
+  required: ["format", "version", "objects"],
+  properties: {
+    format: { enum: [PROJECT_FORMAT] },
+    version: { enum: [PROJECT_FORMAT_VERSION] },
+    savedAt: { type: "string" },
+    id: { type: "string" },
+    name: { type: "string" },
+    createdAt: { type: "string" },
+    updatedAt: { type: "string" },
+    thumbnail: { type: ["string", "null"] },
+    settings: {
+      type: "object",
+      properties: {
+        objectIdCounter: { type: "integer" },
+        budgetLimits: { type: "object" },
+        fairingId: { type: ["string", "null"] },
+      },
+    },
+    objects: { type: "array" },
+    connections: {
+      type: "object",
+      required: ["edges"],
+      properties: {
+        nodes: { type: "array" },
+        edges: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id", "a", "b"],
+            properties: { a: { type: "object" }, b: { type: "object" } },
+          },
+        },
+      },
+    },
+    customModules: { type: "array", items: { type: "object" } },
+    interior: {
+      type: "object",
+      properties: { zones: { type: "array" }, decks: { type: "array" } },
+    },
+  },
+};
+
+function isType(value, type) {
+  switch (type) {
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    case "null":
+      return value === null;
+    case "number":
+      return Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function checkSchema(value, schema, path, errors) {
+  const at = path || "value";
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) {
+      errors.push(`${at}: must be ${schema.enum.map(String).join(" or ")}`);
+    }
+    return errors;
+  }
+  const types = [].concat(schema.type);
+  if (!types.some((type) => isType(value, type))) {
+    errors.push(`${at}: expected ${types.join(" or ")}`);
+    return errors;
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length < (schema.minItems ?? 0)) {
+      errors.push(`${at}: needs at least ${schema.minItems} items`);
+    } else if (value.length > (schema.maxItems ?? Infinity)) {
+      errors.push(`${at}: takes at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) =>
+        checkSchema(item, schema.items, `${at}[${i}]`, errors)
+      );
+    }
+  } else if (isType(value, "object")) {
+    const prefix = path ? `${path}.` : "";
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${prefix}${key}: missing`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (value[key] !== undefined) {
+        checkSchema(value[key], property, `${prefix}${key}`, errors);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Check a value against one of the schemas above
+ * @param {*} value
+ * @param {Object} schema - e.g. PROJECT_SCHEMA
+ * @returns {Array} Error messages with the path of each problem (empty when
+ *   valid)
+ */
+export function validateSchema(value, schema = PROJECT_SCHEMA) {
+  return checkSchema(value, schema, "", []);
+}
+
+// --- Export ---
+
+// A stored reference when meshRefs has one, else inline with its vertex
+// data, even for BoxGeometry and the like that would only save parameters
+function encodeMesh(geometry, meshRefs) {
+  const hash = meshRefs?.get(geometry);
+  if (hash) return { encoding: STORED_MESH, hash };
+  const plain = new THREE.BufferGeometry().copy(geometry);
+  return { encoding: INLINE_MESH, data: plain.toJSON() };
+}
+
+// Shape a mesh object is saved with
+function getMeshGeometry(obj) {
+  return obj.parameters?.baseGeometry || getObjectGeometry(obj);
+}
+
+function getSource(obj) {
+  if (obj.userData?.moduleDefinition) return "module";
+  if (getMeshGeometry(obj)) return "mesh";
+  return "primitive";
+}
+
+/**
+ * Scene object as saved: its geometry is dropped and, for meshes, encoded
+ * @param {Object} obj - Scene object
+ * @param {Map} meshRefs - geometry -> mesh store hash, for meshes saved by
+ *   reference; others are inlined
+ * @returns {Object} Saved object (see the format above)
+ */
+export function serializeObject(obj, meshRefs) {
+  const source = getSource(obj);
+  const { geometry: _geometry, ...rest } = obj;
+  const saved = { ...rest, source };
+  if (obj.userData) {
+    const { geometry: _drawn, ...userData } = obj.userData;
+    saved.userData = userData;
+  }
+  if (obj.parameters) {
+    const {
+      geometry: _drawn,
+      baseGeometry: _base,
+      ...parameters
+    } = obj.parameters;
+    saved.parameters = parameters;
+  }
+  if (source === "mesh") {
+    // Bodies with a history keep their base; the features are redone on load
+    saved.mesh = encodeMesh(getMeshGeometry(obj), meshRefs);
+  }
+  return saved;
+}
+
+/**
+ * Project as a saved document
+ * @param {Object} project - { id, name, createdAt, updatedAt, thumbnail,
+ *   objects, objectIdCounter, topology, budgetLimits, fairingId,
+ *   customModules, interior }; anything missing gets its default
+ * @param {Object} options - { meshRefs } (see serializeObject)
+ * @returns {Object} Document in the current format
+ */
+export function serializeProject(project, { meshRefs } = {}) {
+  const objects = project.objects || [];
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    id: project.id,
+    name: project.name,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    thumbnail: project.thumbnail ?? null,
+    settings: {
+      objectIdCounter: project.objectIdCounter || objects.length + 1,
+      budgetLimits: project.budgetLimits || { ...DEFAULT_BUDGET_LIMITS },
+      fairingId: project.fairingId || DEFAULT_FAIRING_ID,
+    },
+    objects: objects.map((obj) => serializeObject(obj, meshRefs)),
+    connections: project.topology || createTopology(),
+    customModules: project.customModules || [],
+    interior: {
+      zones: project.interior?.zones || [],
+      decks: project.interior?.decks || [],
+    },
+  };
+}
+
+// --- Migrations ---
+
+// BufferGeometry.toJSON() output, as JSON.stringify left it in old saves
+// (BoxGeometry and the like only wrote their parameters)
+function isGeometryJSON(value) {
+  return value?.metadata?.type === "BufferGeometry";
+}
+
+// Deployed inflatables used to be generated lying along Y (their extrusion
+// turned a quarter about X); they're generated along Z now, so a 1.0 object
+// is turned back by the same quarter in its own frame. Its y and z scale
+// swap so the quarter turn can move in front of the scale.
+function migrateInflatableV1(obj) {
+  const generator = obj.userData?.moduleDefinition?.generator;
+  if (
+    generator !== "generateInflatableCylinder" ||
+    obj.userData.deployState === "stowed" ||
+    !Array.isArray(obj.transform?.rotation)
+  ) {
+    return obj;
+  }
+  const [x, y, z, order] = obj.transform.rotation;
+  const quaternion = new THREE.Quaternion()
+    .setFromEuler(new THREE.Euler(x, y, z, order))
+    .multiply(
+      new THREE.Quaternion().setFromAxisAngle(
+        new THREE.Vector3(1, 0, 0),
+        Math.PI / 2
+      )
+    );
+  const rotation = new THREE.Euler()
+    .setFromQuaternion(quaternion, order)
+    .toArray()
+    .slice(0, 3);
+  const scale = Array.isArray(obj.transform.scale)
+    ? [obj.transform.scale[0], obj.transform.scale[2], obj.transform.scale[1]]
+    : obj.transform.scale;
+  return { ...obj, transform: { ...obj.transform, rotation, scale } };
+}
+
+// 1.0 objects kept whatever the editor had: modules with their generated
+// geometry, meshes as geometry JSON in parameters or on the object
+function migrateObjectV1(obj) {
+  if (!isType(obj, "object")) return obj;
+  const { geometry, ...rest } = obj;
+  const migrated = { ...rest };
+  if (obj.userData) {
+    const { geometry: _drawn, ...userData } = obj.userData;
+    migrated.userData = userData;
+  }
+  const { geometry: drawn, baseGeometry, ...parameters } = obj.parameters || {};
+  if (obj.parameters) migrated.parameters = parameters;
+
+  const mesh = [baseGeometry, drawn, geometry].find(isGeometryJSON);
+  if (obj.userData?.moduleDefinition) {
+    migrated.source = "module";
+    return migrateInflatableV1(migrated);
+  } else if (mesh) {
+    migrated.source = "mesh";
+    migrated.mesh = { encoding: INLINE_MESH, data: mesh };
+  } else if (PRIMITIVE_TYPES.includes(obj.type) && obj.parameters) {
+    migrated.source = "primitive";
+  }
+  return migrated;
+}
+
+/**
+ * Steps from each older version to the next, applied in order on import.
+ * A new version adds a step here and bumps PROJECT_FORMAT_VERSION.
+ */
+export const MIGRATIONS = [
+  {
+    from: UNVERSIONED,
+    to: "1.0",
+    // Project records and autosaves already had the 1.0 object layout
+    migrate: (doc) => ({ ...doc, version: "1.0" }),
+  },
+  {
+    from: "1.0",
+    to: "2.0",
+    migrate: (doc) => ({
+      format: PROJECT_FORMAT,
+      version: "2.0",
+      savedAt: new Date(doc.timestamp || doc.updatedAt || 0).toISOString(),
+      id: doc.id,
+      name: doc.name,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+      thumbnail: doc.thumbnail ?? null,
+      settings: {
+        objectIdCounter: doc.objectIdCounter,
+        budgetLimits: doc.budgetLimits,
+        fairingId: doc.fairingId,
+      },
+      objects: Array.isArray(doc.objects)
+        ? doc.objects.map(migrateObjectV1)
+        : doc.objects,
+      connections: doc.topology,
+      customModules: doc.customModules,
+      interior: { zones: doc.zones, decks: doc.decks },
+    }),
+  },
+];
+
+/**
+ * Version a document was saved with
+ * @param {Object} doc
+ * @returns {String} "0" for documents from before versions were written
+ */
+export function getDocumentVersion(doc) {
+  if (doc.format === PROJECT_FORMAT || typeof doc.version === "string") {
+    return String(doc.version);
+  }
+  return UNVERSIONED;
+}
+
+/**
+ * Bring a document up to the current version
+ * @param {Object} doc
+ * @returns {Object} { doc, steps: ["1.0 → 2.0", ...], error } with doc null
+ *   when its version is unknown
+ */
+export function migrateDocument(doc) {
+  let current = doc;
+  let version = getDocumentVersion(doc);
+  const steps = [];
+  while (version !== PROJECT_FORMAT_VERSION) {
+    const step = MIGRATIONS.find((m) => m.from === version);
+    if (!step) {
+      return {
+        doc: null,
+        steps,
+        error: `Unknown project version "${version}", it may be from a newer release`,
+      };
+    }
+    current = step.migrate(current);
+    steps.push(`${step.from} → ${step.to}`);
+    version = step.to;
+  }
+  return { doc: current, steps, error: null };
+}
+
+// --- Import ---
+
+function describe(item, index, kind) {
+  const id = item?.id ?? null;
+  return { kind, id, name: item?.name || `Unnamed ${kind} ${index + 1}` };
+}
+
+// Reason a saved object can't be restored, before any geometry is built
+function checkObject(obj) {
+  const errors = validateSchema(obj, OBJECT_SCHEMA);
+  if (errors.length > 0) {
+    return errors.every((error) => error.startsWith("source:"))
+      ? "No geometry was saved with it and it isn't a module or primitive"
+      : `Invalid data (${errors.join("; ")})`;
+  }
+  if (obj.source === "module" && !obj.userData?.moduleDefinition) {
+    return "Its module definition is missing";
+  }
+  if (obj.source === "mesh") {
+    const { encoding, data, hash } = obj.mesh || {};
+    if (!(encoding === STORED_MESH ? hash : data)) {
+      return "Its mesh data is missing";
+    }
+  }
+  if (obj.source === "primitive") {
+    if (!PRIMITIVE_TYPES.includes(obj.type)) {
+      return `"${obj.type}" isn't a primitive shape`;
+    }
+    if (!obj.parameters) return "Its parameters are missing";
+  }
+  return null;
+}
+
+function decodeMesh(mesh) {
+  try {
+    const parsed = new THREE.ObjectLoader().parseGeometries([mesh.data]);
+    return Object.values(parsed)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+// Scene object without its features applied yet; meshes with features keep
+// their shape as the base
+function restoreObject(saved, meshes) {
+  const { source, mesh: _mesh, ...obj } = saved;
+  if (source !== "mesh") return { obj, error: null };
+  let geometry;
+  if (saved.mesh.encoding === STORED_MESH) {
+    geometry = meshes?.get(saved.mesh.hash);
+    if (!geometry) {
+      return { obj: null, error: "Its mesh isn't in this browser's storage" };
+    }
+  } else {
+    geometry = decodeMesh(saved.mesh);
+  }
+  if (!geometry?.attributes.position) {
+    return { obj: null, error: "Its mesh data can't be read" };
+  }
+  const parameters = saved.features?.length
+    ? { ...obj.parameters, baseGeometry: geometry }
+    : { ...obj.parameters, geometry };
+  return { obj: { ...obj, parameters }, error: null };
+}
+
+function needsRebuild(obj) {
+  return !!obj.userData?.moduleDefinition || !!obj.features?.length;
+}
+
+// Boolean tools a body's features need built first
+function getToolIds(obj) {
+  return (obj.features || [])
+    .filter((f) => f.type === "boolean" && !f.suppressed)
+    .map((f) => f.params.toolId);
+}
+
+// Rebuild modules and feature histories, tools before the bodies using them
+function rebuildObjects(objects, dropped, warnings) {
+  let list = objects;
+  const pending = new Set(objects.filter(needsRebuild).map((obj) => obj.id));
+  while (pending.size > 0) {
+    const ready = list.filter(
+      (obj) =>
+        pending.has(obj.id) && !getToolIds(obj).some((id) => pending.has(id))
+    );
+    // Tools that use each other can't be ordered; build them as they are
+    const batch = ready.length
+      ? ready
+      : list.filter((obj) => pending.has(obj.id));
+    batch.forEach((obj) => {
+      pending.delete(obj.id);
+      const body = rebuildBody(obj, list);
+      if (!getObjectGeometry(body)) {
+        const index = objects.indexOf(obj);
+        const generator = obj.userData?.moduleDefinition?.generator;
+        dropped.push({
+          ...describe(obj, index, "object"),
+          reason: generator
+            ? `Its module generator "${generator}" doesn't exist`
+            : "Its shape couldn't be rebuilt",
+        });
+        list = list.filter((o) => o.id !== obj.id);
+        return;
+      }
+      const failed = (body.features || []).filter((f) => f.error).length;
+      if (failed > 0) {
+        warnings.push(
+          `${obj.name}: ${failed} feature${failed === 1 ? "" : "s"} failed to rebuild`
+        );
+      }
+      list = list.map((o) => (o.id === obj.id ? body : o));
+    });
+  }
+  return list;
+}
+
+function restoreInterior(interior, dropped) {
+  const keep = (items, schema, kind, check) =>
+    (Array.isArray(items) ? items : []).filter((item, index) => {
+      const errors = validateSchema(item, schema);
+      const reason = errors.length
+        ? `Invalid data (${errors.join("; ")})`
+        : check(item);
+      if (reason) dropped.push({ ...describe(item, index, kind), reason });
+      return !reason;
+    });
+  return {
+    zones: keep(interior?.zones, ZONE_SCHEMA, "zone", (zone) =>
+      FUNCTIONAL_ZONES[zone.type] ? null : `Unknown zone type "${zone.type}"`
+    ),
+    decks: keep(interior?.decks, DECK_SCHEMA, "deck", () => null),
+  };
+}
+
+/**
+ * Read a saved project or exported file of any version
+ * @param {String|Object} input - JSON text or parsed document
+ * @param {Object} options - { meshes: hash -> THREE.BufferGeometry for
+ *   stored meshes (see getStoredMeshHashes) }
+ * @returns {Object} { project, dropped, warnings, migrations, error } where
+ *   project is the in-memory project (see serializeProject) or null when the
+ *   input can't be read at all, dropped lists [{ kind: "object" | "zone" |
+ *   "deck", id, name, reason }] left out of it, and migrations the version
+ *   steps applied
+ */
+export function importProject(input, { meshes } = {}) {
+  const fail = (error, migrations = []) => ({
+    project: null,
+    dropped: [],
+    warnings: [],
+    migrations,
+    error,
+  });
+
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return fail("File is not valid JSON");
+    }
+  }
+  if (!isType(data, "object")) return fail("Not a project file");
+
+  const { doc, steps, error } = migrateDocument(data);
+  if (error) return fail(error, steps);
+  const problems = validateSchema(doc, PROJECT_SCHEMA);
+  if (problems.length > 0) {
+    return fail(`Not a valid project: ${problems.join("; ")}`, steps);
+  }
+
+  const dropped = [];
+  const warnings = [];
+  const seen = new Set();
+  const restored = [];
+  doc.objects.forEach((saved, index) => {
+    let reason = checkObject(saved);
+    if (!reason && seen.has(saved.id)) {
+      reason = `Another object already has id ${saved.id}`;
+    }
+    const { obj, error: restoreError } = reason
+      ? { obj: null, error: reason }
+      : restoreObject(saved, meshes);
+    if (!obj) {
+      dropped.push({
+        ...describe(saved, index, "object"),
+        reason: restoreError,
+      });
+      return;
+    }
+    seen.add(obj.id);
+    restored.push(obj);
+  });
+  const objects = rebuildObjects(restored, dropped, warnings);
+
+  const topology = syncTopology(doc.connections || createTopology(), objects);
+  const lost = (doc.connections?.edges.length || 0) - topology.edges.length;
+  if (lost > 0) {
+    warnings.push(
+      `${lost} connection${lost === 1 ? "" : "s"} no longer mate and were removed`
+    );
+  }
+
+  const highestId = objects.reduce(
+    (max, obj) => (Number.isInteger(obj.id) ? Math.max(max, obj.id) : max),
+    0
+  );
+  const settings = doc.settings || {};
+  return {
+    project: {
+      id: doc.id,
+      name: doc.name || "Untitled Project",
+      createdAt: doc.createdAt || doc.savedAt,
+      updatedAt: doc.updatedAt || doc.savedAt,
+      thumbnail: doc.thumbnail ?? null,
+      objects,
+      objectIdCounter: Math.max(settings.objectIdCounter || 1, highestId + 1),
+      topology,
+      budgetLimits: settings.budgetLimits || { ...DEFAULT_BUDGET_LIMITS },
+      fairingId: settings.fairingId || DEFAULT_FAIRING_ID,
+      customModules: doc.customModules || [],
+      interior: restoreInterior(doc.interior, dropped),
+    },
+    dropped,
+    warnings,
+    migrations: steps,
+    error: null,
+  };
+}
+
+// --- Stored meshes ---
+
+/**
+ * Geometries a project's mesh objects are saved with
+ * @param {Array} objects - Scene objects
+ * @returns {Array} THREE.BufferGeometry
+ */
+export function getMeshGeometries(objects) {
+  return objects
+    .filter((obj) => getSource(obj) === "mesh")
+    .map(getMeshGeometry);
+}
+
+/**
+ * Mesh store hashes a saved document refers to
+ * @param {Object} doc - Saved document of any version
+ * @returns {Array} Hashes
+ */
+export function getStoredMeshHashes(doc) {
+  return (Array.isArray(doc?.objects) ? doc.objects : [])
+    .map((obj) => obj?.mesh)
+    .filter((mesh) => mesh?.encoding === STORED_MESH && mesh.hash)
+    .map((mesh) => mesh.hash);
+}
+
+/**
+ * serializeProject with mesh objects put in the mesh store and saved by
+ * reference; they're inlined when the store can't be used
+ * @param {Object} project - See serializeProject
+ * @returns {Promise<Object>} Document in the current format
+ */
+export async function serializeStoredProject(project) {
+  let meshRefs;
+  try {
+    meshRefs = await storeMeshes(getMeshGeometries(project.objects || []));
+  } catch (error) {
+    console.warn("Mesh store unavailable, saving meshes inline:", error);
+  }
+  return serializeProject(project, { meshRefs });
+}
+
+/**
+ * importProject with the stored meshes the document refers to read first
+ * @param {String|Object} input - See importProject
+ * @returns {Promise<Object>} See importProject
+ */
+export async function importStoredProject(input) {
+  let data = input;
+  try {
+    data = typeof input === "string" ? JSON.parse(input) : input;
+  } catch {
+    return importProject(input);
+  }
+  let meshes = new Map();
+  const hashList = getStoredMeshHashes(data);
+  if (hashList.length > 0) {
+    try {
+      meshes = await fetchMeshes(hashList);
+    } catch (error) {
+      console.warn("Mesh store unavailable:", error);
+    }
+  }
+  return importProject(data, { meshes });
+}
+
+/**
+ * What an import left out or changed, for showing to the user
+ * @param {Object} result - From importProject
+ * @returns {String|null} null when everything came through
+ */
+export function describeImport({ dropped, warnings }) {
+  if (dropped.length === 0 && warnings.length === 0) return null;
+  const lines = dropped.map(
+    (item) =>
+      `• ${item.name}${item.id !== null ? ` (${item.kind} ${item.id})` : ""}: ${item.reason}`
+  );
+  return [
+    ...(lines.length ? ["Left out:", ...lines] : []),
+    ...(warnings.length ? ["", ...warnings] : []),
+  ]
+    .join("\n")
+    .trim();
+}
@@ -0,0 +1,163 @@
+import { getStoredMeshHashes } from "./projectFormat";
+import {
+  REVISION_STORE,
+  openDatabase,
+  request,
+  transactionDone,
+} from "./browserDatabase";
+
+/**
+ * Project Revisions - Restore points of saved projects
+ * Each project keeps revisions next to its current record: automatic ones
+ * taken as it's saved, at most one per AUTO_REVISION_INTERVAL with the newest
+ * MAX_AUTO_REVISIONS kept, and checkpoints saved on purpose, kept until the
+ * project is deleted.
+ *
+ * A revision is { id, projectId, kind: "auto" | "checkpoint", label,
+ * savedAt, summary, document } where document is the project document as
+ * stored (see projectFormat.js, meshes by reference) and summary its
+ * summarizeDocument counts.
+ */
+
+export const AUTO_REVISION_INTERVAL = 5 * 60 * 1000; // ms
+export const MAX_AUTO_REVISIONS = 20;
+
+const SUMMARY_LABELS = {
+  objects: ["object", "objects"],
+  modules: ["module", "modules"],
+  meshes: ["mesh", "meshes"],
+  primitives: ["primitive", "primitives"],
+  connections: ["connection", "connections"],
+  zones: ["zone", "zones"],
+};
+
+/**
+ * Counts of what a saved document holds
+ * @param {Object} doc - Project document
+ * @returns {Object} { objects, modules, meshes, primitives, connections,
+ *   zones }
+ */
+export function summarizeDocument(doc) {
+  const objects = Array.isArray(doc?.objects) ? doc.objects : [];
+  const count = (source) => objects.filter((o) => o?.source === source).length;
+  return {
+    objects: objects.length,
+    modules: count("module"),
+    meshes: count("mesh"),
+    primitives: count("primitive"),
+    connections: doc?.connections?.edges?.length || 0,
+    zones: doc?.interior?.zones?.length || 0,
+  };
+}
+
+/**
+ * What changed between two summaries
+ * @param {Object} from - summarizeDocument result
+ * @param {Object} to - summarizeDocument result
+ * @returns {Array} [{ key, change, text }] for the counts that differ, e.g.
+ *   text "+2 modules"
+ */
+export function diffSummaries(from, to) {
+  return Object.entries(SUMMARY_LABELS)
+    .map(([key, [one, many]]) => {
+      const change = (to[key] || 0) - (from[key] || 0);
+      const sign = change > 0 ? "+" : "−";
+      const text = `${sign}${Math.abs(change)} ${Math.abs(change) === 1 ? one : many}`;
+      return { key, change, text };
+    })
+    .filter((entry) => entry.change !== 0);
+}
+
+async function getProjectRevisions(store, projectId) {
+  return request(store.index("projectId").getAll(projectId));
+}
+
+/**
+ * A project's revisions, newest first
+ * @param {String} projectId
+ * @returns {Promise<Array>}
+ */
+export async function listRevisions(projectId) {
+  const db = await openDatabase();
+  const store = db.transaction(REVISION_STORE).objectStore(REVISION_STORE);
+  const revisions = await getProjectRevisions(store, projectId);
+  return revisions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+export async function getRevision(id) {
+  const db = await openDatabase();
+  return request(
+    db.transaction(REVISION_STORE).objectStore(REVISION_STORE).get(id)
+  );
+}
+
+/**
+ * Keep a revision of a stored project document
+ * Automatic revisions are skipped while the newest one is recent, and the
+ * oldest are dropped past MAX_AUTO_REVISIONS.
+ * @param {Object} doc - Project document as stored
+ * @param {Object} options - { kind: "auto" | "checkpoint", label }
+ * @returns {Promise<Object|null>} The revision, null when none was taken
+ */
+export async function addRevision(doc, { kind = "auto", label = "" } = {}) {
+  const savedAt = new Date().toISOString();
+  const db = await openDatabase();
+  const transaction = db.transaction(REVISION_STORE, "readwrite");
+  const store = transaction.objectStore(REVISION_STORE);
+  const autos = (await getProjectRevisions(store, doc.id))
+    .filter((revision) => revision.kind === "auto")
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+  if (
+    kind === "auto" &&
+    autos.length > 0 &&
+    Date.now() - Date.parse(autos[0].savedAt) < AUTO_REVISION_INTERVAL
+  ) {
+    return null;
+  }
+
+  const revision = {
+    // Saves can land in the same millisecond, e.g. the checkpoint a restore
+    // keeps and the restore itself
+    id: `${doc.id}:${savedAt}:${Math.random().toString(36).slice(2, 10)}`,
+    projectId: doc.id,
+    kind,
+    label,
+    savedAt,
+    summary: summarizeDocument(doc),
+    document: doc,
+  };
+  store.add(revision);
+  if (kind === "auto") {
+    autos.slice(MAX_AUTO_REVISIONS - 1).forEach((old) => store.delete(old.id));
+  }
+  await transactionDone(transaction);
+  return revision;
+}
+
+/**
+ * Delete every revision of a project
+ * @param {String} projectId
+ */
+export async function deleteRevisions(projectId) {
+  const db = await openDatabase();
+  const transaction = db.transaction(REVISION_STORE, "readwrite");
+  const store = transaction.objectStore(REVISION_STORE);
+  const keys = await request(store.index("projectId").getAllKeys(projectId));
+  keys.forEach((key) => store.delete(key));
+  await transactionDone(transaction);
+}
+
+/**
+ * Mesh store hashes any revision refers to
+ * @returns {Promise<Array>}
+ */
+export async function getRevisionMeshHashes() {
+  const db = await openDatabase();
+  const revisions = await request(
+    db.transaction(REVISION_STORE).objectStore(REVISION_STORE).getAll()
+  );
+  return revisions.flatMap((revision) =>
+    getStoredMeshHashes(revision.document)
+  );
+}
@@ -1,68 +1,359 @@
-// LocalStorage utility for project management
-const STORAGE_KEY = "habitat-projects";
+// Project management over a storage adapter (see storageAdapters.js)
+// Each project is one record, kept as a project document (see
+// projectFormat.js) that goes through importProject to become editable
+// again. In this browser's IndexedDB its meshes live in the mesh store (see
+// meshStore.js); records on a project server carry them inline. Earlier
+// versions are kept in this browser's revision store either way (see
+// projectRevisions.js).
+import { createTopology } from "./habitatTopology";
+import { DEFAULT_BUDGET_LIMITS } from "./budgetCalculator";
+import { DEFAULT_FAIRING_ID } from "./fairingLibrary";
+import {
+  serializeProject,
+  serializeStoredProject,
+  importStoredProject,
+  getStoredMeshHashes,
+} from "./projectFormat";
+import { deleteUnusedMeshes } from "./meshStore";
+import {
+  addRevision,
+  deleteRevisions,
+  getRevision,
+  getRevisionMeshHashes,
+} from "./projectRevisions";
+import { createBrowserAdapter, createServerAdapter } from "./storageAdapters";
+
 const CURRENT_PROJECT_KEY = "habitat-current-project";
+const STORAGE_SERVER_KEY = "habitat-storage-server";
+// The exterior editor's autosave also refers to stored meshes
+const EXTERIOR_KEY = "habitat-creator-exterior";
+
+// Saves run one after another so an older one never lands last
+let saveQueue = Promise.resolve();
+const browserAdapter = createBrowserAdapter();
+let storageAdapter = null;
+
+/**
+ * The adapter projects are read and written through: the project server
+ * last connected to, or this browser
+ * @returns {Object} Storage adapter
+ */
+export function getStorageAdapter() {
+  if (!storageAdapter) {
+    const server = getStorageServer();
+    storageAdapter = server ? createServerAdapter(server) : browserAdapter;
+  }
+  return storageAdapter;
+}
+
+export function getStorageServer() {
+  return localStorage.getItem(STORAGE_SERVER_KEY);
+}
 
-export function getAllProjects() {
+/**
+ * Keep projects on a project server from now on
+ * @param {String} url - Server address, e.g. "http://192.168.1.20:8787"
+ * @returns {Promise<Object>} The adapter, once the server has answered
+ */
+export async function connectStorageServer(url) {
+  const adapter = createServerAdapter(url);
+  await adapter.list();
+  await saveQueue;
+  localStorage.setItem(STORAGE_SERVER_KEY, url);
+  storageAdapter = adapter;
+  clearCurrentProject();
+  return adapter;
+}
+
+// Back to the projects in this browser
+export async function disconnectStorageServer() {
+  await saveQueue;
+  localStorage.removeItem(STORAGE_SERVER_KEY);
+  storageAdapter = browserAdapter;
+  clearCurrentProject();
+}
+
+// The design the editor autosaved before it had projects becomes a project
+// of its own. That autosave has no id and the editor's autosave now always
+// carries its project's (see saveExteriorDesign), so it's only taken once.
+async function adoptExteriorAutosave() {
+  let autosave;
   try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : [];
+    autosave = JSON.parse(localStorage.getItem(EXTERIOR_KEY));
+  } catch {
+    return; // Unreadable, nothing to keep
+  }
+  if (!autosave || autosave.id || !autosave.objects?.length) return;
+  const now = new Date().toISOString();
+  const record = {
+    ...autosave,
+    id: generateId(),
+    name: "Saved design",
+    createdAt: now,
+    updatedAt: now,
+  };
+  await browserAdapter.put(record);
+  localStorage.setItem(EXTERIOR_KEY, JSON.stringify(record));
+}
+
+export async function getAllProjects() {
+  try {
+    const adapter = getStorageAdapter();
+    if (adapter === browserAdapter) {
+      await adoptExteriorAutosave().catch((error) =>
+        console.warn("Failed to keep the saved design as a project:", error)
+      );
+    }
+    return await adapter.list();
   } catch (error) {
     console.error("Failed to load projects:", error);
     return [];
   }
 }
 
-export function getProject(id) {
-  const projects = getAllProjects();
-  return projects.find((p) => p.id === id);
+export async function getProject(id) {
+  return getStorageAdapter().get(id);
 }
 
-export function saveProject(project) {
-  try {
-    const projects = getAllProjects();
-    const index = projects.findIndex((p) => p.id === project.id);
+/**
+ * Stored project with its geometry rebuilt
+ * @param {String} id
+ * @returns {Promise<Object|null>} importProject result, null when there's no
+ *   such project
+ */
+export async function loadProject(id) {
+  const record = await getProject(id);
+  return record ? importStoredProject(record) : null;
+}
+
+// A project document as the adapter keeps it: meshes inline for a server,
+// in the mesh store otherwise
+async function toStorageRecord(doc) {
+  const adapter = getStorageAdapter();
+  if (!adapter.inlineMeshes || getStoredMeshHashes(doc).length === 0) {
+    return doc;
+  }
+  const { project, error } = await importStoredProject(doc);
+  if (!project) throw new Error(error);
+  return { ...serializeProject(project), savedAt: doc.savedAt };
+}
+
+// Put a project record, then keep a revision of it. A failed revision
+// doesn't fail the save.
+async function putProjectRecord(record, revision, { force = false } = {}) {
+  await getStorageAdapter().put(record, { force });
+  await addRevision(record, revision).catch((error) =>
+    console.warn("Failed to keep a project revision:", error)
+  );
+}
+
+/**
+ * Store a project, its meshes in the mesh store or inline (see above)
+ * @param {Object} project - In-memory project
+ * @param {Object} options - { checkpoint: label, keeps this save as a
+ *   checkpoint revision when given (see projectRevisions.js); force: save
+ *   over changes made elsewhere rather than failing with
+ *   StorageConflictError }
+ * @returns {Promise<Object>} The project with its new updatedAt
+ */
+export function saveProject(
+  project,
+  { checkpoint = null, force = false } = {}
+) {
+  const projectToSave = {
+    ...project,
+    updatedAt: new Date().toISOString(),
+  };
+  const revision =
+    checkpoint === null
+      ? { kind: "auto" }
+      : { kind: "checkpoint", label: checkpoint };
+
+  const saved = saveQueue.then(async () => {
+    try {
+      const record = getStorageAdapter().inlineMeshes
+        ? serializeProject(projectToSave)
+        : await serializeStoredProject(projectToSave);
+      await putProjectRecord(record, revision, { force });
+      return projectToSave;
+    } catch (error) {
+      console.error("Failed to save project:", error);
+      throw error;
+    }
+  });
+  saveQueue = saved.catch(() => {});
+  return saved;
+}
 
-    const projectToSave = {
-      ...project,
+/**
+ * Make a revision the project's current version
+ * The version it replaces is kept as a checkpoint first.
+ * @param {String} revisionId
+ * @returns {Promise<Object>} The stored project record
+ */
+export function restoreRevision(revisionId) {
+  const restored = saveQueue.then(async () => {
+    const revision = await getRevision(revisionId);
+    if (!revision) throw new Error("That revision no longer exists");
+    const current = await getProject(revision.projectId);
+    if (current) {
+      await addRevision(current, {
+        kind: "checkpoint",
+        label: `Before restoring ${formatRevisionDate(revision.savedAt)}`,
+      });
+    }
+    const record = {
+      ...(await toStorageRecord(revision.document)),
       updatedAt: new Date().toISOString(),
     };
+    await putProjectRecord(record, { kind: "auto" });
+    return record;
+  });
+  saveQueue = restored.catch(() => {});
+  return restored;
+}
 
-    if (index >= 0) {
-      projects[index] = projectToSave;
-    } else {
-      projects.push(projectToSave);
-    }
+/**
+ * Copy a revision into a new project
+ * @param {String} revisionId
+ * @returns {Promise<Object>} The new project's record
+ */
+export function forkRevision(revisionId) {
+  const forked = saveQueue.then(async () => {
+    const revision = await getRevision(revisionId);
+    if (!revision) throw new Error("That revision no longer exists");
+    const now = new Date().toISOString();
+    const record = {
+      ...(await toStorageRecord(revision.document)),
+      id: generateId(),
+      name: `${revision.document.name} (copy)`,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await putProjectRecord(record, {
+      kind: "checkpoint",
+      label: `Forked from ${revision.document.name}, ${formatRevisionDate(
+        revision.savedAt
+      )}`,
+    });
+    return record;
+  });
+  saveQueue = forked.catch(() => {});
+  return forked;
+}
 
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(projects));
-    return projectToSave;
-  } catch (error) {
-    console.error("Failed to save project:", error);
-    throw error;
-  }
+/**
+ * Keep the open project as the exterior design interior mode builds on
+ * (see UnifiedApp.jsx), its meshes in this browser's mesh store
+ * @param {Object} project - In-memory project
+ * @returns {Promise}
+ */
+export function saveExteriorDesign(project) {
+  const saved = saveQueue.then(async () => {
+    const doc = await serializeStoredProject(project);
+    localStorage.setItem(EXTERIOR_KEY, JSON.stringify(doc));
+  });
+  saveQueue = saved.catch(() => {});
+  // Meshes the design no longer uses go once it's written
+  collectUnusedMeshes();
+  return saved;
+}
+
+function formatRevisionDate(iso) {
+  return new Date(iso).toLocaleString();
 }
 
-export function deleteProject(id) {
+// Drop stored meshes no project in this browser, revision or autosave refers
+// to, once pending saves have written the records that use them. It takes
+// its turn in the save queue, so a save made meanwhile can't have its new
+// meshes dropped before its record is written.
+function collectUnusedMeshes() {
+  saveQueue = saveQueue.then(async () => {
+    const records = await browserAdapter.list().catch(() => []);
+    try {
+      const exterior = JSON.parse(localStorage.getItem(EXTERIOR_KEY));
+      if (exterior) records.push(exterior);
+    } catch {
+      // An unreadable autosave refers to nothing
+    }
+    try {
+      const revisionHashes = await getRevisionMeshHashes();
+      await deleteUnusedMeshes([
+        ...records.flatMap(getStoredMeshHashes),
+        ...revisionHashes,
+      ]);
+    } catch (error) {
+      console.warn("Failed to clean up stored meshes:", error);
+    }
+  });
+  saveQueue = saveQueue.catch(() => {});
+}
+
+/**
+ * Delete a project and its revisions
+ * @param {String} id
+ * @param {Object} options - { force: delete even when it was changed
+ *   elsewhere since it was read, rather than failing with
+ *   StorageConflictError }
+ */
+export async function deleteProject(id, { force = false } = {}) {
   try {
-    const projects = getAllProjects();
-    const filtered = projects.filter((p) => p.id !== id);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
+    await getStorageAdapter().delete(id, { force });
+    await deleteRevisions(id);
 
     const currentId = getCurrentProjectId();
     if (currentId === id) {
       clearCurrentProject();
     }
+    collectUnusedMeshes();
   } catch (error) {
     console.error("Failed to delete project:", error);
     throw error;
   }
 }
 
+/**
+ * How much browser storage projects take
+ * @returns {Promise<Object>} { usage, quota, persisted, projects: [{ id,
+ *   bytes }] } with usage and quota in bytes for the whole app (null when
+ *   the browser doesn't say) and bytes each project record's own size,
+ *   without the meshes it shares
+ */
+export async function getStorageUsage() {
+  // Projects on a server don't take browser storage
+  const records = await browserAdapter.list().catch(() => []);
+  const storage = typeof navigator !== "undefined" ? navigator.storage : null;
+  const estimate = (await storage?.estimate?.()) || {};
+  return {
+    usage: estimate.usage ?? null,
+    quota: estimate.quota ?? null,
+    persisted: (await storage?.persisted?.()) || false,
+    projects: records.map((record) => ({
+      id: record.id,
+      bytes: new Blob([JSON.stringify(record)]).size,
+    })),
+  };
+}
+
+/**
+ * Ask the browser not to evict the app's storage when space runs low
+ * @returns {Promise<Boolean>} Whether storage is now persistent
+ */
+export async function requestPersistentStorage() {
+  const storage = typeof navigator !== "undefined" ? navigator.storage : null;
+  return (await storage?.persist?.()) || false;
+}
+
 export function createNewProject(name = "Untitled Project") {
   return {
     id: generateId(),
     name,
     objects: [],
     objectIdCounter: 1,
+    topology: createTopology(),
+    budgetLimits: { ...DEFAULT_BUDGET_LIMITS },
+    fairingId: DEFAULT_FAIRING_ID,
+    customModules: [],
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     thumbnail: null,
@@ -81,20 +372,29 @@ export function clearCurrentProject() {
   localStorage.removeItem(CURRENT_PROJECT_KEY);
 }
 
-function generateId() {
+export function generateId() {
   return `project_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
 export function createAutoSaver(saveCallback, delay = 2000) {
   let timeoutId = null;
 
-  return function triggerSave() {
+  function triggerSave() {
     if (timeoutId) {
       clearTimeout(timeoutId);
     }
 
     timeoutId = setTimeout(() => {
+      timeoutId = null;
       saveCallback();
     }, delay);
+  }
+
+  // Drop a save that hasn't run yet, e.g. when the editor closes
+  triggerSave.cancel = () => {
+    clearTimeout(timeoutId);
+    timeoutId = null;
   };
+
+  return triggerSave;
 }
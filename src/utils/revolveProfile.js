@@ -0,0 +1,245 @@
+/**
+ * Revolve Profile - Half-profiles for lathe-built pressure vessels
+ * A profile is a list of [r, z] points in meters: r is the distance from the
+ * revolve axis, z the position along it. It runs from one axial end of the
+ * vessel to the other; open ends are closed with flat bulkheads.
+ */
+
+const EPSILON = 1e-6;
+const MIN_PROFILE_POINTS = 2;
+
+/**
+ * Clean up a profile: drop invalid and repeated points, clamp r to the axis
+ * side and order it from the low-z end to the high-z end
+ * @param {Array} profile - [[r, z], ...]
+ * @returns {Array} [[r, z], ...]
+ */
+export function normalizeProfile(profile) {
+  const points = [];
+  (profile || []).forEach((point) => {
+    const r = Math.abs(Number(point?.[0]));
+    const z = Number(point?.[1]);
+    if (!Number.isFinite(r) || !Number.isFinite(z)) return;
+    const last = points[points.length - 1];
+    if (
+      last &&
+      Math.abs(last[0] - r) < EPSILON &&
+      Math.abs(last[1] - z) < EPSILON
+    )
+      return;
+    points.push([r, z]);
+  });
+
+  if (points.length > 1 && points[0][1] > points[points.length - 1][1]) {
+    points.reverse();
+  }
+  return points;
+}
+
+/**
+ * Extents of a profile
+ * @param {Array} profile - Normalized profile
+ * @returns {Object} { maxRadius, minZ, maxZ, diameter, length }
+ */
+export function getProfileBounds(profile) {
+  let maxRadius = 0;
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  profile.forEach(([r, z]) => {
+    maxRadius = Math.max(maxRadius, r);
+    minZ = Math.min(minZ, z);
+    maxZ = Math.max(maxZ, z);
+  });
+  return {
+    maxRadius,
+    minZ,
+    maxZ,
+    diameter: 2 * maxRadius,
+    length: maxZ - minZ,
+  };
+}
+
+/**
+ * Check that a profile can be revolved into a closed vessel
+ * @param {Array} profile - [[r, z], ...]
+ * @returns {Array} Error messages (empty when valid)
+ */
+export function validateProfile(profile) {
+  if (!Array.isArray(profile)) return ["Profile must be a list of points"];
+
+  const points = normalizeProfile(profile);
+  if (points.length < MIN_PROFILE_POINTS) {
+    return [`Profile needs at least ${MIN_PROFILE_POINTS} distinct points`];
+  }
+  const { maxRadius, length } = getProfileBounds(points);
+  const errors = [];
+  if (maxRadius < EPSILON) errors.push("Profile lies on the revolve axis");
+  if (length < EPSILON) errors.push("Profile has no axial length");
+  return errors;
+}
+
+/**
+ * Fit a profile to the requested size, center it along the axis and close
+ * open ends on the axis
+ * @param {Array} profile - [[r, z], ...]
+ * @param {Object} size - { diameter, length }; omitted values keep the
+ *   drawn size
+ * @returns {Object} { points, diameter, length, endRadii: { back, front } }
+ */
+export function prepareProfile(profile, { diameter, length } = {}) {
+  const points = normalizeProfile(profile);
+  const bounds = getProfileBounds(points);
+  const radialScale = diameter > 0 ? diameter / bounds.diameter : 1;
+  const axialScale = length > 0 ? length / bounds.length : 1;
+  const center = (bounds.minZ + bounds.maxZ) / 2;
+
+  const fitted = points.map(([r, z]) => [
+    r * radialScale,
+    (z - center) * axialScale,
+  ]);
+  // Ends within EPSILON of the axis count as pointed
+  const endRadius = (r) => (r > EPSILON ? r : 0);
+  const endRadii = {
+    back: endRadius(fitted[0][0]),
+    front: endRadius(fitted[fitted.length - 1][0]),
+  };
+
+  if (endRadii.back > 0) fitted.unshift([0, fitted[0][1]]);
+  if (endRadii.front > 0) fitted.push([0, fitted[fitted.length - 1][1]]);
+
+  return {
+    points: fitted,
+    diameter: bounds.diameter * radialScale,
+    length: bounds.length * axialScale,
+    endRadii,
+  };
+}
+
+/**
+ * Volume and shell area of the revolved, closed profile (Pappus)
+ * Segments on the axis add no shell area.
+ * @param {Array} points - Closed profile from prepareProfile
+ * @returns {Object} { volume, area }
+ */
+export function measureRevolvedProfile(points) {
+  let twiceMoment = 0;
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [r1, z1] = points[i];
+    const [r2, z2] = points[(i + 1) % points.length];
+    twiceMoment += (r1 + r2) * (r1 * z2 - r2 * z1);
+    if (i < points.length - 1) {
+      area += Math.PI * (r1 + r2) * Math.hypot(r2 - r1, z2 - z1);
+    }
+  }
+  return { volume: (Math.PI * Math.abs(twiceMoment)) / 3, area };
+}
+
+/**
+ * Parse "r, z" lines (one point per line) into a profile
+ * @param {String} text
+ * @returns {Object} { profile, errors }
+ */
+export function parseProfileText(text) {
+  const profile = [];
+  const errors = [];
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+    const values = line
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+      .map(Number);
+    if (values.length !== 2 || values.some((v) => !Number.isFinite(v))) {
+      errors.push(`Line ${index + 1}: expected "r, z"`);
+      return;
+    }
+    profile.push(values);
+  });
+  return { profile, errors };
+}
+
+/**
+ * Format a profile as "r, z" lines
+ * @param {Array} profile
+ * @returns {String}
+ */
+export function formatProfileText(profile) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return (profile || []).map(([r, z]) => `${round(r)}, ${round(z)}`).join("\n");
+}
+
+/**
+ * Torispherical (flanged and dished) vessel: cylinder with two heads made
+ * of a crown sphere and a knuckle torus
+ * @param {Object} params - { diameter, length, crownRatio, knuckleRatio,
+ *   segments } with crown and knuckle radii as fractions of the diameter
+ * @returns {Array} Profile
+ */
+export function torisphericalProfile({
+  diameter = 4,
+  length = 9,
+  crownRatio = 1,
+  knuckleRatio = 0.1,
+  segments = 8,
+}) {
+  const radius = diameter / 2;
+  const crown = crownRatio * diameter;
+  const knuckle = knuckleRatio * diameter;
+  // Angle from the axis where the crown meets the knuckle
+  const joint = Math.asin((radius - knuckle) / (crown - knuckle));
+  const crownDrop = (crown - knuckle) * Math.cos(joint);
+
+  // Head from the apex down to the tangent line, heights above the tangent
+  const head = [];
+  for (let i = 0; i <= segments; i++) {
+    const phi = (joint * i) / segments;
+    head.push([crown * Math.sin(phi), crown * Math.cos(phi) - crownDrop]);
+  }
+  for (let i = 1; i <= segments; i++) {
+    const phi = joint + ((Math.PI / 2 - joint) * i) / segments;
+    head.push([
+      radius - knuckle + knuckle * Math.sin(phi),
+      knuckle * Math.cos(phi),
+    ]);
+  }
+
+  const straightHalf = Math.max(0, length / 2 - head[0][1]);
+  return [
+    ...head.map(([r, h]) => [r, -straightHalf - h]),
+    ...[...head].reverse().map(([r, h]) => [r, straightHalf + h]),
+  ];
+}
+
+/**
+ * Tangent ogive nose on a cylindrical base
+ * @param {Object} params - { diameter, length, noseRatio, segments } where
+ *   noseRatio is the share of the length taken by the ogive (at least one
+ *   radius long)
+ * @returns {Array} Profile
+ */
+export function ogiveProfile({
+  diameter = 4,
+  length = 6,
+  noseRatio = 0.6,
+  segments = 16,
+}) {
+  const radius = diameter / 2;
+  // Tangent ogives shorter than their radius would bulge past the tip
+  const noseLength = Math.min(length, Math.max(length * noseRatio, radius));
+  const baseLength = length - noseLength;
+  // Arc tangent to the base at the shoulder and passing through the tip
+  const rho = (radius * radius + noseLength * noseLength) / (2 * radius);
+  const centerR = radius - rho;
+  const tipAngle = Math.PI + Math.atan2(centerR, noseLength);
+
+  const profile = [[radius, 0]];
+  if (baseLength > 0) profile.push([radius, baseLength]);
+  for (let i = 1; i <= segments; i++) {
+    const angle = Math.PI / 2 + ((tipAngle - Math.PI / 2) * i) / segments;
+    profile.push([
+      Math.max(0, centerR + rho * Math.sin(angle)),
+      baseLength - rho * Math.cos(angle),
+    ]);
+  }
+  return profile;
+}
@@ -0,0 +1,813 @@
+import * as THREE from "three";
+
+/**
+ * Sketch Curves - Arcs, splines, outlines, trim/extend and offset
+ * Arcs ({ id, center, start, end } as point ids) run counter-clockwise from
+ * start to end; their radius is the center-start distance and the solver
+ * keeps the end on the same circle. Splines ({ id, points }) are cubic
+ * Catmull-Rom curves through their points. Lines, arcs and splines chain end
+ * to end into the outlines that get extruded or revolved.
+ */
+
+const TWO_PI = Math.PI * 2;
+const ARC_SEGMENT_ANGLE = Math.PI / 24; // outline resolution
+const SPLINE_SEGMENTS = 12; // per span between two spline points
+const EPSILON = 1e-9;
+const TRIM_TOLERANCE = 1e-6; // m
+
+const normalizeAngle = (angle) => ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+const angleOf = (center, p) => Math.atan2(p.y - center.y, p.x - center.x);
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+
+function pointLookup(sketch) {
+  const points = new Map(sketch.points.map((p) => [p.id, p]));
+  return (id) => points.get(id);
+}
+
+/**
+ * Circle of an arc
+ * @param {Object} center - { x, y }
+ * @param {Object} start - { x, y }
+ * @param {Object} end - { x, y }
+ * @returns {Object} { center, radius, startAngle, sweep } with the sweep
+ *   counter-clockwise in [0, 2π)
+ */
+export function getArcGeometry(center, start, end) {
+  const startAngle = angleOf(center, start);
+  return {
+    center,
+    radius: Math.hypot(start.x - center.x, start.y - center.y),
+    startAngle,
+    sweep: normalizeAngle(angleOf(center, end) - startAngle),
+  };
+}
+
+/**
+ * Arc from a to b passing through a third point
+ * @returns {Object|null} { center, start, end } positions ordered
+ *   counter-clockwise, null when the points are in a line
+ */
+export function arcThroughPoints(a, b, through) {
+  const c = through;
+  const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  if (Math.abs(d) < EPSILON) return null;
+  const [a2, b2, c2] = [a, b, c].map((p) => p.x * p.x + p.y * p.y);
+  const center = {
+    x: (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+    y: (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d,
+  };
+  const { startAngle, sweep } = getArcGeometry(center, a, b);
+  return normalizeAngle(angleOf(center, c) - startAngle) < sweep
+    ? { center, start: a, end: b }
+    : { center, start: b, end: a };
+}
+
+/**
+ * Arc leaving start along a direction and ending at end
+ * @returns {Object|null} { center, start, end } positions ordered
+ *   counter-clockwise, null when end lies straight ahead
+ */
+export function tangentArc(start, direction, end) {
+  const length = Math.hypot(direction.x, direction.y);
+  const normal = { x: -direction.y / length, y: direction.x / length };
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const along = dx * normal.x + dy * normal.y;
+  if (!(Math.abs(along) > EPSILON)) return null;
+
+  // Signed radius: positive when the arc turns left (counter-clockwise)
+  const radius = (dx * dx + dy * dy) / (2 * along);
+  const center = {
+    x: start.x + normal.x * radius,
+    y: start.y + normal.y * radius,
+  };
+  return radius > 0
+    ? { center, start, end }
+    : { center, start: end, end: start };
+}
+
+/**
+ * Points along an arc, see getArcGeometry
+ * @returns {Array} [{ x, y }] from start to exactly end
+ */
+export function sampleArc(center, start, end) {
+  const { radius, startAngle, sweep } = getArcGeometry(center, start, end);
+  const steps = Math.max(2, Math.ceil(sweep / ARC_SEGMENT_ANGLE));
+  const points = Array.from({ length: steps }, (_, i) => {
+    const angle = startAngle + (sweep * i) / steps;
+    return {
+      x: center.x + radius * Math.cos(angle),
+      y: center.y + radius * Math.sin(angle),
+    };
+  });
+  return [...points, { x: end.x, y: end.y }];
+}
+
+/**
+ * Points along a spline through the given points
+ * @param {Array} points - [{ x, y }]
+ * @returns {Array} [{ x, y }]
+ */
+export function sampleSpline(points) {
+  if (points.length < 3) return points.map(({ x, y }) => ({ x, y }));
+  const curve = new THREE.SplineCurve(
+    points.map((p) => new THREE.Vector2(p.x, p.y))
+  );
+  return curve
+    .getPoints(SPLINE_SEGMENTS * (points.length - 1))
+    .map(({ x, y }) => ({ x, y }));
+}
+
+// Lines, arcs and splines with the point ids at their two ends
+function getCurves(sketch) {
+  return [
+    ...sketch.lines.map((line) => ({
+      kind: "line",
+      entity: line,
+      start: line.start,
+      end: line.end,
+    })),
+    ...sketch.arcs.map((arc) => ({
+      kind: "arc",
+      entity: arc,
+      start: arc.start,
+      end: arc.end,
+    })),
+    ...sketch.splines.map((spline) => ({
+      kind: "spline",
+      entity: spline,
+      start: spline.points[0],
+      end: spline.points[spline.points.length - 1],
+    })),
+  ];
+}
+
+function sampleCurve({ kind, entity }, point) {
+  if (kind === "arc") {
+    return sampleArc(
+      point(entity.center),
+      point(entity.start),
+      point(entity.end)
+    );
+  }
+  if (kind === "spline") return sampleSpline(entity.points.map(point));
+  return [point(entity.start), point(entity.end)].map(({ x, y }) => ({ x, y }));
+}
+
+/**
+ * Points along one line, arc or spline of a sketch, from its start
+ * @param {Object} sketch
+ * @param {Number} id
+ * @returns {Array|null} [{ x, y }], null for other entities
+ */
+export function getCurvePoints(sketch, id) {
+  const curve = getCurves(sketch).find((c) => c.entity.id === id);
+  return curve ? sampleCurve(curve, pointLookup(sketch)) : null;
+}
+
+/**
+ * Direction the newest line, arc or spline ending at a point arrives in, for
+ * a tangent arc to carry on from
+ * @param {Object} sketch
+ * @param {Number} pointId
+ * @returns {Object|null} { id, kind, direction: { x, y } }
+ */
+export function getEndTangent(sketch, pointId) {
+  const point = pointLookup(sketch);
+  const [curve] = getCurves(sketch)
+    .filter((c) => c.start === pointId || c.end === pointId)
+    .sort((a, b) => b.entity.id - a.entity.id);
+  if (!curve) return null;
+  const arriving = curve.end === pointId;
+
+  let direction;
+  if (curve.kind === "arc") {
+    // Counter-clockwise into the end, clockwise into the start
+    const angle = angleOf(point(curve.entity.center), point(pointId));
+    const sign = arriving ? 1 : -1;
+    direction = { x: -Math.sin(angle) * sign, y: Math.cos(angle) * sign };
+  } else {
+    const samples = sampleCurve(curve, point);
+    if (!arriving) samples.reverse();
+    const [a, b] = samples.slice(-2);
+    direction = { x: b.x - a.x, y: b.y - a.y };
+  }
+  return { id: curve.entity.id, kind: curve.kind, direction };
+}
+
+// Curves joined end to end: [{ items: [{ curve, reversed }], closed }]
+function chainCurves(curves) {
+  const remaining = [...curves];
+  const chains = [];
+  while (remaining.length > 0) {
+    const first = remaining.shift();
+    const items = [{ curve: first, reversed: false }];
+    let head = first.start;
+    let tail = first.end;
+
+    const take = (id) => {
+      const i = remaining.findIndex((c) => c.start === id || c.end === id);
+      return i < 0 ? null : remaining.splice(i, 1)[0];
+    };
+    while (head !== tail) {
+      const curve = take(tail);
+      if (!curve) break;
+      const reversed = curve.end === tail;
+      items.push({ curve, reversed });
+      tail = reversed ? curve.start : curve.end;
+    }
+    while (head !== tail) {
+      const curve = take(head);
+      if (!curve) break;
+      const reversed = curve.start === head;
+      items.unshift({ curve, reversed });
+      head = reversed ? curve.end : curve.start;
+    }
+    chains.push({ items, closed: items.length > 1 && head === tail });
+  }
+  return chains;
+}
+
+function sampleChain(items, point) {
+  return items.flatMap(({ curve, reversed }, i) => {
+    const samples = sampleCurve(curve, point);
+    if (reversed) samples.reverse();
+    return i === 0 ? samples : samples.slice(1);
+  });
+}
+
+/**
+ * Lines, arcs and splines chained end to end, starting from the first line
+ * @param {Object} sketch
+ * @returns {Array} [{ ids, points, closed }] with points in m; closed loops
+ *   don't repeat their first point
+ */
+export function getSketchLoops(sketch) {
+  const point = pointLookup(sketch);
+  return chainCurves(getCurves(sketch)).map(({ items, closed }) => {
+    const points = sampleChain(items, point);
+    if (closed) points.pop();
+    return { ids: items.map(({ curve }) => curve.entity.id), points, closed };
+  });
+}
+
+// Trim and extend
+// Other entities are broken into segments and circular arcs to intersect
+// with. Lines are parameterized by t (0 at start, 1 at end), circles and arcs
+// by the angle counter-clockwise from their start.
+
+function getCutters(sketch, exceptId, point) {
+  const cutters = [];
+  const addSegments = (points) =>
+    points.slice(1).forEach((b, i) => {
+      cutters.push({ type: "segment", a: points[i], b });
+    });
+
+  sketch.lines.forEach((line) => {
+    if (line.id !== exceptId) addSegments([point(line.start), point(line.end)]);
+  });
+  sketch.splines.forEach((spline) => {
+    if (spline.id !== exceptId) {
+      addSegments(sampleSpline(spline.points.map(point)));
+    }
+  });
+  sketch.circles.forEach((circle) => {
+    if (circle.id === exceptId) return;
+    cutters.push({
+      type: "circle",
+      center: point(circle.center),
+      radius: circle.radius,
+      startAngle: 0,
+      sweep: TWO_PI,
+    });
+  });
+  sketch.arcs.forEach((arc) => {
+    if (arc.id === exceptId) return;
+    cutters.push({
+      type: "circle",
+      ...getArcGeometry(point(arc.center), point(arc.start), point(arc.end)),
+    });
+  });
+  return cutters;
+}
+
+const onCutter = (cutter, p) =>
+  cutter.sweep >= TWO_PI ||
+  normalizeAngle(angleOf(cutter.center, p) - cutter.startAngle) <=
+    cutter.sweep + TRIM_TOLERANCE / cutter.radius;
+
+// Roots of a t² + b t + c = 0
+function quadraticRoots(a, b, c) {
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0 || Math.abs(a) < EPSILON) return [];
+  const root = Math.sqrt(discriminant);
+  return [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+}
+
+// Parameters along the infinite line through p and q
+function lineIntersections(p, q, cutters) {
+  const d = { x: q.x - p.x, y: q.y - p.y };
+  return cutters.flatMap((cutter) => {
+    if (cutter.type === "segment") {
+      const e = { x: cutter.b.x - cutter.a.x, y: cutter.b.y - cutter.a.y };
+      const denominator = cross(d, e);
+      if (Math.abs(denominator) < EPSILON) return [];
+      const w = { x: cutter.a.x - p.x, y: cutter.a.y - p.y };
+      const s = cross(w, d) / denominator;
+      const length = Math.hypot(e.x, e.y);
+      const slack = TRIM_TOLERANCE / length;
+      return s >= -slack && s <= 1 + slack ? [cross(w, e) / denominator] : [];
+    }
+    const f = { x: p.x - cutter.center.x, y: p.y - cutter.center.y };
+    return quadraticRoots(
+      d.x * d.x + d.y * d.y,
+      2 * (f.x * d.x + f.y * d.y),
+      f.x * f.x + f.y * f.y - cutter.radius * cutter.radius
+    ).filter((t) => onCutter(cutter, { x: p.x + t * d.x, y: p.y + t * d.y }));
+  });
+}
+
+// Absolute angles around a circle
+function circleIntersections(center, radius, cutters) {
+  return cutters.flatMap((cutter) => {
+    if (cutter.type === "segment") {
+      const { a, b } = cutter;
+      const e = { x: b.x - a.x, y: b.y - a.y };
+      const f = { x: a.x - center.x, y: a.y - center.y };
+      return quadraticRoots(
+        e.x * e.x + e.y * e.y,
+        2 * (f.x * e.x + f.y * e.y),
+        f.x * f.x + f.y * f.y - radius * radius
+      )
+        .filter((s) => s >= -EPSILON && s <= 1 + EPSILON)
+        .map((s) => angleOf(center, { x: a.x + s * e.x, y: a.y + s * e.y }));
+    }
+    const dx = cutter.center.x - center.x;
+    const dy = cutter.center.y - center.y;
+    const distance = Math.hypot(dx, dy);
+    if (
+      distance < EPSILON ||
+      distance > radius + cutter.radius ||
+      distance < Math.abs(radius - cutter.radius)
+    ) {
+      return [];
+    }
+    const along =
+      (radius * radius - cutter.radius * cutter.radius + distance * distance) /
+      (2 * distance);
+    const height = Math.sqrt(Math.max(0, radius * radius - along * along));
+    const base = {
+      x: center.x + (along * dx) / distance,
+      y: center.y + (along * dy) / distance,
+    };
+    return [1, -1]
+      .map((side) => ({
+        x: base.x - (side * height * dy) / distance,
+        y: base.y + (side * height * dx) / distance,
+      }))
+      .filter((p) => onCutter(cutter, p))
+      .map((p) => angleOf(center, p));
+  });
+}
+
+function addPoint(sketch, { x, y }) {
+  const id = sketch.nextId;
+  return [
+    { ...sketch, points: [...sketch.points, { id, x, y }], nextId: id + 1 },
+    id,
+  ];
+}
+
+// Points no entity uses any more go, with the constraints on them
+function dropUnusedPoints(sketch, ids) {
+  const used = new Set([
+    ...sketch.lines.flatMap((l) => [l.start, l.end]),
+    ...sketch.circles.map((c) => c.center),
+    ...sketch.arcs.flatMap((a) => [a.center, a.start, a.end]),
+    ...sketch.splines.flatMap((s) => s.points),
+  ]);
+  const unused = new Set(ids.filter((id) => !used.has(id)));
+  return {
+    ...sketch,
+    points: sketch.points.filter((p) => !unused.has(p.id)),
+    constraints: sketch.constraints.filter(
+      (c) => !c.entities.some((id) => unused.has(id))
+    ),
+  };
+}
+
+// A shorter or longer line no longer keeps its length; its direction, and
+// the circle of an arc, stay as they were
+function dropLengthConstraints(sketch, id) {
+  return sketch.constraints.filter(
+    (c) =>
+      !c.entities.includes(id) ||
+      !(
+        c.type === "distance" ||
+        (c.type === "equal" && sketch.lines.some((l) => l.id === id))
+      )
+  );
+}
+
+function removeCurve(sketch, id) {
+  const curve = getCurves(sketch).find((c) => c.entity.id === id);
+  const circle = sketch.circles.find((c) => c.id === id);
+  const pointIds = curve
+    ? curve.kind === "spline"
+      ? curve.entity.points
+      : [curve.entity.start, curve.entity.end, curve.entity.center]
+    : [circle.center];
+  return dropUnusedPoints(
+    {
+      ...sketch,
+      lines: sketch.lines.filter((l) => l.id !== id),
+      arcs: sketch.arcs.filter((a) => a.id !== id),
+      circles: sketch.circles.filter((c) => c.id !== id),
+      splines: sketch.splines.filter((s) => s.id !== id),
+      constraints: sketch.constraints.filter((c) => !c.entities.includes(id)),
+    },
+    pointIds.filter((pointId) => pointId !== undefined)
+  );
+}
+
+const insideRange = (values, low, high) =>
+  values.filter((v) => v > low + TRIM_TOLERANCE && v < high - TRIM_TOLERANCE);
+
+function trimLine(sketch, line, at, point) {
+  const [p, q] = [point(line.start), point(line.end)];
+  const d = { x: q.x - p.x, y: q.y - p.y };
+  const length = Math.hypot(d.x, d.y);
+  const tc = ((at.x - p.x) * d.x + (at.y - p.y) * d.y) / (length * length);
+  const cuts = insideRange(
+    lineIntersections(p, q, getCutters(sketch, line.id, point)),
+    0,
+    1
+  );
+  const below = cuts.filter((t) => t < tc);
+  const above = cuts.filter((t) => t > tc);
+  if (below.length === 0 && above.length === 0) {
+    return removeCurve(sketch, line.id);
+  }
+
+  const along = (t) => ({ x: p.x + t * d.x, y: p.y + t * d.y });
+  let next = { ...sketch, constraints: dropLengthConstraints(sketch, line.id) };
+  let lines = next.lines.filter((l) => l.id !== line.id);
+  if (below.length > 0) {
+    let end;
+    [next, end] = addPoint(next, along(Math.max(...below)));
+    lines = [...lines, { ...line, end }];
+  }
+  if (above.length > 0) {
+    let start;
+    [next, start] = addPoint(next, along(Math.min(...above)));
+    lines = [
+      ...lines,
+      below.length > 0
+        ? { id: next.nextId, start, end: line.end }
+        : { ...line, start },
+    ];
+    if (below.length > 0) next = { ...next, nextId: next.nextId + 1 };
+  }
+  return dropUnusedPoints({ ...next, lines }, [line.start, line.end]);
+}
+
+function trimArc(sketch, arc, at, point) {
+  const center = point(arc.center);
+  const { radius, startAngle, sweep } = getArcGeometry(
+    center,
+    point(arc.start),
+    point(arc.end)
+  );
+  const relative = (angle) => normalizeAngle(angle - startAngle);
+  const uc = relative(angleOf(center, at));
+  const cuts = insideRange(
+    circleIntersections(center, radius, getCutters(sketch, arc.id, point)).map(
+      relative
+    ),
+    0,
+    sweep
+  );
+  const below = cuts.filter((u) => u < uc);
+  const above = cuts.filter((u) => u > uc);
+  if (below.length === 0 && above.length === 0) {
+    return removeCurve(sketch, arc.id);
+  }
+
+  const around = (u) => ({
+    x: center.x + radius * Math.cos(startAngle + u),
+    y: center.y + radius * Math.sin(startAngle + u),
+  });
+  let next = sketch;
+  let arcs = next.arcs.filter((a) => a.id !== arc.id);
+  if (below.length > 0) {
+    let end;
+    [next, end] = addPoint(next, around(Math.max(...below)));
+    arcs = [...arcs, { ...arc, end }];
+  }
+  if (above.length > 0) {
+    let start;
+    [next, start] = addPoint(next, around(Math.min(...above)));
+    arcs = [
+      ...arcs,
+      below.length > 0
+        ? { id: next.nextId, center: arc.center, start, end: arc.end }
+        : { ...arc, start },
+    ];
+    if (below.length > 0) next = { ...next, nextId: next.nextId + 1 };
+  }
+  return dropUnusedPoints({ ...next, arcs }, [arc.start, arc.end]);
+}
+
+// A trimmed circle becomes the arc that is left; its constraints move over
+function trimCircle(sketch, circle, at, point) {
+  const center = point(circle.center);
+  const angles = circleIntersections(
+    center,
+    circle.radius,
+    getCutters(sketch, circle.id, point)
+  );
+  const clicked = angleOf(center, at);
+  const after = angles.map((angle) => normalizeAngle(angle - clicked));
+  const distinct = after.filter(
+    (u, i) =>
+      u > TRIM_TOLERANCE &&
+      u < TWO_PI - TRIM_TOLERANCE &&
+      after.findIndex((v) => Math.abs(v - u) < TRIM_TOLERANCE) === i
+  );
+  if (distinct.length < 2) return removeCurve(sketch, circle.id);
+
+  const around = (u) => ({
+    x: center.x + circle.radius * Math.cos(clicked + u),
+    y: center.y + circle.radius * Math.sin(clicked + u),
+  });
+  let [next, start] = addPoint(sketch, around(Math.min(...distinct)));
+  let end;
+  [next, end] = addPoint(next, around(Math.max(...distinct)));
+  return {
+    ...next,
+    circles: next.circles.filter((c) => c.id !== circle.id),
+    arcs: [...next.arcs, { id: circle.id, center: circle.center, start, end }],
+  };
+}
+
+/**
+ * Cut away the piece of a line, arc or circle between the intersections on
+ * either side of a point; pieces without intersections are deleted
+ * @param {Object} sketch
+ * @param {Number} id - Entity to trim
+ * @param {Object} at - { x, y } on the piece to remove
+ * @returns {Object|null} Sketch, null for entities that can't be trimmed
+ */
+export function trimEntity(sketch, id, at) {
+  const point = pointLookup(sketch);
+  const line = sketch.lines.find((l) => l.id === id);
+  if (line) return trimLine(sketch, line, at, point);
+  const arc = sketch.arcs.find((a) => a.id === id);
+  if (arc) return trimArc(sketch, arc, at, point);
+  const circle = sketch.circles.find((c) => c.id === id);
+  if (circle) return trimCircle(sketch, circle, at, point);
+  return null;
+}
+
+/**
+ * Lengthen a line or arc at the end nearest a point up to the next entity
+ * @param {Object} sketch
+ * @param {Number} id - Line or arc
+ * @param {Object} at - { x, y } near the end to extend
+ * @returns {Object|null} Sketch, null when nothing lies ahead
+ */
+export function extendEntity(sketch, id, at) {
+  const point = pointLookup(sketch);
+  const line = sketch.lines.find((l) => l.id === id);
+  const arc = sketch.arcs.find((a) => a.id === id);
+  const curve = line || arc;
+  if (!curve) return null;
+
+  const [p, q] = [point(curve.start), point(curve.end)];
+  const atEnd =
+    Math.hypot(at.x - q.x, at.y - q.y) < Math.hypot(at.x - p.x, at.y - p.y);
+  const cutters = getCutters(sketch, id, point);
+  let target = null;
+
+  if (line) {
+    const ts = lineIntersections(p, q, cutters);
+    const ahead = atEnd
+      ? ts.filter((t) => t > 1 + TRIM_TOLERANCE)
+      : ts.filter((t) => t < -TRIM_TOLERANCE);
+    if (ahead.length === 0) return null;
+    const t = atEnd ? Math.min(...ahead) : Math.max(...ahead);
+    target = { x: p.x + t * (q.x - p.x), y: p.y + t * (q.y - p.y) };
+  } else {
+    const center = point(arc.center);
+    const { radius, startAngle, sweep } = getArcGeometry(center, p, q);
+    const beyond = insideRange(
+      circleIntersections(center, radius, cutters).map((angle) =>
+        normalizeAngle(angle - startAngle)
+      ),
+      sweep,
+      TWO_PI
+    );
+    if (beyond.length === 0) return null;
+    // Past the end counter-clockwise, or back from the start clockwise
+    const u = atEnd ? Math.min(...beyond) : Math.max(...beyond);
+    target = {
+      x: center.x + radius * Math.cos(startAngle + u),
+      y: center.y + radius * Math.sin(startAngle + u),
+    };
+  }
+
+  const [next, moved] = addPoint(sketch, target);
+  const extended = { ...curve, [atEnd ? "end" : "start"]: moved };
+  return dropUnusedPoints(
+    {
+      ...next,
+      lines: next.lines.map((l) => (l.id === id ? extended : l)),
+      arcs: next.arcs.map((a) => (a.id === id ? extended : a)),
+      constraints: dropLengthConstraints(next, id),
+    },
+    [atEnd ? curve.end : curve.start]
+  );
+}
+
+// Offset
+// Chains are offset to their left; closed chains flip so that a positive
+// distance always grows the outline. Lines meet at the intersection of their
+// offsets, other joints close with a short line when they don't touch.
+
+function offsetItem({ curve, reversed }, distance, point) {
+  const { kind, entity } = curve;
+  if (kind === "arc") {
+    const center = point(entity.center);
+    const { radius, startAngle, sweep } = getArcGeometry(
+      center,
+      point(entity.start),
+      point(entity.end)
+    );
+    // Left of a counter-clockwise arc is its center
+    const offsetRadius = radius + (reversed ? distance : -distance);
+    if (!(offsetRadius > TRIM_TOLERANCE)) return null;
+    const around = (angle) => ({
+      x: center.x + offsetRadius * Math.cos(angle),
+      y: center.y + offsetRadius * Math.sin(angle),
+    });
+    const [a, b] = [around(startAngle), around(startAngle + sweep)];
+    return {
+      kind,
+      center: entity.center,
+      start: reversed ? b : a,
+      end: reversed ? a : b,
+      reversed,
+    };
+  }
+
+  const points = (
+    kind === "line" ? [entity.start, entity.end] : entity.points
+  ).map(point);
+  if (reversed) points.reverse();
+  const shifted = points.map((p, i) => {
+    const a = points[Math.max(0, i - 1)];
+    const b = points[Math.min(points.length - 1, i + 1)];
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return {
+      x: p.x - ((b.y - a.y) / length) * distance,
+      y: p.y + ((b.x - a.x) / length) * distance,
+    };
+  });
+  return {
+    kind,
+    points: shifted,
+    start: shifted[0],
+    end: shifted[shifted.length - 1],
+  };
+}
+
+function lineMeet(a, b) {
+  const [p, q] = a.points;
+  const [r, s] = b.points;
+  const d = { x: q.x - p.x, y: q.y - p.y };
+  const e = { x: s.x - r.x, y: s.y - r.y };
+  const denominator = cross(d, e);
+  if (Math.abs(denominator) < EPSILON) return null;
+  const t = cross({ x: r.x - p.x, y: r.y - p.y }, e) / denominator;
+  return { x: p.x + t * d.x, y: p.y + t * d.y };
+}
+
+/**
+ * Copies of lines, arcs, splines and circles at a distance
+ * Touching curves are offset together as one chain.
+ * @param {Object} sketch
+ * @param {Array} ids - Entities to offset
+ * @param {Number} distance - m; positive grows closed outlines and circles,
+ *   open chains move to the left of their first curve
+ * @returns {Object|null} Sketch, null when nothing could be offset
+ */
+export function offsetEntities(sketch, ids, distance) {
+  const point = pointLookup(sketch);
+  const selected = new Set(ids);
+  let next = sketch;
+  let created = 0;
+
+  sketch.circles
+    .filter((c) => selected.has(c.id) && c.radius + distance > TRIM_TOLERANCE)
+    .forEach((circle) => {
+      next = {
+        ...next,
+        circles: [
+          ...next.circles,
+          { ...circle, id: next.nextId, radius: circle.radius + distance },
+        ],
+        nextId: next.nextId + 1,
+      };
+      created++;
+    });
+
+  const chains = chainCurves(
+    getCurves(sketch).filter((c) => selected.has(c.entity.id))
+  );
+  for (const { items, closed } of chains) {
+    const outline = sampleChain(items, point);
+    const area = THREE.ShapeUtils.area(
+      outline.map((p) => new THREE.Vector2(p.x, p.y))
+    );
+    const left = closed && area > 0 ? -distance : distance;
+    const pieces = items.map((item) => offsetItem(item, left, point));
+    if (pieces.includes(null)) continue;
+
+    // Joints: mitered lines share a point, touching ends merge
+    const joints = pieces.map((piece, i) => {
+      const following = pieces[i + 1] || (closed ? pieces[0] : null);
+      if (!following) return null;
+      if (piece.kind === "line" && following.kind === "line") {
+        const meet = lineMeet(piece, following);
+        if (meet) {
+          piece.end = meet;
+          following.start = meet;
+          return "shared";
+        }
+      }
+      const gap = Math.hypot(
+        following.start.x - piece.end.x,
+        following.start.y - piece.end.y
+      );
+      return gap < TRIM_TOLERANCE * 100 ? "shared" : "bridged";
+    });
+
+    const newPoint = (position) => {
+      let id;
+      [next, id] = addPoint(next, position);
+      return id;
+    };
+    const last = pieces.length - 1;
+    const ends = [];
+    pieces.forEach((piece, i) => {
+      const start =
+        i > 0 && joints[i - 1] === "shared"
+          ? ends[i - 1][1]
+          : newPoint(piece.start);
+      const end =
+        i === last && joints[last] === "shared"
+          ? ends[0][0]
+          : newPoint(piece.end);
+      ends.push([start, end]);
+    });
+
+    pieces.forEach((piece, i) => {
+      const [start, end] = ends[i];
+      const id = next.nextId;
+      next = { ...next, nextId: id + 1 };
+      if (piece.kind === "line") {
+        next = { ...next, lines: [...next.lines, { id, start, end }] };
+      } else if (piece.kind === "arc") {
+        // Arcs are stored counter-clockwise
+        const [from, to] = piece.reversed ? [end, start] : [start, end];
+        next = {
+          ...next,
+          arcs: [
+            ...next.arcs,
+            { id, center: piece.center, start: from, end: to },
+          ],
+        };
+      } else {
+        const inner = piece.points.slice(1, -1).map(newPoint);
+        next = {
+          ...next,
+          splines: [...next.splines, { id, points: [start, ...inner, end] }],
+        };
+      }
+      if (joints[i] === "bridged") {
+        const j = (i + 1) % pieces.length;
+        next = {
+          ...next,
+          lines: [
+            ...next.lines,
+            { id: next.nextId, start: end, end: ends[j][0] },
+          ],
+          nextId: next.nextId + 1,
+        };
+      }
+    });
+    created++;
+  }
+
+  return created > 0 ? next : null;
+}
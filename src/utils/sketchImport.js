@@ -0,0 +1,371 @@
+import { SVGLoader } from "three/examples/jsm/loaders/SVGLoader.js";
+import { arcThroughPoints, sampleArc } from "./sketchCurves";
+import { createSketch } from "./sketchSolver";
+
+/**
+ * Sketch Import - 2D profiles from SVG and DXF drawings
+ * Drawings are read into profile items in drawing units with y up:
+ * { type: "line", start, end }, { type: "arc", center, start, end } running
+ * counter-clockwise, { type: "circle", center, radius } and
+ * { type: "spline", points }. addProfileToSketch scales them into sketch
+ * geometry whose end points are shared, so outlines stay closed and can be
+ * edited, constrained, extruded or revolved like drawn ones.
+ */
+
+const CURVE_SAMPLES = 4; // spline spans per Bézier segment
+const ELLIPSE_SAMPLES = 16;
+const MERGE_TOLERANCE = 1e-6; // relative to the drawing size
+const EPSILON = 1e-9;
+
+// DXF $INSUNITS codes in meters
+const DXF_UNITS = { 1: 0.0254, 2: 0.3048, 4: 0.001, 5: 0.01, 6: 1 };
+
+const samePoint = (a, b, tolerance = EPSILON) =>
+  Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+
+// ---- SVG ----
+
+function svgCurveItems(curve, flip) {
+  if (curve.isLineCurve) {
+    return [{ type: "line", start: flip(curve.v1), end: flip(curve.v2) }];
+  }
+  if (
+    curve.isEllipseCurve &&
+    Math.abs(curve.xRadius - curve.yRadius) <=
+      MERGE_TOLERANCE * Math.max(curve.xRadius, curve.yRadius)
+  ) {
+    if (Math.abs(curve.aEndAngle - curve.aStartAngle) >= Math.PI * 2 - 1e-6) {
+      return [
+        {
+          type: "circle",
+          center: flip({ x: curve.aX, y: curve.aY }),
+          radius: curve.xRadius,
+        },
+      ];
+    }
+    // Through its middle, so the y flip can't reverse it
+    const arc = arcThroughPoints(
+      flip(curve.getPoint(0)),
+      flip(curve.getPoint(1)),
+      flip(curve.getPoint(0.5))
+    );
+    return arc ? [{ type: "arc", ...arc }] : [];
+  }
+  const samples = curve.isEllipseCurve ? ELLIPSE_SAMPLES : CURVE_SAMPLES;
+  return [{ type: "spline", points: curve.getPoints(samples).map(flip) }];
+}
+
+/**
+ * Read the paths and shapes of an SVG drawing
+ * @param {String} text - SVG markup
+ * @returns {Object} { items, skipped: { [kind]: count }, scale: null }
+ */
+export function parseSVGProfile(text) {
+  const { paths } = new SVGLoader().parse(text);
+  const flip = ({ x, y }) => ({ x, y: -y });
+  const items = [];
+
+  paths.forEach((path) =>
+    path.subPaths.forEach((subPath) => {
+      const { curves } = subPath;
+      curves.forEach((curve) => items.push(...svgCurveItems(curve, flip)));
+      // "Z" closes a path without drawing the last side
+      if (subPath.autoClose && curves.length > 0) {
+        const first = flip(curves[0].getPoint(0));
+        const last = flip(curves[curves.length - 1].getPoint(1));
+        if (!samePoint(first, last)) {
+          items.push({ type: "line", start: last, end: first });
+        }
+      }
+    })
+  );
+
+  return { items, skipped: {}, scale: null };
+}
+
+// ---- DXF ----
+
+// Group code / value pairs
+function readDXFPairs(text) {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    pairs.push({ code: parseInt(lines[i], 10), value: lines[i + 1].trim() });
+  }
+  return pairs;
+}
+
+// Entities of the ENTITIES section as { type, pairs } plus $INSUNITS
+function readDXFEntities(pairs) {
+  const entities = [];
+  let section = null;
+  let units = null;
+  pairs.forEach(({ code, value }, i) => {
+    if (code === 0 && value === "SECTION") {
+      section = pairs[i + 1]?.code === 2 ? pairs[i + 1].value : null;
+    } else if (code === 0 && value === "ENDSEC") {
+      section = null;
+    } else if (section === "HEADER" && code === 9 && value === "$INSUNITS") {
+      units = parseInt(pairs[i + 1]?.value, 10);
+    } else if (section === "ENTITIES" && code === 0) {
+      entities.push({ type: value, pairs: [] });
+    } else if (section === "ENTITIES" && entities.length > 0) {
+      entities[entities.length - 1].pairs.push({ code, value });
+    }
+  });
+  return { entities, units };
+}
+
+function dxfValue(pairs, code, fallback = 0) {
+  const pair = pairs.find((p) => p.code === code);
+  const value = pair ? parseFloat(pair.value) : NaN;
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Arc from a to b bulging by tan(angle / 4), counter-clockwise when positive
+function bulgeArc(a, b, bulge) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const chord = Math.hypot(dx, dy);
+  const offset = chord / (2 * Math.tan(2 * Math.atan(bulge)));
+  const center = {
+    x: (a.x + b.x) / 2 - (offset * dy) / chord,
+    y: (a.y + b.y) / 2 + (offset * dx) / chord,
+  };
+  return bulge > 0
+    ? { type: "arc", center, start: a, end: b }
+    : { type: "arc", center, start: b, end: a };
+}
+
+function lwpolylineItems(pairs) {
+  const vertices = [];
+  pairs.forEach(({ code, value }) => {
+    if (code === 10) vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+    const vertex = vertices[vertices.length - 1];
+    if (!vertex) return;
+    if (code === 20) vertex.y = parseFloat(value);
+    if (code === 42) vertex.bulge = parseFloat(value) || 0;
+  });
+  const closed = (dxfValue(pairs, 70) & 1) === 1;
+  const count = closed ? vertices.length : vertices.length - 1;
+
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    const start = { x: a.x, y: a.y };
+    const end = { x: b.x, y: b.y };
+    if (samePoint(start, end)) continue;
+    items.push(
+      Math.abs(a.bulge) > EPSILON
+        ? bulgeArc(start, end, a.bulge)
+        : { type: "line", start, end }
+    );
+  }
+  return items;
+}
+
+function dxfEntityItems({ type, pairs }) {
+  const center = { x: dxfValue(pairs, 10), y: dxfValue(pairs, 20) };
+  const radius = dxfValue(pairs, 40);
+  const at = (degrees) => ({
+    x: center.x + radius * Math.cos((degrees * Math.PI) / 180),
+    y: center.y + radius * Math.sin((degrees * Math.PI) / 180),
+  });
+  switch (type) {
+    case "LWPOLYLINE":
+      return lwpolylineItems(pairs);
+    case "ARC":
+      return radius > 0
+        ? [
+            {
+              type: "arc",
+              center,
+              start: at(dxfValue(pairs, 50)),
+              end: at(dxfValue(pairs, 51)),
+            },
+          ]
+        : [];
+    case "CIRCLE":
+      return radius > 0 ? [{ type: "circle", center, radius }] : [];
+    default:
+      return null;
+  }
+}
+
+// Entities drawn from below (extrusion 0, 0, -1) have their x flipped
+function mirrorItem(item) {
+  const flip = (p) => ({ x: -p.x, y: p.y });
+  switch (item.type) {
+    case "arc":
+      return {
+        ...item,
+        center: flip(item.center),
+        start: flip(item.end),
+        end: flip(item.start),
+      };
+    case "circle":
+      return { ...item, center: flip(item.center) };
+    default:
+      return { ...item, start: flip(item.start), end: flip(item.end) };
+  }
+}
+
+/**
+ * Read the LWPOLYLINE, ARC and CIRCLE entities of a DXF drawing
+ * @param {String} text - ASCII DXF
+ * @returns {Object} { items, skipped: { [entity type]: count }, scale }
+ *   where scale is meters per drawing unit from $INSUNITS, or null
+ */
+export function parseDXFProfile(text) {
+  const { entities, units } = readDXFEntities(readDXFPairs(text));
+  if (entities.length === 0) throw new Error("The drawing has no entities");
+
+  const items = [];
+  const skipped = {};
+  entities.forEach((entity) => {
+    const entityItems = dxfEntityItems(entity);
+    if (!entityItems) {
+      skipped[entity.type] = (skipped[entity.type] || 0) + 1;
+      return;
+    }
+    const flipped = dxfValue(entity.pairs, 230, 1) < 0;
+    items.push(...(flipped ? entityItems.map(mirrorItem) : entityItems));
+  });
+
+  return { items, skipped, scale: DXF_UNITS[units] ?? null };
+}
+
+/**
+ * Read a drawing by its file name
+ * @param {String} name - File name, .svg or .dxf
+ * @param {String} text - File contents
+ * @returns {Object} See parseSVGProfile and parseDXFProfile
+ */
+export function parseProfileFile(name, text) {
+  const ext = name.split(".").pop().toLowerCase();
+  if (ext === "svg") return parseSVGProfile(text);
+  if (ext === "dxf") return parseDXFProfile(text);
+  throw new Error(`Unsupported file type .${ext}`);
+}
+
+// ---- Into the sketch ----
+
+function itemPoints(item) {
+  switch (item.type) {
+    case "line":
+      return [item.start, item.end];
+    case "arc":
+      return sampleArc(item.center, item.start, item.end);
+    case "circle":
+      return [-1, 1].flatMap((side) => [
+        { x: item.center.x + side * item.radius, y: item.center.y },
+        { x: item.center.x, y: item.center.y + side * item.radius },
+      ]);
+    default:
+      return item.points;
+  }
+}
+
+/**
+ * Extents of profile items
+ * @param {Array} items
+ * @returns {Object|null} { min, max } in drawing units, null when empty
+ */
+export function getProfileBounds(items) {
+  const points = items.flatMap(itemPoints);
+  if (points.length === 0) return null;
+  return {
+    min: {
+      x: Math.min(...points.map((p) => p.x)),
+      y: Math.min(...points.map((p) => p.y)),
+    },
+    max: {
+      x: Math.max(...points.map((p) => p.x)),
+      y: Math.max(...points.map((p) => p.y)),
+    },
+  };
+}
+
+/**
+ * Add profile items to a sketch
+ * @param {Object} sketch
+ * @param {Array} items - From parseSVGProfile or parseDXFProfile
+ * @param {Object} options - { scale: m per drawing unit, centered: move the
+ *   middle of the drawing to the origin }
+ * @returns {Object} Sketch
+ */
+export function addProfileToSketch(
+  sketch,
+  items,
+  { scale = 1, centered = false } = {}
+) {
+  const bounds = getProfileBounds(items);
+  if (!bounds) return sketch;
+  const shift = centered
+    ? {
+        x: (bounds.min.x + bounds.max.x) / 2,
+        y: (bounds.min.y + bounds.max.y) / 2,
+      }
+    : { x: 0, y: 0 };
+  const place = (p) => ({
+    x: (p.x - shift.x) * scale,
+    y: (p.y - shift.y) * scale,
+  });
+  const tolerance =
+    MERGE_TOLERANCE *
+    scale *
+    Math.hypot(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+
+  let next = createSketch(sketch);
+  const addEntity = (key, entity) => {
+    const id = next.nextId;
+    next = {
+      ...next,
+      [key]: [...next[key], { id, ...entity }],
+      nextId: id + 1,
+    };
+    return id;
+  };
+  const addPoint = (at) => addEntity("points", at);
+  // End points shared by neighbouring curves
+  const ends = [];
+  const endPoint = (p) => {
+    const at = place(p);
+    const found = ends.find((end) => samePoint(end, at, tolerance));
+    if (found) return found.id;
+    const id = addPoint(at);
+    ends.push({ ...at, id });
+    return id;
+  };
+
+  items.forEach((item) => {
+    if (item.type === "line") {
+      const start = endPoint(item.start);
+      const end = endPoint(item.end);
+      if (start !== end) addEntity("lines", { start, end });
+    } else if (item.type === "arc") {
+      const start = endPoint(item.start);
+      const end = endPoint(item.end);
+      if (start === end) return;
+      addEntity("arcs", { center: addPoint(place(item.center)), start, end });
+    } else if (item.type === "circle") {
+      addEntity("circles", {
+        center: addPoint(place(item.center)),
+        radius: item.radius * scale,
+      });
+    } else if (item.type === "spline") {
+      const points = item.points.filter(
+        (p, i) => i === 0 || !samePoint(p, item.points[i - 1])
+      );
+      if (points.length < 2) return;
+      addEntity("splines", {
+        points: points.map((p, i) =>
+          i === 0 || i === points.length - 1 ? endPoint(p) : addPoint(place(p))
+        ),
+      });
+    }
+  });
+
+  return next;
+}
@@ -0,0 +1,642 @@
+import * as THREE from "three";
+import { getArcGeometry, getCurvePoints, getSketchLoops } from "./sketchCurves";
+
+/**
+ * Sketch Solver - Geometric constraints and driving dimensions for 2D sketches
+ * A sketch holds points ({ id, x, y } in meters), lines ({ id, start, end }
+ * as point ids), circles ({ id, center, radius }), arcs and splines (see
+ * sketchCurves.js) and constraints ({ id, type, entities, value }).
+ * Dimensions are constraints with a value in meters. solveSketch moves the
+ * geometry as little as it can until every constraint holds, so a
+ * half-constrained sketch keeps its drawn shape.
+ */
+
+// Entity kinds each constraint applies to, in the order entities are stored
+export const CONSTRAINT_TYPES = {
+  horizontal: { label: "Horizontal", symbol: "H", signatures: [["line"]] },
+  vertical: { label: "Vertical", symbol: "V", signatures: [["line"]] },
+  coincident: {
+    label: "Coincident",
+    symbol: "◉",
+    signatures: [["point", "point"]],
+  },
+  parallel: { label: "Parallel", symbol: "∥", signatures: [["line", "line"]] },
+  perpendicular: {
+    label: "Perpendicular",
+    symbol: "⊥",
+    signatures: [["line", "line"]],
+  },
+  equal: {
+    label: "Equal",
+    symbol: "=",
+    signatures: [
+      ["line", "line"],
+      ["circle", "circle"],
+      ["arc", "arc"],
+      ["circle", "arc"],
+    ],
+  },
+  tangent: {
+    label: "Tangent",
+    symbol: "T",
+    signatures: [
+      ["line", "circle"],
+      ["line", "arc"],
+      ["circle", "circle"],
+      ["arc", "arc"],
+      ["circle", "arc"],
+    ],
+  },
+  fix: { label: "Fix", symbol: "⚓", signatures: [["point"]] },
+};
+
+export const DIMENSION_TYPES = {
+  distance: {
+    label: "Distance",
+    signatures: [["line"], ["point", "point"]],
+  },
+  radius: { label: "Radius", signatures: [["circle"], ["arc"]] },
+};
+
+const SOLVE_TOLERANCE = 1e-8; // m
+const MAX_ITERATIONS = 100;
+const JACOBIAN_STEP = 1e-7;
+const RANK_TOLERANCE = 1e-6;
+
+/**
+ * Empty sketch, or a saved one with the entity lists it predates filled in
+ * @param {Object} sketch
+ * @returns {Object} Sketch
+ */
+export function createSketch(sketch = {}) {
+  return {
+    points: [],
+    lines: [],
+    circles: [],
+    arcs: [],
+    splines: [],
+    constraints: [],
+    nextId: 1,
+    ...sketch,
+  };
+}
+
+/**
+ * Kind of a sketch entity
+ * @param {Object} sketch
+ * @param {Number} id
+ * @returns {String|null} "point", "line", "circle", "arc" or "spline"
+ */
+export function getEntityKind(sketch, id) {
+  if (sketch.points.some((p) => p.id === id)) return "point";
+  if (sketch.lines.some((l) => l.id === id)) return "line";
+  if (sketch.circles.some((c) => c.id === id)) return "circle";
+  if (sketch.arcs.some((a) => a.id === id)) return "arc";
+  if (sketch.splines.some((s) => s.id === id)) return "spline";
+  return null;
+}
+
+/**
+ * Order picked entities the way a constraint or dimension stores them
+ * @param {Object} sketch
+ * @param {String} type - Key of CONSTRAINT_TYPES or DIMENSION_TYPES
+ * @param {Array} ids - Picked entity ids
+ * @returns {Array|null} Ordered ids, null when the pick doesn't fit
+ */
+export function matchEntities(sketch, type, ids) {
+  const { signatures } = CONSTRAINT_TYPES[type] || DIMENSION_TYPES[type];
+  for (const signature of signatures) {
+    if (signature.length !== ids.length) continue;
+    const remaining = [...ids];
+    const ordered = signature.map((kind) => {
+      const i = remaining.findIndex((id) => getEntityKind(sketch, id) === kind);
+      return i < 0 ? null : remaining.splice(i, 1)[0];
+    });
+    if (!ordered.includes(null)) return ordered;
+  }
+  return null;
+}
+
+function lookup(sketch) {
+  return {
+    point: new Map(sketch.points.map((p) => [p.id, p])),
+    line: new Map(sketch.lines.map((l) => [l.id, l])),
+    circle: new Map(sketch.circles.map((c) => [c.id, c])),
+    arc: new Map(sketch.arcs.map((a) => [a.id, a])),
+  };
+}
+
+// Solver unknowns: x and y of every point, then every circle radius
+function buildVariables(sketch) {
+  const index = new Map();
+  const values = [];
+  sketch.points.forEach((p) => {
+    index.set(p.id, values.length);
+    values.push(p.x, p.y);
+  });
+  sketch.circles.forEach((c) => {
+    index.set(c.id, values.length);
+    values.push(c.radius);
+  });
+  return { index, values };
+}
+
+// Residuals of one constraint (all zero when it holds)
+function constraintResiduals(constraint, entities, index, v) {
+  const point = (id) => [v[index.get(id)], v[index.get(id) + 1]];
+  const ends = (id) => {
+    const line = entities.line.get(id);
+    return [point(line.start), point(line.end)];
+  };
+  const direction = (id) => {
+    const [a, b] = ends(id);
+    return [b[0] - a[0], b[1] - a[1]];
+  };
+  // Circles have their radius as an unknown, arcs the distance to their start
+  const center = (id) =>
+    point((entities.circle.get(id) || entities.arc.get(id)).center);
+  const radius = (id) => {
+    if (entities.circle.has(id)) return v[index.get(id)];
+    const [c, p] = [center(id), point(entities.arc.get(id).start)];
+    return Math.hypot(p[0] - c[0], p[1] - c[1]);
+  };
+  const length = ([x, y]) => Math.max(Math.hypot(x, y), 1e-9);
+
+  const [a, b] = constraint.entities;
+  switch (constraint.type) {
+    case "horizontal":
+      return [direction(a)[1]];
+    case "vertical":
+      return [direction(a)[0]];
+    case "coincident": {
+      const [p, q] = [point(a), point(b)];
+      return [p[0] - q[0], p[1] - q[1]];
+    }
+    case "parallel":
+    case "perpendicular": {
+      const [d, e] = [direction(a), direction(b)];
+      const scale = length(d) * length(e);
+      return constraint.type === "parallel"
+        ? [(d[0] * e[1] - d[1] * e[0]) / scale]
+        : [(d[0] * e[0] + d[1] * e[1]) / scale];
+    }
+    case "equal":
+      return entities.line.has(a)
+        ? [length(direction(a)) - length(direction(b))]
+        : [radius(a) - radius(b)];
+    case "tangent": {
+      if (entities.line.has(a)) {
+        const [p] = ends(a);
+        const d = direction(a);
+        const c = center(b);
+        const offset =
+          (d[0] * (c[1] - p[1]) - d[1] * (c[0] - p[0])) / length(d);
+        return [Math.abs(offset) - Math.abs(radius(b))];
+      }
+      const [c1, c2] = [center(a), center(b)];
+      const distance = Math.hypot(c2[0] - c1[0], c2[1] - c1[1]);
+      const [r1, r2] = [Math.abs(radius(a)), Math.abs(radius(b))];
+      return [distance - (constraint.internal ? Math.abs(r1 - r2) : r1 + r2)];
+    }
+    case "fix": {
+      const p = point(a);
+      return [p[0] - constraint.value[0], p[1] - constraint.value[1]];
+    }
+    case "distance": {
+      const [p, q] = b === undefined ? ends(a) : [point(a), point(b)];
+      return [Math.hypot(q[0] - p[0], q[1] - p[1]) - constraint.value];
+    }
+    case "radius":
+      return [Math.abs(radius(a)) - constraint.value];
+    default:
+      return [];
+  }
+}
+
+// Every constraint, and the end of each arc on its circle
+function evaluate(constraints, entities, index, v) {
+  const point = (id) => [v[index.get(id)], v[index.get(id) + 1]];
+  const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+  return [
+    ...constraints.flatMap((c) => constraintResiduals(c, entities, index, v)),
+    ...[...entities.arc.values()].map((arc) => {
+      const center = point(arc.center);
+      return (
+        distance(center, point(arc.end)) - distance(center, point(arc.start))
+      );
+    }),
+  ];
+}
+
+function maxAbs(values) {
+  return values.reduce((max, x) => Math.max(max, Math.abs(x)), 0);
+}
+
+function jacobian(constraints, entities, index, v, r) {
+  const columns = v.map((_value, j) => {
+    const shifted = v.slice();
+    shifted[j] += JACOBIAN_STEP;
+    return evaluate(constraints, entities, index, shifted).map(
+      (value, i) => (value - r[i]) / JACOBIAN_STEP
+    );
+  });
+  return r.map((_value, i) => columns.map((column) => column[i]));
+}
+
+// Gaussian elimination with partial pivoting; A is overwritten
+function solveLinear(A, b) {
+  const n = b.length;
+  const x = b.slice();
+  for (let k = 0; k < n; k++) {
+    let pivot = k;
+    for (let i = k + 1; i < n; i++) {
+      if (Math.abs(A[i][k]) > Math.abs(A[pivot][k])) pivot = i;
+    }
+    [A[k], A[pivot]] = [A[pivot], A[k]];
+    [x[k], x[pivot]] = [x[pivot], x[k]];
+    if (Math.abs(A[k][k]) < 1e-300) return null;
+    for (let i = k + 1; i < n; i++) {
+      const f = A[i][k] / A[k][k];
+      for (let j = k; j < n; j++) A[i][j] -= f * A[k][j];
+      x[i] -= f * x[k];
+    }
+  }
+  for (let k = n - 1; k >= 0; k--) {
+    for (let j = k + 1; j < n; j++) x[k] -= A[k][j] * x[j];
+    x[k] /= A[k][k];
+  }
+  return x;
+}
+
+function matrixRank(rows) {
+  const A = rows.map((row) => row.slice());
+  const scale = Math.max(1, ...A.map(maxAbs));
+  let rank = 0;
+  const columns = A[0]?.length || 0;
+  for (let col = 0; col < columns && rank < A.length; col++) {
+    let pivot = rank;
+    for (let i = rank + 1; i < A.length; i++) {
+      if (Math.abs(A[i][col]) > Math.abs(A[pivot][col])) pivot = i;
+    }
+    if (Math.abs(A[pivot][col]) < RANK_TOLERANCE * scale) continue;
+    [A[rank], A[pivot]] = [A[pivot], A[rank]];
+    for (let i = rank + 1; i < A.length; i++) {
+      const f = A[i][col] / A[rank][col];
+      for (let j = col; j < columns; j++) A[i][j] -= f * A[rank][j];
+    }
+    rank++;
+  }
+  return rank;
+}
+
+/**
+ * Move the sketch geometry until every constraint holds
+ * Damped minimum-norm Gauss-Newton steps: unconstrained directions are left
+ * alone, redundant constraints don't stall the solve.
+ * @param {Object} sketch
+ * @returns {Object} { sketch, solved, residual (m), dof } where dof counts
+ *   the degrees of freedom left (0 = fully constrained)
+ */
+export function solveSketch(sketch) {
+  const entities = lookup(sketch);
+  const { index, values } = buildVariables(sketch);
+  const { constraints } = sketch;
+
+  let v = values;
+  let r = evaluate(constraints, entities, index, v);
+  let damping = 1e-9;
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    if (maxAbs(r) < SOLVE_TOLERANCE) break;
+    const J = jacobian(constraints, entities, index, v, r);
+    const normal = J.map((row, i) =>
+      J.map(
+        (other, k) =>
+          row.reduce((sum, x, j) => sum + x * other[j], 0) +
+          (i === k ? damping : 0)
+      )
+    );
+    const y = solveLinear(normal, r);
+    if (!y) break;
+    const step = v.map(
+      (_x, j) => -J.reduce((sum, row, i) => sum + row[j] * y[i], 0)
+    );
+
+    const norm = Math.hypot(...r);
+    let accepted = false;
+    for (let t = 1; t > 1e-4; t /= 2) {
+      const trial = v.map((x, j) => x + t * step[j]);
+      const trialR = evaluate(constraints, entities, index, trial);
+      if (Math.hypot(...trialR) < norm) {
+        v = trial;
+        r = trialR;
+        accepted = true;
+        break;
+      }
+    }
+    if (accepted) {
+      damping = Math.max(1e-12, damping / 10);
+    } else {
+      damping *= 100;
+      if (damping > 1e3) break;
+    }
+  }
+
+  const residual = maxAbs(r);
+  const dof =
+    values.length -
+    (r.length > 0
+      ? matrixRank(jacobian(constraints, entities, index, v, r))
+      : 0);
+
+  return {
+    sketch: {
+      ...sketch,
+      points: sketch.points.map((p) => {
+        const i = index.get(p.id);
+        return { ...p, x: v[i], y: v[i + 1] };
+      }),
+      circles: sketch.circles.map((c) => ({
+        ...c,
+        radius: Math.abs(v[index.get(c.id)]),
+      })),
+    },
+    solved: residual < SOLVE_TOLERANCE * 10,
+    residual,
+    dof,
+  };
+}
+
+// Center ({ x, y }) and radius of a circle or arc
+function getCircle(sketch, id) {
+  const { point, circle, arc } = lookup(sketch);
+  if (circle.has(id)) {
+    const c = circle.get(id);
+    return { center: point.get(c.center), radius: c.radius };
+  }
+  const a = arc.get(id);
+  return getArcGeometry(
+    point.get(a.center),
+    point.get(a.start),
+    point.get(a.end)
+  );
+}
+
+/**
+ * Current value of a dimension, to start editing from
+ * @param {Object} sketch
+ * @param {String} type - Key of DIMENSION_TYPES
+ * @param {Array} entities - Ordered ids (see matchEntities)
+ * @returns {Number} m
+ */
+export function measureDimension(sketch, type, entities) {
+  const { point, line } = lookup(sketch);
+  if (type === "radius") return getCircle(sketch, entities[0]).radius;
+  const [a, b] =
+    entities.length === 1
+      ? [line.get(entities[0]).start, line.get(entities[0]).end]
+      : entities;
+  const [p, q] = [point.get(a), point.get(b)];
+  return Math.hypot(q.x - p.x, q.y - p.y);
+}
+
+/**
+ * Add a constraint or dimension and solve
+ * @param {Object} sketch
+ * @param {Object} constraint - { type, entities, value } without an id
+ * @returns {Object} Result of solveSketch; the sketch is unchanged when the
+ *   constraint conflicts with the others
+ */
+export function addConstraint(sketch, constraint) {
+  const { point, line } = lookup(sketch);
+  const added = { ...constraint, id: sketch.nextId };
+
+  // Fix holds a point where it is; circle tangency keeps its current side
+  if (added.type === "fix") {
+    const p = point.get(added.entities[0]);
+    added.value = [p.x, p.y];
+  }
+  if (added.type === "tangent" && !line.has(added.entities[0])) {
+    const [c1, c2] = added.entities.map((id) => getCircle(sketch, id));
+    added.internal =
+      Math.hypot(c2.center.x - c1.center.x, c2.center.y - c1.center.y) <
+      Math.max(c1.radius, c2.radius);
+  }
+
+  const result = solveSketch({
+    ...sketch,
+    constraints: [...sketch.constraints, added],
+    nextId: sketch.nextId + 1,
+  });
+  return result.solved ? result : { ...solveSketch(sketch), solved: false };
+}
+
+/**
+ * Change the value of a driving dimension and solve
+ * @param {Object} sketch
+ * @param {Number} id - Constraint id
+ * @param {Number} value - m
+ * @returns {Object} Result of solveSketch, unchanged sketch on conflict
+ */
+export function setDimensionValue(sketch, id, value) {
+  const result = solveSketch({
+    ...sketch,
+    constraints: sketch.constraints.map((c) =>
+      c.id === id ? { ...c, value } : c
+    ),
+  });
+  return result.solved ? result : { ...solveSketch(sketch), solved: false };
+}
+
+// Distance from a point to a polyline
+function polylineDistance(points, at) {
+  return points.slice(1).reduce((best, q, i) => {
+    const p = points[i];
+    const dx = q.x - p.x;
+    const dy = q.y - p.y;
+    const t = Math.min(
+      1,
+      Math.max(
+        0,
+        ((at.x - p.x) * dx + (at.y - p.y) * dy) /
+          Math.max(dx * dx + dy * dy, 1e-12)
+      )
+    );
+    return Math.min(best, Math.hypot(p.x + t * dx - at.x, p.y + t * dy - at.y));
+  }, Infinity);
+}
+
+/**
+ * Entity under the cursor: points first, then circles, then lines, arcs and
+ * splines
+ * @param {Object} sketch
+ * @param {Object} at - { x, y } in meters
+ * @param {Number} tolerance - m
+ * @param {Object} options - { points: false } to skip points
+ * @returns {Number|null} Entity id
+ */
+export function pickEntity(sketch, at, tolerance, { points = true } = {}) {
+  const { point } = lookup(sketch);
+  const near = (items, distance) => {
+    let best = null;
+    let bestDistance = tolerance;
+    items.forEach((item) => {
+      const d = distance(item);
+      if (d < bestDistance) {
+        best = item.id;
+        bestDistance = d;
+      }
+    });
+    return best;
+  };
+
+  return (
+    (points
+      ? near(sketch.points, (p) => Math.hypot(p.x - at.x, p.y - at.y))
+      : null) ??
+    near(sketch.circles, (c) => {
+      const p = point.get(c.center);
+      return Math.abs(Math.hypot(p.x - at.x, p.y - at.y) - c.radius);
+    }) ??
+    near([...sketch.lines, ...sketch.arcs, ...sketch.splines], (curve) =>
+      polylineDistance(getCurvePoints(sketch, curve.id), at)
+    )
+  );
+}
+
+/**
+ * Remove entities with the constraints on them; lines, circles, arcs and
+ * splines take their points along when nothing else uses them, and splines
+ * lose removed points while two are left
+ * @param {Object} sketch
+ * @param {Array} ids - Entity ids
+ * @returns {Object} Sketch
+ */
+export function removeEntities(sketch, ids) {
+  const removed = new Set(ids);
+  const lines = sketch.lines.filter(
+    (l) => !removed.has(l.id) && !removed.has(l.start) && !removed.has(l.end)
+  );
+  const circles = sketch.circles.filter(
+    (c) => !removed.has(c.id) && !removed.has(c.center)
+  );
+  const arcs = sketch.arcs.filter(
+    (a) =>
+      !removed.has(a.id) &&
+      ![a.center, a.start, a.end].some((id) => removed.has(id))
+  );
+  const splines = sketch.splines
+    .filter((s) => !removed.has(s.id))
+    .map((s) => ({ ...s, points: s.points.filter((id) => !removed.has(id)) }))
+    .filter((s) => s.points.length >= 2);
+  const pointIds = (entities) => [
+    ...entities.lines.flatMap((l) => [l.start, l.end]),
+    ...entities.circles.map((c) => c.center),
+    ...entities.arcs.flatMap((a) => [a.center, a.start, a.end]),
+    ...entities.splines.flatMap((s) => s.points),
+  ];
+  const used = new Set(pointIds({ lines, circles, arcs, splines }));
+  const orphaned = new Set(pointIds(sketch).filter((id) => !used.has(id)));
+  const points = sketch.points.filter(
+    (p) => !removed.has(p.id) && !orphaned.has(p.id)
+  );
+  const kept = new Set(
+    [...points, ...lines, ...circles, ...arcs, ...splines].map(
+      (entity) => entity.id
+    )
+  );
+
+  return {
+    ...sketch,
+    points,
+    lines,
+    circles,
+    arcs,
+    splines,
+    constraints: sketch.constraints.filter((c) =>
+      c.entities.every((id) => kept.has(id))
+    ),
+  };
+}
+
+/**
+ * Outline of the sketch: lines, arcs and splines chained end to end from the
+ * first line (see getSketchLoops)
+ * @param {Object} sketch
+ * @returns {Array} [{ x, y }] in meters, without repeating the first point
+ *   when the chain closes
+ */
+export function getSketchOutline(sketch) {
+  const [loop] = getSketchLoops(sketch);
+  return loop ? loop.points : sketch.points.map(({ x, y }) => ({ x, y }));
+}
+
+/**
+ * Mirror image of a sketch across its vertical axis
+ * @param {Object} sketch
+ * @returns {Object} Sketch
+ */
+export function mirrorSketch(sketch) {
+  const full = createSketch(sketch);
+  return {
+    ...full,
+    points: full.points.map((p) => ({ ...p, x: -p.x })),
+    // Counter-clockwise arcs turn clockwise, so their ends swap
+    arcs: full.arcs.map((a) => ({ ...a, start: a.end, end: a.start })),
+    constraints: full.constraints.map((c) =>
+      c.type === "fix" ? { ...c, value: [-c.value[0], c.value[1]] } : c
+    ),
+  };
+}
+
+/**
+ * Profile to extrude: the largest closed loop of lines, arcs and splines is
+ * the outline and the other closed loops and circles cut holes in it;
+ * without closed loops the first chain is closed straight, and without
+ * lines the first circle is the outline
+ * @param {Object} sketch
+ * @returns {THREE.Shape|null} null when there is nothing closed to extrude
+ */
+export function sketchToShape(sketch) {
+  const full = createSketch(sketch);
+  const toVectors = (points) => points.map((p) => new THREE.Vector2(p.x, p.y));
+  const loops = getSketchLoops(full).filter((loop) => loop.points.length >= 3);
+  const closed = loops
+    .filter((loop) => loop.closed)
+    .map((loop) => toVectors(loop.points))
+    .sort(
+      (a, b) =>
+        Math.abs(THREE.ShapeUtils.area(b)) - Math.abs(THREE.ShapeUtils.area(a))
+    );
+  const circles = full.circles.map((circle) => ({
+    ...circle,
+    center: full.points.find((p) => p.id === circle.center),
+  }));
+
+  const shape = new THREE.Shape();
+  let holes = circles;
+  if (closed.length > 0) {
+    shape.setFromPoints(closed[0]);
+    closed.slice(1).forEach((loop) => shape.holes.push(new THREE.Path(loop)));
+  } else if (loops.length > 0) {
+    shape.setFromPoints(toVectors(loops[0].points));
+  } else if (circles.length > 0) {
+    const [first, ...rest] = circles;
+    shape.absarc(first.center.x, first.center.y, first.radius, 0, Math.PI * 2);
+    holes = rest;
+  } else {
+    return null;
+  }
+  holes.forEach((circle) => {
+    const hole = new THREE.Path();
+    hole.absarc(
+      circle.center.x,
+      circle.center.y,
+      circle.radius,
+      0,
+      Math.PI * 2,
+      true
+    );
+    shape.holes.push(hole);
+  });
+  return shape;
+}
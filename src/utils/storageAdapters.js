@@ -0,0 +1,197 @@
+import {
+  PROJECT_STORE,
+  openDatabase,
+  request,
+  transactionDone,
+} from "./browserDatabase";
+
+/**
+ * Storage Adapters - Where project records are kept
+ * projectStorage.js reads and writes project records (project documents, see
+ * projectFormat.js) through one adapter at a time:
+ *
+ * {
+ *   name,          label for the UI
+ *   inlineMeshes,  true when records must carry their meshes rather than
+ *                  refer to this browser's mesh store
+ *   list(),        -> Promise<Array> every record
+ *   get(id),       -> Promise<Object|null>
+ *   put(record, { force }),  -> Promise
+ *   delete(id, { force }),   -> Promise
+ * }
+ *
+ * put and delete reject with StorageConflictError when the record changed
+ * elsewhere since this adapter last read or wrote it, unless force is set.
+ * The browser adapter keeps records in IndexedDB; the server adapter talks
+ * to the reference server in server/projectServer.js, which detects
+ * conflicts through ETags.
+ */
+
+const LEGACY_STORAGE_KEY = "habitat-projects";
+
+export class StorageConflictError extends Error {
+  constructor(id) {
+    super("The project was changed somewhere else since it was opened");
+    this.name = "StorageConflictError";
+    this.projectId = id;
+  }
+}
+
+// Copy the old localStorage project list into the store, then drop the key.
+// Projects the store already has are kept as they are.
+async function migrateLegacyProjects(db) {
+  const data = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!data) return;
+  let legacy;
+  try {
+    legacy = JSON.parse(data);
+  } catch (error) {
+    console.error("Old project list is unreadable, leaving it:", error);
+    return;
+  }
+
+  const transaction = db.transaction(PROJECT_STORE, "readwrite");
+  const store = transaction.objectStore(PROJECT_STORE);
+  const projects = (Array.isArray(legacy) ? legacy : []).filter((p) => p?.id);
+  projects.forEach((project) => {
+    store.add(project).onerror = (event) => {
+      // Already moved, e.g. by another tab: keep the stored one
+      event.preventDefault();
+      event.stopPropagation();
+    };
+  });
+  await transactionDone(transaction);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  console.log(`Moved ${projects.length} projects to IndexedDB`);
+}
+
+/**
+ * Records in this browser's IndexedDB. Projects from before used one
+ * localStorage key and move over the first time the store is opened.
+ * Other tabs write the same records, so there are no conflicts to report.
+ * @returns {Object} Storage adapter
+ */
+export function createBrowserAdapter() {
+  let projectDatabase = null;
+
+  const getProjectDatabase = () => {
+    if (!projectDatabase) {
+      projectDatabase = openDatabase().then(async (db) => {
+        await migrateLegacyProjects(db);
+        return db;
+      });
+      // Try again next time rather than failing for the whole session
+      projectDatabase.catch(() => {
+        projectDatabase = null;
+      });
+    }
+    return projectDatabase;
+  };
+
+  const write = async (change) => {
+    const db = await getProjectDatabase();
+    const transaction = db.transaction(PROJECT_STORE, "readwrite");
+    change(transaction.objectStore(PROJECT_STORE));
+    await transactionDone(transaction);
+  };
+
+  return {
+    name: "This browser",
+    inlineMeshes: false,
+    async list() {
+      const db = await getProjectDatabase();
+      return request(
+        db.transaction(PROJECT_STORE).objectStore(PROJECT_STORE).getAll()
+      );
+    },
+    async get(id) {
+      const db = await getProjectDatabase();
+      const record = await request(
+        db.transaction(PROJECT_STORE).objectStore(PROJECT_STORE).get(id)
+      );
+      return record || null;
+    },
+    put: (record) => write((store) => store.put(record)),
+    delete: (id) => write((store) => store.delete(id)),
+  };
+}
+
+/**
+ * Records on a project server (see server/projectServer.js)
+ * Remembers the ETag of each record it reads or writes and sends it back as
+ * If-Match, so saving over someone else's newer save is refused.
+ * @param {String} baseUrl - e.g. "http://192.168.1.20:8787"
+ * @returns {Object} Storage adapter
+ */
+export function createServerAdapter(baseUrl) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const etags = new Map(); // id -> ETag last seen
+
+  const send = async (path, options = {}) => {
+    const response = await fetch(`${root}${path}`, options);
+    if (!response.ok && response.status !== 404 && response.status !== 412) {
+      let message = `${response.status} ${response.statusText}`;
+      try {
+        message = (await response.json()).error || message;
+      } catch {
+        // No error body, keep the status
+      }
+      throw new Error(`Project server: ${message}`);
+    }
+    return response;
+  };
+
+  const projectPath = (id) => `/projects/${encodeURIComponent(id)}`;
+
+  // If-Match for a record we've seen, otherwise only create it
+  const conditions = (id, force) => {
+    if (force) return {};
+    return etags.has(id)
+      ? { "If-Match": etags.get(id) }
+      : { "If-None-Match": "*" };
+  };
+
+  return {
+    name: `Server ${root}`,
+    inlineMeshes: true,
+    async list() {
+      const items = await (await send("/projects")).json();
+      return items
+        .filter((item) => {
+          if (item.project) return true;
+          console.warn(`Project server skipped ${item.id}: ${item.error}`);
+          return false;
+        })
+        .map(({ etag, project }) => {
+          etags.set(project.id, etag);
+          return project;
+        });
+    },
+    async get(id) {
+      const response = await send(projectPath(id));
+      if (response.status === 404) return null;
+      etags.set(id, response.headers.get("ETag"));
+      return response.json();
+    },
+    async put(record, { force = false } = {}) {
+      const response = await send(projectPath(record.id), {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          ...conditions(record.id, force),
+        },
+        body: JSON.stringify(record),
+      });
+      if (response.status === 412) throw new StorageConflictError(record.id);
+      etags.set(record.id, response.headers.get("ETag"));
+    },
+    async delete(id, { force = false } = {}) {
+      const response = await send(projectPath(id), {
+        method: "DELETE",
+        headers: !force && etags.has(id) ? { "If-Match": etags.get(id) } : {},
+      });
+      if (response.status === 412) throw new StorageConflictError(id);
+      etags.delete(id);
+    },
+  };
+}
@@ -0,0 +1,357 @@
+import * as THREE from "three";
+import {
+  mergeVertices,
+  toCreasedNormals,
+} from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { getLocalPorts, transformToMatrix } from "./habitatTopology";
+import { sketchToShape } from "./sketchSolver";
+
+/**
+ * Sweep Path - Closed profiles swept along 3D paths
+ * A sweep ({ points, smooth, profile, start, end }) carries a profile along
+ * a polyline through points ([[x, y, z], ...] in m in the frame of the body
+ * it builds, which is the world frame for new sweeps), or along a
+ * Catmull-Rom spline through them when smooth. profile is
+ * { type: "circle" | "sketch", diameter, sketch }: a circle of the diameter
+ * or the sketched section with its origin on the path. start and end
+ * ({ objectId, port } or null) pin the path ends to module attachment
+ * points: the path then begins or ends on the port and meets it along the
+ * port normal.
+ *
+ * Profiles are moved with parallel-transport frames so they don't twist,
+ * their sketch y axis stays as close to world up as the path allows, and
+ * polyline corners are mitered.
+ */
+
+const SPLINE_SEGMENTS = 16; // per span between two path points
+const PROFILE_SEGMENTS = 12; // per curve of the profile
+const SWEEP_CREASE_ANGLE = Math.PI / 6;
+const MIN_PORT_LEAD = 0.5; // m straight out of a port before the path turns
+const MIN_MITER_COS = 0.1; // sharper corners than ~170° are refused
+const WELD_TOLERANCE = 1e-4;
+const EPSILON = 1e-9;
+
+export const DEFAULT_SWEEP = {
+  points: [
+    [0, 0, 0],
+    [0, 0, 5],
+    [5, 0, 5],
+  ],
+  smooth: false,
+  profile: { type: "circle", diameter: 1, sketch: null },
+  start: null,
+  end: null,
+};
+
+/**
+ * Parse "x, y, z" lines (one point per line) into path points
+ * @param {String} text
+ * @returns {Object} { points, errors }
+ */
+export function parsePathText(text) {
+  const points = [];
+  const errors = [];
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+    const values = line
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+      .map(Number);
+    if (values.length !== 3 || values.some((v) => !Number.isFinite(v))) {
+      errors.push(`Line ${index + 1}: expected "x, y, z"`);
+      return;
+    }
+    points.push(values);
+  });
+  return { points, errors };
+}
+
+/**
+ * Format path points as "x, y, z" lines
+ * @param {Array} points
+ * @returns {String}
+ */
+export function formatPathText(points) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return points.map((point) => point.map(round).join(", ")).join("\n");
+}
+
+/**
+ * Every attachment point of the modules in the scene
+ * @param {Array} objects - Scene objects
+ * @returns {Array} [{ objectId, port, label }]
+ */
+export function listModulePorts(objects) {
+  return objects
+    .filter((obj) => obj.type === "module" && !obj.hidden)
+    .flatMap((obj) =>
+      getLocalPorts(obj).map((port) => ({
+        objectId: obj.id,
+        port: port.name,
+        label: `${obj.name} · ${port.name}`,
+      }))
+    );
+}
+
+/**
+ * World position and outward normal of a module's attachment point
+ * @param {Array} objects - Scene objects
+ * @param {Object} ref - { objectId, port }
+ * @returns {Object|null} { position, normal, diameter } or null when the
+ *   module or port is gone
+ */
+export function getPortPlacement(objects, ref) {
+  const obj = ref && objects.find((o) => o.id === ref.objectId);
+  const port = obj && getLocalPorts(obj).find((p) => p.name === ref.port);
+  if (!port) return null;
+  const matrix = transformToMatrix(obj.transform);
+  return {
+    position: port.position.applyMatrix4(matrix),
+    normal: port.normal.transformDirection(matrix),
+    diameter: port.diameter,
+  };
+}
+
+/**
+ * Profile of a sweep as a shape in its own plane
+ * @param {Object} profile - See the sweep format above
+ * @returns {THREE.Shape|null}
+ */
+export function getSweepProfile(profile) {
+  if (profile.type === "sketch") return sketchToShape(profile.sketch);
+  if (!(profile.diameter > 0)) return null;
+  const shape = new THREE.Shape();
+  shape.absarc(0, 0, profile.diameter / 2, 0, Math.PI * 2);
+  return shape;
+}
+
+// Size of a profile, for how far the path runs straight out of a port
+function getProfileSize(shape) {
+  const box = new THREE.Box2().setFromPoints(shape.getPoints());
+  const size = box.getSize(new THREE.Vector2());
+  return Math.max(size.x, size.y);
+}
+
+function dropRepeats(points) {
+  return points.filter(
+    (p, i) => i === 0 || p.distanceTo(points[i - 1]) > EPSILON
+  );
+}
+
+/**
+ * Path points of a sweep with its port ends resolved
+ * @param {Object} sweep
+ * @param {Array} objects - Scene objects
+ * @param {Object} options - { lead: straight run out of a port (m),
+ *   worldToLocal: frame of the body the sweep builds }
+ * @returns {Object} { points: [THREE.Vector3], missing: ["start" | "end"] }
+ *   where missing lists port ends whose module or port no longer exists
+ */
+export function getSweepPoints(
+  sweep,
+  objects,
+  { lead = MIN_PORT_LEAD, worldToLocal = new THREE.Matrix4() } = {}
+) {
+  const points = sweep.points.map((p) => new THREE.Vector3().fromArray(p));
+  const missing = [];
+  const pin = (ref, name) => {
+    if (!ref) return [];
+    const placement = getPortPlacement(objects, ref);
+    if (!placement) {
+      missing.push(name);
+      return [];
+    }
+    const position = placement.position.applyMatrix4(worldToLocal);
+    const normal = placement.normal.transformDirection(worldToLocal);
+    return [position, position.clone().addScaledVector(normal, lead)];
+  };
+  const start = pin(sweep.start, "start");
+  const end = pin(sweep.end, "end").reverse();
+  return { points: dropRepeats([...start, ...points, ...end]), missing };
+}
+
+// World up, or world z for vertical tangents, made square to the tangent
+function getUpVector(tangent) {
+  const up = new THREE.Vector3(0, 1, 0);
+  if (Math.abs(tangent.dot(up)) > 0.99) up.set(0, 0, 1);
+  return up.addScaledVector(tangent, -up.dot(tangent)).normalize();
+}
+
+/**
+ * Frames along a path: the profile's x runs along normal and its y along
+ * binormal; bend and stretch miter the profile at corners
+ * @param {Array} points - THREE.Vector3
+ * @returns {Array|null} [{ position, tangent, normal, binormal, bend,
+ *   stretch }], null when the path doubles back on itself
+ */
+function getPathFrames(points) {
+  const directions = points
+    .slice(1)
+    .map((p, i) => p.clone().sub(points[i]).normalize());
+  const frames = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const into = directions[i - 1] || directions[i];
+    const out = directions[i] || directions[i - 1];
+    const tangent = into.clone().add(out).normalize();
+    const cos = into.dot(tangent);
+    if (!(cos > MIN_MITER_COS)) return null;
+
+    let normal;
+    if (i === 0) {
+      normal = getUpVector(tangent).cross(tangent);
+    } else {
+      const previous = frames[i - 1];
+      normal = previous.normal
+        .clone()
+        .applyQuaternion(
+          new THREE.Quaternion().setFromUnitVectors(previous.tangent, tangent)
+        );
+      normal.addScaledVector(tangent, -normal.dot(tangent)).normalize();
+    }
+    const bend = out.clone().sub(into);
+    frames.push({
+      position: points[i],
+      tangent,
+      normal,
+      binormal: tangent.clone().cross(normal),
+      bend: bend.lengthSq() > EPSILON ? bend.normalize() : null,
+      stretch: 1 / cos,
+    });
+  }
+  return frames;
+}
+
+function placeOnFrame(frame, { x, y }) {
+  const offset = frame.normal
+    .clone()
+    .multiplyScalar(x)
+    .addScaledVector(frame.binormal, y);
+  // Stretched across the corner so the walls keep their thickness
+  if (frame.bend) {
+    offset.addScaledVector(
+      frame.bend,
+      offset.dot(frame.bend) * (frame.stretch - 1)
+    );
+  }
+  return offset.add(frame.position);
+}
+
+// Profile rings without the repeated closing point, outline counter-clockwise
+// and holes clockwise
+function getProfileRings(shape) {
+  const open = (ring) =>
+    ring.length > 1 && ring[0].distanceTo(ring[ring.length - 1]) < EPSILON
+      ? ring.slice(0, -1)
+      : ring;
+  const orient = (ring, clockwise) =>
+    THREE.ShapeUtils.isClockWise(ring) === clockwise
+      ? ring
+      : [...ring].reverse();
+  const { shape: outline, holes } = shape.extractPoints(PROFILE_SEGMENTS);
+  return {
+    outline: orient(open(outline), false),
+    holes: holes.map((hole) => orient(open(hole), true)),
+  };
+}
+
+/**
+ * Sweep a closed profile along a path
+ * @param {THREE.Shape} shape - Profile in the plane across the path (m)
+ * @param {Array} points - Path points (THREE.Vector3)
+ * @param {Object} options - { smooth: spline through the points instead of
+ *   straight segments }
+ * @returns {THREE.BufferGeometry|null} Closed mesh in the points' frame,
+ *   null when the path is too short or doubles back on itself
+ */
+export function sweepShape(shape, points, { smooth = false } = {}) {
+  const path = dropRepeats(
+    smooth && points.length > 2
+      ? new THREE.CatmullRomCurve3(points, false, "centripetal").getPoints(
+          (points.length - 1) * SPLINE_SEGMENTS
+        )
+      : points
+  );
+  if (path.length < 2) return null;
+  const frames = getPathFrames(path);
+  if (!frames) return null;
+
+  const { outline, holes } = getProfileRings(shape);
+  if (outline.length < 3) return null;
+  const positions = [];
+  const triangle = (...corners) =>
+    corners.forEach((p) => positions.push(p.x, p.y, p.z));
+
+  [outline, ...holes].forEach((ring) => {
+    const placed = frames.map((frame) =>
+      ring.map((p) => placeOnFrame(frame, p))
+    );
+    for (let i = 0; i < frames.length - 1; i++) {
+      ring.forEach((_, j) => {
+        const k = (j + 1) % ring.length;
+        const [a0, b0] = [placed[i][j], placed[i][k]];
+        const [a1, b1] = [placed[i + 1][j], placed[i + 1][k]];
+        triangle(a0, b0, b1);
+        triangle(a0, b1, a1);
+      });
+    }
+  });
+
+  const vertices = [...outline, ...holes.flat()];
+  const first = frames[0];
+  const last = frames[frames.length - 1];
+  THREE.ShapeUtils.triangulateShape(outline, holes).forEach(([a, b, c]) => {
+    triangle(
+      placeOnFrame(first, vertices[a]),
+      placeOnFrame(first, vertices[c]),
+      placeOnFrame(first, vertices[b])
+    );
+    triangle(
+      placeOnFrame(last, vertices[a]),
+      placeOnFrame(last, vertices[b]),
+      placeOnFrame(last, vertices[c])
+    );
+  });
+
+  const soup = new THREE.BufferGeometry();
+  soup.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  const geometry = mergeVertices(
+    toCreasedNormals(soup, SWEEP_CREASE_ANGLE),
+    WELD_TOLERANCE
+  );
+  soup.dispose();
+  return geometry;
+}
+
+/**
+ * Build the geometry of a sweep
+ * @param {Object} sweep
+ * @param {Array} objects - Scene objects, for port ends
+ * @param {THREE.Matrix4} worldToLocal - Frame of the body the sweep builds
+ * @returns {Object} { geometry, points, error } with geometry null on failure
+ *   and points the path from getSweepPoints
+ */
+export function buildSweepGeometry(
+  sweep,
+  objects,
+  worldToLocal = new THREE.Matrix4()
+) {
+  const shape = getSweepProfile(sweep.profile);
+  const lead = shape
+    ? Math.max(MIN_PORT_LEAD, getProfileSize(shape))
+    : MIN_PORT_LEAD;
+  const { points, missing } = getSweepPoints(sweep, objects, {
+    lead,
+    worldToLocal,
+  });
+  const fail = (error) => ({ geometry: null, points, error });
+
+  if (!shape) return fail("The section isn't a closed outline");
+  if (missing.length > 0) {
+    return fail(`The ${missing.join(" and ")} port no longer exists`);
+  }
+  if (points.length < 2) return fail("The path needs at least two points");
+  const geometry = sweepShape(shape, points, sweep);
+  if (!geometry) return fail("The path turns back on itself");
+  return { geometry, points, error: null };
+}